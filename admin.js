@@ -0,0 +1,677 @@
+// Theme Management
+function initTheme() {
+    const savedTheme = localStorage.getItem('theme') || 'dark';
+    if (savedTheme === 'light') {
+        document.documentElement.classList.add('light-mode');
+        document.body.classList.add('light-mode');
+    } else {
+        document.documentElement.classList.remove('light-mode');
+        document.body.classList.remove('light-mode');
+    }
+}
+
+// Initialize theme on page load
+initTheme();
+
+// Listen for theme changes from other pages
+window.addEventListener('storage', (e) => {
+    if (e.key === 'theme') {
+        initTheme();
+    }
+});
+
+const ROLE_LABELS = {
+    client: 'Client',
+    lawyer: 'Lawyer',
+    admin: 'Admin'
+};
+const BOOKING_STATUS_LABELS = {
+    pending: 'Pending',
+    confirmed: 'Confirmed',
+    declined: 'Declined',
+    cancelled: 'Cancelled',
+    completed: 'Completed',
+    no_show: 'No-show'
+};
+
+const LOGIN_OUTCOME_LABELS = {
+    success: 'Signed in',
+    two_factor_pending: 'Waiting for 2FA',
+    invalid_password: 'Wrong password',
+    unknown_account: 'Unknown email',
+    two_factor_failed: 'Wrong 2FA code',
+    locked: 'Account locked',
+    throttled: 'Rate limited'
+};
+
+const usersTable = document.getElementById('usersTable');
+const lawyersList = document.getElementById('lawyersList');
+const adminBookings = document.getElementById('adminBookings');
+const statutesList = document.getElementById('statutesList');
+const lawyerModal = document.getElementById('lawyerModal');
+
+// Full directory, including lawyers removed from it
+let lawyers = [];
+let users = [];
+// Users linked to a directory entry
+let lawyerAccounts = [];
+let statutePage = 1;
+let attemptPage = 1;
+
+function escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text == null ? '' : String(text);
+    return div.innerHTML;
+}
+
+function formatDate(date) {
+    return new Date(date + 'T00:00:00').toLocaleDateString('en-GB', { weekday: 'short', day: 'numeric', month: 'short', year: 'numeric' });
+}
+
+function formatTimestamp(timestamp) {
+    return new Date(timestamp.replace(' ', 'T') + 'Z').toLocaleString('en-GB', {
+        day: 'numeric', month: 'short', year: 'numeric', hour: '2-digit', minute: '2-digit'
+    });
+}
+
+async function apiRequest(url, method = 'GET', body = null) {
+    const options = {
+        method,
+        credentials: 'include'
+    };
+    if (body) {
+        options.headers = { 'Content-Type': 'application/json' };
+        options.body = JSON.stringify(body);
+    }
+    const response = await fetch(url, options);
+    return response.json();
+}
+
+// ==================== Overview ====================
+
+function createStatCard(title, value, details) {
+    return `
+        <div class="stat-card">
+            <span class="stat-title">${title}</span>
+            <span class="stat-value">${value}</span>
+            ${details.map(detail => `<span class="stat-detail">${detail}</span>`).join('')}
+        </div>
+    `;
+}
+
+async function loadStats() {
+    try {
+        const data = await apiRequest('/api/admin/stats');
+        if (!data.success) return;
+        const stats = data.stats;
+
+        document.getElementById('statsGrid').innerHTML = [
+            createStatCard('Users', stats.users.total, [
+                Object.entries(stats.users.byRole).map(([role, count]) => `${count} ${(ROLE_LABELS[role] || role).toLowerCase()}`).join(' · '),
+                `${stats.users.newLast7Days} new this week · ${stats.users.newLast30Days} this month`
+            ]),
+            createStatCard('Conversations', stats.conversations.total, [
+                `${stats.conversations.byGuests} by guests`,
+                `${stats.conversations.activeLast7Days} active this week`
+            ]),
+            createStatCard('Messages', stats.messages.total, [
+                `${stats.messages.byRole.user || 0} questions · ${stats.messages.byRole.assistant || 0} answers`,
+                `${stats.messages.last7Days} this week`
+            ]),
+            createStatCard('Bookings', stats.bookings.total, [
+                Object.entries(stats.bookings.byStatus).map(([status, count]) => `${count} ${(BOOKING_STATUS_LABELS[status] || status).toLowerCase()}`).join(' · ') || 'None yet',
+                `${stats.bookings.upcoming} upcoming`
+            ]),
+            createStatCard('Lawyers', stats.lawyers.active, [
+                `${stats.lawyers.inactive} removed from the directory`,
+                `${stats.lawyers.withAccount} with a portal account`
+            ]),
+            createStatCard('Statutes', stats.statutes.articles, [
+                `articles from ${stats.statutes.laws} law(s)`,
+                `AI provider: ${escapeHtml(stats.llmProvider)}`
+            ])
+        ].join('');
+
+        document.getElementById('activityTable').innerHTML = `
+            <tr><th>Date</th><th>Messages</th><th>New users</th><th>Bookings</th></tr>
+            ${stats.activity.slice().reverse().map(day => `
+                <tr><td>${formatDate(day.date)}</td><td>${day.messages}</td><td>${day.newUsers}</td><td>${day.bookings}</td></tr>
+            `).join('')}
+        `;
+    } catch (error) {
+        console.error('Error loading statistics:', error);
+    }
+}
+
+// ==================== Users ====================
+
+function lawyerOptions(selectedId) {
+    return lawyers.map(lawyer =>
+        `<option value="${lawyer.id}" ${lawyer.id === selectedId ? 'selected' : ''}>${escapeHtml(lawyer.name)}${lawyer.isActive ? '' : ' (removed)'}</option>`
+    ).join('');
+}
+
+function createUserRow(user) {
+    return `
+        <tr data-user-id="${user.id}">
+            <td><strong>${escapeHtml(user.name)}</strong><br><span class="my-booking-note">${escapeHtml(user.email)}${user.emailVerified ? '' : ' (unverified)'}${user.twoFactorEnabled ? ' · 2FA' : ''}</span></td>
+            <td>${formatTimestamp(user.createdAt)}</td>
+            <td>${user.conversationCount} chats · ${user.bookingCount} bookings</td>
+            <td class="role-cell">
+                <select name="role">
+                    ${Object.entries(ROLE_LABELS).map(([role, label]) => `<option value="${role}" ${role === user.role ? 'selected' : ''}>${label}</option>`).join('')}
+                </select>
+                <select name="lawyerId" ${user.role === 'lawyer' ? '' : 'hidden'}>
+                    <option value="">Directory entry...</option>
+                    ${lawyerOptions(user.lawyerId)}
+                </select>
+                <button class="booking-action-btn" data-action="save-role">Save</button>
+                ${user.lockedUntil ? `<button class="booking-action-btn danger" data-action="unlock" title="Locked until ${formatTimestamp(user.lockedUntil)}">Unlock</button>` : ''}
+            </td>
+        </tr>
+    `;
+}
+
+async function loadUsers() {
+    const params = new URLSearchParams();
+    const q = document.getElementById('userSearch').value.trim();
+    const role = document.getElementById('userRoleFilter').value;
+    if (q) params.set('q', q);
+    if (role) params.set('role', role);
+
+    try {
+        const data = await apiRequest(`/api/admin/users?${params}`);
+        users = data.success ? data.users : [];
+    } catch (error) {
+        console.error('Error loading users:', error);
+        users = [];
+    }
+
+    usersTable.innerHTML = users.length === 0
+        ? '<tr><td class="my-booking-note">No users found.</td></tr>'
+        : '<tr><th>User</th><th>Joined</th><th>Activity</th><th>Role</th></tr>' + users.map(createUserRow).join('');
+}
+
+document.getElementById('userSearchForm').addEventListener('submit', (e) => {
+    e.preventDefault();
+    loadUsers();
+});
+
+usersTable.addEventListener('change', (e) => {
+    if (e.target.name === 'role') {
+        e.target.closest('tr').querySelector('[name="lawyerId"]').hidden = e.target.value !== 'lawyer';
+    }
+});
+
+usersTable.addEventListener('click', async (e) => {
+    const row = e.target.closest('tr');
+    if (e.target.dataset.action === 'unlock') {
+        const data = await apiRequest(`/api/admin/users/${row.dataset.userId}/unlock`, 'POST');
+        if (!data.success) {
+            alert(data.message || 'Failed to unlock the account.');
+        }
+        loadUsers();
+        return;
+    }
+    if (e.target.dataset.action !== 'save-role') return;
+
+    try {
+        const data = await apiRequest(`/api/admin/users/${row.dataset.userId}/role`, 'PUT', {
+            role: row.querySelector('[name="role"]').value,
+            lawyerId: row.querySelector('[name="lawyerId"]').value || null
+        });
+        if (!data.success) {
+            alert(data.message || 'Failed to update the role.');
+        }
+    } catch (error) {
+        console.error('Update role error:', error);
+        alert('Failed to update the role. Please try again.');
+    }
+    loadUsers();
+});
+
+// ==================== Lawyers ====================
+
+async function loadLawyers() {
+    try {
+        const [lawyerData, accountData] = await Promise.all([
+            apiRequest('/api/lawyers?includeInactive=true'),
+            apiRequest('/api/admin/users?role=lawyer')
+        ]);
+        lawyers = lawyerData.success ? lawyerData.lawyers : [];
+        lawyerAccounts = accountData.success ? accountData.users : [];
+    } catch (error) {
+        console.error('Error loading lawyers:', error);
+        lawyers = [];
+    }
+
+    document.getElementById('bookingLawyerFilter').innerHTML = '<option value="">All lawyers</option>' + lawyerOptions(null);
+    renderLawyers();
+}
+
+function renderLawyers() {
+    if (lawyers.length === 0) {
+        lawyersList.innerHTML = '<p class="my-booking-note">The directory is empty.</p>';
+        return;
+    }
+
+    lawyersList.innerHTML = lawyers.map(lawyer => {
+        const account = lawyerAccounts.find(user => user.lawyerId === lawyer.id);
+        return `
+            <div class="my-booking-item${lawyer.isActive ? '' : ' inactive-lawyer'}">
+                <div class="my-booking-header">
+                    <div>
+                        <h3>${escapeHtml(lawyer.name)}${lawyer.nameAr ? ` · <span dir="rtl">${escapeHtml(lawyer.nameAr)}</span>` : ''}</h3>
+                        <p class="my-booking-when">${escapeHtml(lawyer.specialties.join(', '))} · ${escapeHtml(lawyer.governorate || 'No governorate')}${lawyer.consultationFee != null ? ` · ${lawyer.consultationFee} EGP` : ''}</p>
+                        <p class="my-booking-when">Bar No. ${escapeHtml(lawyer.barRegistrationNumber || 'not set')} · Portal account: ${account ? escapeHtml(account.email) : 'none'}</p>
+                    </div>
+                    <span class="booking-status status-${lawyer.isActive ? 'confirmed' : 'cancelled'}">${lawyer.isActive ? 'Listed' : 'Removed'}</span>
+                </div>
+                <div class="my-booking-actions">
+                    <button class="booking-action-btn" data-action="edit" data-lawyer-id="${lawyer.id}">Edit</button>
+                    <button class="booking-action-btn" data-action="link" data-lawyer-id="${lawyer.id}">${account ? 'Change account' : 'Link account'}</button>
+                    ${account ? `<button class="booking-action-btn" data-action="unlink" data-lawyer-id="${lawyer.id}">Unlink account</button>` : ''}
+                    ${lawyer.isActive
+                        ? `<button class="booking-action-btn danger" data-action="remove" data-lawyer-id="${lawyer.id}">Remove from directory</button>`
+                        : `<button class="booking-action-btn" data-action="restore" data-lawyer-id="${lawyer.id}">Restore</button>`}
+                </div>
+            </div>
+        `;
+    }).join('');
+}
+
+function openLawyerModal(lawyer = null) {
+    document.getElementById('lawyerModalTitle').textContent = lawyer ? 'Edit Lawyer' : 'Add Lawyer';
+    document.getElementById('lawyerId').value = lawyer ? lawyer.id : '';
+    document.getElementById('lawyerName').value = lawyer ? lawyer.name : '';
+    document.getElementById('lawyerNameAr').value = lawyer ? lawyer.nameAr || '' : '';
+    document.getElementById('lawyerSpecialties').value = lawyer ? lawyer.specialties.join(', ') : '';
+    document.getElementById('lawyerBarNumber').value = lawyer ? lawyer.barRegistrationNumber || '' : '';
+    document.getElementById('lawyerGovernorate').value = lawyer ? lawyer.governorate || '' : '';
+    document.getElementById('lawyerLanguages').value = lawyer ? lawyer.languages.join(', ') : '';
+    document.getElementById('lawyerFee').value = lawyer && lawyer.consultationFee != null ? lawyer.consultationFee : '';
+    document.getElementById('lawyerBio').value = lawyer ? lawyer.bio || '' : '';
+    lawyerModal.classList.add('active');
+}
+
+document.getElementById('addLawyerBtn').addEventListener('click', () => openLawyerModal());
+
+document.getElementById('closeLawyerModal').addEventListener('click', () => {
+    lawyerModal.classList.remove('active');
+});
+
+lawyerModal.addEventListener('click', (e) => {
+    if (e.target === lawyerModal) {
+        lawyerModal.classList.remove('active');
+    }
+});
+
+document.getElementById('lawyerForm').addEventListener('submit', async (e) => {
+    e.preventDefault();
+
+    const lawyerId = document.getElementById('lawyerId').value;
+    const body = {
+        name: document.getElementById('lawyerName').value,
+        nameAr: document.getElementById('lawyerNameAr').value,
+        specialties: document.getElementById('lawyerSpecialties').value,
+        barRegistrationNumber: document.getElementById('lawyerBarNumber').value,
+        governorate: document.getElementById('lawyerGovernorate').value,
+        languages: document.getElementById('lawyerLanguages').value,
+        consultationFee: document.getElementById('lawyerFee').value,
+        bio: document.getElementById('lawyerBio').value
+    };
+
+    try {
+        const data = await apiRequest(lawyerId ? `/api/lawyers/${lawyerId}` : '/api/lawyers', lawyerId ? 'PUT' : 'POST', body);
+        if (!data.success) {
+            alert(data.message || 'Failed to save the lawyer.');
+            return;
+        }
+        lawyerModal.classList.remove('active');
+        loadLawyers();
+    } catch (error) {
+        console.error('Save lawyer error:', error);
+        alert('Failed to save the lawyer. Please try again.');
+    }
+});
+
+lawyersList.addEventListener('click', async (e) => {
+    const btn = e.target.closest('button[data-action]');
+    if (!btn) return;
+
+    const lawyer = lawyers.find(l => l.id === parseInt(btn.dataset.lawyerId));
+    let data;
+    try {
+        if (btn.dataset.action === 'edit') {
+            openLawyerModal(lawyer);
+            return;
+        } else if (btn.dataset.action === 'link') {
+            const email = prompt(`Email of the registered user who will manage ${lawyer.name}'s portal:`);
+            if (!email) return;
+            data = await apiRequest(`/api/lawyers/${lawyer.id}/account`, 'PUT', { email: email.trim() });
+        } else if (btn.dataset.action === 'unlink') {
+            if (!confirm(`Unlink the portal account of ${lawyer.name}? The user becomes a client again.`)) return;
+            data = await apiRequest(`/api/lawyers/${lawyer.id}/account`, 'DELETE');
+        } else if (btn.dataset.action === 'remove') {
+            if (!confirm(`Remove ${lawyer.name} from the directory? Existing bookings are kept.`)) return;
+            data = await apiRequest(`/api/lawyers/${lawyer.id}`, 'DELETE');
+        } else if (btn.dataset.action === 'restore') {
+            data = await apiRequest(`/api/lawyers/${lawyer.id}`, 'PUT', { isActive: true });
+        }
+        if (data && !data.success) {
+            alert(data.message || 'The change could not be saved.');
+        }
+    } catch (error) {
+        console.error('Lawyer action error:', error);
+        alert('The change could not be saved. Please try again.');
+    }
+    loadLawyers();
+});
+
+// ==================== Bookings ====================
+
+// Same status changes as the lawyer portal; completed and no-show only once it has started
+function getStatusActions(booking) {
+    if (booking.status === 'pending') {
+        return [['confirmed', 'Confirm'], ['declined', 'Decline']];
+    }
+    const started = new Date(`${booking.appointment_date}T${booking.appointment_time}`) <= new Date();
+    if (booking.status === 'confirmed' && started) {
+        return [['completed', 'Mark completed'], ['no_show', 'Mark no-show']];
+    }
+    return [];
+}
+
+function createAdminBooking(booking) {
+    const actions = getStatusActions(booking).map(([status, label]) =>
+        `<button class="booking-action-btn${status === 'declined' || status === 'no_show' ? ' danger' : ''}" data-status="${status}" data-booking-id="${booking.id}">${label}</button>`
+    ).join('');
+
+    return `
+        <div class="my-booking-item">
+            <div class="my-booking-header">
+                <div>
+                    <h3>${escapeHtml(booking.client_name)} with ${escapeHtml(booking.lawyer_name)}</h3>
+                    <p class="my-booking-when">${formatDate(booking.appointment_date)} · ${booking.appointment_time} (Cairo time) · ${escapeHtml(booking.lawyer_specialty)}</p>
+                    <p class="my-booking-when">${escapeHtml(booking.client_email)} · ${escapeHtml(booking.client_phone)}</p>
+                </div>
+                <span class="booking-status status-${booking.status}">${BOOKING_STATUS_LABELS[booking.status] || escapeHtml(booking.status)}</span>
+            </div>
+            ${actions ? `<div class="my-booking-actions">${actions}</div>` : ''}
+            <details class="my-booking-history">
+                <summary>History (${booking.history.length})</summary>
+                <ul>
+                    ${booking.history.map(entry => `
+                        <li><span class="history-date">${formatTimestamp(entry.created_at)}</span> ${BOOKING_STATUS_LABELS[entry.to_status] || escapeHtml(entry.to_status)}${entry.changed_by_role ? ` by ${entry.changed_by_role}` : ''}${entry.note ? ` - ${escapeHtml(entry.note)}` : ''}</li>
+                    `).join('')}
+                </ul>
+            </details>
+        </div>
+    `;
+}
+
+async function loadBookings() {
+    const params = new URLSearchParams();
+    const status = document.getElementById('bookingStatusFilter').value;
+    const lawyerId = document.getElementById('bookingLawyerFilter').value;
+    if (status) params.set('status', status);
+    if (lawyerId) params.set('lawyerId', lawyerId);
+
+    let bookings = [];
+    try {
+        const data = await apiRequest(`/api/admin/bookings?${params}`);
+        bookings = data.success ? data.bookings : [];
+    } catch (error) {
+        console.error('Error loading bookings:', error);
+    }
+
+    adminBookings.innerHTML = bookings.length === 0
+        ? '<p class="my-booking-note">No bookings found.</p>'
+        : bookings.map(createAdminBooking).join('');
+}
+
+document.getElementById('bookingStatusFilter').addEventListener('change', loadBookings);
+document.getElementById('bookingLawyerFilter').addEventListener('change', loadBookings);
+
+adminBookings.addEventListener('click', async (e) => {
+    const btn = e.target.closest('button[data-status]');
+    if (!btn) return;
+
+    let note = null;
+    if (btn.dataset.status === 'declined') {
+        note = prompt('Reason for declining (shown to the client):');
+        if (note === null) return;
+    }
+
+    try {
+        const data = await apiRequest(`/api/bookings/${btn.dataset.bookingId}/status`, 'POST', { status: btn.dataset.status, note });
+        if (!data.success) {
+            alert(data.message || 'Failed to update the booking.');
+        }
+    } catch (error) {
+        console.error('Update booking status error:', error);
+        alert('Failed to update the booking. Please try again.');
+    }
+    loadBookings();
+});
+
+// ==================== Statutes ====================
+
+async function loadStatutes() {
+    const params = new URLSearchParams({ page: statutePage });
+    const q = document.getElementById('statuteSearch').value.trim();
+    const lawNumber = document.getElementById('statuteLawFilter').value;
+    if (q) params.set('q', q);
+    if (lawNumber) params.set('lawNumber', lawNumber);
+
+    try {
+        const data = await apiRequest(`/api/admin/statutes?${params}`);
+        if (!data.success) return;
+
+        const lawFilter = document.getElementById('statuteLawFilter');
+        lawFilter.innerHTML = '<option value="">All laws</option>' + data.laws.map(law =>
+            `<option value="${escapeHtml(law.lawNumber)}" ${law.lawNumber === lawNumber ? 'selected' : ''}>${escapeHtml(law.lawName || law.lawNameAr || law.lawNumber)} (${law.articleCount})</option>`
+        ).join('');
+
+        statutesList.innerHTML = data.statutes.length === 0
+            ? '<p class="my-booking-note">No articles found.</p>'
+            : data.statutes.map(statute => `
+                <div class="my-booking-item">
+                    <div class="my-booking-header">
+                        <div>
+                            <h3>Article ${escapeHtml(statute.articleNumber)} · ${escapeHtml(statute.lawName || statute.lawNameAr || statute.lawNumber)}</h3>
+                            <p class="my-booking-when">Law ${escapeHtml(statute.lawNumber)} · updated ${formatTimestamp(statute.updatedAt)}</p>
+                        </div>
+                        <button class="note-delete-btn" data-statute-id="${statute.id}" title="Delete article">×</button>
+                    </div>
+                    ${statute.textAr ? `<p class="statute-text" dir="rtl">${escapeHtml(statute.textAr)}</p>` : ''}
+                    ${statute.textEn ? `<p class="statute-text">${escapeHtml(statute.textEn)}</p>` : ''}
+                </div>
+            `).join('');
+
+        const pages = Math.max(Math.ceil(data.total / data.pageSize), 1);
+        document.getElementById('statutePageInfo').textContent = q ? `${data.total} best matches` : `Page ${data.page} of ${pages}`;
+        document.getElementById('prevStatutesBtn').disabled = !!q || data.page <= 1;
+        document.getElementById('nextStatutesBtn').disabled = !!q || data.page >= pages;
+    } catch (error) {
+        console.error('Error loading statutes:', error);
+    }
+}
+
+document.getElementById('statuteSearchForm').addEventListener('submit', (e) => {
+    e.preventDefault();
+    statutePage = 1;
+    loadStatutes();
+});
+
+document.getElementById('statuteLawFilter').addEventListener('change', () => {
+    statutePage = 1;
+    loadStatutes();
+});
+
+document.getElementById('prevStatutesBtn').addEventListener('click', () => {
+    statutePage--;
+    loadStatutes();
+});
+
+document.getElementById('nextStatutesBtn').addEventListener('click', () => {
+    statutePage++;
+    loadStatutes();
+});
+
+statutesList.addEventListener('click', async (e) => {
+    if (!e.target.dataset.statuteId) return;
+    if (!confirm('Delete this article from the corpus? It will no longer be cited in answers.')) return;
+
+    const data = await apiRequest(`/api/admin/statutes/${e.target.dataset.statuteId}`, 'DELETE');
+    if (!data.success) {
+        alert(data.message || 'Failed to delete the article.');
+    }
+    loadStatutes();
+});
+
+document.getElementById('statuteImportForm').addEventListener('submit', async (e) => {
+    e.preventDefault();
+
+    const raw = document.getElementById('statuteImportData').value.trim();
+    const result = document.getElementById('statuteImportResult');
+    let body;
+    if (raw.startsWith('[')) {
+        try {
+            body = { statutes: JSON.parse(raw) };
+        } catch (error) {
+            result.textContent = 'Invalid JSON: ' + error.message;
+            return;
+        }
+    } else {
+        body = { csv: raw };
+    }
+
+    try {
+        const data = await apiRequest('/api/admin/statutes/import', 'POST', body);
+        result.textContent = data.success
+            ? `${data.message}, ${data.skipped} skipped.${data.errors.length > 0 ? ' ' + data.errors.join(' ') : ''}`
+            : data.message;
+        if (data.success) {
+            e.target.reset();
+            loadStatutes();
+        }
+    } catch (error) {
+        console.error('Import statutes error:', error);
+        result.textContent = 'Import failed. Please try again.';
+    }
+});
+
+// ==================== Sign-ins ====================
+
+async function loadLoginAttempts() {
+    const params = new URLSearchParams({ page: attemptPage });
+    const q = document.getElementById('attemptSearch').value.trim();
+    const outcome = document.getElementById('attemptOutcomeFilter').value;
+    if (q) params.set('q', q);
+    if (outcome) params.set('outcome', outcome);
+
+    try {
+        const data = await apiRequest(`/api/admin/login-attempts?${params}`);
+        if (!data.success) return;
+
+        const failures = Object.entries(data.recentFailures);
+        document.getElementById('recentFailures').textContent = failures.length === 0
+            ? 'No failed sign-ins in the last 24 hours.'
+            : 'Last 24 hours: ' + failures.map(([key, count]) => `${count} ${(LOGIN_OUTCOME_LABELS[key] || key).toLowerCase()}`).join(' · ');
+
+        document.getElementById('attemptsTable').innerHTML = data.attempts.length === 0
+            ? '<tr><td class="my-booking-note">No sign-in attempts found.</td></tr>'
+            : '<tr><th>Time</th><th>Email</th><th>IP address</th><th>Outcome</th></tr>' + data.attempts.map(attempt => `
+                <tr>
+                    <td>${formatTimestamp(attempt.createdAt)}</td>
+                    <td>${escapeHtml(attempt.email || '-')}</td>
+                    <td title="${escapeHtml(attempt.userAgent)}">${escapeHtml(attempt.ip)}</td>
+                    <td><span class="booking-status status-${attempt.outcome === 'success' ? 'confirmed' : attempt.outcome === 'two_factor_pending' ? 'pending' : 'cancelled'}">${LOGIN_OUTCOME_LABELS[attempt.outcome] || escapeHtml(attempt.outcome)}</span></td>
+                </tr>
+            `).join('');
+
+        const pages = Math.max(Math.ceil(data.total / data.pageSize), 1);
+        document.getElementById('attemptPageInfo').textContent = `Page ${data.page} of ${pages}`;
+        document.getElementById('prevAttemptsBtn').disabled = data.page <= 1;
+        document.getElementById('nextAttemptsBtn').disabled = data.page >= pages;
+    } catch (error) {
+        console.error('Error loading sign-in attempts:', error);
+    }
+}
+
+document.getElementById('attemptSearchForm').addEventListener('submit', (e) => {
+    e.preventDefault();
+    attemptPage = 1;
+    loadLoginAttempts();
+});
+
+document.getElementById('attemptOutcomeFilter').addEventListener('change', () => {
+    attemptPage = 1;
+    loadLoginAttempts();
+});
+
+document.getElementById('prevAttemptsBtn').addEventListener('click', () => {
+    attemptPage--;
+    loadLoginAttempts();
+});
+
+document.getElementById('nextAttemptsBtn').addEventListener('click', () => {
+    attemptPage++;
+    loadLoginAttempts();
+});
+
+// ==================== Tabs ====================
+
+const TAB_LOADERS = {
+    overview: loadStats,
+    users: loadUsers,
+    lawyers: loadLawyers,
+    bookings: loadBookings,
+    statutes: loadStatutes,
+    signins: loadLoginAttempts
+};
+
+document.querySelectorAll('.admin-tabs .category-filter').forEach(btn => {
+    btn.addEventListener('click', () => {
+        document.querySelectorAll('.admin-tabs .category-filter').forEach(b => b.classList.remove('active'));
+        document.querySelectorAll('.admin-tab').forEach(tab => tab.classList.remove('active'));
+        btn.classList.add('active');
+        document.getElementById(`${btn.dataset.tab}Tab`).classList.add('active');
+        TAB_LOADERS[btn.dataset.tab]();
+    });
+});
+
+// Only admins can use the console
+async function checkAdminAccess() {
+    try {
+        const data = await apiRequest('/api/session');
+        if (!data.success) {
+            window.location.href = '/auth.html';
+            return false;
+        }
+        if (data.user.role !== 'admin' || !data.user.emailVerified) {
+            // An unverified admin sees the verification notice in the dashboard
+            window.location.href = '/dashboard.html';
+            return false;
+        }
+        if (!data.user.twoFactorEnabled) {
+            // Admins need two-factor authentication; it is set up in the dashboard settings
+            window.location.href = '/dashboard.html#settings';
+            return false;
+        }
+        return true;
+    } catch (error) {
+        console.error('Admin console error:', error);
+        return false;
+    }
+}
+
+// Initialize
+document.addEventListener('DOMContentLoaded', async () => {
+    if (await checkAdminAccess()) {
+        // Users and bookings refer to directory entries by id
+        await loadLawyers();
+        await loadStats();
+    }
+});
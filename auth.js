@@ -180,6 +180,8 @@ document.addEventListener('visibilitychange', () => {
 // Form switching functionality with smooth animations
 const signInForm = document.getElementById('signInForm');
 const signUpForm = document.getElementById('signUpForm');
+const twoFactorForm = document.getElementById('twoFactorForm');
+const authForms = { signin: signInForm, signup: signUpForm, twofactor: twoFactorForm };
 const switchLinks = document.querySelectorAll('.switch-form');
 const authCard = document.getElementById('authCard');
 
@@ -189,8 +191,8 @@ function switchForm(targetForm) {
     if (isAnimating) return;
     
     isAnimating = true;
-    const currentForm = signInForm.classList.contains('active') ? signInForm : signUpForm;
-    const newForm = targetForm === 'signin' ? signInForm : signUpForm;
+    const currentForm = document.querySelector('.auth-form.active');
+    const newForm = authForms[targetForm];
     
     // If clicking on the same form, do nothing
     if (currentForm === newForm) {
@@ -318,6 +320,49 @@ function showSuccess(message) {
     }, 3000);
 }
 
+// A guest who signs up or in can keep the conversations of their guest session
+let guestSummary = null;
+
+function pluralize(count, noun) {
+    return `${count} ${noun}${count === 1 ? '' : 's'}`;
+}
+
+async function loadGuestSummary() {
+    try {
+        const response = await fetch('/api/guest/summary', { credentials: 'include' });
+        const data = await response.json();
+        if (!data.success || !data.isGuest || data.conversations + data.bookings === 0) return;
+
+        guestSummary = data;
+        const items = [pluralize(data.conversations, 'conversation')];
+        if (data.bookings > 0) {
+            items.push(pluralize(data.bookings, 'booking'));
+        }
+        document.querySelectorAll('.guest-merge').forEach(label => {
+            label.querySelector('.guest-merge-text').textContent = `Keep the ${items.join(' and ')} from your guest session in this account`;
+            label.hidden = false;
+        });
+    } catch (error) {
+        console.error('Guest summary error:', error);
+    }
+}
+
+function shouldMergeGuestData(form) {
+    return !!guestSummary && form.querySelector('.guest-merge-checkbox').checked;
+}
+
+// " 3 conversations from your guest session are now in your account." or ''
+function describeMergedGuestData(merged) {
+    if (!merged || merged.conversations + merged.bookings === 0) return '';
+    const items = [pluralize(merged.conversations, 'conversation')];
+    if (merged.bookings > 0) {
+        items.push(pluralize(merged.bookings, 'booking'));
+    }
+    return ` ${items.join(' and ')} from your guest session ${merged.conversations + merged.bookings === 1 ? 'is' : 'are'} now in your account.`;
+}
+
+loadGuestSummary();
+
 // Sign In form submission
 if (signInFormElement) {
     signInFormElement.addEventListener('submit', async (e) => {
@@ -338,11 +383,11 @@ if (signInFormElement) {
                     'Content-Type': 'application/json',
                 },
                 credentials: 'include',
-                body: JSON.stringify({ email, password })
+                body: JSON.stringify({ email, password, mergeGuestData: shouldMergeGuestData(signInFormElement) })
             });
 
-            // Check if response is ok
-            if (!response.ok) {
+            // 4xx answers (wrong password, rate limited, locked...) carry a message to show
+            if (response.status >= 500) {
                 throw new Error(`HTTP error! status: ${response.status}`);
             }
 
@@ -355,10 +400,17 @@ if (signInFormElement) {
             const data = await response.json();
 
             if (data.success) {
-                showSuccess('Login successful! Redirecting...');
+                const mergedText = describeMergedGuestData(data.guestDataMerged);
+                showSuccess('Login successful!' + mergedText + ' Redirecting...');
                 setTimeout(() => {
-                    window.location.href = '/dashboard.html';
-                }, 1000);
+                    // Lawyers and admins without 2FA are sent to set it up
+                    window.location.href = data.twoFactorSetupRequired ? '/dashboard.html#settings' : '/dashboard.html';
+                }, mergedText ? 2500 : 1000);
+            } else if (data.twoFactorRequired) {
+                submitBtn.disabled = false;
+                submitBtn.textContent = 'Sign In';
+                switchForm('twofactor');
+                setTimeout(() => document.getElementById('twoFactorCode').focus(), 950);
             } else {
                 showError(data.message || 'Login failed. Please try again.');
                 submitBtn.disabled = false;
@@ -379,6 +431,55 @@ if (signInFormElement) {
     });
 }
 
+// Two-factor form submission (second step of signing in)
+const twoFactorFormElement = document.getElementById('twoFactorFormElement');
+if (twoFactorFormElement) {
+    twoFactorFormElement.addEventListener('submit', async (e) => {
+        e.preventDefault();
+
+        const submitBtn = twoFactorFormElement.querySelector('.btn-submit');
+        submitBtn.disabled = true;
+        submitBtn.textContent = 'Verifying...';
+
+        try {
+            const response = await fetch('/api/login/2fa', {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                },
+                credentials: 'include',
+                body: JSON.stringify({ code: document.getElementById('twoFactorCode').value })
+            });
+            const data = await response.json();
+
+            if (data.success) {
+                const remaining = data.recoveryCodesRemaining;
+                const mergedText = describeMergedGuestData(data.guestDataMerged);
+                showSuccess((remaining !== undefined
+                    ? `Signed in with a recovery code (${remaining} left).`
+                    : 'Login successful!') + mergedText + ' Redirecting...');
+                setTimeout(() => {
+                    window.location.href = '/dashboard.html';
+                }, remaining !== undefined || mergedText ? 2500 : 1000);
+                return;
+            }
+
+            showError(data.message || 'Invalid code. Please try again.');
+            document.getElementById('twoFactorCode').value = '';
+            if (response.status === 400 || response.status === 429) {
+                // The pending sign-in expired or was locked: start again with the password
+                setTimeout(() => switchForm('signin'), 1500);
+            }
+        } catch (error) {
+            console.error('Two-factor error:', error);
+            showError('Network error. Please check your connection and try again.');
+        }
+
+        submitBtn.disabled = false;
+        submitBtn.textContent = 'Verify';
+    });
+}
+
 // Sign Up form submission
 if (signUpFormElement) {
     signUpFormElement.addEventListener('submit', async (e) => {
@@ -412,11 +513,11 @@ if (signUpFormElement) {
                     'Content-Type': 'application/json',
                 },
                 credentials: 'include',
-                body: JSON.stringify({ name, email, password, confirmPassword })
+                body: JSON.stringify({ name, email, password, confirmPassword, mergeGuestData: shouldMergeGuestData(signUpFormElement) })
             });
 
-            // Check if response is ok
-            if (!response.ok) {
+            // 4xx answers (wrong password, rate limited, locked...) carry a message to show
+            if (response.status >= 500) {
                 throw new Error(`HTTP error! status: ${response.status}`);
             }
 
@@ -429,10 +530,11 @@ if (signUpFormElement) {
             const data = await response.json();
 
             if (data.success) {
-                showSuccess('Registration successful! Redirecting to dashboard...');
+                const mergedText = describeMergedGuestData(data.guestDataMerged);
+                showSuccess('Registration successful!' + mergedText + ' Redirecting to dashboard...');
                 setTimeout(() => {
                     window.location.href = '/dashboard.html';
-                }, 1000);
+                }, mergedText ? 2500 : 1000);
             } else {
                 showError(data.message || 'Registration failed. Please try again.');
                 submitBtn.disabled = false;
@@ -28,187 +28,137 @@ const closeModal = document.getElementById('closeModal');
 const closeSuccessModal = document.getElementById('closeSuccessModal');
 const bookingForm = document.getElementById('bookingForm');
 const modalTitle = document.getElementById('modalTitle');
+const verificationNotice = document.getElementById('verificationNotice');
 
-// Different types of lawyers
-const lawyers = [
-    {
-        id: 1,
-        name: 'Sarah Johnson',
-        specialty: 'Criminal Law',
-        experience: '15 years',
-        description: 'Experienced criminal defense attorney specializing in felony cases, DUI defense, and white-collar crimes. Known for aggressive defense strategies and successful case outcomes.',
-        rating: 4.9,
-        cases: '500+',
-        location: 'New York, NY',
-        icon: '⚖️'
-    },
-    {
-        id: 2,
-        name: 'Michael Chen',
-        specialty: 'Family Law',
-        experience: '12 years',
-        description: 'Compassionate family law attorney focusing on divorce, child custody, alimony, and adoption cases. Committed to protecting your family\'s best interests.',
-        rating: 4.8,
-        cases: '400+',
-        location: 'Los Angeles, CA',
-        icon: '👨‍👩‍👧‍👦'
-    },
-    {
-        id: 3,
-        name: 'Emily Rodriguez',
-        specialty: 'Corporate Law',
-        experience: '18 years',
-        description: 'Corporate law expert specializing in business formation, mergers & acquisitions, contract negotiations, and corporate compliance. Trusted by Fortune 500 companies.',
-        rating: 4.9,
-        cases: '600+',
-        location: 'Chicago, IL',
-        icon: '🏢'
-    },
-    {
-        id: 4,
-        name: 'David Thompson',
-        specialty: 'Personal Injury',
-        experience: '14 years',
-        description: 'Personal injury attorney with a track record of securing maximum compensation for clients. Handles car accidents, workplace injuries, and medical malpractice cases.',
-        rating: 4.7,
-        cases: '350+',
-        location: 'Houston, TX',
-        icon: '🏥'
-    },
-    {
-        id: 5,
-        name: 'Jennifer Williams',
-        specialty: 'Real Estate Law',
-        experience: '10 years',
-        description: 'Real estate attorney specializing in property transactions, landlord-tenant disputes, zoning issues, and real estate litigation. Expert in commercial and residential property.',
-        rating: 4.8,
-        cases: '300+',
-        location: 'Miami, FL',
-        icon: '🏠'
-    },
-    {
-        id: 6,
-        name: 'Robert Martinez',
-        specialty: 'Immigration Law',
-        experience: '11 years',
-        description: 'Immigration law specialist helping individuals and families with visas, green cards, citizenship, deportation defense, and asylum cases. Bilingual services available.',
-        rating: 4.9,
-        cases: '450+',
-        location: 'Phoenix, AZ',
-        icon: '🌍'
-    },
-    {
-        id: 7,
-        name: 'Lisa Anderson',
-        specialty: 'Employment Law',
-        experience: '13 years',
-        description: 'Employment law attorney representing employees in workplace discrimination, wrongful termination, wage disputes, and labor law violations. Strong advocate for workers\' rights.',
-        rating: 4.8,
-        cases: '380+',
-        location: 'Seattle, WA',
-        icon: '💼'
-    },
-    {
-        id: 8,
-        name: 'James Wilson',
-        specialty: 'Intellectual Property',
-        experience: '16 years',
-        description: 'IP attorney specializing in patents, trademarks, copyrights, and trade secrets. Protecting your creative works and innovations with comprehensive legal strategies.',
-        rating: 4.9,
-        cases: '500+',
-        location: 'Boston, MA',
-        icon: '💡'
-    },
-    {
-        id: 9,
-        name: 'Amanda Taylor',
-        specialty: 'Estate Planning',
-        experience: '9 years',
-        description: 'Estate planning attorney helping families protect their assets and plan for the future. Services include wills, trusts, probate, and estate administration.',
-        rating: 4.7,
-        cases: '250+',
-        location: 'San Francisco, CA',
-        icon: '📜'
-    },
-    {
-        id: 10,
-        name: 'Christopher Brown',
-        specialty: 'Tax Law',
-        experience: '17 years',
-        description: 'Tax attorney specializing in tax planning, IRS disputes, business tax issues, and tax litigation. Helping individuals and businesses navigate complex tax matters.',
-        rating: 4.8,
-        cases: '420+',
-        location: 'Washington, DC',
-        icon: '💰'
-    },
-    {
-        id: 11,
-        name: 'Maria Garcia',
-        specialty: 'Bankruptcy Law',
-        experience: '10 years',
-        description: 'Bankruptcy attorney helping individuals and businesses navigate Chapter 7, Chapter 11, and Chapter 13 bankruptcies. Providing debt relief solutions and financial fresh starts.',
-        rating: 4.6,
-        cases: '280+',
-        location: 'Dallas, TX',
-        icon: '📊'
-    },
-    {
-        id: 12,
-        name: 'Daniel Lee',
-        specialty: 'Environmental Law',
-        experience: '14 years',
-        description: 'Environmental law attorney specializing in regulatory compliance, environmental litigation, land use issues, and environmental impact assessments. Protecting the environment through legal action.',
-        rating: 4.7,
-        cases: '320+',
-        location: 'Portland, OR',
-        icon: '🌱'
+// Lawyer directory, loaded from /api/lawyers
+let lawyers = [];
+// Logged-in user from /api/session (guests and unverified accounts cannot book)
+let sessionUser = null;
+
+// Icons shown next to each specialty heading
+const SPECIALTY_ICONS = {
+    'Criminal Law': '⚖️',
+    'Family Law': '👨‍👩‍👧‍👦',
+    'Corporate Law': '🏢',
+    'Real Estate Law': '🏠',
+    'Labor Law': '💼',
+    'Intellectual Property': '💡',
+    'Administrative Law': '🏛️',
+    'Inheritance Law': '📜',
+    'Tax Law': '💰',
+    'Civil Law': '📘',
+    'Commercial Law': '📊',
+    'Cybercrime': '💻'
+};
+
+function getSpecialtyIcon(specialty) {
+    return SPECIALTY_ICONS[specialty] || '⚖️';
+}
+
+// Escape directory text before putting it into card HTML
+function escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text == null ? '' : text;
+    return div.innerHTML;
+}
+
+// Load the lawyer directory from the server
+async function loadLawyers() {
+    try {
+        const response = await fetch('/api/lawyers', {
+            credentials: 'include'
+        });
+        const data = await response.json();
+        if (data.success) {
+            lawyers = data.lawyers;
+        } else {
+            console.error('Error loading lawyers:', data.message);
+        }
+    } catch (error) {
+        console.error('Error loading lawyers:', error);
     }
-];
+}
 
 // Get unique categories from lawyers
 function getCategories() {
-    const categories = [...new Set(lawyers.map(l => l.specialty))];
+    const categories = [...new Set(lawyers.flatMap(l => l.specialties))];
     return categories.sort();
 }
 
+// Build the category filter buttons from the specialties in the directory
+function renderCategoryFilters() {
+    const container = document.getElementById('categoryFilters');
+    container.innerHTML = '<button class="category-filter active" data-category="all">All Lawyers</button>';
+    getCategories().forEach(category => {
+        const button = document.createElement('button');
+        button.className = 'category-filter';
+        button.dataset.category = category;
+        button.textContent = category;
+        container.appendChild(button);
+    });
+}
+
+// Lawyers matching the search box (name in English or Arabic, specialty, bio, governorate, language)
+function filterLawyers(searchTerm) {
+    if (searchTerm === '') {
+        return lawyers;
+    }
+    return lawyers.filter(lawyer => 
+        lawyer.name.toLowerCase().includes(searchTerm) ||
+        (lawyer.nameAr || '').includes(searchTerm) ||
+        lawyer.specialties.some(specialty => specialty.toLowerCase().includes(searchTerm)) ||
+        (lawyer.bio || '').toLowerCase().includes(searchTerm) ||
+        (lawyer.governorate || '').toLowerCase().includes(searchTerm) ||
+        lawyer.languages.some(language => language.toLowerCase().includes(searchTerm))
+    );
+}
+
+// Initials shown when a lawyer has no photo
+function getInitials(name) {
+    return name.split(/\s+/).filter(Boolean).slice(0, 2).map(part => part[0].toUpperCase()).join('');
+}
+
 // Create lawyer card HTML
 function createLawyerCard(lawyer) {
+    const avatar = lawyer.photoUrl
+        ? `<img src="${escapeHtml(lawyer.photoUrl)}" alt="${escapeHtml(lawyer.name)}">`
+        : escapeHtml(getInitials(lawyer.name));
     return `
-        <div class="lawyer-card" data-lawyer-id="${lawyer.id}" data-specialty="${lawyer.specialty}">
+        <div class="lawyer-card" data-lawyer-id="${lawyer.id}">
             <div class="lawyer-header">
-                <div class="lawyer-avatar">${lawyer.icon}</div>
+                <div class="lawyer-avatar">${avatar}</div>
                 <div class="lawyer-info">
-                    <h3>${lawyer.name}</h3>
-                    <div class="lawyer-specialty">${lawyer.specialty}</div>
-                    <div class="lawyer-experience">${lawyer.experience} of experience</div>
-                </div>
-            </div>
-            <p class="lawyer-description">${lawyer.description}</p>
-            <div class="lawyer-rating">
-                <div class="rating-stars">
-                    ${Array(5).fill(0).map((_, i) => 
-                        i < Math.floor(lawyer.rating) 
-                            ? '<svg viewBox="0 0 24 24" fill="currentColor"><path d="M12 2L15.09 8.26L22 9.27L17 14.14L18.18 21.02L12 17.77L5.82 21.02L7 14.14L2 9.27L8.91 8.26L12 2Z"/></svg>'
-                            : '<svg viewBox="0 0 24 24" fill="none" stroke="currentColor"><path d="M12 2L15.09 8.26L22 9.27L17 14.14L18.18 21.02L12 17.77L5.82 21.02L7 14.14L2 9.27L8.91 8.26L12 2Z"/></svg>'
-                    ).join('')}
+                    <h3>${escapeHtml(lawyer.name)}</h3>
+                    ${lawyer.nameAr ? `<div class="lawyer-name-ar" dir="rtl" lang="ar">${escapeHtml(lawyer.nameAr)}</div>` : ''}
+                    <div class="lawyer-specialty">${lawyer.specialties.map(escapeHtml).join(' · ')}</div>
+                    ${lawyer.barRegistrationNumber ? `<div class="lawyer-experience">Bar registration no. ${escapeHtml(lawyer.barRegistrationNumber)}</div>` : ''}
                 </div>
-                <span class="rating-value">${lawyer.rating}</span>
             </div>
+            <p class="lawyer-description">${escapeHtml(lawyer.bio || '')}</p>
             <div class="lawyer-details">
+                ${lawyer.governorate ? `
                 <div class="detail-item">
                     <svg viewBox="0 0 24 24" fill="none" stroke="currentColor">
-                        <path d="M9 11L12 14L22 4" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"/>
-                        <path d="M21 12V19C21 19.5304 20.7893 20.0391 20.4142 20.4142C20.0391 20.7893 19.5304 21 19 21H5C4.46957 21 3.96086 20.7893 3.58579 20.4142C3.21071 20.0391 3 19.5304 3 19V5C3 4.46957 3.21071 3.96086 3.58579 3.58579C3.96086 3.21071 4.46957 3 5 3H16" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"/>
+                        <path d="M21 10C21 17 12 23 12 23C12 23 3 17 3 10C3 7.61305 3.94821 5.32387 5.63604 3.63604C7.32387 1.94821 9.61305 1 12 1C14.3869 1 16.6761 1.94821 18.364 3.63604C20.0518 5.32387 21 7.61305 21 10Z" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"/>
+                        <path d="M12 13C13.6569 13 15 11.6569 15 10C15 8.34315 13.6569 7 12 7C10.3431 7 9 8.34315 9 10C9 11.6569 10.3431 13 12 13Z" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"/>
                     </svg>
-                    ${lawyer.cases} Cases
-                </div>
+                    ${escapeHtml(lawyer.governorate)}
+                </div>` : ''}
+                ${lawyer.languages.length > 0 ? `
                 <div class="detail-item">
                     <svg viewBox="0 0 24 24" fill="none" stroke="currentColor">
-                        <path d="M21 10C21 17 12 23 12 23C12 23 3 17 3 10C3 7.61305 3.94821 5.32387 5.63604 3.63604C7.32387 1.94821 9.61305 1 12 1C14.3869 1 16.6761 1.94821 18.364 3.63604C20.0518 5.32387 21 7.61305 21 10Z" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"/>
-                        <path d="M12 13C13.6569 13 15 11.6569 15 10C15 8.34315 13.6569 7 12 7C10.3431 7 9 8.34315 9 10C9 11.6569 10.3431 13 12 13Z" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"/>
+                        <path d="M12 22C17.5228 22 22 17.5228 22 12C22 6.47715 17.5228 2 12 2C6.47715 2 2 6.47715 2 12C2 17.5228 6.47715 22 12 22Z" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"/>
+                        <path d="M2 12H22M12 2C14.5013 4.73835 15.9228 8.29203 16 12C15.9228 15.708 14.5013 19.2616 12 22C9.49872 19.2616 8.07725 15.708 8 12C8.07725 8.29203 9.49872 4.73835 12 2Z" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"/>
                     </svg>
-                    ${lawyer.location}
-                </div>
+                    ${lawyer.languages.map(escapeHtml).join(', ')}
+                </div>` : ''}
+                ${lawyer.consultationFee != null ? `
+                <div class="detail-item">
+                    <svg viewBox="0 0 24 24" fill="none" stroke="currentColor">
+                        <path d="M12 1V23M17 5H9.5C8.57174 5 7.6815 5.36875 7.02513 6.02513C6.36875 6.6815 6 7.57174 6 8.5C6 9.42826 6.36875 10.3185 7.02513 10.9749C7.6815 11.6313 8.57174 12 9.5 12H14.5C15.4283 12 16.3185 12.3687 16.9749 13.0251C17.6313 13.6815 18 14.5717 18 15.5C18 16.4283 17.6313 17.3185 16.9749 17.9749C16.3185 18.6313 15.4283 19 14.5 19H6" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"/>
+                    </svg>
+                    EGP ${lawyer.consultationFee} / consultation
+                </div>` : ''}
             </div>
             <button class="booking-btn" data-lawyer-id="${lawyer.id}">Book Appointment</button>
         </div>
@@ -229,13 +179,15 @@ function renderLawyersByCategory(lawyersToRender = lawyers, selectedCategory = '
         return;
     }
     
-    // Group lawyers by specialty
+    // Group lawyers by specialty (a lawyer with several specialties appears under each)
     const lawyersByCategory = {};
     lawyersToRender.forEach(lawyer => {
-        if (!lawyersByCategory[lawyer.specialty]) {
-            lawyersByCategory[lawyer.specialty] = [];
-        }
-        lawyersByCategory[lawyer.specialty].push(lawyer);
+        lawyer.specialties.forEach(specialty => {
+            if (!lawyersByCategory[specialty]) {
+                lawyersByCategory[specialty] = [];
+            }
+            lawyersByCategory[specialty].push(lawyer);
+        });
     });
     
     // Render each category section
@@ -253,8 +205,8 @@ function renderLawyersByCategory(lawyersToRender = lawyers, selectedCategory = '
         
         section.innerHTML = `
             <h2 class="category-title">
-                <span class="category-icon">${lawyersByCategory[specialty][0].icon}</span>
-                ${specialty}
+                <span class="category-icon">${getSpecialtyIcon(specialty)}</span>
+                ${escapeHtml(specialty)}
                 <span class="lawyer-count">(${lawyersByCategory[specialty].length})</span>
             </h2>
             <div class="lawyers-grid">
@@ -302,18 +254,7 @@ function initCategoryFilters() {
             
             // Filter and render
             const searchTerm = searchInput.value.toLowerCase().trim();
-            let filteredLawyers = lawyers;
-            
-            if (searchTerm !== '') {
-                filteredLawyers = lawyers.filter(lawyer => 
-                    lawyer.name.toLowerCase().includes(searchTerm) ||
-                    lawyer.specialty.toLowerCase().includes(searchTerm) ||
-                    lawyer.description.toLowerCase().includes(searchTerm) ||
-                    lawyer.location.toLowerCase().includes(searchTerm)
-                );
-            }
-            
-            renderLawyersByCategory(filteredLawyers, currentCategory);
+            renderLawyersByCategory(filterLawyers(searchTerm), currentCategory);
         });
     });
 }
@@ -321,32 +262,107 @@ function initCategoryFilters() {
 // Search functionality
 searchInput.addEventListener('input', (e) => {
     const searchTerm = e.target.value.toLowerCase().trim();
-    
-    let filteredLawyers = lawyers;
-    
-    if (searchTerm !== '') {
-        filteredLawyers = lawyers.filter(lawyer => 
-            lawyer.name.toLowerCase().includes(searchTerm) ||
-            lawyer.specialty.toLowerCase().includes(searchTerm) ||
-            lawyer.description.toLowerCase().includes(searchTerm) ||
-            lawyer.location.toLowerCase().includes(searchTerm)
-        );
-    }
-    
-    renderLawyersByCategory(filteredLawyers, currentCategory);
+    renderLawyersByCategory(filterLawyers(searchTerm), currentCategory);
 });
 
 // Open booking modal
 function openBookingModal(lawyerId) {
     const lawyer = lawyers.find(l => l.id === lawyerId);
     if (!lawyer) return;
+
+    // Only verified accounts can book
+    if (!sessionUser || sessionUser.isGuest || !sessionUser.emailVerified) {
+        verificationNotice.scrollIntoView({ behavior: 'smooth', block: 'center' });
+        return;
+    }
     
     document.getElementById('lawyerId').value = lawyerId;
-    modalTitle.textContent = `Book ${lawyer.name} - ${lawyer.specialty}`;
+    modalTitle.textContent = `Book ${lawyer.name} - ${lawyer.specialties.join(', ')}`;
     bookingModal.classList.add('active');
     
     // Pre-fill user info if available
     loadUserInfo();
+    loadUpcomingAvailability(lawyerId);
+}
+
+// Fetch free slots of a lawyer; returns [{ date, slots: [{ time, endTime, durationMinutes }] }]
+async function fetchAvailability(lawyerId, from, to) {
+    const params = new URLSearchParams({ from, to });
+    const response = await fetch(`/api/lawyers/${lawyerId}/availability?${params}`, {
+        credentials: 'include'
+    });
+    const data = await response.json();
+    if (!data.success) {
+        throw new Error(data.message || 'Failed to load availability');
+    }
+    return data.days;
+}
+
+// '13:30' -> '1:30 PM'
+function formatSlotTime(time) {
+    const [hours, minutes] = time.split(':').map(Number);
+    const suffix = hours < 12 ? 'AM' : 'PM';
+    return `${hours % 12 || 12}:${String(minutes).padStart(2, '0')} ${suffix}`;
+}
+
+function formatSlotDate(date) {
+    return new Date(date + 'T00:00:00').toLocaleDateString('en-GB', { weekday: 'short', day: 'numeric', month: 'short' });
+}
+
+function renderTimeSlots(slots, timeSelect = document.getElementById('appointmentTime')) {
+    if (slots.length === 0) {
+        timeSelect.innerHTML = '<option value="">No free slots on this date</option>';
+        return;
+    }
+    timeSelect.innerHTML = '<option value="">Select time</option>' + slots.map(slot =>
+        `<option value="${slot.time}">${formatSlotTime(slot.time)} - ${formatSlotTime(slot.endTime)} (${slot.durationMinutes} min)</option>`
+    ).join('');
+}
+
+// On opening the modal: list the next days with free slots and select the first one
+async function loadUpcomingAvailability(lawyerId) {
+    const hint = document.getElementById('availabilityHint');
+    const timeSelect = document.getElementById('appointmentTime');
+    timeSelect.innerHTML = '<option value="">Loading free slots...</option>';
+    hint.textContent = '';
+
+    try {
+        const from = getLocalDateString(new Date());
+        const until = new Date();
+        until.setDate(until.getDate() + 13);
+        const days = await fetchAvailability(lawyerId, from, getLocalDateString(until));
+
+        if (days.length === 0) {
+            timeSelect.innerHTML = '<option value="">No free slots in the next two weeks</option>';
+            hint.textContent = 'Pick a later date to see more slots.';
+            return;
+        }
+
+        hint.textContent = 'Free days: ' + days.map(day => formatSlotDate(day.date)).join(', ');
+        appointmentDateInput.value = days[0].date;
+        renderTimeSlots(days[0].slots);
+    } catch (error) {
+        console.error('Error loading availability:', error);
+        timeSelect.innerHTML = '<option value="">Could not load free slots</option>';
+    }
+}
+
+async function loadSlotsForSelectedDate() {
+    const lawyerId = document.getElementById('lawyerId').value;
+    const date = appointmentDateInput.value;
+    const timeSelect = document.getElementById('appointmentTime');
+    if (!lawyerId || !date) {
+        timeSelect.innerHTML = '<option value="">Select a date first</option>';
+        return;
+    }
+
+    try {
+        const days = await fetchAvailability(lawyerId, date, date);
+        renderTimeSlots(days.length > 0 ? days[0].slots : []);
+    } catch (error) {
+        console.error('Error loading availability:', error);
+        timeSelect.innerHTML = '<option value="">Could not load free slots</option>';
+    }
 }
 
 // Close booking modal
@@ -379,14 +395,47 @@ async function loadUserInfo() {
         const data = await response.json();
         
         if (data.success && data.user) {
+            sessionUser = data.user;
             document.getElementById('clientName').value = data.user.name || '';
             document.getElementById('clientEmail').value = data.user.email || '';
         }
     } catch (error) {
         console.error('Error loading user info:', error);
     }
+    renderVerificationNotice();
 }
 
+// Tell guests and unverified accounts why they cannot book
+function renderVerificationNotice() {
+    if (sessionUser && !sessionUser.isGuest && sessionUser.emailVerified) {
+        verificationNotice.hidden = true;
+        return;
+    }
+
+    verificationNotice.innerHTML = !sessionUser || sessionUser.isGuest
+        ? 'To book a lawyer, <a href="auth.html">create an account</a> and verify your email address.'
+        : `To book a lawyer, verify your email address first: open the link we sent to <strong>${escapeHtml(sessionUser.email)}</strong>. <button class="booking-action-btn" id="resendVerificationBtn">Send a new link</button>`;
+    verificationNotice.hidden = false;
+}
+
+verificationNotice.addEventListener('click', async (e) => {
+    if (e.target.id !== 'resendVerificationBtn') return;
+
+    e.target.disabled = true;
+    try {
+        const response = await fetch('/api/email/verification/resend', {
+            method: 'POST',
+            credentials: 'include'
+        });
+        const data = await response.json();
+        alert(data.message || 'Failed to send the link. Please try again.');
+    } catch (error) {
+        console.error('Resend verification error:', error);
+        alert('Failed to send the link. Please try again.');
+    }
+    e.target.disabled = false;
+});
+
 // Handle booking form submission
 bookingForm.addEventListener('submit', async (e) => {
     e.preventDefault();
@@ -426,10 +475,18 @@ bookingForm.addEventListener('submit', async (e) => {
         
         if (data.success) {
             // Show success modal
+            const calendarLink = document.getElementById('bookingCalendarLink');
+            calendarLink.href = `/api/bookings/${data.booking.id}/calendar.ics`;
+            calendarLink.hidden = false;
             bookingModal.classList.remove('active');
             successModal.classList.add('active');
+            loadMyBookings();
         } else {
             alert(data.message || 'Failed to book appointment. Please try again.');
+            if (response.status === 409) {
+                // Someone else took the slot; show what is still free
+                loadSlotsForSelectedDate();
+            }
         }
     } catch (error) {
         console.error('Booking error:', error);
@@ -442,10 +499,210 @@ bookingForm.addEventListener('submit', async (e) => {
     }
 });
 
+// 'YYYY-MM-DD' in the browser's local time zone
+function getLocalDateString(date) {
+    return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+}
+
 // Set minimum date to today
 const appointmentDateInput = document.getElementById('appointmentDate');
-const today = new Date().toISOString().split('T')[0];
+const today = getLocalDateString(new Date());
 appointmentDateInput.setAttribute('min', today);
+appointmentDateInput.addEventListener('change', loadSlotsForSelectedDate);
+
+// ==================== My bookings ====================
+
+const BOOKING_STATUS_LABELS = {
+    pending: 'Pending',
+    confirmed: 'Confirmed',
+    declined: 'Declined',
+    cancelled: 'Cancelled',
+    completed: 'Completed',
+    no_show: 'No-show'
+};
+
+const myBookingsList = document.getElementById('myBookingsList');
+const rescheduleModal = document.getElementById('rescheduleModal');
+const rescheduleForm = document.getElementById('rescheduleForm');
+const rescheduleDateInput = document.getElementById('rescheduleDate');
+let myBookings = [];
+
+function getStatusLabel(status) {
+    return BOOKING_STATUS_LABELS[status] || status;
+}
+
+function formatHistoryEntry(entry) {
+    const when = new Date(entry.created_at.replace(' ', 'T') + 'Z').toLocaleString('en-GB', {
+        day: 'numeric', month: 'short', year: 'numeric', hour: '2-digit', minute: '2-digit'
+    });
+    const by = entry.changed_by_role ? ` by ${entry.changed_by_role}` : '';
+    const note = entry.note ? ` - ${escapeHtml(entry.note)}` : '';
+    return `<li><span class="history-date">${when}</span> ${getStatusLabel(entry.to_status)}${by}${note}</li>`;
+}
+
+function createBookingItem(booking) {
+    const actions = booking.can_change
+        ? `<div class="my-booking-actions">
+                <button class="booking-action-btn" data-action="reschedule" data-booking-id="${booking.id}">Reschedule</button>
+                <button class="booking-action-btn danger" data-action="cancel" data-booking-id="${booking.id}">Cancel</button>
+                <a class="booking-action-btn" href="/api/bookings/${booking.id}/calendar.ics">Add to calendar</a>
+           </div>`
+        : (['pending', 'confirmed'].includes(booking.status) && booking.change_blocked_reason
+            ? `<p class="my-booking-note">${escapeHtml(booking.change_blocked_reason)}</p>`
+            : '');
+
+    return `
+        <div class="my-booking-item">
+            <div class="my-booking-header">
+                <div>
+                    <h3>${escapeHtml(booking.lawyer_name)}</h3>
+                    <p class="my-booking-when">${formatSlotDate(booking.appointment_date)} · ${formatSlotTime(booking.appointment_time)} (Cairo time)</p>
+                </div>
+                <span class="booking-status status-${booking.status}">${getStatusLabel(booking.status)}</span>
+            </div>
+            ${actions}
+            <details class="my-booking-history">
+                <summary>History (${booking.history.length})</summary>
+                <ul>${booking.history.map(formatHistoryEntry).join('')}</ul>
+            </details>
+        </div>
+    `;
+}
+
+async function loadMyBookings() {
+    try {
+        const response = await fetch('/api/bookings', {
+            credentials: 'include'
+        });
+        const data = await response.json();
+        myBookings = data.success ? data.bookings : [];
+    } catch (error) {
+        console.error('Error loading bookings:', error);
+        myBookings = [];
+    }
+    renderMyBookings();
+}
+
+function renderMyBookings() {
+    document.getElementById('myBookingsCount').textContent = `(${myBookings.length})`;
+    if (myBookings.length === 0) {
+        myBookingsList.innerHTML = '<p class="my-booking-note">You have no bookings yet.</p>';
+        return;
+    }
+    myBookingsList.innerHTML = myBookings.map(createBookingItem).join('');
+}
+
+async function cancelBooking(bookingId) {
+    if (!confirm('Cancel this appointment?')) return;
+
+    try {
+        const response = await fetch(`/api/bookings/${bookingId}/cancel`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            credentials: 'include',
+            body: JSON.stringify({})
+        });
+        const data = await response.json();
+        if (!data.success) {
+            alert(data.message || 'Failed to cancel the booking.');
+        }
+    } catch (error) {
+        console.error('Cancel booking error:', error);
+        alert('Failed to cancel the booking. Please try again.');
+    }
+    loadMyBookings();
+}
+
+function openRescheduleModal(bookingId) {
+    const booking = myBookings.find(b => b.id === bookingId);
+    if (!booking) return;
+
+    document.getElementById('rescheduleBookingId').value = booking.id;
+    document.getElementById('rescheduleLawyerId').value = booking.lawyer_id;
+    document.getElementById('rescheduleTitle').textContent = `Reschedule with ${booking.lawyer_name}`;
+    rescheduleDateInput.setAttribute('min', getLocalDateString(new Date()));
+    rescheduleDateInput.value = booking.appointment_date;
+    rescheduleModal.classList.add('active');
+    loadRescheduleSlots();
+}
+
+function closeReschedule() {
+    rescheduleModal.classList.remove('active');
+    rescheduleForm.reset();
+}
+
+async function loadRescheduleSlots() {
+    const lawyerId = document.getElementById('rescheduleLawyerId').value;
+    const date = rescheduleDateInput.value;
+    const timeSelect = document.getElementById('rescheduleTime');
+    if (!lawyerId || !date) {
+        timeSelect.innerHTML = '<option value="">Select a date first</option>';
+        return;
+    }
+
+    try {
+        const days = await fetchAvailability(lawyerId, date, date);
+        renderTimeSlots(days.length > 0 ? days[0].slots : [], timeSelect);
+    } catch (error) {
+        console.error('Error loading availability:', error);
+        timeSelect.innerHTML = '<option value="">Could not load free slots</option>';
+    }
+}
+
+myBookingsList.addEventListener('click', (e) => {
+    const btn = e.target.closest('.booking-action-btn');
+    if (!btn) return;
+
+    const bookingId = parseInt(btn.dataset.bookingId);
+    if (btn.dataset.action === 'cancel') {
+        cancelBooking(bookingId);
+    } else if (btn.dataset.action === 'reschedule') {
+        openRescheduleModal(bookingId);
+    }
+});
+
+rescheduleDateInput.addEventListener('change', loadRescheduleSlots);
+document.getElementById('closeRescheduleModal').addEventListener('click', closeReschedule);
+rescheduleModal.addEventListener('click', (e) => {
+    if (e.target === rescheduleModal) {
+        closeReschedule();
+    }
+});
+
+rescheduleForm.addEventListener('submit', async (e) => {
+    e.preventDefault();
+
+    const bookingId = document.getElementById('rescheduleBookingId').value;
+    try {
+        const response = await fetch(`/api/bookings/${bookingId}/reschedule`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            credentials: 'include',
+            body: JSON.stringify({
+                appointmentDate: rescheduleDateInput.value,
+                appointmentTime: document.getElementById('rescheduleTime').value
+            })
+        });
+        const data = await response.json();
+
+        if (data.success) {
+            closeReschedule();
+            loadMyBookings();
+        } else {
+            alert(data.message || 'Failed to reschedule. Please try again.');
+            if (response.status === 409) {
+                loadRescheduleSlots();
+            }
+        }
+    } catch (error) {
+        console.error('Reschedule error:', error);
+        alert('Failed to reschedule. Please try again.');
+    }
+});
 
 // Check authentication on page load
 async function checkAuth() {
@@ -479,8 +736,11 @@ async function checkAuth() {
 // Initialize
 document.addEventListener('DOMContentLoaded', async () => {
     await checkAuth();
+    await loadLawyers();
+    renderCategoryFilters();
     initCategoryFilters();
     renderLawyersByCategory(lawyers, 'all');
     await loadUserInfo();
+    await loadMyBookings();
 });
 
@@ -8,6 +8,8 @@ const suggestedBtns = document.querySelectorAll('.suggested-btn');
 const uploadButton = document.getElementById('uploadButton');
 const fileInput = document.getElementById('fileInput');
 const uploadedFilesContainer = document.getElementById('uploadedFiles');
+const chatSearchInput = document.getElementById('chatSearchInput');
+const searchResults = document.getElementById('searchResults');
 
 let welcomeMessageVisible = true;
 let isWaitingForResponse = false;
@@ -15,6 +17,9 @@ let uploadedFiles = [];
 let currentConversationId = null;
 let conversations = [];
 let messageIdCounter = 0; // For tracking message IDs in the UI
+let currentAbortController = null; // Aborts the in-flight streamed reply
+let searchDebounceTimer = null;
+let searchRequestId = 0; // Ignores responses to outdated search queries
 
 // Theme Management
 function initTheme() {
@@ -42,6 +47,103 @@ document.addEventListener('DOMContentLoaded', async () => {
     await checkAuth();
 });
 
+// Conversation search
+chatSearchInput.addEventListener('input', () => {
+    clearTimeout(searchDebounceTimer);
+    searchDebounceTimer = setTimeout(() => searchConversations(chatSearchInput.value), 300);
+});
+
+chatSearchInput.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape') {
+        chatSearchInput.value = '';
+        searchConversations('');
+    }
+});
+
+async function searchConversations(query) {
+    const requestId = ++searchRequestId;
+    if (!query.trim()) {
+        searchResults.style.display = 'none';
+        searchResults.innerHTML = '';
+        historyList.style.display = '';
+        return;
+    }
+
+    try {
+        const response = await fetch(`/api/chats/search?q=${encodeURIComponent(query)}`, {
+            credentials: 'include'
+        });
+        const data = await response.json();
+        if (requestId !== searchRequestId) {
+            return;
+        }
+        if (!response.ok || !data.success) {
+            throw new Error(data.message || 'Search failed');
+        }
+        renderSearchResults(data.results);
+    } catch (error) {
+        console.error('Error searching conversations:', error);
+        if (requestId === searchRequestId) {
+            renderSearchResults([]);
+        }
+    }
+}
+
+// Render search hits; snippets arrive as escaped HTML with matches wrapped in <mark>
+function renderSearchResults(results) {
+    historyList.style.display = 'none';
+    searchResults.style.display = '';
+    searchResults.innerHTML = '';
+
+    if (results.length === 0) {
+        searchResults.innerHTML = '<div class="search-empty">No matching conversations</div>';
+        return;
+    }
+
+    results.forEach(result => {
+        const item = document.createElement('div');
+        item.className = 'search-result';
+
+        const title = document.createElement('div');
+        title.className = 'search-result-title';
+        title.dir = 'auto';
+        title.innerHTML = result.titleHighlighted;
+        title.addEventListener('click', () => loadConversation(result.conversationId));
+        item.appendChild(title);
+
+        result.matches.forEach(match => {
+            const snippet = document.createElement('div');
+            snippet.className = `search-result-snippet ${match.role}`;
+            snippet.dir = 'auto';
+            snippet.innerHTML = match.snippet;
+            snippet.addEventListener('click', () => openSearchMatch(result.conversationId, match.messageId));
+            item.appendChild(snippet);
+        });
+
+        searchResults.appendChild(item);
+    });
+}
+
+// Open a conversation on the branch that contains the matched message and scroll to it
+async function openSearchMatch(conversationId, messageId) {
+    try {
+        await fetch(`/api/chats/${conversationId}/messages/${messageId}/select`, {
+            method: 'POST',
+            credentials: 'include'
+        });
+    } catch (error) {
+        console.error('Error selecting branch:', error);
+    }
+
+    await loadConversation(conversationId);
+    const messageElement = chatMessages.querySelector(`[data-message-id="${messageId}"]`);
+    if (messageElement) {
+        messageElement.scrollIntoView({ block: 'center' });
+        messageElement.classList.add('search-highlight');
+        setTimeout(() => messageElement.classList.remove('search-highlight'), 2000);
+    }
+}
+
 // Check authentication
 async function checkAuth() {
     try {
@@ -145,6 +247,24 @@ function renderChatHistory() {
                     </svg>
                     Rename
                 </button>
+                <button class="history-menu-item" data-action="export" data-format="md">
+                    <svg width="14" height="14" viewBox="0 0 14 14" fill="none">
+                        <path d="M7 1.5V9.5M7 9.5L4 6.5M7 9.5L10 6.5M2 12.5H12" stroke="currentColor" stroke-width="1.5" stroke-linecap="round" stroke-linejoin="round"/>
+                    </svg>
+                    Export Markdown
+                </button>
+                <button class="history-menu-item" data-action="export" data-format="pdf">
+                    <svg width="14" height="14" viewBox="0 0 14 14" fill="none">
+                        <path d="M7 1.5V9.5M7 9.5L4 6.5M7 9.5L10 6.5M2 12.5H12" stroke="currentColor" stroke-width="1.5" stroke-linecap="round" stroke-linejoin="round"/>
+                    </svg>
+                    Export PDF
+                </button>
+                <button class="history-menu-item" data-action="export" data-format="docx">
+                    <svg width="14" height="14" viewBox="0 0 14 14" fill="none">
+                        <path d="M7 1.5V9.5M7 9.5L4 6.5M7 9.5L10 6.5M2 12.5H12" stroke="currentColor" stroke-width="1.5" stroke-linecap="round" stroke-linejoin="round"/>
+                    </svg>
+                    Export Word
+                </button>
                 <button class="history-menu-item" data-action="delete">
                     <svg width="14" height="14" viewBox="0 0 14 14" fill="none">
                         <path d="M11 3.5L3 11.5M3 3.5L11 11.5" stroke="currentColor" stroke-width="1.5" stroke-linecap="round" stroke-linejoin="round"/>
@@ -192,6 +312,14 @@ function renderChatHistory() {
             deleteConversation(conv.id);
         });
         
+        historyItem.querySelectorAll('[data-action="export"]').forEach(exportBtn => {
+            exportBtn.addEventListener('click', (e) => {
+                e.stopPropagation();
+                menu.classList.remove('show');
+                exportConversation(conv.id, exportBtn.dataset.format);
+            });
+        });
+        
         historyList.appendChild(historyItem);
     });
     
@@ -288,6 +416,15 @@ async function deleteConversation(conversationId) {
     }
 }
 
+// Download a conversation as Markdown, PDF or Word (the server sends it as an attachment)
+function exportConversation(conversationId, format) {
+    const link = document.createElement('a');
+    link.href = `/api/chats/${conversationId}/export?format=${format}`;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+}
+
 // Load a specific conversation
 async function loadConversation(conversationId) {
     try {
@@ -319,7 +456,19 @@ async function loadConversation(conversationId) {
                             console.error('Error parsing file_info:', e);
                         }
                     }
-                    addMessageToUI(msg.content, msg.role, fileInfo, msg.id, msg.created_at);
+                    let citations = [];
+                    if (msg.citations) {
+                        try {
+                            citations = JSON.parse(msg.citations);
+                        } catch (e) {
+                            console.error('Error parsing citations:', e);
+                        }
+                    }
+                    addMessageToUI(msg.content, msg.role, fileInfo, msg.id, msg.created_at, citations, {
+                        index: msg.sibling_index,
+                        count: msg.sibling_count,
+                        siblingIds: msg.sibling_ids
+                    });
                 });
             } else {
                 // Show welcome message if no messages
@@ -349,8 +498,14 @@ chatInput.addEventListener('keydown', function(e) {
     }
 });
 
-// Send button click
-sendButton.addEventListener('click', sendMessage);
+// Send button click (doubles as a stop button while a reply is streaming)
+sendButton.addEventListener('click', () => {
+    if (isWaitingForResponse && currentAbortController) {
+        stopStreaming();
+    } else {
+        sendMessage();
+    }
+});
 
 // Suggested questions
 suggestedBtns.forEach(btn => {
@@ -395,23 +550,27 @@ async function sendMessage() {
     chatInput.value = '';
     chatInput.style.height = 'auto';
     
-    // Disable input
+    // Disable input (the send button stays enabled as a stop button)
     chatInput.disabled = true;
-    sendButton.disabled = true;
     uploadButton.disabled = true;
     isWaitingForResponse = true;
+    setSendButtonStopMode(true);
 
     // Add user message with file attachments (temporary, will be replaced with saved message)
     const tempMessageId = 'temp-' + Date.now();
     addMessageToUI(messageToSend, 'user', uploadedFiles, tempMessageId);
 
-    // Show typing indicator
-    const typingIndicator = showTypingIndicator();
+    // Show typing indicator until the first token arrives
+    let typingIndicator = showTypingIndicator();
+    let streamingMessage = null;
+    let streamedText = '';
+    currentAbortController = new AbortController();
     
     try {
         // Prepare form data for file upload
         const formData = new FormData();
         formData.append('message', message || '');
+        formData.append('stream', 'true');
         if (currentConversationId) {
             formData.append('conversationId', currentConversationId);
         }
@@ -424,50 +583,83 @@ async function sendMessage() {
         const response = await fetch('/api/chat', {
             method: 'POST',
             credentials: 'include',
-            body: formData
+            headers: {
+                'Accept': 'text/event-stream'
+            },
+            body: formData,
+            signal: currentAbortController.signal
         });
 
-        // Check if response is ok
+        const contentType = response.headers.get('content-type') || '';
+
+        // Validation errors and non-streaming replies still come back as JSON
+        if (contentType.includes('application/json')) {
+            typingIndicator.remove();
+            const data = await response.json();
+            if (data.success) {
+                await refreshAfterResponse(data.conversationId, data.response);
+            } else {
+                addMessageToUI(data.message || 'Sorry, I encountered an error. Please try again.', 'ai');
+            }
+            return;
+        }
+
         if (!response.ok) {
             throw new Error(`HTTP error! status: ${response.status}`);
         }
 
-        // Check if response is JSON
-        const contentType = response.headers.get('content-type');
-        if (!contentType || !contentType.includes('application/json')) {
+        if (!contentType.includes('text/event-stream') || !response.body) {
             throw new Error('Server did not return JSON response');
         }
 
-        // Remove typing indicator
+        let finalEvent = null;
+        let streamError = null;
+
+        await readChatStream(response, {
+            start: (data) => {
+                if (data.conversationId) {
+                    currentConversationId = data.conversationId;
+                }
+            },
+            token: (data) => {
+                if (!streamingMessage) {
+                    typingIndicator.remove();
+                    streamingMessage = addMessageToUI('', 'ai', [], 'streaming-' + Date.now());
+                    streamingMessage.classList.add('streaming');
+                }
+                streamedText += data.text;
+                streamingMessage.querySelector('.message-text-content').textContent = streamedText;
+                chatMessages.scrollTop = chatMessages.scrollHeight;
+            },
+            done: (data) => {
+                finalEvent = data;
+            },
+            error: (data) => {
+                streamError = data.message;
+            }
+        });
+
         typingIndicator.remove();
 
-        const data = await response.json();
+        if (streamError && !streamedText) {
+            addMessageToUI(streamError, 'ai');
+        } else if (finalEvent) {
+            await refreshAfterResponse(finalEvent.conversationId, finalEvent.response);
+        }
+    } catch (error) {
+        typingIndicator.remove();
 
-        if (data.success) {
-            // Update current conversation ID if it was a new conversation
-            if (data.conversationId) {
-                currentConversationId = data.conversationId;
-                
-                // Refresh history to update order (newest first) and show new/updated conversation
-                await loadChatHistory(false); // Don't auto-load, we'll load manually
-                
-                // Reload conversation to get saved messages with proper IDs
-                await loadConversation(currentConversationId);
-            } else if (currentConversationId) {
-                // Conversation already exists, refresh history to update order
-                await loadChatHistory(false); // Don't auto-load, we'll load manually
-                // Reload conversation to get saved messages with proper IDs
-                await loadConversation(currentConversationId);
-            } else {
-                // Fallback: Add AI response directly
-                addMessageToUI(data.response, 'ai');
+        if (error.name === 'AbortError') {
+            // User stopped the reply; the server keeps the partial answer
+            if (streamingMessage) {
+                streamingMessage.classList.remove('streaming');
+                streamingMessage.classList.add('stopped');
             }
-        } else {
-            addMessageToUI(data.message || 'Sorry, I encountered an error. Please try again.', 'ai');
+            await loadChatHistory(false);
+            return;
         }
-    } catch (error) {
+
         console.error('Chat error:', error);
-        typingIndicator.remove();
         let errorMessage = 'Sorry, I\'m having trouble connecting. Please check your connection and make sure the server is running.';
         if (error.message.includes('Failed to fetch')) {
             errorMessage = 'Cannot connect to server. Please make sure the server is running on http://localhost:3000';
@@ -483,16 +675,94 @@ async function sendMessage() {
         uploadedFilesContainer.innerHTML = '';
         
         // Re-enable input
+        currentAbortController = null;
         chatInput.disabled = false;
-        sendButton.disabled = false;
         uploadButton.disabled = false;
         isWaitingForResponse = false;
+        setSendButtonStopMode(false);
         chatInput.focus();
     }
 }
 
+// Reload history and the conversation so saved messages get their real IDs
+async function refreshAfterResponse(conversationId, responseText) {
+    if (conversationId) {
+        currentConversationId = conversationId;
+    }
+
+    if (currentConversationId) {
+        // Refresh history to update order (newest first) and show new/updated conversation
+        await loadChatHistory(false); // Don't auto-load, we'll load manually
+        await loadConversation(currentConversationId);
+    } else if (responseText) {
+        // Fallback: Add AI response directly
+        addMessageToUI(responseText, 'ai');
+    }
+}
+
+// Read a Server-Sent Events response body and dispatch each event to its handler
+async function readChatStream(response, handlers) {
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+
+    while (true) {
+        const { value, done } = await reader.read();
+        if (done) {
+            break;
+        }
+
+        buffer += decoder.decode(value, { stream: true });
+
+        let boundary;
+        while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+            const rawEvent = buffer.slice(0, boundary);
+            buffer = buffer.slice(boundary + 2);
+
+            let eventName = 'message';
+            let data = '';
+            rawEvent.split('\n').forEach(line => {
+                if (line.startsWith('event:')) {
+                    eventName = line.slice(6).trim();
+                } else if (line.startsWith('data:')) {
+                    data += line.slice(5).trim();
+                }
+            });
+
+            if (data && handlers[eventName]) {
+                try {
+                    handlers[eventName](JSON.parse(data));
+                } catch (e) {
+                    console.error('Error parsing stream event:', e);
+                }
+            }
+        }
+    }
+}
+
+// Stop the reply that is currently streaming
+function stopStreaming() {
+    if (currentAbortController) {
+        currentAbortController.abort();
+    }
+}
+
+// Toggle the send button between "send" and "stop generating"
+function setSendButtonStopMode(isStreaming) {
+    sendButton.classList.toggle('stop-mode', isStreaming);
+    sendButton.title = isStreaming ? 'Stop generating' : 'Send message';
+    sendButton.innerHTML = isStreaming
+        ? `<svg width="20" height="20" viewBox="0 0 20 20" fill="none">
+                <rect x="5" y="5" width="10" height="10" rx="1.5" fill="currentColor"/>
+            </svg>`
+        : `<svg width="20" height="20" viewBox="0 0 20 20" fill="none">
+                <path d="M18 2L9 11M18 2L12 18L9 11M18 2L2 8L9 11" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"/>
+            </svg>`;
+}
+
 // Add message to UI (with edit functionality)
-function addMessageToUI(text, sender, files = [], messageId = null, timestamp = null) {
+// branch: { index, count, siblingIds } when the message has alternate versions
+function addMessageToUI(text, sender, files = [], messageId = null, timestamp = null, citations = [], branch = null) {
     // Remove temporary message if exists
     if (messageId && messageId.toString().startsWith('temp-')) {
         const tempMsg = document.querySelector(`[data-message-id="${messageId}"]`);
@@ -554,6 +824,11 @@ function addMessageToUI(text, sender, files = [], messageId = null, timestamp =
     messageText.textContent = cleanText;
     textDiv.appendChild(messageText);
 
+    // Add statute references the answer is based on
+    if (citations && citations.length > 0) {
+        textDiv.appendChild(renderCitations(citations));
+    }
+
     // Add edit button for user messages
     if (sender === 'user' && messageId && !messageId.toString().startsWith('temp-')) {
         const editButton = document.createElement('button');
@@ -587,6 +862,28 @@ function addMessageToUI(text, sender, files = [], messageId = null, timestamp =
 
     bubble.appendChild(textDiv);
     bubble.appendChild(timeDiv);
+
+    // Alternate versions navigation (< 1/3 >) and regenerate action for saved messages
+    const isSaved = messageId && /^\d+$/.test(messageId.toString());
+    if (isSaved && ((branch && branch.count > 1) || sender === 'ai')) {
+        const actionsDiv = document.createElement('div');
+        actionsDiv.className = 'message-actions';
+        if (branch && branch.count > 1) {
+            actionsDiv.appendChild(renderBranchNav(branch));
+        }
+        if (sender === 'ai') {
+            const regenerateButton = document.createElement('button');
+            regenerateButton.className = 'message-regenerate-btn';
+            regenerateButton.textContent = '↻ Regenerate response';
+            regenerateButton.title = 'Generate another answer; this one stays available';
+            regenerateButton.addEventListener('click', () => {
+                regenerateResponse(messageId, messageDiv);
+            });
+            actionsDiv.appendChild(regenerateButton);
+        }
+        bubble.appendChild(actionsDiv);
+    }
+
     content.appendChild(bubble);
     messageDiv.appendChild(avatar);
     messageDiv.appendChild(content);
@@ -595,6 +892,134 @@ function addMessageToUI(text, sender, files = [], messageId = null, timestamp =
     
     // Scroll to bottom
     chatMessages.scrollTop = chatMessages.scrollHeight;
+
+    return messageDiv;
+}
+
+// Render "< 2/3 >" navigation between alternate versions of a message
+function renderBranchNav(branch) {
+    const nav = document.createElement('div');
+    nav.className = 'message-branch-nav';
+
+    const prevButton = document.createElement('button');
+    prevButton.textContent = '<';
+    prevButton.title = 'Previous version';
+    prevButton.disabled = branch.index <= 0;
+    prevButton.addEventListener('click', () => selectBranch(branch.siblingIds[branch.index - 1]));
+
+    const position = document.createElement('span');
+    position.textContent = `${branch.index + 1}/${branch.count}`;
+
+    const nextButton = document.createElement('button');
+    nextButton.textContent = '>';
+    nextButton.title = 'Next version';
+    nextButton.disabled = branch.index >= branch.count - 1;
+    nextButton.addEventListener('click', () => selectBranch(branch.siblingIds[branch.index + 1]));
+
+    nav.appendChild(prevButton);
+    nav.appendChild(position);
+    nav.appendChild(nextButton);
+    return nav;
+}
+
+// Switch the conversation to the branch that contains messageId
+async function selectBranch(messageId) {
+    if (!messageId || isWaitingForResponse) {
+        return;
+    }
+
+    try {
+        const response = await fetch(`/api/chats/${currentConversationId}/messages/${messageId}/select`, {
+            method: 'POST',
+            credentials: 'include'
+        });
+        const data = await response.json();
+        if (!response.ok || !data.success) {
+            throw new Error(data.message || 'Failed to switch branch');
+        }
+        await loadConversation(currentConversationId);
+    } catch (error) {
+        console.error('Error switching branch:', error);
+        alert('Failed to show that version. Please try again.');
+    }
+}
+
+// Ask for another answer to the question behind an AI message
+async function regenerateResponse(messageId, messageElement) {
+    if (isWaitingForResponse) {
+        return;
+    }
+
+    // Hide this answer and everything after it while the new one is generated
+    isWaitingForResponse = true;
+    let next = messageElement;
+    while (next) {
+        const following = next.nextElementSibling;
+        next.remove();
+        next = following;
+    }
+    const typingIndicator = showTypingIndicator();
+
+    try {
+        const response = await fetch(`/api/chats/${currentConversationId}/messages/${messageId}/regenerate`, {
+            method: 'POST',
+            credentials: 'include'
+        });
+        const data = await response.json();
+        if (!response.ok || !data.success) {
+            throw new Error(data.message || 'Failed to regenerate response');
+        }
+    } catch (error) {
+        console.error('Error regenerating response:', error);
+        alert('Failed to regenerate the answer. Please try again.');
+    } finally {
+        typingIndicator.remove();
+        isWaitingForResponse = false;
+    }
+
+    await loadConversation(currentConversationId);
+}
+
+// Render statute citations as expandable references
+function renderCitations(citations) {
+    const citationsDiv = document.createElement('div');
+    citationsDiv.className = 'message-citations';
+
+    const heading = document.createElement('div');
+    heading.className = 'citations-heading';
+    heading.textContent = 'References';
+    citationsDiv.appendChild(heading);
+
+    citations.forEach(citation => {
+        const details = document.createElement('details');
+        details.className = 'citation';
+
+        const summary = document.createElement('summary');
+        const lawName = citation.lawName || citation.lawNameAr;
+        summary.textContent = `[${citation.marker}] Law ${citation.lawNumber}${lawName ? ` (${lawName})` : ''}, Article ${citation.articleNumber}`;
+        details.appendChild(summary);
+
+        if (citation.textAr) {
+            const arabicText = document.createElement('p');
+            arabicText.className = 'citation-text';
+            arabicText.dir = 'rtl';
+            arabicText.lang = 'ar';
+            arabicText.textContent = citation.textAr;
+            details.appendChild(arabicText);
+        }
+
+        if (citation.textEn) {
+            const englishText = document.createElement('p');
+            englishText.className = 'citation-text';
+            englishText.dir = 'ltr';
+            englishText.textContent = citation.textEn;
+            details.appendChild(englishText);
+        }
+
+        citationsDiv.appendChild(details);
+    });
+
+    return citationsDiv;
 }
 
 // Edit message function
@@ -633,18 +1058,24 @@ async function editMessage(messageId, currentText, messageElement) {
     saveBtn.textContent = 'Save';
     saveBtn.style.cssText = 'padding: 6px 12px; background: #66B2FF; border: none; border-radius: 4px; color: white; cursor: pointer; font-size: 12px;';
     
+    const regenerateBtn = document.createElement('button');
+    regenerateBtn.textContent = 'Save & regenerate';
+    regenerateBtn.title = 'Answer the edited question; the original stays available as another version';
+    regenerateBtn.style.cssText = 'padding: 6px 12px; background: #FFD700; border: none; border-radius: 4px; color: #0a0e1a; cursor: pointer; font-size: 12px;';
+    
     const cancelBtn = document.createElement('button');
     cancelBtn.textContent = 'Cancel';
     cancelBtn.style.cssText = 'padding: 6px 12px; background: rgba(255,255,255,0.1); border: 1px solid rgba(255,255,255,0.2); border-radius: 4px; color: white; cursor: pointer; font-size: 12px;';
     
     buttonContainer.appendChild(saveBtn);
+    buttonContainer.appendChild(regenerateBtn);
     buttonContainer.appendChild(cancelBtn);
     input.parentElement.insertBefore(buttonContainer, input.nextSibling);
     
-    // Save handler
-    const saveHandler = async () => {
+    // Save handler (regenerate: keep the original as a branch and answer the edited question)
+    const saveHandler = async (regenerate = false) => {
         const newText = input.value.trim();
-        if (newText === originalText) {
+        if (newText === originalText && !regenerate) {
             cancelHandler();
             return;
         }
@@ -653,6 +1084,29 @@ async function editMessage(messageId, currentText, messageElement) {
             alert('Message cannot be empty');
             return;
         }
+
+        if (regenerate && isWaitingForResponse) {
+            return;
+        }
+        
+        let typingIndicator = null;
+        if (regenerate) {
+            // Hide the old answers (they stay on the original branch) and wait for the new one
+            isWaitingForResponse = true;
+            saveBtn.disabled = true;
+            regenerateBtn.disabled = true;
+            let next = messageElement.nextElementSibling;
+            while (next) {
+                const following = next.nextElementSibling;
+                next.remove();
+                next = following;
+            }
+            messageTextDiv.textContent = newText;
+            messageTextDiv.style.display = '';
+            input.remove();
+            buttonContainer.remove();
+            typingIndicator = showTypingIndicator();
+        }
         
         try {
             const response = await fetch(`/api/chats/${currentConversationId}/messages/${messageId}`, {
@@ -661,7 +1115,7 @@ async function editMessage(messageId, currentText, messageElement) {
                     'Content-Type': 'application/json'
                 },
                 credentials: 'include',
-                body: JSON.stringify({ content: newText })
+                body: JSON.stringify({ content: newText, regenerate: regenerate, mode: regenerate ? 'branch' : undefined })
             });
             
             if (!response.ok) {
@@ -670,17 +1124,33 @@ async function editMessage(messageId, currentText, messageElement) {
             
             const data = await response.json();
             if (data.success) {
-                // Update UI
-                messageTextDiv.textContent = newText;
-                messageTextDiv.style.display = '';
-                input.remove();
-                buttonContainer.remove();
+                if (regenerate) {
+                    // Reload to show the new answer with its saved ID
+                    await loadChatHistory(false);
+                    await loadConversation(data.conversationId || currentConversationId);
+                } else {
+                    // Update UI
+                    messageTextDiv.textContent = newText;
+                    messageTextDiv.style.display = '';
+                    input.remove();
+                    buttonContainer.remove();
+                }
             } else {
                 throw new Error(data.message || 'Failed to update message');
             }
         } catch (error) {
             console.error('Error updating message:', error);
-            alert('Failed to update message. Please try again.');
+            alert(regenerate ? 'Failed to regenerate the answer. Please try again.' : 'Failed to update message. Please try again.');
+            if (regenerate) {
+                await loadConversation(currentConversationId);
+            }
+        } finally {
+            if (typingIndicator) {
+                typingIndicator.remove();
+            }
+            if (regenerate) {
+                isWaitingForResponse = false;
+            }
         }
     };
     
@@ -691,14 +1161,15 @@ async function editMessage(messageId, currentText, messageElement) {
         buttonContainer.remove();
     };
     
-    saveBtn.addEventListener('click', saveHandler);
+    saveBtn.addEventListener('click', () => saveHandler(false));
+    regenerateBtn.addEventListener('click', () => saveHandler(true));
     cancelBtn.addEventListener('click', cancelHandler);
     
     // Save on Enter (Ctrl+Enter or Cmd+Enter)
     input.addEventListener('keydown', (e) => {
         if ((e.ctrlKey || e.metaKey) && e.key === 'Enter') {
             e.preventDefault();
-            saveHandler();
+            saveHandler(e.shiftKey);
         } else if (e.key === 'Escape') {
             e.preventDefault();
             cancelHandler();
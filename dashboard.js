@@ -57,6 +57,12 @@ async function loadUserData() {
             document.getElementById('welcomeName').textContent = user.name;
             document.getElementById('profileName').textContent = user.name;
             document.getElementById('profileEmail').textContent = user.email;
+            renderEmailStatus(user);
+            if (!user.isGuest) {
+                loadProfile();
+                loadTwoFactorStatus();
+                loadActiveSessions();
+            }
             
             // Format and display created date
             if (user.createdAt) {
@@ -71,6 +77,14 @@ async function loadUserData() {
                 document.getElementById('profileCreatedAt').textContent = 'Guest Session';
             }
 
+            // Lawyer and admin accounts get a link to their pages
+            if (user.role === 'lawyer') {
+                document.getElementById('lawyerPortalButton').hidden = false;
+            }
+            if (user.role === 'admin') {
+                document.getElementById('adminConsoleButton').hidden = false;
+            }
+
             // Set avatar initial
             const initial = user.name.charAt(0).toUpperCase();
             document.getElementById('avatarInitial').textContent = initial;
@@ -85,7 +99,10 @@ async function loadUserData() {
             if (user.isGuest) {
                 const welcomeCard = document.querySelector('.welcome-card h2');
                 if (welcomeCard) {
-                    welcomeCard.innerHTML = 'Welcome, <span id="welcomeName">Guest User</span>! 👋 <small style="font-size: 14px; color: rgba(255,255,255,0.5);">(Guest Mode)</small>';
+                    const questionsLeft = data.stats && data.stats.dailyMessageLimit
+                        ? ` · ${data.stats.messagesLeftToday} of ${data.stats.dailyMessageLimit} questions left today`
+                        : '';
+                    welcomeCard.innerHTML = `Welcome, <span id="welcomeName">Guest User</span>! 👋 <small style="font-size: 14px; color: rgba(255,255,255,0.5);">(Guest Mode${questionsLeft})</small>`;
                 }
             }
         } else {
@@ -115,12 +132,708 @@ async function loadUserData() {
     }
 }
 
+// Email verification status in the profile section (accounts only)
+function renderEmailStatus(user) {
+    const badge = document.getElementById('emailStatusBadge');
+    document.getElementById('emailStatusItem').hidden = !!user.isGuest;
+    badge.textContent = user.emailVerified ? 'Verified' : 'Not verified';
+    badge.className = `status-badge ${user.emailVerified ? 'status-completed' : 'status-pending'}`;
+    document.getElementById('resendVerificationBtn').hidden = !!user.emailVerified;
+    document.getElementById('emailStatusHint').hidden = !!user.emailVerified;
+}
+
+document.getElementById('resendVerificationBtn').addEventListener('click', async (e) => {
+    e.target.disabled = true;
+    try {
+        const response = await fetch('/api/email/verification/resend', {
+            method: 'POST',
+            credentials: 'include'
+        });
+        const data = await response.json();
+        alert(data.message || 'Failed to send the link. Please try again.');
+    } catch (error) {
+        console.error('Resend verification error:', error);
+        alert('Failed to send the link. Please try again.');
+    }
+    e.target.disabled = false;
+});
+
+// ==================== Profile ====================
+
+const profileForm = document.getElementById('profileForm');
+const emailChangeForm = document.getElementById('emailChangeForm');
+const passwordChangeForm = document.getElementById('passwordChangeForm');
+
+async function loadProfile() {
+    try {
+        const response = await fetch('/api/profile', { credentials: 'include' });
+        const data = await response.json();
+        if (!data.success) return;
+
+        document.getElementById('profileLanguageInput').innerHTML = Object.entries(data.languages)
+            .map(([code, name]) => `<option value="${code}">${escapeHtml(name)}</option>`).join('');
+        document.getElementById('profileGovernorateInput').innerHTML = '<option value="">Not set</option>' + data.governorates
+            .map(governorate => `<option value="${escapeHtml(governorate)}">${escapeHtml(governorate)}</option>`).join('');
+        renderProfile(data.profile);
+        ['profileEditCard', 'emailChangeCard', 'passwordChangeCard', 'accountDataSetting', 'deleteAccountSetting'].forEach(id => {
+            document.getElementById(id).hidden = false;
+        });
+    } catch (error) {
+        console.error('Error loading profile:', error);
+    }
+}
+
+function renderProfile(profile) {
+    document.getElementById('profileNameInput').value = profile.name;
+    document.getElementById('profilePhoneInput').value = profile.phone || '';
+    document.getElementById('profileLanguageInput').value = profile.preferredLanguage;
+    document.getElementById('profileGovernorateInput').value = profile.governorate || '';
+
+    document.getElementById('userName').textContent = profile.name;
+    document.getElementById('welcomeName').textContent = profile.name;
+    document.getElementById('profileName').textContent = profile.name;
+    document.getElementById('profileEmail').textContent = profile.email;
+    document.getElementById('avatarInitial').textContent = profile.name.charAt(0).toUpperCase();
+
+    document.getElementById('pendingEmailNote').hidden = !profile.pendingEmail;
+    document.getElementById('pendingEmailText').textContent = profile.pendingEmail
+        ? `Waiting for you to confirm ${profile.pendingEmail}. Open the link we sent there to finish the change.`
+        : '';
+    renderAccountDeletion(profile.deletionScheduledAt);
+}
+
+profileForm.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    try {
+        const response = await fetch('/api/profile', {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            credentials: 'include',
+            body: JSON.stringify({
+                name: document.getElementById('profileNameInput').value,
+                phone: document.getElementById('profilePhoneInput').value,
+                preferredLanguage: document.getElementById('profileLanguageInput').value,
+                governorate: document.getElementById('profileGovernorateInput').value
+            })
+        });
+        const data = await response.json();
+        alert(data.message || 'Could not save your profile.');
+        if (data.success) {
+            renderProfile(data.profile);
+        }
+    } catch (error) {
+        console.error('Update profile error:', error);
+        alert('Could not save your profile. Please try again.');
+    }
+});
+
+emailChangeForm.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    try {
+        const data = await postJson('/api/profile/email', {
+            newEmail: document.getElementById('newEmailInput').value,
+            currentPassword: document.getElementById('emailChangePasswordInput').value
+        });
+        alert(data.message || 'Could not change your email.');
+        if (data.success) {
+            emailChangeForm.reset();
+            loadProfile();
+        }
+    } catch (error) {
+        console.error('Change email error:', error);
+        alert('Could not change your email. Please try again.');
+    }
+});
+
+document.getElementById('cancelEmailChangeBtn').addEventListener('click', async () => {
+    try {
+        const response = await fetch('/api/profile/email', { method: 'DELETE', credentials: 'include' });
+        const data = await response.json();
+        if (!data.success) {
+            alert(data.message || 'Could not cancel the email change.');
+        }
+    } catch (error) {
+        console.error('Cancel email change error:', error);
+    }
+    loadProfile();
+});
+
+passwordChangeForm.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const newPassword = document.getElementById('newPasswordInput').value;
+    const confirmPassword = document.getElementById('confirmPasswordInput').value;
+
+    if (newPassword !== confirmPassword) {
+        alert('Passwords do not match!');
+        return;
+    }
+
+    try {
+        const data = await postJson('/api/profile/password', {
+            currentPassword: document.getElementById('currentPasswordInput').value,
+            newPassword,
+            confirmPassword
+        });
+        alert(data.message || 'Could not change your password.');
+        if (data.success) {
+            passwordChangeForm.reset();
+            loadActiveSessions();
+        }
+    } catch (error) {
+        console.error('Change password error:', error);
+        alert('Could not change your password. Please try again.');
+    }
+});
+
+// ==================== Account deletion ====================
+
+// scheduledAt is a UTC "YYYY-MM-DD HH:MM:SS" from the server, or null
+function renderAccountDeletion(scheduledAt) {
+    const when = scheduledAt
+        ? new Date(scheduledAt.replace(' ', 'T') + 'Z').toLocaleString('en-GB', { day: 'numeric', month: 'long', year: 'numeric', hour: '2-digit', minute: '2-digit' })
+        : '';
+    document.getElementById('deletionBanner').hidden = !scheduledAt;
+    document.getElementById('deletionBannerText').textContent = scheduledAt
+        ? `Your account and all its data will be deleted on ${when}.`
+        : '';
+    document.getElementById('deleteAccountText').textContent = scheduledAt
+        ? `Your account is scheduled for deletion on ${when}. Keep it to cancel.`
+        : 'Permanently delete your account with all its conversations, bookings and documents.';
+    document.getElementById('deleteAccountBtn').hidden = !!scheduledAt;
+    document.querySelectorAll('.keep-account-btn').forEach(btn => {
+        btn.hidden = !scheduledAt;
+    });
+}
+
+document.getElementById('deleteAccountBtn').addEventListener('click', async () => {
+    if (!confirm('Delete your account with all its conversations, bookings and documents? You will be signed out, and you can still keep the account by signing in before the deletion date.')) return;
+    const currentPassword = prompt('Enter your password to delete your account:');
+    if (!currentPassword) return;
+
+    try {
+        const data = await postJson('/api/account/deletion', { currentPassword });
+        alert(data.message || 'Could not delete your account.');
+        if (data.success) {
+            window.location.href = '/auth.html';
+        }
+    } catch (error) {
+        console.error('Delete account error:', error);
+        alert('Could not delete your account. Please try again.');
+    }
+});
+
+document.querySelectorAll('.keep-account-btn').forEach(btn => {
+    btn.addEventListener('click', async () => {
+        try {
+            const response = await fetch('/api/account/deletion', { method: 'DELETE', credentials: 'include' });
+            const data = await response.json();
+            alert(data.message || 'Could not keep your account.');
+        } catch (error) {
+            console.error('Keep account error:', error);
+        }
+        loadProfile();
+    });
+});
+
+// ==================== Two-factor authentication ====================
+
+const twoFactorSetupPanel = document.getElementById('twoFactorSetupPanel');
+const recoveryCodesPanel = document.getElementById('recoveryCodesPanel');
+
+async function postJson(url, body = {}) {
+    const response = await fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        credentials: 'include',
+        body: JSON.stringify(body)
+    });
+    return response.json();
+}
+
+async function loadTwoFactorStatus() {
+    try {
+        const response = await fetch('/api/2fa/status', { credentials: 'include' });
+        const data = await response.json();
+        if (!data.success) return;
+
+        document.getElementById('twoFactorSetting').hidden = false;
+        document.getElementById('twoFactorStatusText').textContent = data.enabled
+            ? `On. Signing in asks for a code from your authenticator app. ${data.recoveryCodesRemaining} recovery code(s) left.`
+            : data.required
+                ? 'Required for lawyer and admin accounts: set it up to use your portal.'
+                : 'Protect your account with a code from your phone when you sign in.';
+        document.getElementById('twoFactorSetupBtn').hidden = data.enabled;
+        document.getElementById('recoveryCodesBtn').hidden = !data.enabled;
+        document.getElementById('twoFactorDisableBtn').hidden = !data.enabled || data.required;
+        if (data.enabled) {
+            twoFactorSetupPanel.hidden = true;
+        }
+    } catch (error) {
+        console.error('Error loading two-factor status:', error);
+    }
+}
+
+function showRecoveryCodes(codes) {
+    document.getElementById('recoveryCodesList').innerHTML = codes.map(code => `<li><code>${escapeHtml(code)}</code></li>`).join('');
+    recoveryCodesPanel.hidden = false;
+}
+
+document.getElementById('twoFactorSetupBtn').addEventListener('click', async () => {
+    try {
+        const data = await postJson('/api/2fa/setup');
+        if (!data.success) {
+            alert(data.message || 'Could not start the setup.');
+            return;
+        }
+        document.getElementById('twoFactorQr').src = data.qrCode;
+        document.getElementById('twoFactorSecret').textContent = data.secret.match(/.{1,4}/g).join(' ');
+        twoFactorSetupPanel.hidden = false;
+        document.getElementById('twoFactorEnableCode').focus();
+    } catch (error) {
+        console.error('Two-factor setup error:', error);
+        alert('Could not start the setup. Please try again.');
+    }
+});
+
+document.getElementById('twoFactorEnableForm').addEventListener('submit', async (e) => {
+    e.preventDefault();
+    try {
+        const data = await postJson('/api/2fa/enable', { code: document.getElementById('twoFactorEnableCode').value });
+        if (!data.success) {
+            alert(data.message || 'Invalid code.');
+            return;
+        }
+        e.target.reset();
+        showRecoveryCodes(data.recoveryCodes);
+        loadTwoFactorStatus();
+    } catch (error) {
+        console.error('Two-factor enable error:', error);
+        alert('Could not turn on two-factor authentication. Please try again.');
+    }
+});
+
+document.getElementById('recoveryCodesBtn').addEventListener('click', async () => {
+    const code = prompt('Enter a current code from your authenticator app. Your old recovery codes will stop working.');
+    if (!code) return;
+
+    const data = await postJson('/api/2fa/recovery-codes', { code });
+    if (!data.success) {
+        alert(data.message || 'Could not create new recovery codes.');
+        return;
+    }
+    showRecoveryCodes(data.recoveryCodes);
+    loadTwoFactorStatus();
+});
+
+document.getElementById('twoFactorDisableBtn').addEventListener('click', async () => {
+    const currentPassword = prompt('Enter your password to turn off two-factor authentication:');
+    if (!currentPassword) return;
+    const code = prompt('Enter a code from your authenticator app (or a recovery code):');
+    if (!code) return;
+
+    const data = await postJson('/api/2fa/disable', { currentPassword, code });
+    alert(data.message || 'Could not turn off two-factor authentication.');
+    if (data.success) {
+        recoveryCodesPanel.hidden = true;
+        loadTwoFactorStatus();
+    }
+});
+
+// ==================== Active sessions ====================
+
+const sessionList = document.getElementById('sessionList');
+
+// "Chrome on Windows" from a user agent string
+function describeDevice(userAgent) {
+    if (!userAgent) return 'Unknown device';
+    const browser = [['Edg/', 'Edge'], ['OPR/', 'Opera'], ['Firefox/', 'Firefox'], ['Chrome/', 'Chrome'], ['Safari/', 'Safari']]
+        .find(([token]) => userAgent.includes(token));
+    const system = [['iPhone', 'iPhone'], ['iPad', 'iPad'], ['Android', 'Android'], ['Windows', 'Windows'], ['Mac OS', 'macOS'], ['Linux', 'Linux']]
+        .find(([token]) => userAgent.includes(token));
+    if (!browser && !system) return userAgent.slice(0, 60);
+    return `${browser ? browser[1] : 'Browser'}${system ? ' on ' + system[1] : ''}`;
+}
+
+function formatSessionTime(milliseconds) {
+    return new Date(milliseconds).toLocaleString('en-GB', { day: 'numeric', month: 'short', hour: '2-digit', minute: '2-digit' });
+}
+
+async function loadActiveSessions() {
+    try {
+        const response = await fetch('/api/sessions', { credentials: 'include' });
+        const data = await response.json();
+        if (!data.success) return;
+
+        document.getElementById('activeSessionsSetting').hidden = false;
+        sessionList.innerHTML = data.sessions.map(session => `
+            <li class="session-item">
+                <div>
+                    <strong>${escapeHtml(describeDevice(session.userAgent))}</strong>${session.current ? ' <span class="session-current">This device</span>' : ''}
+                    <span class="session-meta">${escapeHtml(session.ip || 'Unknown IP')}${session.signedInAt ? ` · signed in ${formatSessionTime(session.signedInAt)}` : ''} · last active ${formatSessionTime(session.lastSeenAt)}</span>
+                </div>
+                ${session.current ? '' : `<button class="session-revoke-btn" data-session-id="${session.id}">Sign out</button>`}
+            </li>
+        `).join('');
+        document.getElementById('revokeOtherSessionsBtn').hidden = data.sessions.every(session => session.current);
+    } catch (error) {
+        console.error('Error loading sessions:', error);
+    }
+}
+
+sessionList.addEventListener('click', async (e) => {
+    const btn = e.target.closest('.session-revoke-btn');
+    if (!btn) return;
+
+    try {
+        const response = await fetch(`/api/sessions/${btn.dataset.sessionId}`, { method: 'DELETE', credentials: 'include' });
+        const data = await response.json();
+        if (!data.success) {
+            alert(data.message || 'Could not sign out the device.');
+        }
+    } catch (error) {
+        console.error('Revoke session error:', error);
+    }
+    loadActiveSessions();
+});
+
+document.getElementById('revokeOtherSessionsBtn').addEventListener('click', async () => {
+    if (!confirm('Sign out every other device? They will need to sign in again.')) return;
+
+    const data = await postJson('/api/sessions/revoke-others');
+    alert(data.message || 'Could not sign out the other devices.');
+    loadActiveSessions();
+});
+
 // Load dashboard data
 async function loadDashboardData() {
-    // Additional dashboard data can be loaded here
+    await loadAppointments();
     console.log('Dashboard data loaded');
 }
 
+// ==================== Appointments ====================
+// Bookings from /api/bookings. Appointment dates and times are Cairo local time.
+
+const APPOINTMENT_TIMEZONE = 'Africa/Cairo';
+const ACTIVE_BOOKING_STATUSES = ['pending', 'confirmed'];
+const BOOKING_STATUS_LABELS = {
+    pending: 'Pending',
+    confirmed: 'Confirmed',
+    declined: 'Declined',
+    cancelled: 'Cancelled',
+    completed: 'Completed',
+    no_show: 'No-show'
+};
+
+let appointments = [];
+let countdownTimer = null;
+
+function escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text == null ? '' : String(text);
+    return div.innerHTML;
+}
+
+// The instant at which a Cairo wall-clock date/time happens
+function getCairoInstant(date, time) {
+    const asUtc = new Date(`${date}T${time}:00Z`);
+    const cairoWallClock = new Date(asUtc.toLocaleString('en-US', { timeZone: APPOINTMENT_TIMEZONE }));
+    const utcWallClock = new Date(asUtc.toLocaleString('en-US', { timeZone: 'UTC' }));
+    return new Date(asUtc.getTime() - (cairoWallClock - utcWallClock));
+}
+
+function getAppointmentStart(booking) {
+    return getCairoInstant(booking.appointment_date, booking.appointment_time);
+}
+
+function isUpcoming(booking) {
+    return ACTIVE_BOOKING_STATUSES.includes(booking.status) && getAppointmentStart(booking) > new Date();
+}
+
+function formatAppointmentDate(booking) {
+    return getAppointmentStart(booking).toLocaleString('en-GB', {
+        timeZone: APPOINTMENT_TIMEZONE,
+        weekday: 'short', day: 'numeric', month: 'short', year: 'numeric',
+        hour: 'numeric', minute: '2-digit'
+    }) + ' (Cairo time)';
+}
+
+function formatCountdown(milliseconds) {
+    const totalMinutes = Math.max(0, Math.floor(milliseconds / 60000));
+    const days = Math.floor(totalMinutes / (24 * 60));
+    const hours = Math.floor((totalMinutes % (24 * 60)) / 60);
+    const minutes = totalMinutes % 60;
+    if (days > 0) return `${days}d ${hours}h ${minutes}m`;
+    if (hours > 0) return `${hours}h ${minutes}m`;
+    return `${minutes}m`;
+}
+
+// Google Calendar "add event" link; the time is passed as Cairo local time
+function getGoogleCalendarUrl(booking) {
+    const start = booking.appointment_date.replace(/-/g, '') + 'T' + booking.appointment_time.replace(':', '') + '00';
+    const endDate = new Date(`${booking.appointment_date}T${booking.appointment_time}:00Z`);
+    endDate.setUTCMinutes(endDate.getUTCMinutes() + (booking.duration_minutes || 60));
+    const end = endDate.toISOString().slice(0, 19).replace(/[-:]/g, '');
+    const params = new URLSearchParams({
+        action: 'TEMPLATE',
+        text: `Legal consultation with ${booking.lawyer_name}`,
+        dates: `${start}/${end}`,
+        ctz: APPOINTMENT_TIMEZONE,
+        details: [booking.lawyer_specialty, booking.case_description].filter(Boolean).join('\n\n')
+    });
+    return `https://calendar.google.com/calendar/render?${params}`;
+}
+
+function createAppointmentCard(booking) {
+    const upcoming = isUpcoming(booking);
+    let actions = '';
+    if (upcoming) {
+        actions = `
+            <div class="appointment-actions">
+                ${booking.can_change ? `
+                    <button class="appointment-btn" data-action="reschedule" data-booking-id="${booking.id}">Reschedule</button>
+                    <button class="appointment-btn danger" data-action="cancel" data-booking-id="${booking.id}">Cancel</button>
+                ` : ''}
+                <a class="appointment-btn" href="${getGoogleCalendarUrl(booking)}" target="_blank" rel="noopener">Add to Google Calendar</a>
+                <a class="appointment-btn" href="/api/bookings/${booking.id}/calendar.ics">Download .ics</a>
+            </div>
+            ${!booking.can_change && booking.change_blocked_reason ? `<p class="appointment-note">${escapeHtml(booking.change_blocked_reason)}</p>` : ''}
+            <form class="reschedule-form" data-booking-id="${booking.id}" hidden>
+                <input type="date" name="date" required>
+                <select name="time" required>
+                    <option value="">Select a date first</option>
+                </select>
+                <button type="submit" class="appointment-btn">Save</button>
+                <button type="button" class="appointment-btn" data-action="close-reschedule">Close</button>
+            </form>
+        `;
+    }
+
+    return `
+        <div class="appointment-card" data-booking-id="${booking.id}">
+            <div class="appointment-header">
+                <div>
+                    <h3>${escapeHtml(booking.lawyer_name)}</h3>
+                    <p class="appointment-meta">${escapeHtml(booking.lawyer_specialty || '')}</p>
+                    <p class="appointment-meta">${formatAppointmentDate(booking)} · ${booking.duration_minutes || 60} min</p>
+                </div>
+                <span class="status-badge status-${booking.status}">${BOOKING_STATUS_LABELS[booking.status] || escapeHtml(booking.status)}</span>
+            </div>
+            ${actions}
+        </div>
+    `;
+}
+
+async function loadAppointments() {
+    try {
+        const response = await fetch('/api/bookings', {
+            credentials: 'include'
+        });
+        const data = await response.json();
+        appointments = data.success ? data.bookings : [];
+    } catch (error) {
+        console.error('Error loading appointments:', error);
+        appointments = [];
+    }
+    renderAppointments();
+}
+
+function renderAppointments() {
+    const upcoming = appointments.filter(isUpcoming).sort((a, b) => getAppointmentStart(a) - getAppointmentStart(b));
+    const past = appointments.filter(booking => !isUpcoming(booking)).sort((a, b) => getAppointmentStart(b) - getAppointmentStart(a));
+
+    document.getElementById('upcomingAppointments').innerHTML = upcoming.length > 0
+        ? upcoming.map(createAppointmentCard).join('')
+        : '<p class="appointments-empty">No upcoming appointments.</p>';
+    document.getElementById('pastAppointments').innerHTML = past.length > 0
+        ? past.map(createAppointmentCard).join('')
+        : '<p class="appointments-empty">No past appointments.</p>';
+
+    renderNextAppointment(upcoming[0]);
+}
+
+function renderNextAppointment(booking) {
+    const container = document.getElementById('nextAppointment');
+    clearInterval(countdownTimer);
+    if (!booking) {
+        container.hidden = true;
+        return;
+    }
+
+    container.hidden = false;
+    document.getElementById('nextAppointmentDetails').textContent = `with ${booking.lawyer_name} · ${formatAppointmentDate(booking)}`;
+    const update = () => {
+        const remaining = getAppointmentStart(booking) - new Date();
+        if (remaining <= 0) {
+            renderAppointments();
+            return;
+        }
+        document.getElementById('nextAppointmentCountdown').textContent = formatCountdown(remaining);
+    };
+    update();
+    countdownTimer = setInterval(update, 30000);
+}
+
+async function cancelAppointment(bookingId) {
+    if (!confirm('Cancel this appointment?')) return;
+
+    try {
+        const response = await fetch(`/api/bookings/${bookingId}/cancel`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            credentials: 'include',
+            body: JSON.stringify({})
+        });
+        const data = await response.json();
+        if (!data.success) {
+            alert(data.message || 'Failed to cancel the appointment.');
+        }
+    } catch (error) {
+        console.error('Cancel appointment error:', error);
+        alert('Failed to cancel the appointment. Please try again.');
+    }
+    loadAppointments();
+}
+
+// Fill the time select of a reschedule form with the lawyer's free slots on the chosen date
+async function loadRescheduleSlots(form) {
+    const booking = appointments.find(b => b.id === parseInt(form.dataset.bookingId));
+    const date = form.elements.date.value;
+    const timeSelect = form.elements.time;
+    if (!booking || !date) {
+        timeSelect.innerHTML = '<option value="">Select a date first</option>';
+        return;
+    }
+
+    try {
+        const params = new URLSearchParams({ from: date, to: date });
+        const response = await fetch(`/api/lawyers/${booking.lawyer_id}/availability?${params}`, {
+            credentials: 'include'
+        });
+        const data = await response.json();
+        const slots = data.success && data.days.length > 0 ? data.days[0].slots : [];
+        timeSelect.innerHTML = slots.length > 0
+            ? '<option value="">Select time</option>' + slots.map(slot => `<option value="${slot.time}">${slot.time} - ${slot.endTime}</option>`).join('')
+            : '<option value="">No free slots on this date</option>';
+    } catch (error) {
+        console.error('Error loading availability:', error);
+        timeSelect.innerHTML = '<option value="">Could not load free slots</option>';
+    }
+}
+
+async function rescheduleAppointment(form) {
+    try {
+        const response = await fetch(`/api/bookings/${form.dataset.bookingId}/reschedule`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            credentials: 'include',
+            body: JSON.stringify({
+                appointmentDate: form.elements.date.value,
+                appointmentTime: form.elements.time.value
+            })
+        });
+        const data = await response.json();
+        if (!data.success) {
+            alert(data.message || 'Failed to reschedule the appointment.');
+            if (response.status === 409) {
+                loadRescheduleSlots(form);
+            }
+            return;
+        }
+        loadAppointments();
+    } catch (error) {
+        console.error('Reschedule appointment error:', error);
+        alert('Failed to reschedule the appointment. Please try again.');
+    }
+}
+
+// Private feed URL for calendar apps; reset replaces it so the old link stops working
+async function requestCalendarFeed(reset = false) {
+    if (reset && !confirm('Reset the link? Calendars subscribed with the old link will stop updating.')) return;
+
+    try {
+        const response = await fetch('/api/calendar/feed', {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            credentials: 'include',
+            body: JSON.stringify({ reset })
+        });
+        const data = await response.json();
+        if (!data.success) {
+            alert(data.message || 'Failed to create the calendar link.');
+            return;
+        }
+
+        const input = document.getElementById('calendarFeedUrl');
+        input.value = data.webcalUrl;
+        input.select();
+        document.getElementById('calendarFeedBtn').textContent = 'Copy link';
+        document.getElementById('calendarFeedResetBtn').hidden = false;
+    } catch (error) {
+        console.error('Calendar feed error:', error);
+        alert('Failed to create the calendar link. Please try again.');
+    }
+}
+
+const calendarFeedBtn = document.getElementById('calendarFeedBtn');
+if (calendarFeedBtn) {
+    calendarFeedBtn.addEventListener('click', async () => {
+        const input = document.getElementById('calendarFeedUrl');
+        if (!input.value) {
+            await requestCalendarFeed();
+            return;
+        }
+        try {
+            await navigator.clipboard.writeText(input.value);
+            calendarFeedBtn.textContent = 'Copied!';
+            setTimeout(() => { calendarFeedBtn.textContent = 'Copy link'; }, 2000);
+        } catch (error) {
+            input.select();
+        }
+    });
+    document.getElementById('calendarFeedResetBtn').addEventListener('click', () => requestCalendarFeed(true));
+}
+
+const appointmentsSection = document.getElementById('appointments-section');
+if (appointmentsSection) {
+    appointmentsSection.addEventListener('click', (e) => {
+        const btn = e.target.closest('button[data-action]');
+        if (!btn) return;
+
+        const card = btn.closest('.appointment-card');
+        const form = card.querySelector('.reschedule-form');
+        if (btn.dataset.action === 'cancel') {
+            cancelAppointment(parseInt(btn.dataset.bookingId));
+        } else if (btn.dataset.action === 'reschedule') {
+            const booking = appointments.find(b => b.id === parseInt(btn.dataset.bookingId));
+            form.hidden = false;
+            form.elements.date.min = new Date().toISOString().split('T')[0];
+            form.elements.date.value = booking.appointment_date;
+            loadRescheduleSlots(form);
+        } else if (btn.dataset.action === 'close-reschedule') {
+            form.hidden = true;
+        }
+    });
+
+    appointmentsSection.addEventListener('change', (e) => {
+        if (e.target.name === 'date' && e.target.closest('.reschedule-form')) {
+            loadRescheduleSlots(e.target.closest('.reschedule-form'));
+        }
+    });
+
+    appointmentsSection.addEventListener('submit', (e) => {
+        if (e.target.classList.contains('reschedule-form')) {
+            e.preventDefault();
+            rescheduleAppointment(e.target);
+        }
+    });
+}
+
 // Navigation functionality
 const navItems = document.querySelectorAll('.nav-item');
 const sections = document.querySelectorAll('.dashboard-section');
@@ -149,11 +862,19 @@ navItems.forEach(item => {
             // Render documents if switching to documents section
             if (sectionId === 'documents') {
                 renderDocuments();
+            } else if (sectionId === 'appointments') {
+                loadAppointments();
             }
         }
     });
 });
 
+// Open the section named in the link, e.g. dashboard.html#settings
+const linkedNavItem = document.querySelector(`.nav-item[data-section="${window.location.hash.slice(1)}"]`);
+if (linkedNavItem) {
+    linkedNavItem.click();
+}
+
 // Logout functionality
 const logoutBtn = document.getElementById('logoutBtn');
 if (logoutBtn) {
@@ -269,92 +990,141 @@ if (askLegalQuestionBtn) {
     });
 }
 
-// Document upload functionality
+// Document vault: files are stored on the server for accounts (see /api/documents)
 const uploadDocumentBtn = document.getElementById('uploadDocumentBtn');
 const uploadDocumentBtn2 = document.getElementById('uploadDocumentBtn2');
 const documentUploadInput = document.getElementById('documentUploadInput');
 const documentsList = document.getElementById('documentsList');
+const documentsUsage = document.getElementById('documentsUsage');
+// Names of the listed documents by id, for the rename and delete prompts
+const documentNames = new Map();
 
-// Store documents in localStorage
-function getDocuments() {
-    const stored = localStorage.getItem('userDocuments');
-    return stored ? JSON.parse(stored) : [];
-}
+// Older versions kept only the names of documents in this browser
+localStorage.removeItem('userDocuments');
 
-function saveDocuments(documents) {
-    localStorage.setItem('userDocuments', JSON.stringify(documents));
+function formatDocumentDate(value) {
+    return new Date(value.replace(' ', 'T') + 'Z').toLocaleDateString('en-US', {
+        year: 'numeric',
+        month: 'short',
+        day: 'numeric',
+        hour: '2-digit',
+        minute: '2-digit'
+    });
 }
 
-function renderDocuments() {
-    const documents = getDocuments();
-    
-    if (documents.length === 0) {
-        documentsList.innerHTML = '<p style="text-align: center; color: rgba(255,255,255,0.5); padding: 40px;">No documents uploaded yet. Click "Upload Document" to get started.</p>';
-        return;
-    }
-    
-    documentsList.innerHTML = documents.map((doc, index) => `
-        <div class="document-item" style="background: rgba(255,255,255,0.05); border: 1px solid rgba(102,178,255,0.2); border-radius: 10px; padding: 15px; margin-bottom: 15px; display: flex; align-items: center; justify-content: space-between;">
-            <div style="display: flex; align-items: center; gap: 15px; flex: 1;">
-                <div style="width: 40px; height: 40px; background: rgba(102,178,255,0.1); border-radius: 8px; display: flex; align-items: center; justify-content: center;">
-                    <svg width="20" height="20" viewBox="0 0 20 20" fill="none">
-                        <path d="M4 4C4 2.89543 4.89543 2 6 2H10.5858C10.851 2 11.1054 2.10536 11.2929 2.29289L15.7071 6.70711C15.8946 6.89464 16 7.149 16 7.41421V16C16 17.1046 15.1046 18 14 18H6C4.89543 18 4 17.1046 4 16V4Z" stroke="#66B2FF" stroke-width="2"/>
-                    </svg>
+async function renderDocuments() {
+    try {
+        const response = await fetch('/api/documents', { credentials: 'include' });
+        const data = await response.json();
+
+        if (!data.success) {
+            const message = response.status === 403 || response.status === 401
+                ? 'Sign in with an account to keep your documents here.'
+                : data.message || 'Could not load your documents.';
+            documentsList.innerHTML = `<p style="text-align: center; color: rgba(255,255,255,0.5); padding: 40px;">${escapeHtml(message)}</p>`;
+            documentsUsage.hidden = true;
+            return;
+        }
+
+        documentNames.clear();
+        data.documents.forEach(doc => documentNames.set(String(doc.id), doc.name));
+        document.getElementById('documentCount').textContent = data.documents.length;
+        documentsUsage.textContent = `${formatFileSize(data.usage.bytes)} of ${formatFileSize(data.quota.bytes)} used · ${data.usage.count} of ${data.quota.count} files`;
+        documentsUsage.hidden = false;
+
+        if (data.documents.length === 0) {
+            documentsList.innerHTML = '<p style="text-align: center; color: rgba(255,255,255,0.5); padding: 40px;">No documents uploaded yet. Click "Upload Document" to get started.</p>';
+            return;
+        }
+
+        documentsList.innerHTML = data.documents.map(doc => `
+            <div class="document-item" style="background: rgba(255,255,255,0.05); border: 1px solid rgba(102,178,255,0.2); border-radius: 10px; padding: 15px; margin-bottom: 15px; display: flex; align-items: center; justify-content: space-between;">
+                <div style="display: flex; align-items: center; gap: 15px; flex: 1; min-width: 0;">
+                    <div style="width: 40px; height: 40px; background: rgba(102,178,255,0.1); border-radius: 8px; display: flex; align-items: center; justify-content: center;">
+                        <svg width="20" height="20" viewBox="0 0 20 20" fill="none">
+                            <path d="M4 4C4 2.89543 4.89543 2 6 2H10.5858C10.851 2 11.1054 2.10536 11.2929 2.29289L15.7071 6.70711C15.8946 6.89464 16 7.149 16 7.41421V16C16 17.1046 15.1046 18 14 18H6C4.89543 18 4 17.1046 4 16V4Z" stroke="#66B2FF" stroke-width="2"/>
+                        </svg>
+                    </div>
+                    <div style="flex: 1; min-width: 0;">
+                        <h3 style="margin: 0; font-size: 16px; color: white; margin-bottom: 5px; overflow-wrap: anywhere;">${escapeHtml(doc.name)}</h3>
+                        <p style="margin: 0; font-size: 12px; color: rgba(255,255,255,0.6);">${formatFileSize(doc.size)} • Uploaded ${formatDocumentDate(doc.createdAt)}</p>
+                    </div>
                 </div>
-                <div style="flex: 1;">
-                    <h3 style="margin: 0; font-size: 16px; color: white; margin-bottom: 5px;">${doc.name}</h3>
-                    <p style="margin: 0; font-size: 12px; color: rgba(255,255,255,0.6);">${doc.size} • Uploaded ${doc.uploadDate}</p>
+                <div class="document-actions">
+                    <a class="document-action-btn" href="/api/documents/${doc.id}/download">Download</a>
+                    <button class="document-action-btn" data-action="rename" data-document-id="${doc.id}">Rename</button>
+                    <button class="document-action-btn danger" data-action="delete" data-document-id="${doc.id}">Delete</button>
                 </div>
             </div>
-            <button class="delete-doc-btn" data-index="${index}" style="background: rgba(255,0,0,0.1); border: 1px solid rgba(255,0,0,0.3); color: #ff6b6b; padding: 8px 12px; border-radius: 6px; cursor: pointer; font-size: 12px;">Delete</button>
-        </div>
-    `).join('');
-    
-    // Add delete handlers
-    documentsList.querySelectorAll('.delete-doc-btn').forEach(btn => {
-        btn.addEventListener('click', (e) => {
-            const index = parseInt(e.target.dataset.index);
-            const documents = getDocuments();
-            documents.splice(index, 1);
-            saveDocuments(documents);
-            renderDocuments();
-        });
-    });
+        `).join('');
+    } catch (error) {
+        console.error('Error loading documents:', error);
+        documentsList.innerHTML = '<p style="text-align: center; color: rgba(255,255,255,0.5); padding: 40px;">Could not load your documents.</p>';
+    }
 }
 
-function handleFileUpload(event) {
+documentsList.addEventListener('click', async (e) => {
+    const btn = e.target.closest('button[data-action]');
+    if (!btn) return;
+    const url = `/api/documents/${btn.dataset.documentId}`;
+    const currentName = documentNames.get(btn.dataset.documentId) || '';
+
+    try {
+        let response;
+        if (btn.dataset.action === 'rename') {
+            const name = prompt('New name for this document:', currentName);
+            if (!name || name === currentName) return;
+            response = await fetch(url, {
+                method: 'PUT',
+                headers: { 'Content-Type': 'application/json' },
+                credentials: 'include',
+                body: JSON.stringify({ name })
+            });
+        } else {
+            if (!confirm(`Delete "${currentName}"? This cannot be undone.`)) return;
+            response = await fetch(url, { method: 'DELETE', credentials: 'include' });
+        }
+        const data = await response.json();
+        if (!data.success) {
+            alert(data.message || 'Something went wrong. Please try again.');
+        }
+    } catch (error) {
+        console.error('Document action error:', error);
+        alert('Something went wrong. Please try again.');
+    }
+    renderDocuments();
+});
+
+async function handleFileUpload(event) {
     const file = event.target.files[0];
     if (!file) return;
-    
-    // Create document object
-    const document = {
-        id: Date.now(),
-        name: file.name,
-        size: formatFileSize(file.size),
-        uploadDate: new Date().toLocaleDateString('en-US', {
-            year: 'numeric',
-            month: 'short',
-            day: 'numeric',
-            hour: '2-digit',
-            minute: '2-digit'
-        }),
-        file: file.name // Store filename only (can't store File object in localStorage)
-    };
-    
-    // Save to localStorage
-    const documents = getDocuments();
-    documents.unshift(document); // Add to beginning
-    saveDocuments(documents);
-    
-    // Render documents
-    renderDocuments();
-    
-    // Switch to documents section
+
+    const formData = new FormData();
+    formData.append('document', file);
+
+    try {
+        const response = await fetch('/api/documents', {
+            method: 'POST',
+            credentials: 'include',
+            body: formData
+        });
+        const data = await response.json();
+        if (!data.success) {
+            alert(response.status === 403 || response.status === 401
+                ? 'Sign in with an account to keep your documents here.'
+                : data.message || 'Could not upload the document.');
+        }
+    } catch (error) {
+        console.error('Upload document error:', error);
+        alert('Could not upload the document. Please try again.');
+    }
+
+    // Switch to documents section (which reloads the list)
     const documentsNav = document.querySelector('[data-section="documents"]');
     if (documentsNav) {
         documentsNav.click();
     }
-    
+
     // Reset input
     event.target.value = '';
 }
@@ -0,0 +1,367 @@
+// Theme Management
+function initTheme() {
+    const savedTheme = localStorage.getItem('theme') || 'dark';
+    if (savedTheme === 'light') {
+        document.documentElement.classList.add('light-mode');
+        document.body.classList.add('light-mode');
+    } else {
+        document.documentElement.classList.remove('light-mode');
+        document.body.classList.remove('light-mode');
+    }
+}
+
+// Initialize theme on page load
+initTheme();
+
+// Listen for theme changes from other pages
+window.addEventListener('storage', (e) => {
+    if (e.key === 'theme') {
+        initTheme();
+    }
+});
+
+const WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+const SLOT_LENGTHS = [15, 20, 30, 45, 60, 90, 120];
+const BOOKING_STATUS_LABELS = {
+    pending: 'Pending',
+    confirmed: 'Confirmed',
+    declined: 'Declined',
+    cancelled: 'Cancelled',
+    completed: 'Completed',
+    no_show: 'No-show'
+};
+
+const portalBookings = document.getElementById('portalBookings');
+const weeklyRules = document.getElementById('weeklyRules');
+const exceptionsList = document.getElementById('exceptionsList');
+
+// Directory entry of the logged-in lawyer
+let lawyer = null;
+let bookings = [];
+let currentStatus = '';
+
+function escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text == null ? '' : String(text);
+    return div.innerHTML;
+}
+
+function formatDate(date) {
+    return new Date(date + 'T00:00:00').toLocaleDateString('en-GB', { weekday: 'short', day: 'numeric', month: 'short', year: 'numeric' });
+}
+
+function formatTimestamp(timestamp) {
+    return new Date(timestamp.replace(' ', 'T') + 'Z').toLocaleString('en-GB', {
+        day: 'numeric', month: 'short', year: 'numeric', hour: '2-digit', minute: '2-digit'
+    });
+}
+
+async function apiRequest(url, method = 'GET', body = null) {
+    const options = {
+        method,
+        credentials: 'include'
+    };
+    if (body) {
+        options.headers = { 'Content-Type': 'application/json' };
+        options.body = JSON.stringify(body);
+    }
+    const response = await fetch(url, options);
+    return response.json();
+}
+
+// ==================== Bookings ====================
+
+// Status changes offered for a booking; completed and no-show only once it has started
+function getStatusActions(booking) {
+    if (booking.status === 'pending') {
+        return [['confirmed', 'Accept'], ['declined', 'Decline']];
+    }
+    const started = new Date(`${booking.appointment_date}T${booking.appointment_time}`) <= new Date();
+    if (booking.status === 'confirmed' && started) {
+        return [['completed', 'Mark completed'], ['no_show', 'Mark no-show']];
+    }
+    return [];
+}
+
+function createPortalBooking(booking) {
+    const actions = getStatusActions(booking).map(([status, label]) =>
+        `<button class="booking-action-btn${status === 'declined' || status === 'no_show' ? ' danger' : ''}" data-action="status" data-status="${status}" data-booking-id="${booking.id}">${label}</button>`
+    ).join('');
+
+    return `
+        <div class="my-booking-item">
+            <div class="my-booking-header">
+                <div>
+                    <h3>${escapeHtml(booking.client_name)}</h3>
+                    <p class="my-booking-when">${formatDate(booking.appointment_date)} · ${booking.appointment_time} (Cairo time) · ${booking.duration_minutes || 60} min</p>
+                    <p class="my-booking-when">${escapeHtml(booking.client_email)} · ${escapeHtml(booking.client_phone)}</p>
+                </div>
+                <span class="booking-status status-${booking.status}">${BOOKING_STATUS_LABELS[booking.status] || escapeHtml(booking.status)}</span>
+            </div>
+            <p class="case-description">${escapeHtml(booking.case_description)}</p>
+            ${actions ? `<div class="my-booking-actions">${actions}</div>` : ''}
+            <details class="my-booking-history client-notes">
+                <summary>Private notes on this client (${booking.client_notes.length})</summary>
+                <ul>
+                    ${booking.client_notes.map(note => `
+                        <li>
+                            <span class="history-date">${formatTimestamp(note.createdAt)}</span>
+                            ${escapeHtml(note.note)}
+                            <button class="note-delete-btn" data-action="delete-note" data-note-id="${note.id}" title="Delete note">×</button>
+                        </li>
+                    `).join('')}
+                </ul>
+                <form class="note-form" data-client-id="${escapeHtml(booking.user_id)}">
+                    <input type="text" name="note" placeholder="Only you can see these notes" required>
+                    <button type="submit" class="booking-action-btn">Add note</button>
+                </form>
+            </details>
+            <details class="my-booking-history">
+                <summary>History (${booking.history.length})</summary>
+                <ul>
+                    ${booking.history.map(entry => `
+                        <li><span class="history-date">${formatTimestamp(entry.created_at)}</span> ${BOOKING_STATUS_LABELS[entry.to_status] || escapeHtml(entry.to_status)}${entry.changed_by_role ? ` by ${entry.changed_by_role}` : ''}${entry.note ? ` - ${escapeHtml(entry.note)}` : ''}</li>
+                    `).join('')}
+                </ul>
+            </details>
+        </div>
+    `;
+}
+
+async function loadBookings() {
+    try {
+        const params = currentStatus ? `?status=${encodeURIComponent(currentStatus)}` : '';
+        const data = await apiRequest(`/api/lawyer/bookings${params}`);
+        bookings = data.success ? data.bookings : [];
+    } catch (error) {
+        console.error('Error loading bookings:', error);
+        bookings = [];
+    }
+    renderBookings();
+}
+
+function renderBookings() {
+    if (bookings.length === 0) {
+        portalBookings.innerHTML = '<p class="my-booking-note">No bookings here yet.</p>';
+        return;
+    }
+    portalBookings.innerHTML = bookings.map(createPortalBooking).join('');
+}
+
+async function updateBookingStatus(bookingId, status) {
+    let note = null;
+    if (status === 'declined') {
+        note = prompt('Reason for declining (shown to the client):');
+        if (note === null) return;
+    }
+
+    try {
+        const data = await apiRequest(`/api/bookings/${bookingId}/status`, 'POST', { status, note });
+        if (!data.success) {
+            alert(data.message || 'Failed to update the booking.');
+        }
+    } catch (error) {
+        console.error('Update booking status error:', error);
+        alert('Failed to update the booking. Please try again.');
+    }
+    loadBookings();
+}
+
+portalBookings.addEventListener('click', async (e) => {
+    const btn = e.target.closest('button[data-action]');
+    if (!btn) return;
+
+    if (btn.dataset.action === 'status') {
+        updateBookingStatus(parseInt(btn.dataset.bookingId), btn.dataset.status);
+    } else if (btn.dataset.action === 'delete-note') {
+        e.preventDefault();
+        if (!confirm('Delete this note?')) return;
+        await apiRequest(`/api/lawyer/notes/${btn.dataset.noteId}`, 'DELETE');
+        loadBookings();
+    }
+});
+
+portalBookings.addEventListener('submit', async (e) => {
+    if (!e.target.classList.contains('note-form')) return;
+    e.preventDefault();
+
+    const form = e.target;
+    try {
+        const data = await apiRequest(`/api/lawyer/clients/${encodeURIComponent(form.dataset.clientId)}/notes`, 'POST', {
+            note: form.elements.note.value
+        });
+        if (!data.success) {
+            alert(data.message || 'Failed to add the note.');
+            return;
+        }
+        await loadBookings();
+    } catch (error) {
+        console.error('Add note error:', error);
+        alert('Failed to add the note. Please try again.');
+    }
+});
+
+document.querySelectorAll('#statusFilters .category-filter').forEach(btn => {
+    btn.addEventListener('click', () => {
+        document.querySelectorAll('#statusFilters .category-filter').forEach(b => b.classList.remove('active'));
+        btn.classList.add('active');
+        currentStatus = btn.dataset.status;
+        loadBookings();
+    });
+});
+
+// ==================== Availability ====================
+
+function createRuleRow(rule = { weekday: 0, startTime: '10:00', endTime: '16:00', slotMinutes: 60 }) {
+    const row = document.createElement('div');
+    row.className = 'weekly-rule';
+    row.innerHTML = `
+        <select name="weekday">
+            ${WEEKDAYS.map((day, index) => `<option value="${index}" ${index === rule.weekday ? 'selected' : ''}>${day}</option>`).join('')}
+        </select>
+        <input type="time" name="startTime" value="${rule.startTime}" required>
+        <span>to</span>
+        <input type="time" name="endTime" value="${rule.endTime}" required>
+        <select name="slotMinutes">
+            ${SLOT_LENGTHS.map(minutes => `<option value="${minutes}" ${minutes === rule.slotMinutes ? 'selected' : ''}>${minutes} min slots</option>`).join('')}
+        </select>
+        <button class="note-delete-btn" data-action="remove-rule" title="Remove">×</button>
+    `;
+    return row;
+}
+
+function renderSchedule(schedule) {
+    weeklyRules.innerHTML = '';
+    schedule.weekly.forEach(rule => weeklyRules.appendChild(createRuleRow(rule)));
+    if (schedule.weekly.length === 0) {
+        weeklyRules.innerHTML = '<p class="my-booking-note">No weekly hours yet: clients cannot book you.</p>';
+    }
+
+    exceptionsList.innerHTML = schedule.exceptions.length === 0
+        ? '<p class="my-booking-note">No upcoming exceptions.</p>'
+        : schedule.exceptions.map(exception => `
+            <div class="my-booking-item exception-item">
+                <span>${formatDate(exception.date)} · ${exception.startTime ? `${exception.startTime} - ${exception.endTime}` : 'All day'}${exception.reason ? ` · ${escapeHtml(exception.reason)}` : ''}</span>
+                <button class="note-delete-btn" data-action="delete-exception" data-exception-id="${exception.id}" title="Remove">×</button>
+            </div>
+        `).join('');
+}
+
+async function loadSchedule() {
+    try {
+        const data = await apiRequest(`/api/lawyers/${lawyer.id}/schedule`);
+        if (data.success) {
+            renderSchedule(data.schedule);
+        }
+    } catch (error) {
+        console.error('Error loading availability:', error);
+    }
+}
+
+document.getElementById('addRuleBtn').addEventListener('click', () => {
+    if (!weeklyRules.querySelector('.weekly-rule')) {
+        weeklyRules.innerHTML = '';
+    }
+    weeklyRules.appendChild(createRuleRow());
+});
+
+weeklyRules.addEventListener('click', (e) => {
+    if (e.target.dataset.action === 'remove-rule') {
+        e.target.closest('.weekly-rule').remove();
+    }
+});
+
+document.getElementById('saveScheduleBtn').addEventListener('click', async () => {
+    const weekly = Array.from(weeklyRules.querySelectorAll('.weekly-rule')).map(row => ({
+        weekday: parseInt(row.querySelector('[name="weekday"]').value),
+        startTime: row.querySelector('[name="startTime"]').value,
+        endTime: row.querySelector('[name="endTime"]').value,
+        slotMinutes: parseInt(row.querySelector('[name="slotMinutes"]').value)
+    }));
+
+    try {
+        const data = await apiRequest(`/api/lawyers/${lawyer.id}/schedule`, 'PUT', { weekly });
+        if (!data.success) {
+            alert(data.message || 'Failed to save your hours.');
+            return;
+        }
+        renderSchedule(data.schedule);
+        alert('Weekly hours saved.');
+    } catch (error) {
+        console.error('Save availability error:', error);
+        alert('Failed to save your hours. Please try again.');
+    }
+});
+
+document.getElementById('exceptionForm').addEventListener('submit', async (e) => {
+    e.preventDefault();
+
+    try {
+        const data = await apiRequest(`/api/lawyers/${lawyer.id}/exceptions`, 'POST', {
+            date: document.getElementById('exceptionDate').value,
+            startTime: document.getElementById('exceptionStart').value || null,
+            endTime: document.getElementById('exceptionEnd').value || null,
+            reason: document.getElementById('exceptionReason').value
+        });
+        if (!data.success) {
+            alert(data.message || 'Failed to add the exception.');
+            return;
+        }
+        e.target.reset();
+        loadSchedule();
+    } catch (error) {
+        console.error('Add exception error:', error);
+        alert('Failed to add the exception. Please try again.');
+    }
+});
+
+exceptionsList.addEventListener('click', async (e) => {
+    if (e.target.dataset.action !== 'delete-exception') return;
+
+    await apiRequest(`/api/lawyers/${lawyer.id}/exceptions/${e.target.dataset.exceptionId}`, 'DELETE');
+    loadSchedule();
+});
+
+// ==================== Tabs ====================
+
+document.querySelectorAll('.portal-tabs .category-filter').forEach(btn => {
+    btn.addEventListener('click', () => {
+        document.querySelectorAll('.portal-tabs .category-filter').forEach(b => b.classList.remove('active'));
+        document.querySelectorAll('.portal-tab').forEach(tab => tab.classList.remove('active'));
+        btn.classList.add('active');
+        document.getElementById(`${btn.dataset.tab}Tab`).classList.add('active');
+        if (btn.dataset.tab === 'availability') {
+            loadSchedule();
+        }
+    });
+});
+
+// Only lawyer accounts can use the portal
+async function checkLawyerAccess() {
+    try {
+        const data = await apiRequest('/api/lawyer/profile');
+        if (!data.success) {
+            window.location.href = data.message === 'Not authenticated' ? '/auth.html'
+                : data.code === 'TWO_FACTOR_REQUIRED' ? '/dashboard.html#settings' : '/dashboard.html';
+            return false;
+        }
+        lawyer = data.lawyer;
+        if (!lawyer) {
+            window.location.href = '/dashboard.html';
+            return false;
+        }
+        document.getElementById('portalTitle').textContent = lawyer.name;
+        document.getElementById('portalSubtitle').textContent = 'Lawyer Portal · ' + lawyer.specialties.join(', ');
+        return true;
+    } catch (error) {
+        console.error('Lawyer portal error:', error);
+        return false;
+    }
+}
+
+// Initialize
+document.addEventListener('DOMContentLoaded', async () => {
+    if (await checkLawyerAccess()) {
+        await loadBookings();
+    }
+});
@@ -0,0 +1,126 @@
+// Password reset page: without a token it requests a reset link, with ?token= it sets the new password
+const token = new URLSearchParams(window.location.search).get('token');
+const requestResetForm = document.getElementById('requestResetForm');
+const newPasswordForm = document.getElementById('newPasswordForm');
+const requestResetFormElement = document.getElementById('requestResetFormElement');
+const newPasswordFormElement = document.getElementById('newPasswordFormElement');
+
+// Show a message at the top of the visible form (same look as the sign-in page)
+function showMessage(message, isError) {
+    const existing = document.querySelector('.error-message, .success-message');
+    if (existing) {
+        existing.remove();
+    }
+
+    const messageDiv = document.createElement('div');
+    messageDiv.className = isError ? 'error-message' : 'success-message';
+    messageDiv.style.cssText = isError
+        ? 'background: rgba(255, 0, 0, 0.1); border: 1px solid rgba(255, 0, 0, 0.3); color: #ff6b6b; padding: 12px; border-radius: 8px; margin-bottom: 20px; text-align: center;'
+        : 'background: rgba(0, 255, 0, 0.1); border: 1px solid rgba(0, 255, 0, 0.3); color: #51cf66; padding: 12px; border-radius: 8px; margin-bottom: 20px; text-align: center;';
+    messageDiv.textContent = message;
+
+    const formContent = document.querySelector('.auth-form.active .form-content');
+    if (formContent) {
+        formContent.insertBefore(messageDiv, formContent.firstChild);
+    }
+}
+
+async function postJson(url, body) {
+    const response = await fetch(url, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+        },
+        credentials: 'include',
+        body: JSON.stringify(body)
+    });
+    return response.json();
+}
+
+requestResetFormElement.addEventListener('submit', async (e) => {
+    e.preventDefault();
+
+    const submitBtn = requestResetFormElement.querySelector('.btn-submit');
+    submitBtn.disabled = true;
+    submitBtn.textContent = 'Sending...';
+
+    try {
+        const data = await postJson('/api/password/forgot', {
+            email: document.getElementById('resetEmail').value
+        });
+        showMessage(data.message || 'Something went wrong. Please try again.', !data.success);
+    } catch (error) {
+        console.error('Forgot password error:', error);
+        showMessage('Cannot connect to server. Please try again later.', true);
+    }
+
+    submitBtn.disabled = false;
+    submitBtn.textContent = 'Send Reset Link';
+});
+
+newPasswordFormElement.addEventListener('submit', async (e) => {
+    e.preventDefault();
+
+    const password = document.getElementById('newPassword').value;
+    const confirmPassword = document.getElementById('confirmNewPassword').value;
+    const submitBtn = newPasswordFormElement.querySelector('.btn-submit');
+
+    if (password !== confirmPassword) {
+        showMessage('Passwords do not match!', true);
+        return;
+    }
+
+    if (password.length < 6) {
+        showMessage('Password must be at least 6 characters long!', true);
+        return;
+    }
+
+    submitBtn.disabled = true;
+    submitBtn.textContent = 'Saving...';
+
+    try {
+        const data = await postJson('/api/password/reset', { token, password, confirmPassword });
+        if (data.success) {
+            showMessage(data.message + ' Redirecting...', false);
+            setTimeout(() => {
+                window.location.href = '/auth.html';
+            }, 2000);
+            return;
+        }
+        showMessage(data.message || 'Could not reset your password. Please try again.', true);
+    } catch (error) {
+        console.error('Reset password error:', error);
+        showMessage('Cannot connect to server. Please try again later.', true);
+    }
+
+    submitBtn.disabled = false;
+    submitBtn.textContent = 'Reset Password';
+});
+
+// Opened from an emailed link: check it, then enable the new password form
+async function openResetLink() {
+    requestResetForm.classList.remove('active');
+    newPasswordForm.classList.add('active');
+
+    try {
+        const response = await fetch(`/api/password/reset/${encodeURIComponent(token)}`, { credentials: 'include' });
+        const data = await response.json();
+        if (!data.success) {
+            document.getElementById('newPasswordSubtitle').textContent = 'This link cannot be used';
+            showMessage(data.message, true);
+            return;
+        }
+
+        document.getElementById('newPasswordSubtitle').textContent = `For ${data.email}`;
+        newPasswordFormElement.querySelectorAll('input, button').forEach(el => {
+            el.disabled = false;
+        });
+    } catch (error) {
+        console.error('Check reset link error:', error);
+        showMessage('Cannot connect to server. Please try again later.', true);
+    }
+}
+
+if (token) {
+    openResetLink();
+}
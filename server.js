@@ -8,15 +8,26 @@ const path = require('path');
 const http = require('http');
 const multer = require('multer');
 const fs = require('fs');
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+const nodemailer = require('nodemailer');
+const QRCode = require('qrcode');
 const OpenAI = require('openai');
+const pdfParse = require('pdf-parse/lib/pdf-parse.js');
+const mammoth = require('mammoth');
+const WordExtractor = require('word-extractor');
+const PDFDocument = require('pdfkit');
+const { Document, Packer, Paragraph, TextRun, HeadingLevel, BorderStyle } = require('docx');
+const JSZip = require('jszip');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
-// Initialize OpenAI client
-const openai = new OpenAI({
-    apiKey: process.env.OPENAI_API_KEY || ''
-});
+// Behind a reverse proxy, set TRUST_PROXY (e.g. 1 or loopback) so req.ip is the client's address
+if (process.env.TRUST_PROXY) {
+    const trustProxy = process.env.TRUST_PROXY;
+    app.set('trust proxy', /^\d+$/.test(trustProxy) ? parseInt(trustProxy) : trustProxy === 'true' ? true : trustProxy);
+}
 
 // Middleware
 app.use(cors({
@@ -31,25 +42,202 @@ app.use(cors({
 app.use(bodyParser.json({ limit: '50mb' }));
 app.use(bodyParser.urlencoded({ extended: true, limit: '50mb' }));
 
-// Static files
-app.use(express.static(__dirname));
+// Static files. Only the pages and the scripts and styles they load are public; the rest of
+// this directory (server code, package files, databases, the mail drop, uploads) is not.
+// A new page or asset has to be added here. Vault files are only served by their download route.
+const PUBLIC_FILES = new Set([
+    'index.html', 'auth.html', 'dashboard.html', 'chat.html', 'booking.html', 'lawyer.html',
+    'admin.html', 'reset-password.html', 'verify-email.html',
+    'styles.css', 'auth.css', 'dashboard.css', 'chat.css', 'booking.css', 'lawyer.css', 'admin.css',
+    'script.js', 'auth.js', 'dashboard.js', 'chat.js', 'booking.js', 'lawyer.js', 'admin.js',
+    'reset-password.js', 'verify-email.js'
+]);
+const serveStatic = express.static(__dirname, { index: false });
+
+function isPublicFile(urlPath) {
+    try {
+        return PUBLIC_FILES.has(decodeURIComponent(urlPath).slice(1));
+    } catch (error) {
+        return false;
+    }
+}
+
+app.use((req, res, next) => isPublicFile(req.path) ? serveStatic(req, res, next) : next());
+
+// ==================== Sessions ====================
+// Sessions live in their own SQLite file (SESSION_DB_PATH), so a restart does not log
+// everyone out, and on their own connection, so saving a session never ends up inside
+// a transaction on the main database. Each row also records whose session it is, for
+// the list of active sessions in the dashboard.
+
+const SESSION_DB_PATH = process.env.SESSION_DB_PATH || './sessions.db';
+const SESSION_MAX_AGE_MS = 24 * 60 * 60 * 1000; // 24 hours since the last request
+
+// SESSION_SECRET may list several secrets separated by commas: the first signs cookies,
+// the others are still accepted. Put a new secret first to rotate it; cookies signed
+// with an old one are re-signed on their next request.
+// The development secret is public (it is in this file), so production refuses it too.
+const DEVELOPMENT_SESSION_SECRET = 'know-law-secret-key-2024';
+const SESSION_SECRETS = (process.env.SESSION_SECRET || '').split(',').map(secret => secret.trim()).filter(Boolean);
+if (process.env.NODE_ENV === 'production' && SESSION_SECRETS.includes(DEVELOPMENT_SESSION_SECRET)) {
+    console.error('SESSION_SECRET must not contain the development secret in production.');
+    process.exit(1);
+}
+if (SESSION_SECRETS.length === 0) {
+    if (process.env.NODE_ENV === 'production') {
+        console.error('SESSION_SECRET must be set in production.');
+        process.exit(1);
+    }
+    console.warn('SESSION_SECRET is not set; using the development secret.');
+    SESSION_SECRETS.push(DEVELOPMENT_SESSION_SECRET);
+}
+
+// 'auto' sends the cookie with the Secure flag when the request came over HTTPS
+// (behind a reverse proxy this needs TRUST_PROXY). true/false force it.
+const SESSION_COOKIE_SECURE = process.env.SESSION_COOKIE_SECURE === 'true' ? true
+    : process.env.SESSION_COOKIE_SECURE === 'false' ? false
+    : 'auto';
+
+function getSessionExpiry(sess) {
+    return sess.cookie && sess.cookie.expires ? new Date(sess.cookie.expires).getTime() : Date.now() + SESSION_MAX_AGE_MS;
+}
+
+class SQLiteSessionStore extends session.Store {
+    constructor(filename) {
+        super();
+        this.db = new sqlite3.Database(filename, (err) => {
+            if (err) {
+                console.error('Error opening session database:', err.message);
+            }
+        });
+        this.db.serialize(() => {
+            // handle: hash of the session id that identifies the session in the API
+            this.db.run(`CREATE TABLE IF NOT EXISTS sessions (
+                sid TEXT PRIMARY KEY,
+                handle TEXT UNIQUE NOT NULL,
+                user_id TEXT,
+                sess TEXT NOT NULL,
+                expires_at INTEGER NOT NULL,
+                last_seen_at INTEGER NOT NULL
+            )`, (err) => {
+                if (err) {
+                    console.error('Error creating sessions table:', err.message);
+                } else {
+                    console.log('Sessions table ready.');
+                }
+            });
+            this.db.run('CREATE INDEX IF NOT EXISTS idx_sessions_user_id ON sessions(user_id)', (err) => {
+                if (err) {
+                    console.error('Error creating index:', err.message);
+                }
+            });
+        });
+        setInterval(() => this.prune(), 60 * 60 * 1000).unref();
+    }
+
+    get(sid, callback) {
+        this.db.get('SELECT sess FROM sessions WHERE sid = ? AND expires_at > ?', [sid, Date.now()], (err, row) => {
+            if (err) {
+                return callback(err);
+            }
+            callback(null, row ? JSON.parse(row.sess) : null);
+        });
+    }
+
+    set(sid, sess, callback) {
+        this.db.run(
+            `INSERT INTO sessions (sid, handle, user_id, sess, expires_at, last_seen_at) VALUES (?, ?, ?, ?, ?, ?)
+             ON CONFLICT (sid) DO UPDATE SET
+                 user_id = excluded.user_id, sess = excluded.sess, expires_at = excluded.expires_at, last_seen_at = excluded.last_seen_at`,
+            [sid, hashToken(sid).slice(0, 32), sess.userId != null ? String(sess.userId) : null, JSON.stringify(sess), getSessionExpiry(sess), Date.now()],
+            (err) => callback && callback(err || null)
+        );
+    }
+
+    touch(sid, sess, callback) {
+        this.db.run(
+            'UPDATE sessions SET expires_at = ?, last_seen_at = ? WHERE sid = ?',
+            [getSessionExpiry(sess), Date.now(), sid],
+            (err) => callback && callback(err || null)
+        );
+    }
+
+    destroy(sid, callback) {
+        this.db.run('DELETE FROM sessions WHERE sid = ?', [sid], (err) => callback && callback(err || null));
+    }
+
+    // Unexpired sessions of a user, most recently used first
+    listForUser(userId) {
+        return new Promise((resolve, reject) => {
+            this.db.all(
+                'SELECT * FROM sessions WHERE user_id = ? AND expires_at > ? ORDER BY last_seen_at DESC',
+                [String(userId), Date.now()],
+                (err, rows) => err ? reject(err) : resolve(rows)
+            );
+        });
+    }
+
+    // End a user's sessions: one by handle, or all except exceptSid. Resolves to how many ended.
+    destroyForUser(userId, { handle = null, exceptSid = null } = {}) {
+        return new Promise((resolve, reject) => {
+            this.db.run(
+                `DELETE FROM sessions WHERE user_id = ?
+                 ${handle ? 'AND handle = ?' : ''} ${exceptSid ? 'AND sid != ?' : ''}`,
+                [String(userId), ...(handle ? [handle] : []), ...(exceptSid ? [exceptSid] : [])],
+                function(err) {
+                    err ? reject(err) : resolve(this.changes);
+                }
+            );
+        });
+    }
+
+    // Copy changed account fields (userName, userEmail) into all of a user's stored sessions
+    async updateForUser(userId, fields) {
+        const rows = await new Promise((resolve, reject) => {
+            this.db.all('SELECT sid, sess FROM sessions WHERE user_id = ?', [String(userId)],
+                (err, found) => err ? reject(err) : resolve(found));
+        });
+        for (const row of rows) {
+            const sess = Object.assign(JSON.parse(row.sess), fields);
+            await new Promise((resolve, reject) => {
+                this.db.run('UPDATE sessions SET sess = ? WHERE sid = ?', [JSON.stringify(sess), row.sid],
+                    (err) => err ? reject(err) : resolve());
+            });
+        }
+    }
+
+    prune() {
+        this.db.run('DELETE FROM sessions WHERE expires_at <= ?', [Date.now()], (err) => {
+            if (err) {
+                console.error('Prune sessions error:', err.message);
+            }
+        });
+    }
+}
+
+const sessionStore = new SQLiteSessionStore(SESSION_DB_PATH);
 
-// Session configuration
 app.use(session({
-    secret: 'know-law-secret-key-2024',
+    store: sessionStore,
+    secret: SESSION_SECRETS,
     resave: false,
     saveUninitialized: false,
+    // Send the cookie on every response: the 24 hours count from the last request, and
+    // cookies signed with a retired secret get the current one
+    rolling: true,
     cookie: {
-        secure: false, // Set to true if using HTTPS
+        secure: SESSION_COOKIE_SECURE,
         httpOnly: true,
-        maxAge: 24 * 60 * 60 * 1000 // 24 hours
+        sameSite: 'lax',
+        maxAge: SESSION_MAX_AGE_MS
     }
 }));
 
 // Database initialization
+const DATABASE_PATH = './database.sqlite';
 let db;
 try {
-    db = new sqlite3.Database('./database.sqlite', (err) => {
+    db = new sqlite3.Database(DATABASE_PATH, (err) => {
         if (err) {
             console.error('Error opening database:', err.message);
             console.error('Database initialization failed. Some features may not work.');
@@ -71,6 +259,14 @@ function initializeDatabase() {
     }
     try {
         db.serialize(() => {
+            // SQLite leaves foreign keys (and their ON DELETE CASCADE) off unless each connection
+            // turns them on. Deletes below still remove child rows explicitly.
+            db.run('PRAGMA foreign_keys = ON', (err) => {
+                if (err) {
+                    console.error('Error enabling foreign keys:', err.message);
+                }
+            });
+
             // Users table
             db.run(`CREATE TABLE IF NOT EXISTS users (
                 id INTEGER PRIMARY KEY AUTOINCREMENT,
@@ -142,6 +338,341 @@ function initializeDatabase() {
                 }
             });
 
+            // Lawyers table (directory shown on the booking page)
+            db.run(`CREATE TABLE IF NOT EXISTS lawyers (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                name TEXT NOT NULL,
+                name_ar TEXT,
+                specialties TEXT NOT NULL,
+                bar_registration_number TEXT UNIQUE,
+                governorate TEXT,
+                languages TEXT,
+                consultation_fee REAL,
+                bio TEXT,
+                photo_url TEXT,
+                is_active INTEGER DEFAULT 1,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            )`, (err) => {
+                if (err) {
+                    console.error('Error creating lawyers table:', err.message);
+                } else {
+                    console.log('Lawyers table ready.');
+                }
+            });
+
+            // Weekly working hours per lawyer (weekday 0 = Sunday), split into slots of slot_minutes
+            db.run(`CREATE TABLE IF NOT EXISTS lawyer_availability (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                lawyer_id INTEGER NOT NULL,
+                weekday INTEGER NOT NULL,
+                start_time TEXT NOT NULL,
+                end_time TEXT NOT NULL,
+                slot_minutes INTEGER NOT NULL DEFAULT 60,
+                FOREIGN KEY (lawyer_id) REFERENCES lawyers(id) ON DELETE CASCADE
+            )`, (err) => {
+                if (err) {
+                    console.error('Error creating lawyer availability table:', err.message);
+                } else {
+                    console.log('Lawyer availability table ready.');
+                }
+            });
+
+            // Days or hours a lawyer is not available (holidays, leave); no times = whole day
+            db.run(`CREATE TABLE IF NOT EXISTS lawyer_availability_exceptions (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                lawyer_id INTEGER NOT NULL,
+                date DATE NOT NULL,
+                start_time TEXT,
+                end_time TEXT,
+                reason TEXT,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (lawyer_id) REFERENCES lawyers(id) ON DELETE CASCADE
+            )`, (err) => {
+                if (err) {
+                    console.error('Error creating lawyer availability exceptions table:', err.message);
+                } else {
+                    console.log('Lawyer availability exceptions table ready.');
+                    seedLawyerDirectory();
+                }
+            });
+
+            // Statutes table (article-level Egyptian law corpus used to ground answers)
+            db.run(`CREATE TABLE IF NOT EXISTS statutes (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                law_number TEXT NOT NULL,
+                law_name TEXT,
+                law_name_ar TEXT,
+                article_number TEXT NOT NULL,
+                text_ar TEXT,
+                text_en TEXT,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                UNIQUE (law_number, article_number)
+            )`, (err) => {
+                if (err) {
+                    console.error('Error creating statutes table:', err.message);
+                } else {
+                    console.log('Statutes table ready.');
+                }
+            });
+
+            // Full-text index over normalized statute text (rowid = statutes.id)
+            db.run(`CREATE VIRTUAL TABLE IF NOT EXISTS statutes_fts USING fts5(
+                content,
+                tokenize = 'unicode61 remove_diacritics 2'
+            )`, (err) => {
+                if (err) {
+                    console.error('Error creating statutes search index:', err.message);
+                }
+            });
+
+            // Full-text indexes for searching a user's conversations. Text is normalized
+            // in JavaScript (normalizeForSearch) before it is indexed, so rows are added by
+            // the code that saves them; deletes are handled by triggers.
+            db.run(`CREATE VIRTUAL TABLE IF NOT EXISTS messages_fts USING fts5(
+                content,
+                tokenize = 'unicode61 remove_diacritics 2'
+            )`, (err) => {
+                if (err) {
+                    console.error('Error creating messages search index:', err.message);
+                }
+            });
+
+            db.run(`CREATE VIRTUAL TABLE IF NOT EXISTS conversations_fts USING fts5(
+                title,
+                tokenize = 'unicode61 remove_diacritics 2'
+            )`, (err) => {
+                if (err) {
+                    console.error('Error creating conversations search index:', err.message);
+                }
+            });
+
+            db.run(`CREATE TRIGGER IF NOT EXISTS messages_fts_delete AFTER DELETE ON messages BEGIN
+                DELETE FROM messages_fts WHERE rowid = old.id;
+            END`);
+
+            db.run(`CREATE TRIGGER IF NOT EXISTS conversations_fts_delete AFTER DELETE ON conversations BEGIN
+                DELETE FROM conversations_fts WHERE rowid = old.id;
+            END`);
+
+            // Columns added after the first release
+            addColumnIfMissing('messages', 'citations', 'TEXT');
+
+            addColumnIfMissing('bookings', 'duration_minutes', 'INTEGER DEFAULT 60');
+            addColumnIfMissing('bookings', 'updated_at', 'DATETIME');
+            // Secret part of the user's subscribable calendar feed URL
+            addColumnIfMissing('users', 'calendar_token', 'TEXT');
+            // Lawyer accounts: role 'lawyer' and the directory entry they answer for
+            addColumnIfMissing('users', 'role', "TEXT DEFAULT 'client'");
+            addColumnIfMissing('users', 'lawyer_id', 'INTEGER');
+            // Accounts that existed before email verification keep working as verified
+            addColumnIfMissing('users', 'email_verified', 'INTEGER DEFAULT 0', () => {
+                db.run('UPDATE users SET email_verified = 1');
+            });
+            // Two-factor authentication: base32 TOTP secret and the last time step used (no replays)
+            addColumnIfMissing('users', 'totp_secret', 'TEXT');
+            addColumnIfMissing('users', 'totp_enabled', 'INTEGER DEFAULT 0');
+            addColumnIfMissing('users', 'totp_last_step', 'INTEGER');
+            // Account lockout: wrong passwords in a row and the end of the current lock
+            addColumnIfMissing('users', 'failed_login_count', 'INTEGER DEFAULT 0');
+            addColumnIfMissing('users', 'locked_until', 'DATETIME');
+            // Profile details the user can edit from the dashboard
+            addColumnIfMissing('users', 'phone', 'TEXT');
+            addColumnIfMissing('users', 'preferred_language', "TEXT DEFAULT 'en'");
+            addColumnIfMissing('users', 'governorate', 'TEXT');
+            // New address of an email change, until its verification link is opened
+            addColumnIfMissing('users', 'pending_email', 'TEXT');
+            // When a requested account deletion happens (cleared if the user keeps the account)
+            const deletionColumnReady = addColumnIfMissing('users', 'deletion_scheduled_at', 'DATETIME');
+
+            // A lawyer's private notes about a client; never shown to the client
+            db.run(`CREATE TABLE IF NOT EXISTS lawyer_client_notes (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                lawyer_id INTEGER NOT NULL,
+                client_user_id TEXT NOT NULL,
+                note TEXT NOT NULL,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (lawyer_id) REFERENCES lawyers(id) ON DELETE CASCADE
+            )`, (err) => {
+                if (err) {
+                    console.error('Error creating lawyer client notes table:', err.message);
+                } else {
+                    console.log('Lawyer client notes table ready.');
+                }
+            });
+
+            // Password reset tokens: only a SHA-256 hash of the emailed token is stored
+            db.run(`CREATE TABLE IF NOT EXISTS password_reset_tokens (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                user_id INTEGER NOT NULL,
+                token_hash TEXT UNIQUE NOT NULL,
+                expires_at DATETIME NOT NULL,
+                used_at DATETIME,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+            )`, (err) => {
+                if (err) {
+                    console.error('Error creating password reset tokens table:', err.message);
+                } else {
+                    console.log('Password reset tokens table ready.');
+                }
+            });
+
+            // Email verification tokens, for the address they were sent to (hashed like reset tokens)
+            db.run(`CREATE TABLE IF NOT EXISTS email_verification_tokens (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                user_id INTEGER NOT NULL,
+                email TEXT NOT NULL,
+                token_hash TEXT UNIQUE NOT NULL,
+                expires_at DATETIME NOT NULL,
+                used_at DATETIME,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+            )`, (err) => {
+                if (err) {
+                    console.error('Error creating email verification tokens table:', err.message);
+                } else {
+                    console.log('Email verification tokens table ready.');
+                }
+            });
+
+            // Single-use 2FA recovery codes (SHA-256 hashes)
+            db.run(`CREATE TABLE IF NOT EXISTS recovery_codes (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                user_id INTEGER NOT NULL,
+                code_hash TEXT NOT NULL,
+                used_at DATETIME,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+            )`, (err) => {
+                if (err) {
+                    console.error('Error creating recovery codes table:', err.message);
+                } else {
+                    console.log('Recovery codes table ready.');
+                }
+            });
+
+            // Visitors using the site without an account. messages_today counts their
+            // questions on usage_date (UTC) for the daily limit.
+            db.run(`CREATE TABLE IF NOT EXISTS guests (
+                id TEXT PRIMARY KEY,
+                ip TEXT,
+                messages_today INTEGER DEFAULT 0,
+                usage_date TEXT,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                last_seen_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            )`, (err) => {
+                if (err) {
+                    console.error('Error creating guests table:', err.message);
+                } else {
+                    console.log('Guests table ready.');
+                }
+            });
+
+            // Every sign-in attempt, for the admin console. outcome: success, two_factor_pending,
+            // invalid_password, unknown_account, two_factor_failed, locked or throttled
+            db.run(`CREATE TABLE IF NOT EXISTS login_attempts (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                email TEXT,
+                user_id INTEGER,
+                ip TEXT,
+                user_agent TEXT,
+                outcome TEXT NOT NULL,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            )`, (err) => {
+                if (err) {
+                    console.error('Error creating login attempts table:', err.message);
+                } else {
+                    console.log('Login attempts table ready.');
+                }
+            });
+
+            db.run(`CREATE INDEX IF NOT EXISTS idx_login_attempts_created_at ON login_attempts(created_at)`, (err) => {
+                if (err) {
+                    console.error('Error creating index:', err.message);
+                }
+            });
+
+            // Rate limit counters when THROTTLE_STORE=sqlite (last_at in milliseconds)
+            db.run(`CREATE TABLE IF NOT EXISTS throttle_counters (
+                key TEXT PRIMARY KEY,
+                count INTEGER NOT NULL,
+                last_at INTEGER NOT NULL
+            )`, (err) => {
+                if (err) {
+                    console.error('Error creating throttle counters table:', err.message);
+                } else {
+                    console.log('Throttle counters table ready.');
+                }
+            });
+
+            // Every status change and reschedule of a booking, oldest first
+            db.run(`CREATE TABLE IF NOT EXISTS booking_status_history (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                booking_id INTEGER NOT NULL,
+                from_status TEXT,
+                to_status TEXT NOT NULL,
+                changed_by TEXT,
+                changed_by_role TEXT,
+                note TEXT,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (booking_id) REFERENCES bookings(id) ON DELETE CASCADE
+            )`, (err) => {
+                if (err) {
+                    console.error('Error creating booking status history table:', err.message);
+                } else {
+                    console.log('Booking status history table ready.');
+                }
+            });
+
+            db.run(`CREATE INDEX IF NOT EXISTS idx_booking_status_history_booking_id ON booking_status_history(booking_id)`, (err) => {
+                if (err) {
+                    console.error('Error creating index:', err.message);
+                }
+            });
+
+            // Files in a user's document vault. stored_name is the file under DOCUMENT_STORAGE_DIR
+            // (random, so user-chosen names never reach the disk); name is what the user sees.
+            db.run(`CREATE TABLE IF NOT EXISTS documents (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                user_id INTEGER NOT NULL,
+                name TEXT NOT NULL,
+                stored_name TEXT UNIQUE NOT NULL,
+                mime_type TEXT NOT NULL,
+                size INTEGER NOT NULL,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+            )`, (err) => {
+                if (err) {
+                    console.error('Error creating documents table:', err.message);
+                } else {
+                    console.log('Documents table ready.');
+                }
+            });
+
+            db.run(`CREATE INDEX IF NOT EXISTS idx_documents_user_id ON documents(user_id)`, (err) => {
+                if (err) {
+                    console.error('Error creating index:', err.message);
+                }
+            });
+
+            // Messages form a tree so a question can have several alternate answers.
+            // Existing flat conversations become a single chain in id order.
+            addColumnIfMissing('messages', 'parent_message_id', 'INTEGER', () => {
+                db.run(`UPDATE messages SET parent_message_id = (
+                    SELECT MAX(previous.id) FROM messages previous
+                    WHERE previous.conversation_id = messages.conversation_id AND previous.id < messages.id
+                )`, (err) => {
+                    if (err) {
+                        console.error('Error linking existing messages:', err.message);
+                    }
+                });
+            });
+            // Last message of the branch the user is viewing
+            addColumnIfMissing('conversations', 'current_message_id', 'INTEGER');
+
             // Create index for faster queries
             db.run(`CREATE INDEX IF NOT EXISTS idx_conversations_user_id ON conversations(user_id)`, (err) => {
                 if (err) {
@@ -154,15 +685,61 @@ function initializeDatabase() {
                     console.error('Error creating index:', err.message);
                 }
             });
+
+            // A lawyer's slot can only be held by one booking that has not been cancelled or declined
+            db.run(`CREATE UNIQUE INDEX IF NOT EXISTS idx_bookings_lawyer_slot
+                ON bookings(lawyer_id, appointment_date, appointment_time)
+                WHERE status NOT IN ('cancelled', 'declined')`, (err) => {
+                if (err) {
+                    console.error('Error creating booking slot index:', err.message);
+                }
+                // Guests that expired and accounts whose deletion came due while the server was
+                // down. Started from this callback so their transactions cannot begin before the
+                // tables above (and the deletion column) exist.
+                cleanupExpiredGuests();
+                deletionColumnReady.then(purgeDeletedAccounts);
+                removeOrphanedRows();
+            });
+
+            // Index conversations saved before search existed
+            indexMissingChatSearchRows();
         });
     } catch (error) {
         console.error('Error initializing database:', error.message);
     }
 }
 
+// Add a column to an existing table (simple migration for databases created by older versions).
+// onAdded runs once, right after the column is created, to backfill existing rows.
+// The returned promise settles (never rejects) once the column is in place or failed.
+function addColumnIfMissing(table, column, definition, onAdded = null) {
+    return new Promise((resolve) => {
+        db.all(`PRAGMA table_info(${table})`, (err, columns) => {
+            if (err) {
+                console.error(`Error reading ${table} schema:`, err.message);
+                return resolve();
+            }
+            if (columns.some(c => c.name === column)) {
+                return resolve();
+            }
+            db.run(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`, (alterErr) => {
+                if (alterErr) {
+                    console.error(`Error adding ${table}.${column}:`, alterErr.message);
+                } else {
+                    console.log(`Added column ${table}.${column}.`);
+                    if (onAdded) {
+                        onAdded();
+                    }
+                }
+                resolve();
+            });
+        });
+    });
+}
+
 // Helper function to query database (promise-based)
 function dbQuery(sql, params = []) {
-    return new Promise((resolve, reject) => {
+    return scheduleStatement(() => new Promise((resolve, reject) => {
         if (!db || typeof db.all !== 'function') {
             return reject(new Error('Database not available'));
         }
@@ -179,11 +756,11 @@ function dbQuery(sql, params = []) {
             console.error('Database query exception:', error.message);
             reject(error);
         }
-    });
+    }));
 }
 
 function dbRun(sql, params = []) {
-    return new Promise((resolve, reject) => {
+    return scheduleStatement(() => new Promise((resolve, reject) => {
         if (!db || typeof db.run !== 'function') {
             return reject(new Error('Database not available'));
         }
@@ -200,29 +777,535 @@ function dbRun(sql, params = []) {
             console.error('Database run exception:', error.message);
             reject(error);
         }
-    });
+    }));
 }
 
-// API Routes
-
-// Register endpoint
-app.post('/api/register', async (req, res) => {
-    try {
-        const { name, email, password, confirmPassword } = req.body;
-
-        // Validation
-        if (!name || !email || !password || !confirmPassword) {
-            return res.status(400).json({ success: false, message: 'All fields are required' });
+// Run work() inside a transaction. All requests share one connection, so transactions
+// are queued one after another instead of being nested, and while one is open every
+// query that does not come from its work() waits for it to end. Otherwise another
+// request's writes would join the transaction (and be lost on a ROLLBACK) and its reads
+// would see uncommitted rows.
+const transactionScope = new AsyncLocalStorage();
+let openTransaction = null;
+let transactionQueue = Promise.resolve();
+// Statements from outside a transaction that are still running; BEGIN waits for them
+let runningStatements = 0;
+let onStatementsFinished = null;
+
+// Start a statement (execute() returns its promise) as soon as it may run: right away,
+// unless a transaction is open that it is not part of
+function scheduleStatement(execute) {
+    if (openTransaction && transactionScope.getStore() !== openTransaction) {
+        return openTransaction.ended.then(() => scheduleStatement(execute));
+    }
+    if (openTransaction) {
+        return execute();
+    }
+    runningStatements += 1;
+    return execute().finally(() => {
+        runningStatements -= 1;
+        if (runningStatements === 0 && onStatementsFinished) {
+            onStatementsFinished();
+            onStatementsFinished = null;
         }
+    });
+}
 
-        if (password !== confirmPassword) {
-            return res.status(400).json({ success: false, message: 'Passwords do not match' });
+function runInTransaction(work) {
+    const run = async () => {
+        const transaction = {};
+        transaction.ended = new Promise(resolve => {
+            transaction.end = resolve;
+        });
+        openTransaction = transaction;
+        try {
+            if (runningStatements > 0) {
+                await new Promise(resolve => {
+                    onStatementsFinished = resolve;
+                });
+            }
+            return await transactionScope.run(transaction, async () => {
+                await dbRun('BEGIN IMMEDIATE TRANSACTION');
+                try {
+                    const result = await work();
+                    await dbRun('COMMIT');
+                    return result;
+                } catch (error) {
+                    await dbRun('ROLLBACK').catch(() => {});
+                    throw error;
+                }
+            });
+        } finally {
+            openTransaction = null;
+            transaction.end();
         }
+    };
+    const result = transactionQueue.then(run, run);
+    transactionQueue = result.catch(() => {});
+    return result;
+}
 
-        if (password.length < 6) {
+// ==================== Authorization ====================
+// Accounts have a role: 'client' (default), 'lawyer' (linked to a directory entry through
+// users.lawyer_id) or 'admin'. Guests have a session but no account. Roles are read from the
+// database on every request, so a role change applies without logging in again.
+// Lawyers and admins must turn on two-factor authentication before using their role.
+
+const USER_ROLES = ['client', 'lawyer', 'admin'];
+const TWO_FACTOR_ROLES = ['lawyer', 'admin'];
+const ROLE_REQUIRED_MESSAGES = {
+    admin: 'Admin access required',
+    lawyer: 'Lawyer access required',
+    'lawyer,admin': 'Lawyer or admin access required'
+};
+
+// Emails that become admins once they are verified, to create the first admin account.
+// Anyone can register an address, so the role waits until its owner opened the link.
+function isBootstrapAdminEmail(email) {
+    return (process.env.ADMIN_EMAILS || '')
+        .split(',')
+        .map(e => e.trim().toLowerCase())
+        .filter(Boolean)
+        .includes((email || '').toLowerCase());
+}
+
+function isGuestSession(req) {
+    return !!req.session.isGuest || String(req.session.userId).startsWith(GUEST_ID_PREFIX);
+}
+
+// { id, email, role, lawyerId, emailVerified, twoFactorEnabled } of the logged-in account, or
+// null for guests and anonymous requests
+async function loadSessionAccount(req) {
+    if (!req.session.userId || isGuestSession(req)) {
+        return null;
+    }
+    const users = await dbQuery(
+        'SELECT id, email, role, lawyer_id, email_verified, totp_enabled FROM users WHERE id = ?',
+        [req.session.userId]
+    );
+    if (users.length === 0) {
+        return null;
+    }
+    return {
+        id: users[0].id,
+        email: users[0].email,
+        role: users[0].role || 'client',
+        lawyerId: users[0].lawyer_id,
+        emailVerified: users[0].email_verified === 1,
+        twoFactorEnabled: users[0].totp_enabled === 1
+    };
+}
+
+// Any session, including guests
+async function requireAuth(req, res, next) {
+    if (!req.session.userId) {
+        return res.status(401).json({ 
+            success: false, 
+            message: 'Not authenticated' 
+        });
+    }
+    if (isGuestSession(req)) {
+        try {
+            await refreshGuestIdentity(req);
+        } catch (error) {
+            return next(error);
+        }
+    }
+    next();
+}
+
+// A registered account with one of the given roles (any role if none are given).
+// Lawyer and admin routes also need 2FA to be on. Sets req.account for the route.
+function requireRole(...roles) {
+    return async (req, res, next) => {
+        if (!req.session.userId) {
+            return res.status(401).json({ 
+                success: false, 
+                message: 'Not authenticated' 
+            });
+        }
+        try {
+            const account = await loadSessionAccount(req);
+            if (!account || (roles.length > 0 && !roles.includes(account.role))) {
+                return res.status(403).json({ 
+                    success: false, 
+                    message: account ? ROLE_REQUIRED_MESSAGES[roles.join(',')] || 'Access denied' : 'Please sign in with an account' 
+                });
+            }
+            if (roles.includes('admin') && account.role === 'admin' && !account.emailVerified) {
+                return res.status(403).json({ 
+                    success: false, 
+                    code: 'EMAIL_NOT_VERIFIED',
+                    message: 'Verify your email address to use admin features' 
+                });
+            }
+            if (roles.length > 0 && TWO_FACTOR_ROLES.includes(account.role) && !account.twoFactorEnabled) {
+                return res.status(403).json({ 
+                    success: false, 
+                    code: 'TWO_FACTOR_REQUIRED',
+                    message: 'Turn on two-factor authentication in your dashboard settings to use lawyer and admin features' 
+                });
+            }
+            req.account = account;
+            next();
+        } catch (error) {
+            console.error('Authorization error:', error);
+            res.status(500).json({ 
+                success: false, 
+                message: 'Error checking permissions: ' + (error.message || 'Unknown error') 
+            });
+        }
+    };
+}
+
+// A registered account whose email address has been verified. Sets req.account for the route.
+async function requireVerifiedEmail(req, res, next) {
+    if (!req.session.userId) {
+        return res.status(401).json({ 
+            success: false, 
+            message: 'Not authenticated' 
+        });
+    }
+    try {
+        const account = await loadSessionAccount(req);
+        if (!account || !account.emailVerified) {
+            return res.status(403).json({ 
+                success: false, 
+                code: account ? 'EMAIL_NOT_VERIFIED' : 'ACCOUNT_REQUIRED',
+                message: account
+                    ? 'Please verify your email address first. Open the link we emailed you, or request a new one from your dashboard.'
+                    : 'Please sign up and verify your email address first.'
+            });
+        }
+        req.account = account;
+        next();
+    } catch (error) {
+        console.error('Authorization error:', error);
+        res.status(500).json({ 
+            success: false, 
+            message: 'Error checking permissions: ' + (error.message || 'Unknown error') 
+        });
+    }
+}
+
+// ==================== Mail ====================
+// Outgoing email goes through a transport chosen with MAIL_TRANSPORT:
+//   smtp - an SMTP server; locally a catcher such as Mailpit or MailHog (SMTP_HOST, default localhost:1025)
+//   file - every message is written as an .eml file to MAIL_DROP_DIR (default ./mail-outbox)
+// Without MAIL_TRANSPORT, smtp is used when SMTP_HOST is set, otherwise file.
+
+const MAIL_FROM = process.env.MAIL_FROM || 'Know Law <no-reply@knowlaw.local>';
+const MAIL_DROP_DIR = path.resolve(process.env.MAIL_DROP_DIR || path.join(__dirname, 'mail-outbox'));
+
+function createSmtpMailTransport() {
+    const transporter = nodemailer.createTransport({
+        host: process.env.SMTP_HOST || 'localhost',
+        port: parseInt(process.env.SMTP_PORT) || 1025,
+        secure: process.env.SMTP_SECURE === 'true',
+        auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined
+    });
+    return {
+        name: 'smtp',
+        send: (message) => transporter.sendMail(message)
+    };
+}
+
+function createFileMailTransport() {
+    const transporter = nodemailer.createTransport({ streamTransport: true, buffer: true, newline: 'unix' });
+    return {
+        name: 'file',
+        send: async (message) => {
+            const info = await transporter.sendMail(message);
+            await fs.promises.mkdir(MAIL_DROP_DIR, { recursive: true });
+            const file = path.join(MAIL_DROP_DIR, `${Date.now()}-${crypto.randomBytes(4).toString('hex')}.eml`);
+            await fs.promises.writeFile(file, info.message);
+            console.log(`📧 Mail to ${message.to} written to ${file}`);
+            return info;
+        }
+    };
+}
+
+// Resolve the configured transport (created once)
+let mailTransport;
+function getMailTransport() {
+    if (!mailTransport) {
+        const name = (process.env.MAIL_TRANSPORT || (process.env.SMTP_HOST ? 'smtp' : 'file')).trim().toLowerCase();
+        if (name !== 'smtp' && name !== 'file') {
+            console.warn(`⚠️ Unknown MAIL_TRANSPORT "${name}". Writing mail to ${MAIL_DROP_DIR}.`);
+        }
+        mailTransport = name === 'smtp' ? createSmtpMailTransport() : createFileMailTransport();
+    }
+    return mailTransport;
+}
+
+// Send an email. message: { to, subject, text, html }
+async function sendMail(message) {
+    return getMailTransport().send({ from: MAIL_FROM, ...message });
+}
+
+// Base URL for links in emails and calendar feeds. It never comes from the request: the
+// Host header is chosen by the client and must not decide where a reset link points.
+// Production has to set APP_BASE_URL; development links point at this server on localhost.
+if (process.env.NODE_ENV === 'production' && !process.env.APP_BASE_URL) {
+    console.error('APP_BASE_URL must be set in production.');
+    process.exit(1);
+}
+const APP_BASE_URL = (process.env.APP_BASE_URL || `http://localhost:${PORT}`).replace(/\/+$/, '');
+
+// ==================== Login throttling ====================
+// Failed sign-ins are counted per IP address and per email, registrations per IP address,
+// password reset requests per IP address and per email.
+// After a rule's free attempts every further try waits twice as long as the one before,
+// up to THROTTLE_MAX_DELAY_SECONDS. Counters are kept in memory, or in the database with
+// THROTTLE_STORE=sqlite so they survive restarts and are shared by several processes.
+// Separately, LOGIN_LOCKOUT_THRESHOLD wrong passwords in a row lock the account for
+// LOGIN_LOCKOUT_MINUTES; a password reset or an admin unlocks it earlier.
+
+const THROTTLE_MAX_DELAY_SECONDS = parseInt(process.env.THROTTLE_MAX_DELAY_SECONDS) || 15 * 60;
+const LOGIN_LOCKOUT_THRESHOLD = parseInt(process.env.LOGIN_LOCKOUT_THRESHOLD) || 10;
+const LOGIN_LOCKOUT_MINUTES = parseInt(process.env.LOGIN_LOCKOUT_MINUTES) || 30;
+const LOGIN_ATTEMPT_RETENTION_DAYS = 90;
+const INVALID_LOGIN_MESSAGE = 'Invalid email or password';
+
+// freeAttempts: hits before backoff starts; a counter is forgotten windowMinutes after its last hit
+const THROTTLE_RULES = {
+    loginIp: { freeAttempts: 20, windowMinutes: 15 },
+    loginAccount: { freeAttempts: 3, windowMinutes: 15 },
+    register: { freeAttempts: 5, windowMinutes: 60 },
+    passwordResetIp: { freeAttempts: 10, windowMinutes: 60 },
+    passwordResetAccount: { freeAttempts: 3, windowMinutes: 60 },
+    guest: { freeAttempts: 20, windowMinutes: 60 }
+};
+
+// Compared against when the email is unknown, so both failures take as long
+const UNKNOWN_ACCOUNT_PASSWORD_HASH = bcrypt.hashSync(crypto.randomBytes(16).toString('hex'), 10);
+
+// A throttle store keeps { count, lastAt } per key. hit() must be atomic.
+function createMemoryThrottleStore() {
+    const counters = new Map();
+    return {
+        name: 'memory',
+        async get(key) {
+            return counters.get(key) || null;
+        },
+        async hit(key, now, windowMs) {
+            const entry = counters.get(key);
+            const count = entry && entry.lastAt >= now - windowMs ? entry.count + 1 : 1;
+            counters.set(key, { count: count, lastAt: now });
+        },
+        async remove(key) {
+            counters.delete(key);
+        },
+        async prune(before) {
+            for (const [key, entry] of counters) {
+                if (entry.lastAt < before) {
+                    counters.delete(key);
+                }
+            }
+        }
+    };
+}
+
+function createSqliteThrottleStore() {
+    return {
+        name: 'sqlite',
+        async get(key) {
+            const rows = await dbQuery('SELECT count, last_at FROM throttle_counters WHERE key = ?', [key]);
+            return rows.length > 0 ? { count: rows[0].count, lastAt: rows[0].last_at } : null;
+        },
+        async hit(key, now, windowMs) {
+            await dbRun(
+                `INSERT INTO throttle_counters (key, count, last_at) VALUES (?, 1, ?)
+                 ON CONFLICT (key) DO UPDATE SET
+                     count = CASE WHEN throttle_counters.last_at >= ? THEN throttle_counters.count + 1 ELSE 1 END,
+                     last_at = excluded.last_at`,
+                [key, now, now - windowMs]
+            );
+        },
+        async remove(key) {
+            await dbRun('DELETE FROM throttle_counters WHERE key = ?', [key]);
+        },
+        async prune(before) {
+            await dbRun('DELETE FROM throttle_counters WHERE last_at < ?', [before]);
+        }
+    };
+}
+
+let throttleStore = null;
+
+function getThrottleStore() {
+    if (!throttleStore) {
+        const name = (process.env.THROTTLE_STORE || 'memory').toLowerCase();
+        if (!['memory', 'sqlite'].includes(name)) {
+            console.warn(`Unknown THROTTLE_STORE "${name}", using memory.`);
+        }
+        throttleStore = name === 'sqlite' ? createSqliteThrottleStore() : createMemoryThrottleStore();
+    }
+    return throttleStore;
+}
+
+function loginAccountKey(email) {
+    return 'login-account:' + String(email).trim().toLowerCase();
+}
+
+// Seconds the key still has to wait under the rule (0 = may try now)
+async function getThrottleWait(rule, key) {
+    const now = Date.now();
+    const entry = await getThrottleStore().get(key);
+    if (!entry || entry.count < rule.freeAttempts || entry.lastAt < now - rule.windowMinutes * 60 * 1000) {
+        return 0;
+    }
+    const delaySeconds = Math.min(2 ** (entry.count - rule.freeAttempts), THROTTLE_MAX_DELAY_SECONDS);
+    return Math.max(0, Math.ceil((entry.lastAt + delaySeconds * 1000 - now) / 1000));
+}
+
+async function recordThrottleHit(rule, key) {
+    await getThrottleStore().hit(key, Date.now(), rule.windowMinutes * 60 * 1000);
+}
+
+function sendThrottled(res, waitSeconds) {
+    const minutes = Math.ceil(waitSeconds / 60);
+    const wait = waitSeconds < 60
+        ? `${waitSeconds} second${waitSeconds === 1 ? '' : 's'}`
+        : `${minutes} minute${minutes === 1 ? '' : 's'}`;
+    res.set('Retry-After', String(waitSeconds));
+    return res.status(429).json({ 
+        success: false, 
+        code: 'TOO_MANY_ATTEMPTS',
+        retryAfter: waitSeconds,
+        message: `Too many attempts. Please wait ${wait} and try again.` 
+    });
+}
+
+function sendAccountLocked(res) {
+    return res.status(423).json({ 
+        success: false, 
+        code: 'ACCOUNT_LOCKED',
+        message: `This account is locked after too many failed sign-ins. Try again in ${LOGIN_LOCKOUT_MINUTES} minutes, or reset your password to unlock it now.` 
+    });
+}
+
+// Keep a row for the admin console; a failure here never blocks the sign-in itself
+async function recordLoginAttempt(req, { email, userId, outcome }) {
+    try {
+        await dbRun(
+            'INSERT INTO login_attempts (email, user_id, ip, user_agent, outcome) VALUES (?, ?, ?, ?, ?)',
+            [email ? String(email).trim().toLowerCase() : null, userId || null, req.ip, (req.get('user-agent') || '').slice(0, 255), outcome]
+        );
+    } catch (error) {
+        console.error('Record login attempt error:', error);
+    }
+}
+
+// Count a wrong password against the account. Returns true when this one locked it.
+async function registerFailedPassword(user) {
+    const lockResult = await dbRun(
+        `UPDATE users SET
+             failed_login_count = CASE WHEN COALESCE(failed_login_count, 0) + 1 >= ? THEN 0 ELSE COALESCE(failed_login_count, 0) + 1 END,
+             locked_until = CASE WHEN COALESCE(failed_login_count, 0) + 1 >= ? THEN datetime('now', ?) ELSE locked_until END
+         WHERE id = ?`,
+        [LOGIN_LOCKOUT_THRESHOLD, LOGIN_LOCKOUT_THRESHOLD, `+${LOGIN_LOCKOUT_MINUTES} minutes`, user.id]
+    );
+    const locked = lockResult.changes > 0 && (user.failed_login_count || 0) + 1 >= LOGIN_LOCKOUT_THRESHOLD;
+    if (locked) {
+        const link = `${APP_BASE_URL}/reset-password.html`;
+        try {
+            await sendMail({
+                to: user.email,
+                subject: 'Your Know Law account was locked',
+                text: `Hello ${user.name},\n\nAfter ${LOGIN_LOCKOUT_THRESHOLD} failed sign-in attempts we locked your Know Law account for ${LOGIN_LOCKOUT_MINUTES} minutes. If this was you, wait or reset your password to unlock it now:\n\n${link}\n\nIf it was not you, someone may be guessing your password: reset it to be safe.\n\nKnow Law`,
+                html: `<p>Hello ${escapeHtml(user.name)},</p>
+<p>After ${LOGIN_LOCKOUT_THRESHOLD} failed sign-in attempts we locked your Know Law account for ${LOGIN_LOCKOUT_MINUTES} minutes. If this was you, wait or <a href="${link}">reset your password</a> to unlock it now.</p>
+<p>If it was not you, someone may be guessing your password: reset it to be safe.</p>
+<p>Know Law</p>`
+            });
+        } catch (mailError) {
+            console.error('Lockout mail error:', mailError);
+        }
+    }
+    return locked;
+}
+
+// Lift a lock and forget the account's failures (after a password reset or by an admin)
+async function unlockAccount(userId) {
+    const users = await dbQuery('SELECT email FROM users WHERE id = ?', [userId]);
+    if (users.length === 0) {
+        return false;
+    }
+    await dbRun('UPDATE users SET failed_login_count = 0, locked_until = NULL WHERE id = ?', [userId]);
+    await getThrottleStore().remove(loginAccountKey(users[0].email));
+    return true;
+}
+
+// A successful sign-in clears the account's failures (the IP counter keeps running)
+async function clearFailedLogins(user) {
+    if (user.failed_login_count > 0) {
+        await dbRun('UPDATE users SET failed_login_count = 0 WHERE id = ?', [user.id]);
+    }
+    await getThrottleStore().remove(loginAccountKey(user.email));
+}
+
+// Hourly: forget idle counters and old login attempts
+setInterval(() => {
+    const longestWindow = Math.max(...Object.values(THROTTLE_RULES).map(rule => rule.windowMinutes));
+    getThrottleStore().prune(Date.now() - longestWindow * 60 * 1000)
+        .then(() => dbRun("DELETE FROM login_attempts WHERE created_at < datetime('now', ?)", [`-${LOGIN_ATTEMPT_RETENTION_DAYS} days`]))
+        .catch(error => console.error('Prune login throttling error:', error));
+}, 60 * 60 * 1000).unref();
+
+// Log a user in on a new session id. The old session (anonymous, guest or a pending 2FA
+// sign-in) is destroyed, so an id planted in the browser beforehand never gets signed in.
+function startUserSession(req, user) {
+    return new Promise((resolve, reject) => {
+        req.session.regenerate((err) => {
+            if (err) {
+                return reject(err);
+            }
+            req.session.userId = user.id;
+            req.session.userEmail = user.email;
+            req.session.userName = user.name;
+            // Shown in the list of active sessions
+            req.session.device = {
+                ip: req.ip,
+                userAgent: (req.get('user-agent') || '').slice(0, 255),
+                signedInAt: Date.now()
+            };
+            resolve();
+        });
+    });
+}
+
+// API Routes
+
+// Register endpoint
+app.post('/api/register', async (req, res) => {
+    try {
+        const { name, email, password, confirmPassword } = req.body;
+
+        const registerKey = 'register-ip:' + req.ip;
+        const wait = await getThrottleWait(THROTTLE_RULES.register, registerKey);
+        if (wait > 0) {
+            return sendThrottled(res, wait);
+        }
+        await recordThrottleHit(THROTTLE_RULES.register, registerKey);
+
+        // Validation
+        if (!name || !email || !password || !confirmPassword) {
+            return res.status(400).json({ success: false, message: 'All fields are required' });
+        }
+
+        if (password !== confirmPassword) {
+            return res.status(400).json({ success: false, message: 'Passwords do not match' });
+        }
+
+        if (password.length < 6) {
             return res.status(400).json({ success: false, message: 'Password must be at least 6 characters' });
         }
 
+        if (!EMAIL_PATTERN.test(email)) {
+            return res.status(400).json({ success: false, message: 'Please enter a valid email address' });
+        }
+
         // Check if user already exists
         const existingUsers = await dbQuery('SELECT * FROM users WHERE email = ?', [email]);
         if (existingUsers.length > 0) {
@@ -232,25 +1315,38 @@ app.post('/api/register', async (req, res) => {
         // Hash password
         const hashedPassword = await bcrypt.hash(password, 10);
 
-        // Insert user into database
-        const result = await dbRun(
-            'INSERT INTO users (name, email, password) VALUES (?, ?, ?)',
-            [name, email, hashedPassword]
-        );
+        // Insert user into database, with the guest's conversations when asked to keep them
+        const guestId = req.body.mergeGuestData ? getSessionGuestId(req) : null;
+        const { result, guestDataMerged } = await runInTransaction(async () => {
+            const inserted = await dbRun(
+                'INSERT INTO users (name, email, password, role) VALUES (?, ?, ?, ?)',
+                [name, email, hashedPassword, 'client']
+            );
+            return {
+                result: inserted,
+                guestDataMerged: guestId ? await moveGuestData(guestId, inserted.lastID) : undefined
+            };
+        });
+
+        await endGuestSessions(guestId);
+        await startUserSession(req, { id: result.lastID, email: email, name: name });
 
-        // Create session
-        req.session.userId = result.lastID;
-        req.session.userEmail = email;
-        req.session.userName = name;
+        try {
+            await sendVerificationEmail({ id: result.lastID, name: name, email: email });
+        } catch (mailError) {
+            console.error('Verification mail error:', mailError);
+        }
 
         res.json({
             success: true,
-            message: 'Registration successful',
+            message: 'Registration successful. We sent a verification link to ' + email,
             user: {
                 id: result.lastID,
                 name: name,
-                email: email
-            }
+                email: email,
+                emailVerified: false
+            },
+            guestDataMerged: guestDataMerged
         });
     } catch (error) {
         console.error('Registration error:', error);
@@ -273,24 +1369,70 @@ app.post('/api/login', async (req, res) => {
             return res.status(400).json({ success: false, message: 'Email and password are required' });
         }
 
-        // Find user
-        const users = await dbQuery('SELECT * FROM users WHERE email = ?', [email]);
-        if (users.length === 0) {
-            return res.status(401).json({ success: false, message: 'Invalid email or password' });
+        const ipKey = 'login-ip:' + req.ip;
+        const accountKey = loginAccountKey(email);
+        const wait = Math.max(
+            await getThrottleWait(THROTTLE_RULES.loginIp, ipKey),
+            await getThrottleWait(THROTTLE_RULES.loginAccount, accountKey)
+        );
+        if (wait > 0) {
+            await recordLoginAttempt(req, { email: email, outcome: 'throttled' });
+            return sendThrottled(res, wait);
         }
 
+        // Find user
+        const users = await dbQuery(
+            "SELECT *, (locked_until IS NOT NULL AND locked_until > datetime('now')) AS is_locked FROM users WHERE email = ?",
+            [email]
+        );
         const user = users[0];
 
-        // Verify password
-        const isValidPassword = await bcrypt.compare(password, user.password);
-        if (!isValidPassword) {
-            return res.status(401).json({ success: false, message: 'Invalid email or password' });
+        if (user && user.is_locked) {
+            await recordLoginAttempt(req, { email: email, userId: user.id, outcome: 'locked' });
+            return sendAccountLocked(res);
+        }
+
+        // Verify password (unknown emails are checked against a dummy hash so they answer just as slowly)
+        const isValidPassword = await bcrypt.compare(password, user ? user.password : UNKNOWN_ACCOUNT_PASSWORD_HASH);
+        if (!user || !isValidPassword) {
+            await recordThrottleHit(THROTTLE_RULES.loginIp, ipKey);
+            await recordThrottleHit(THROTTLE_RULES.loginAccount, accountKey);
+            const locked = user ? await registerFailedPassword(user) : false;
+            await recordLoginAttempt(req, { email: email, userId: user && user.id, outcome: user ? 'invalid_password' : 'unknown_account' });
+            if (locked) {
+                return sendAccountLocked(res);
+            }
+            return res.status(401).json({ success: false, message: INVALID_LOGIN_MESSAGE });
+        }
+
+        if (user.email_verified === 1 && isBootstrapAdminEmail(user.email) && user.role !== 'admin') {
+            await dbRun("UPDATE users SET role = 'admin', lawyer_id = NULL WHERE id = ?", [user.id]);
+            user.role = 'admin';
+        }
+
+        const guestId = req.body.mergeGuestData ? getSessionGuestId(req) : null;
+
+        // With 2FA on, the session is only created after the second step (/api/login/2fa)
+        if (user.totp_enabled === 1) {
+            await recordLoginAttempt(req, { email: email, userId: user.id, outcome: 'two_factor_pending' });
+            req.session.pendingLogin = {
+                userId: user.id,
+                expiresAt: Date.now() + TWO_FACTOR_LOGIN_TTL_MINUTES * 60 * 1000,
+                attempts: 0,
+                mergeGuestId: guestId
+            };
+            return res.json({
+                success: false,
+                twoFactorRequired: true,
+                message: 'Enter the 6-digit code from your authenticator app'
+            });
         }
 
-        // Create session
-        req.session.userId = user.id;
-        req.session.userEmail = user.email;
-        req.session.userName = user.name;
+        await clearFailedLogins(user);
+        await recordLoginAttempt(req, { email: email, userId: user.id, outcome: 'success' });
+        const guestDataMerged = guestId ? await runInTransaction(() => moveGuestData(guestId, user.id)) : undefined;
+        await endGuestSessions(guestId);
+        await startUserSession(req, user);
 
         res.json({
             success: true,
@@ -299,7 +1441,9 @@ app.post('/api/login', async (req, res) => {
                 id: user.id,
                 name: user.name,
                 email: user.email
-            }
+            },
+            twoFactorSetupRequired: TWO_FACTOR_ROLES.includes(user.role),
+            guestDataMerged: guestDataMerged
         });
     } catch (error) {
         console.error('Login error:', error);
@@ -312,15 +1456,21 @@ app.post('/api/login', async (req, res) => {
 });
 
 // Check session endpoint
-app.get('/api/session', (req, res) => {
+app.get('/api/session', async (req, res) => {
     if (req.session.userId) {
+        const isGuest = isGuestSession(req);
+        const account = await loadSessionAccount(req).catch(() => null);
         res.json({
             success: true,
             user: {
                 id: req.session.userId,
                 email: req.session.userEmail,
                 name: req.session.userName,
-                isGuest: req.session.isGuest || req.session.userId === 'guest'
+                isGuest: isGuest,
+                role: account ? account.role : 'client',
+                lawyerId: account ? account.lawyerId : null,
+                emailVerified: account ? account.emailVerified : false,
+                twoFactorEnabled: account ? account.twoFactorEnabled : false
             }
         });
     } else {
@@ -343,627 +1493,5388 @@ app.post('/api/logout', (req, res) => {
     });
 });
 
-// Guest session endpoint
-app.post('/api/guest', (req, res) => {
-    // Create a guest session
-    req.session.userId = 'guest';
+// ==================== Guests ====================
+// Every visitor who continues without an account gets an identity of their own
+// ("guest-" and random hex) that keys their conversations the way a user id does.
+// Guests unused for GUEST_TTL_HOURS are deleted with their conversations and sessions,
+// and each guest can ask GUEST_DAILY_MESSAGE_LIMIT questions a day.
+
+const GUEST_ID_PREFIX = 'guest';
+const GUEST_TTL_HOURS = parseInt(process.env.GUEST_TTL_HOURS) || 24;
+const GUEST_DAILY_MESSAGE_LIMIT = parseInt(process.env.GUEST_DAILY_MESSAGE_LIMIT) || 10;
+// How often a guest's last_seen_at is written while they browse
+const GUEST_TOUCH_INTERVAL_MS = 10 * 60 * 1000;
+
+async function startGuestSession(req) {
+    const guestId = `${GUEST_ID_PREFIX}-${crypto.randomBytes(16).toString('hex')}`;
+    await dbRun('INSERT INTO guests (id, ip) VALUES (?, ?)', [guestId, req.ip]);
+    req.session.userId = guestId;
     req.session.userEmail = 'guest@knowlaw.com';
     req.session.userName = 'Guest User';
     req.session.isGuest = true;
+    req.session.guestSeenAt = Date.now();
+    return guestId;
+}
 
-    res.json({
-        success: true,
-        message: 'Guest session created',
-        user: {
-            id: 'guest',
-            name: 'Guest User',
-            email: 'guest@knowlaw.com',
-            isGuest: true
-        }
-    });
-});
+// Keep the guest alive while they use the site. A session without a guest row (the
+// shared 'guest' id of older versions, or a guest removed by the cleanup) gets a new
+// identity and starts with an empty history.
+async function refreshGuestIdentity(req) {
+    if (req.session.guestSeenAt && Date.now() - req.session.guestSeenAt < GUEST_TOUCH_INTERVAL_MS) {
+        return;
+    }
+    const result = await dbRun('UPDATE guests SET last_seen_at = CURRENT_TIMESTAMP WHERE id = ?', [req.session.userId]);
+    if (result.changes === 0) {
+        await startGuestSession(req);
+    } else {
+        req.session.guestSeenAt = Date.now();
+    }
+}
 
-// Get user dashboard data
-app.get('/api/dashboard', async (req, res) => {
-    try {
-        // Allow guest access
-        if (!req.session.userId) {
-            return res.status(401).json({ success: false, message: 'Not authenticated' });
-        }
+async function getGuestMessagesLeft(guestId) {
+    const rows = await dbQuery(
+        "SELECT CASE WHEN usage_date = date('now') THEN messages_today ELSE 0 END AS used FROM guests WHERE id = ?",
+        [guestId]
+    );
+    return rows.length > 0 ? Math.max(GUEST_DAILY_MESSAGE_LIMIT - rows[0].used, 0) : GUEST_DAILY_MESSAGE_LIMIT;
+}
 
-        // Handle guest user
-        if (req.session.isGuest || req.session.userId === 'guest') {
-            const totalUsers = await dbQuery('SELECT COUNT(*) as count FROM users');
-            
-            return res.json({
-                success: true,
-                user: {
-                    id: 'guest',
-                    name: 'Guest User',
-                    email: 'guest@knowlaw.com',
-                    createdAt: new Date().toISOString(),
-                    isGuest: true
-                },
-                stats: {
-                    totalUsers: totalUsers[0].count,
-                    daysActive: 0
-                }
+// Count a question against the guest's daily allowance (accounts have no limit). The
+// check and the increment are one statement, so parallel requests cannot overshoot.
+async function enforceGuestMessageLimit(req, res, next) {
+    if (!isGuestSession(req)) {
+        return next();
+    }
+    try {
+        const counted = await dbRun(
+            `UPDATE guests SET
+                 messages_today = CASE WHEN usage_date = date('now') THEN messages_today + 1 ELSE 1 END,
+                 usage_date = date('now'),
+                 last_seen_at = CURRENT_TIMESTAMP
+             WHERE id = ? AND (usage_date IS NULL OR usage_date != date('now') OR messages_today < ?)`,
+            [req.session.userId, GUEST_DAILY_MESSAGE_LIMIT]
+        );
+        if (counted.changes === 0) {
+            return res.status(429).json({ 
+                success: false, 
+                code: 'GUEST_LIMIT_REACHED',
+                message: `Guests can ask ${GUEST_DAILY_MESSAGE_LIMIT} questions a day. Create a free account to keep asking.` 
             });
         }
-
-        // Handle authenticated user
-        const users = await dbQuery('SELECT * FROM users WHERE id = ?', [req.session.userId]);
-        if (users.length === 0) {
-            return res.status(404).json({ success: false, message: 'User not found' });
-        }
-
-        const user = users[0];
-
-        // Get user stats
-        const totalUsers = await dbQuery('SELECT COUNT(*) as count FROM users');
-        
-        // Calculate days since account creation
-        const createdDate = new Date(user.created_at);
-        const now = new Date();
-        const daysActive = Math.floor((now - createdDate) / (1000 * 60 * 60 * 24));
-        
-        res.json({
-            success: true,
-            user: {
-                id: user.id,
-                name: user.name,
-                email: user.email,
-                createdAt: user.created_at
-            },
-            stats: {
-                totalUsers: totalUsers[0].count,
-                daysActive: daysActive
-            }
-        });
+        next();
     } catch (error) {
-        console.error('Dashboard error:', error);
-        const errorMessage = error.message || 'Unknown error occurred';
+        console.error('Guest limit error:', error);
         res.status(500).json({ 
             success: false, 
-            message: 'Server error: ' + errorMessage 
+            message: 'Error checking guest limit: ' + (error.message || 'Unknown error') 
         });
     }
-});
+}
 
-// Serve static files
-app.get('/', (req, res) => {
-    res.sendFile(path.join(__dirname, 'index.html'));
-});
+// Delete guests unused for GUEST_TTL_HOURS with their conversations and sessions, and
+// the conversations older versions kept under the shared 'guest' id. Runs at startup
+// and every hour.
+async function cleanupExpiredGuests() {
+    try {
+        const cutoff = `-${GUEST_TTL_HOURS} hours`;
+        const { expired, conversations } = await runInTransaction(async () => {
+            const expiredGuests = await dbQuery("SELECT id FROM guests WHERE last_seen_at < datetime('now', ?)", [cutoff]);
+            const staleConversations = `SELECT id FROM conversations WHERE user_id LIKE '${GUEST_ID_PREFIX}%'
+                AND user_id NOT IN (SELECT id FROM guests WHERE last_seen_at >= datetime('now', ?))`;
+            await dbRun(`DELETE FROM messages WHERE conversation_id IN (${staleConversations})`, [cutoff]);
+            const removed = await dbRun(`DELETE FROM conversations WHERE id IN (${staleConversations})`, [cutoff]);
+            await dbRun("DELETE FROM guests WHERE last_seen_at < datetime('now', ?)", [cutoff]);
+            return { expired: expiredGuests, conversations: removed.changes };
+        });
+        for (const guest of expired) {
+            await sessionStore.destroyForUser(guest.id);
+        }
+        if (expired.length > 0 || conversations > 0) {
+            console.log(`Guest cleanup: removed ${expired.length} guest(s) and ${conversations} conversation(s).`);
+        }
+    } catch (error) {
+        console.error('Guest cleanup error:', error);
+    }
+}
 
-app.get('/auth.html', (req, res) => {
-    res.sendFile(path.join(__dirname, 'auth.html'));
-});
+setInterval(cleanupExpiredGuests, 60 * 60 * 1000).unref();
 
-app.get('/dashboard.html', (req, res) => {
-    // Allow access to dashboard even without authentication (for guest users)
-    // The dashboard will handle guest mode in the frontend
-    res.sendFile(path.join(__dirname, 'dashboard.html'));
+// Guest identity of this session whose data may move into an account. Never the shared
+// 'guest' id of older versions: its conversations belong to many visitors.
+function getSessionGuestId(req) {
+    const userId = String(req.session.userId);
+    return isGuestSession(req) && userId.startsWith(GUEST_ID_PREFIX + '-') ? userId : null;
+}
+
+async function summarizeGuestData(guestId) {
+    const [conversations, messages, bookings] = await Promise.all([
+        dbQuery('SELECT COUNT(*) AS count FROM conversations WHERE user_id = ?', [guestId]),
+        dbQuery('SELECT COUNT(*) AS count FROM messages WHERE conversation_id IN (SELECT id FROM conversations WHERE user_id = ?)', [guestId]),
+        dbQuery('SELECT COUNT(*) AS count FROM bookings WHERE user_id = ?', [guestId])
+    ]);
+    return {
+        conversations: conversations[0].count,
+        messages: messages[0].count,
+        bookings: bookings[0].count
+    };
+}
+
+// Move a guest's conversations (their messages follow) and bookings to an account and
+// drop the guest. Call inside runInTransaction so it happens completely or not at all.
+async function moveGuestData(guestId, userId) {
+    const moved = await summarizeGuestData(guestId);
+    await dbRun('UPDATE conversations SET user_id = ? WHERE user_id = ?', [String(userId), guestId]);
+    await dbRun('UPDATE bookings SET user_id = ? WHERE user_id = ?', [String(userId), guestId]);
+    await dbRun('UPDATE booking_status_history SET changed_by = ? WHERE changed_by = ?', [String(userId), guestId]);
+    await dbRun('UPDATE lawyer_client_notes SET client_user_id = ? WHERE client_user_id = ?', [String(userId), guestId]);
+    await dbRun('DELETE FROM guests WHERE id = ?', [guestId]);
+    return moved;
+}
+
+// Once its data is in an account, a guest identity stays signed in nowhere. Call after the
+// move has committed and before startUserSession, which gives this browser a new session id.
+async function endGuestSessions(guestId) {
+    if (guestId) {
+        await sessionStore.destroyForUser(guestId);
+    }
+}
+
+// What this guest session would bring into an account (shown on the sign-in page)
+app.get('/api/guest/summary', async (req, res) => {
+    try {
+        const guestId = getSessionGuestId(req);
+        res.json({
+            success: true,
+            isGuest: !!guestId,
+            ...(guestId ? await summarizeGuestData(guestId) : { conversations: 0, messages: 0, bookings: 0 })
+        });
+    } catch (error) {
+        console.error('Guest summary error:', error);
+        res.status(500).json({ 
+            success: false, 
+            message: 'Error fetching guest data: ' + (error.message || 'Unknown error') 
+        });
+    }
 });
 
-app.get('/chat.html', (req, res) => {
-    res.sendFile(path.join(__dirname, 'chat.html'));
+// Start a guest session. A visitor who already has a guest identity keeps it.
+app.post('/api/guest', async (req, res) => {
+    try {
+        const current = isGuestSession(req)
+            ? await dbQuery('SELECT id FROM guests WHERE id = ?', [req.session.userId])
+            : [];
+        if (current.length === 0) {
+            const guestKey = 'guest-ip:' + req.ip;
+            const wait = await getThrottleWait(THROTTLE_RULES.guest, guestKey);
+            if (wait > 0) {
+                return sendThrottled(res, wait);
+            }
+            await recordThrottleHit(THROTTLE_RULES.guest, guestKey);
+            await startGuestSession(req);
+        }
+
+        res.json({
+            success: true,
+            message: current.length === 0 ? 'Guest session created' : 'Guest session resumed',
+            user: {
+                id: req.session.userId,
+                name: 'Guest User',
+                email: 'guest@knowlaw.com',
+                isGuest: true,
+                messagesLeftToday: await getGuestMessagesLeft(req.session.userId)
+            }
+        });
+    } catch (error) {
+        console.error('Guest session error:', error);
+        res.status(500).json({ 
+            success: false, 
+            message: 'Error creating guest session: ' + (error.message || 'Unknown error') 
+        });
+    }
 });
 
-app.get('/booking.html', (req, res) => {
-    res.sendFile(path.join(__dirname, 'booking.html'));
+// ==================== Password reset ====================
+// A reset link carries a random token; the database keeps only its SHA-256 hash. Tokens
+// expire after PASSWORD_RESET_TTL_MINUTES and are marked used on the first reset.
+
+const PASSWORD_RESET_TTL_MINUTES = parseInt(process.env.PASSWORD_RESET_TTL_MINUTES) || 60;
+const PASSWORD_RESET_RESEND_INTERVAL_SECONDS = 60;
+const PASSWORD_RESET_REQUESTED_MESSAGE = 'If an account exists for this email, we sent a link to reset its password.';
+
+function hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+// Unused, unexpired token row by the token from the link (null if invalid)
+async function findPasswordResetToken(token) {
+    if (typeof token !== 'string' || !/^[a-f0-9]{64}$/.test(token)) {
+        return null;
+    }
+    const rows = await dbQuery(
+        `SELECT password_reset_tokens.*, users.email FROM password_reset_tokens
+         JOIN users ON users.id = password_reset_tokens.user_id
+         WHERE token_hash = ? AND used_at IS NULL AND expires_at > datetime('now')`,
+        [hashToken(token)]
+    );
+    return rows.length > 0 ? rows[0] : null;
+}
+
+// Request a reset link. Always answers the same way, so it cannot be used to find accounts.
+app.post('/api/password/forgot', async (req, res) => {
+    try {
+        const email = (req.body.email || '').toString().trim();
+        if (!email) {
+            return res.status(400).json({ success: false, message: 'Email is required' });
+        }
+
+        // Counted by the address typed, whether or not it has an account
+        const ipKey = 'password-reset-ip:' + req.ip;
+        const accountKey = 'password-reset-account:' + email.toLowerCase();
+        const wait = Math.max(
+            await getThrottleWait(THROTTLE_RULES.passwordResetIp, ipKey),
+            await getThrottleWait(THROTTLE_RULES.passwordResetAccount, accountKey)
+        );
+        if (wait > 0) {
+            return sendThrottled(res, wait);
+        }
+        await recordThrottleHit(THROTTLE_RULES.passwordResetIp, ipKey);
+        await recordThrottleHit(THROTTLE_RULES.passwordResetAccount, accountKey);
+
+        const users = await dbQuery('SELECT id, name, email FROM users WHERE email = ?', [email]);
+        // A link sent in the last minute is kept: a repeated request neither mails nor revokes it
+        const recent = users.length === 0 ? [] : await dbQuery(
+            `SELECT id FROM password_reset_tokens
+             WHERE user_id = ? AND created_at > datetime('now', ?)`,
+            [users[0].id, `-${PASSWORD_RESET_RESEND_INTERVAL_SECONDS} seconds`]
+        );
+        if (users.length > 0 && recent.length === 0) {
+            const user = users[0];
+            const token = crypto.randomBytes(32).toString('hex');
+
+            // Only the newest link works
+            await runInTransaction(async () => {
+                await dbRun("UPDATE password_reset_tokens SET used_at = datetime('now') WHERE user_id = ? AND used_at IS NULL", [user.id]);
+                await dbRun(
+                    `INSERT INTO password_reset_tokens (user_id, token_hash, expires_at)
+                     VALUES (?, ?, datetime('now', ?))`,
+                    [user.id, hashToken(token), `+${PASSWORD_RESET_TTL_MINUTES} minutes`]
+                );
+            });
+
+            const link = `${APP_BASE_URL}/reset-password.html?token=${token}`;
+            try {
+                await sendMail({
+                    to: user.email,
+                    subject: 'Reset your Know Law password',
+                    text: `Hello ${user.name},\n\nWe received a request to reset the password of your Know Law account. Open this link to choose a new password:\n\n${link}\n\nThe link works once and expires in ${PASSWORD_RESET_TTL_MINUTES} minutes. If you did not ask for this, you can ignore this email; your password stays the same.\n\nKnow Law`,
+                    html: `<p>Hello ${escapeHtml(user.name)},</p>
+<p>We received a request to reset the password of your Know Law account.</p>
+<p><a href="${link}">Choose a new password</a></p>
+<p>The link works once and expires in ${PASSWORD_RESET_TTL_MINUTES} minutes. If you did not ask for this, you can ignore this email; your password stays the same.</p>
+<p>Know Law</p>`
+                });
+            } catch (mailError) {
+                console.error('Password reset mail error:', mailError);
+            }
+        }
+
+        res.json({
+            success: true,
+            message: PASSWORD_RESET_REQUESTED_MESSAGE
+        });
+    } catch (error) {
+        console.error('Forgot password error:', error);
+        res.status(500).json({ 
+            success: false, 
+            message: 'Error requesting password reset: ' + (error.message || 'Unknown error') 
+        });
+    }
 });
 
-// Get all conversations for the current user
-app.get('/api/chats', async (req, res) => {
+// Check a reset link before showing the form
+app.get('/api/password/reset/:token', async (req, res) => {
     try {
-        if (!req.session.userId) {
-            return res.status(401).json({ 
+        const resetToken = await findPasswordResetToken(req.params.token);
+        if (!resetToken) {
+            return res.status(400).json({ 
                 success: false, 
-                message: 'Not authenticated' 
+                message: 'This reset link is invalid or has expired. Please request a new one.' 
             });
         }
 
-        const userId = req.session.userId.toString();
-        const conversations = await dbQuery(
-            'SELECT * FROM conversations WHERE user_id = ? ORDER BY updated_at DESC',
-            [userId]
-        );
-
         res.json({
             success: true,
-            conversations: conversations
+            email: resetToken.email,
+            expiresAt: resetToken.expires_at
         });
     } catch (error) {
-        console.error('Get conversations error:', error);
+        console.error('Check reset token error:', error);
         res.status(500).json({ 
             success: false, 
-            message: 'Error fetching conversations: ' + (error.message || 'Unknown error') 
+            message: 'Error checking reset link: ' + (error.message || 'Unknown error') 
         });
     }
 });
 
-// Get messages for a specific conversation
-app.get('/api/chats/:chatId', async (req, res) => {
+// Set a new password with a token from a reset link. Body: { token, password, confirmPassword }
+app.post('/api/password/reset', async (req, res) => {
     try {
-        if (!req.session.userId) {
-            return res.status(401).json({ 
+        const { token, password, confirmPassword } = req.body;
+
+        if (!token || !password || !confirmPassword) {
+            return res.status(400).json({ success: false, message: 'All fields are required' });
+        }
+
+        if (password !== confirmPassword) {
+            return res.status(400).json({ success: false, message: 'Passwords do not match' });
+        }
+
+        if (password.length < 6) {
+            return res.status(400).json({ success: false, message: 'Password must be at least 6 characters' });
+        }
+
+        const resetToken = await findPasswordResetToken(token);
+        const hashedPassword = resetToken ? await bcrypt.hash(password, 10) : null;
+        const reset = resetToken && await runInTransaction(async () => {
+            // Claim the token first, so a link used twice at the same time only works once
+            const claimed = await dbRun(
+                "UPDATE password_reset_tokens SET used_at = datetime('now') WHERE id = ? AND used_at IS NULL",
+                [resetToken.id]
+            );
+            if (claimed.changes === 0) {
+                return false;
+            }
+            await dbRun('UPDATE users SET password = ? WHERE id = ?', [hashedPassword, resetToken.user_id]);
+            await dbRun("UPDATE password_reset_tokens SET used_at = datetime('now') WHERE user_id = ? AND used_at IS NULL", [resetToken.user_id]);
+            return true;
+        });
+
+        // Proving access to the mailbox also lifts a lockout. Devices signed in with
+        // the old password are signed out.
+        if (reset) {
+            await unlockAccount(resetToken.user_id);
+            await sessionStore.destroyForUser(resetToken.user_id);
+        }
+
+        if (!reset) {
+            return res.status(400).json({ 
                 success: false, 
-                message: 'Not authenticated' 
+                message: 'This reset link is invalid or has expired. Please request a new one.' 
             });
         }
 
-        const chatId = parseInt(req.params.chatId);
-        const userId = req.session.userId.toString();
+        res.json({
+            success: true,
+            message: 'Your password has been reset. You can now sign in.'
+        });
+    } catch (error) {
+        console.error('Reset password error:', error);
+        res.status(500).json({ 
+            success: false, 
+            message: 'Error resetting password: ' + (error.message || 'Unknown error') 
+        });
+    }
+});
 
-        // Verify conversation belongs to user
-        const conversations = await dbQuery(
-            'SELECT * FROM conversations WHERE id = ? AND user_id = ?',
-            [chatId, userId]
+// ==================== Email verification ====================
+// New accounts get an emailed link that verifies their address. Unverified accounts can use
+// the assistant but cannot book lawyers (requireVerifiedEmail).
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const EMAIL_VERIFICATION_TTL_HOURS = parseInt(process.env.EMAIL_VERIFICATION_TTL_HOURS) || 48;
+const VERIFICATION_RESEND_INTERVAL_SECONDS = 60;
+
+// Email a verification link for user.email; earlier links stop working. With emailChange the
+// address is the new one of an email change (users.pending_email).
+async function sendVerificationEmail(user, { emailChange = false } = {}) {
+    const token = crypto.randomBytes(32).toString('hex');
+    await runInTransaction(async () => {
+        await dbRun("UPDATE email_verification_tokens SET used_at = datetime('now') WHERE user_id = ? AND used_at IS NULL", [user.id]);
+        await dbRun(
+            `INSERT INTO email_verification_tokens (user_id, email, token_hash, expires_at)
+             VALUES (?, ?, ?, datetime('now', ?))`,
+            [user.id, user.email, hashToken(token), `+${EMAIL_VERIFICATION_TTL_HOURS} hours`]
         );
+    });
 
-        if (conversations.length === 0) {
-            return res.status(404).json({ 
+    const link = `${APP_BASE_URL}/verify-email.html?token=${token}`;
+    if (emailChange) {
+        await sendMail({
+            to: user.email,
+            subject: 'Confirm your new Know Law email address',
+            text: `Hello ${user.name},\n\nYou asked to use this address for your Know Law account. Open this link to confirm the change:\n\n${link}\n\nThe link expires in ${EMAIL_VERIFICATION_TTL_HOURS} hours. Until then you keep signing in with your current address. If you did not ask for this, you can ignore this email.\n\nKnow Law`,
+            html: `<p>Hello ${escapeHtml(user.name)},</p>
+<p>You asked to use this address for your Know Law account.</p>
+<p><a href="${link}">Confirm my new email</a></p>
+<p>The link expires in ${EMAIL_VERIFICATION_TTL_HOURS} hours. Until then you keep signing in with your current address. If you did not ask for this, you can ignore this email.</p>
+<p>Know Law</p>`
+        });
+        return;
+    }
+    await sendMail({
+        to: user.email,
+        subject: 'Verify your Know Law email address',
+        text: `Hello ${user.name},\n\nPlease confirm that this is your email address by opening this link:\n\n${link}\n\nThe link expires in ${EMAIL_VERIFICATION_TTL_HOURS} hours. If you did not create a Know Law account, you can ignore this email.\n\nKnow Law`,
+        html: `<p>Hello ${escapeHtml(user.name)},</p>
+<p>Please confirm that this is your email address.</p>
+<p><a href="${link}">Verify my email</a></p>
+<p>The link expires in ${EMAIL_VERIFICATION_TTL_HOURS} hours. If you did not create a Know Law account, you can ignore this email.</p>
+<p>Know Law</p>`
+    });
+}
+
+// Verify an address with the token from the link. Works without a session, so the link can be
+// opened on another device. A link sent for an email change also switches the account to the
+// new address. Body: { token }
+app.post('/api/email/verify', async (req, res) => {
+    try {
+        const { token } = req.body;
+        const rows = typeof token === 'string' && /^[a-f0-9]{64}$/.test(token)
+            ? await dbQuery(
+                `SELECT email_verification_tokens.*, users.email AS account_email FROM email_verification_tokens
+                 JOIN users ON users.id = email_verification_tokens.user_id
+                  AND (users.email = email_verification_tokens.email OR users.pending_email = email_verification_tokens.email)
+                 WHERE token_hash = ? AND used_at IS NULL AND expires_at > datetime('now')`,
+                [hashToken(token)]
+            )
+            : [];
+        if (rows.length === 0) {
+            return res.status(400).json({ 
                 success: false, 
-                message: 'Conversation not found' 
+                message: 'This verification link is invalid or has expired. Sign in and request a new one from your dashboard.' 
             });
         }
 
-        // Get all messages for this conversation
-        const messages = await dbQuery(
-            'SELECT * FROM messages WHERE conversation_id = ? ORDER BY created_at ASC',
-            [chatId]
-        );
+        const verified = rows[0];
+        const emailChanged = verified.email !== verified.account_email;
+        await runInTransaction(async () => {
+            await dbRun("UPDATE email_verification_tokens SET used_at = datetime('now') WHERE user_id = ? AND used_at IS NULL", [verified.user_id]);
+            if (emailChanged) {
+                await dbRun(
+                    'UPDATE users SET email = ?, pending_email = NULL, email_verified = 1 WHERE id = ?',
+                    [verified.email, verified.user_id]
+                );
+            } else {
+                await dbRun('UPDATE users SET email_verified = 1 WHERE id = ?', [verified.user_id]);
+            }
+            if (isBootstrapAdminEmail(verified.email)) {
+                await dbRun("UPDATE users SET role = 'admin', lawyer_id = NULL WHERE id = ?", [verified.user_id]);
+            }
+        });
+
+        if (emailChanged) {
+            await sessionStore.updateForUser(verified.user_id, { userEmail: verified.email });
+            if (String(req.session.userId) === String(verified.user_id)) {
+                req.session.userEmail = verified.email;
+            }
+        }
 
         res.json({
             success: true,
-            conversation: conversations[0],
-            messages: messages
+            message: emailChanged ? 'Your email address has been changed.' : 'Your email address is verified.',
+            email: verified.email,
+            emailChanged: emailChanged
         });
     } catch (error) {
-        console.error('Get conversation error:', error);
+        console.error('Verify email error:', error);
+        if (error.message && error.message.includes('UNIQUE constraint')) {
+            return res.status(400).json({ 
+                success: false, 
+                message: 'This email address now belongs to another account. Choose a different address in your dashboard.' 
+            });
+        }
         res.status(500).json({ 
             success: false, 
-            message: 'Error fetching conversation: ' + (error.message || 'Unknown error') 
+            message: 'Error verifying email: ' + (error.message || 'Unknown error') 
         });
     }
 });
 
-// Update a message
-app.put('/api/chats/:chatId/messages/:messageId', async (req, res) => {
+// Send a new verification link to the logged-in account
+app.post('/api/email/verification/resend', requireRole(), async (req, res) => {
     try {
-        if (!req.session.userId) {
-            return res.status(401).json({ 
+        if (req.account.emailVerified) {
+            return res.status(400).json({ 
                 success: false, 
-                message: 'Not authenticated' 
+                message: 'Your email address is already verified' 
             });
         }
 
-        const chatId = parseInt(req.params.chatId);
-        const messageId = parseInt(req.params.messageId);
-        const userId = req.session.userId.toString();
-        const { content } = req.body;
+        const recent = await dbQuery(
+            `SELECT id FROM email_verification_tokens
+             WHERE user_id = ? AND created_at > datetime('now', ?)`,
+            [req.account.id, `-${VERIFICATION_RESEND_INTERVAL_SECONDS} seconds`]
+        );
+        if (recent.length > 0) {
+            return res.status(429).json({ 
+                success: false, 
+                message: 'We just sent you a link. Please wait a minute before requesting another one.' 
+            });
+        }
 
-        if (!content || !content.trim()) {
+        const users = await dbQuery('SELECT id, name, email FROM users WHERE id = ?', [req.account.id]);
+        await sendVerificationEmail(users[0]);
+
+        res.json({
+            success: true,
+            message: 'We sent a new verification link to ' + users[0].email
+        });
+    } catch (error) {
+        console.error('Resend verification error:', error);
+        res.status(500).json({ 
+            success: false, 
+            message: 'Error sending verification email: ' + (error.message || 'Unknown error') 
+        });
+    }
+});
+
+// ==================== Profile ====================
+// Account holders edit their own details here. Changing the password or the email address
+// asks for the current password; a new email address only replaces the old one once the
+// link sent to it is opened (users.pending_email until then).
+
+const PROFILE_LANGUAGES = { en: 'English', ar: 'العربية' };
+const PHONE_PATTERN = /^\+?[0-9][0-9 -]{6,19}$/;
+
+function formatProfile(user) {
+    return {
+        name: user.name,
+        email: user.email,
+        pendingEmail: user.pending_email || null,
+        deletionScheduledAt: user.deletion_scheduled_at || null,
+        emailVerified: user.email_verified === 1,
+        phone: user.phone || null,
+        preferredLanguage: user.preferred_language || 'en',
+        governorate: user.governorate || null,
+        createdAt: user.created_at
+    };
+}
+
+// Validate profile fields from a request body and map them to columns (only the fields present)
+function normalizeProfileInput(body) {
+    const values = {};
+
+    if (body.name !== undefined) {
+        const name = (body.name || '').toString().trim();
+        if (!name) {
+            return { error: 'Name is required' };
+        }
+        if (name.length > 100) {
+            return { error: 'Name must be at most 100 characters' };
+        }
+        values.name = name;
+    }
+    if (body.phone !== undefined) {
+        const phone = (body.phone || '').toString().trim();
+        if (phone && !PHONE_PATTERN.test(phone)) {
+            return { error: 'Please enter a valid phone number' };
+        }
+        values.phone = phone || null;
+    }
+    if (body.preferredLanguage !== undefined) {
+        if (!Object.prototype.hasOwnProperty.call(PROFILE_LANGUAGES, body.preferredLanguage)) {
+            return { error: 'Unknown language' };
+        }
+        values.preferred_language = body.preferredLanguage;
+    }
+    if (body.governorate !== undefined) {
+        const governorate = body.governorate ? body.governorate.toString().trim() : null;
+        if (governorate && !EGYPT_GOVERNORATES.includes(governorate)) {
+            return { error: 'Unknown governorate' };
+        }
+        values.governorate = governorate;
+    }
+
+    return { values };
+}
+
+// Check req.body.currentPassword before a credential change. Wrong guesses count against the
+// same per-account throttle as sign-in. On failure the response is sent and false is returned.
+async function confirmCurrentPassword(req, res, user) {
+    const accountKey = loginAccountKey(user.email);
+    const wait = await getThrottleWait(THROTTLE_RULES.loginAccount, accountKey);
+    if (wait > 0) {
+        sendThrottled(res, wait);
+        return false;
+    }
+
+    const currentPassword = (req.body.currentPassword || '').toString();
+    if (!currentPassword || !(await bcrypt.compare(currentPassword, user.password))) {
+        await recordThrottleHit(THROTTLE_RULES.loginAccount, accountKey);
+        res.status(400).json({ 
+            success: false, 
+            message: 'Your current password is incorrect' 
+        });
+        return false;
+    }
+    return true;
+}
+
+// Profile of the logged-in account, with the choices for the edit form
+app.get('/api/profile', requireRole(), async (req, res) => {
+    try {
+        const users = await dbQuery('SELECT * FROM users WHERE id = ?', [req.account.id]);
+
+        res.json({
+            success: true,
+            profile: formatProfile(users[0]),
+            languages: PROFILE_LANGUAGES,
+            governorates: EGYPT_GOVERNORATES
+        });
+    } catch (error) {
+        console.error('Get profile error:', error);
+        res.status(500).json({ 
+            success: false, 
+            message: 'Error loading profile: ' + (error.message || 'Unknown error') 
+        });
+    }
+});
+
+// Update profile details. Body: any of { name, phone, preferredLanguage, governorate }
+app.put('/api/profile', requireRole(), async (req, res) => {
+    try {
+        const { values, error } = normalizeProfileInput(req.body);
+        if (error) {
             return res.status(400).json({ 
                 success: false, 
-                message: 'Content is required' 
+                message: error 
             });
         }
 
-        // Verify conversation belongs to user
-        const conversations = await dbQuery(
-            'SELECT * FROM conversations WHERE id = ? AND user_id = ?',
-            [chatId, userId]
-        );
+        if (Object.keys(values).length > 0) {
+            await dbRun(
+                `UPDATE users SET ${Object.keys(values).map(column => `${column} = ?`).join(', ')} WHERE id = ?`,
+                [...Object.values(values), req.account.id]
+            );
+        }
+        if (values.name) {
+            req.session.userName = values.name;
+            await sessionStore.updateForUser(req.account.id, { userName: values.name });
+        }
+        const users = await dbQuery('SELECT * FROM users WHERE id = ?', [req.account.id]);
+
+        res.json({
+            success: true,
+            message: 'Profile updated successfully',
+            profile: formatProfile(users[0])
+        });
+    } catch (error) {
+        console.error('Update profile error:', error);
+        res.status(500).json({ 
+            success: false, 
+            message: 'Error updating profile: ' + (error.message || 'Unknown error') 
+        });
+    }
+});
+
+// Change the password. Other devices are signed out. Body: { currentPassword, newPassword, confirmPassword }
+app.post('/api/profile/password', requireRole(), async (req, res) => {
+    try {
+        const { newPassword, confirmPassword } = req.body;
+
+        if (!newPassword || !confirmPassword) {
+            return res.status(400).json({ success: false, message: 'All fields are required' });
+        }
+
+        if (newPassword !== confirmPassword) {
+            return res.status(400).json({ success: false, message: 'Passwords do not match' });
+        }
+
+        if (newPassword.length < 6) {
+            return res.status(400).json({ success: false, message: 'Password must be at least 6 characters' });
+        }
+
+        const users = await dbQuery('SELECT * FROM users WHERE id = ?', [req.account.id]);
+        const user = users[0];
+        if (!(await confirmCurrentPassword(req, res, user))) {
+            return;
+        }
+
+        const hashedPassword = await bcrypt.hash(newPassword, 10);
+        await runInTransaction(async () => {
+            await dbRun('UPDATE users SET password = ? WHERE id = ?', [hashedPassword, user.id]);
+            // Reset links requested with the old password stop working
+            await dbRun("UPDATE password_reset_tokens SET used_at = datetime('now') WHERE user_id = ? AND used_at IS NULL", [user.id]);
+        });
+        await clearFailedLogins(user);
+        const signedOut = await sessionStore.destroyForUser(user.id, { exceptSid: req.sessionID });
+
+        try {
+            await sendMail({
+                to: user.email,
+                subject: 'Your Know Law password was changed',
+                text: `Hello ${user.name},\n\nThe password of your Know Law account was just changed from your dashboard, and other devices were signed out. If this was not you, reset your password right away:\n\n${APP_BASE_URL}/reset-password.html\n\nKnow Law`,
+                html: `<p>Hello ${escapeHtml(user.name)},</p>
+<p>The password of your Know Law account was just changed from your dashboard, and other devices were signed out.</p>
+<p>If this was not you, <a href="${APP_BASE_URL}/reset-password.html">reset your password</a> right away.</p>
+<p>Know Law</p>`
+            });
+        } catch (mailError) {
+            console.error('Password changed mail error:', mailError);
+        }
+
+        res.json({
+            success: true,
+            message: 'Your password has been changed.',
+            signedOutSessions: signedOut
+        });
+    } catch (error) {
+        console.error('Change password error:', error);
+        res.status(500).json({ 
+            success: false, 
+            message: 'Error changing password: ' + (error.message || 'Unknown error') 
+        });
+    }
+});
+
+// Start an email change: the new address gets a verification link, the current one keeps
+// working until it is opened. Body: { newEmail, currentPassword }
+app.post('/api/profile/email', requireRole(), async (req, res) => {
+    try {
+        const newEmail = (req.body.newEmail || '').toString().trim();
+
+        if (!EMAIL_PATTERN.test(newEmail)) {
+            return res.status(400).json({ success: false, message: 'Please enter a valid email address' });
+        }
+
+        const users = await dbQuery('SELECT * FROM users WHERE id = ?', [req.account.id]);
+        const user = users[0];
+        if (newEmail.toLowerCase() === user.email.toLowerCase()) {
+            return res.status(400).json({ success: false, message: 'This is already your email address' });
+        }
+
+        if (!(await confirmCurrentPassword(req, res, user))) {
+            return;
+        }
+
+        const taken = await dbQuery('SELECT id FROM users WHERE email = ? AND id != ?', [newEmail, user.id]);
+        if (taken.length > 0) {
+            return res.status(400).json({ success: false, message: 'Email already registered' });
+        }
+
+        const recent = await dbQuery(
+            `SELECT id FROM email_verification_tokens
+             WHERE user_id = ? AND email = ? AND created_at > datetime('now', ?)`,
+            [user.id, newEmail, `-${VERIFICATION_RESEND_INTERVAL_SECONDS} seconds`]
+        );
+        if (recent.length > 0) {
+            return res.status(429).json({ 
+                success: false, 
+                message: 'We just sent a link to this address. Please wait a minute before requesting another one.' 
+            });
+        }
+
+        await dbRun('UPDATE users SET pending_email = ? WHERE id = ?', [newEmail, user.id]);
+        await sendVerificationEmail({ id: user.id, name: user.name, email: newEmail }, { emailChange: true });
+
+        res.json({
+            success: true,
+            message: `We sent a link to ${newEmail}. Your email changes once you open it.`,
+            pendingEmail: newEmail
+        });
+    } catch (error) {
+        console.error('Change email error:', error);
+        res.status(500).json({ 
+            success: false, 
+            message: 'Error changing email: ' + (error.message || 'Unknown error') 
+        });
+    }
+});
+
+// Cancel a pending email change; its link stops working
+app.delete('/api/profile/email', requireRole(), async (req, res) => {
+    try {
+        await runInTransaction(async () => {
+            await dbRun(
+                `UPDATE email_verification_tokens SET used_at = datetime('now')
+                 WHERE user_id = ? AND used_at IS NULL AND email = (SELECT pending_email FROM users WHERE id = ?)`,
+                [req.account.id, req.account.id]
+            );
+            await dbRun('UPDATE users SET pending_email = NULL WHERE id = ?', [req.account.id]);
+        });
+
+        res.json({
+            success: true,
+            message: 'Email change cancelled'
+        });
+    } catch (error) {
+        console.error('Cancel email change error:', error);
+        res.status(500).json({ 
+            success: false, 
+            message: 'Error cancelling email change: ' + (error.message || 'Unknown error') 
+        });
+    }
+});
+
+// ==================== Account export and deletion ====================
+// Users can download everything stored about them, and delete their account. Deletion
+// is scheduled ACCOUNT_DELETION_GRACE_DAYS ahead so it can be undone by signing in and
+// keeping the account; an hourly job then purges the account and all data tied to its id.
+
+const ACCOUNT_DELETION_GRACE_DAYS = parseInt(process.env.ACCOUNT_DELETION_GRACE_DAYS, 10) || 14;
+
+// Account columns included in an export (no password hash, 2FA secret or calendar token)
+const EXPORTED_USER_COLUMNS = [
+    'id', 'name', 'email', 'pending_email', 'email_verified', 'phone', 'preferred_language',
+    'governorate', 'role', 'lawyer_id', 'totp_enabled', 'created_at', 'deletion_scheduled_at'
+];
+
+// Everything stored about a user, table by table
+async function collectAccountData(userId) {
+    const userKey = String(userId);
+    const users = await dbQuery(`SELECT ${EXPORTED_USER_COLUMNS.join(', ')} FROM users WHERE id = ?`, [userId]);
+    const bookings = await dbQuery('SELECT * FROM bookings WHERE user_id = ? ORDER BY id', [userKey]);
+
+    return {
+        exportedAt: new Date().toISOString(),
+        user: users[0],
+        conversations: await dbQuery('SELECT * FROM conversations WHERE user_id = ? ORDER BY id', [userKey]),
+        messages: await dbQuery(
+            `SELECT messages.* FROM messages
+             JOIN conversations ON conversations.id = messages.conversation_id
+             WHERE conversations.user_id = ? ORDER BY messages.id`,
+            [userKey]
+        ),
+        bookings: bookings,
+        bookingStatusHistory: await dbQuery(
+            `SELECT booking_status_history.* FROM booking_status_history
+             JOIN bookings ON bookings.id = booking_status_history.booking_id
+             WHERE bookings.user_id = ? ORDER BY booking_status_history.id`,
+            [userKey]
+        ),
+        documents: await dbQuery(
+            'SELECT id, name, mime_type, size, created_at, updated_at FROM documents WHERE user_id = ? ORDER BY id',
+            [userId]
+        ),
+        signInAttempts: await dbQuery(
+            'SELECT ip, user_agent, outcome, created_at FROM login_attempts WHERE user_id = ? ORDER BY id',
+            [userId]
+        )
+    };
+}
+
+// Zip with data.json, the files of the document vault under documents/ and, under
+// attachments/, the text read from files uploaded in chats. Chat uploads themselves are
+// deleted once the assistant has read them.
+async function buildAccountArchive(userId, data) {
+    const zip = new JSZip();
+    zip.file('data.json', JSON.stringify(data, null, 2));
+
+    const documents = await dbQuery('SELECT id, name, stored_name FROM documents WHERE user_id = ? ORDER BY id', [userId]);
+    for (const document of documents) {
+        try {
+            zip.file(`documents/${document.id}-${document.name}`, await fs.promises.readFile(documentFilePath(document.stored_name)));
+        } catch (error) {
+            console.error('Export document file error:', error.message);
+        }
+    }
+
+    data.messages.forEach(message => {
+        let files = [];
+        try {
+            files = message.file_info ? JSON.parse(message.file_info) : [];
+        } catch (error) {
+            files = [];
+        }
+        files.forEach((file, index) => {
+            if (!file.extractedText) return;
+            const safeName = String(file.name || 'file').replace(/[\\/:*?"<>|\r\n]+/g, ' ').trim().slice(0, 80);
+            const textName = /\.txt$/i.test(safeName) ? safeName : `${safeName}.txt`;
+            zip.file(
+                `attachments/conversation-${message.conversation_id}/message-${message.id}-${index + 1}-${textName}`,
+                file.extractedText
+            );
+        });
+    });
+
+    return zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' });
+}
+
+// Delete an account and everything tied to its id. The conversation and message search
+// rows go with them through their delete triggers; vault files are removed after the commit.
+async function purgeAccount(user) {
+    const userKey = String(user.id);
+    const documents = await dbQuery('SELECT stored_name FROM documents WHERE user_id = ?', [user.id]);
+    await runInTransaction(async () => {
+        await dbRun(
+            'DELETE FROM messages WHERE conversation_id IN (SELECT id FROM conversations WHERE user_id = ?)',
+            [userKey]
+        );
+        await dbRun('DELETE FROM conversations WHERE user_id = ?', [userKey]);
+        await dbRun(
+            'DELETE FROM booking_status_history WHERE booking_id IN (SELECT id FROM bookings WHERE user_id = ?)',
+            [userKey]
+        );
+        await dbRun('DELETE FROM bookings WHERE user_id = ?', [userKey]);
+        // Changes the user made to other people's bookings keep their role but not the id
+        await dbRun('UPDATE booking_status_history SET changed_by = NULL WHERE changed_by = ?', [userKey]);
+        await dbRun('DELETE FROM lawyer_client_notes WHERE client_user_id = ?', [userKey]);
+        await dbRun('DELETE FROM password_reset_tokens WHERE user_id = ?', [user.id]);
+        await dbRun('DELETE FROM email_verification_tokens WHERE user_id = ?', [user.id]);
+        await dbRun('DELETE FROM recovery_codes WHERE user_id = ?', [user.id]);
+        await dbRun('DELETE FROM login_attempts WHERE user_id = ?', [user.id]);
+        await dbRun('DELETE FROM documents WHERE user_id = ?', [user.id]);
+        await dbRun('DELETE FROM users WHERE id = ?', [user.id]);
+    });
+    for (const document of documents) {
+        await removeDocumentFile(document.stored_name);
+    }
+    await sessionStore.destroyForUser(user.id);
+    await getThrottleStore().remove(loginAccountKey(user.email));
+}
+
+// Purge accounts whose grace period is over. Runs at startup and every hour.
+async function purgeDeletedAccounts() {
+    try {
+        const due = await dbQuery(
+            "SELECT id, email FROM users WHERE deletion_scheduled_at IS NOT NULL AND deletion_scheduled_at <= datetime('now')"
+        );
+        for (const user of due) {
+            await purgeAccount(user);
+        }
+        if (due.length > 0) {
+            console.log(`Account deletion: purged ${due.length} account(s).`);
+        }
+    } catch (error) {
+        console.error('Account deletion error:', error);
+    }
+}
+
+setInterval(purgeDeletedAccounts, 60 * 60 * 1000).unref();
+
+// Rows whose parent is gone, left by versions that relied on ON DELETE CASCADE while
+// foreign keys were off (deleted conversations kept their messages and search rows).
+// Runs once at startup.
+async function removeOrphanedRows() {
+    try {
+        const documents = await dbQuery('SELECT stored_name FROM documents WHERE user_id NOT IN (SELECT id FROM users)');
+        const removed = await runInTransaction(async () => {
+            let count = 0;
+            const statements = [
+                'DELETE FROM messages WHERE conversation_id NOT IN (SELECT id FROM conversations)',
+                'DELETE FROM messages_fts WHERE rowid NOT IN (SELECT id FROM messages)',
+                'DELETE FROM conversations_fts WHERE rowid NOT IN (SELECT id FROM conversations)',
+                'DELETE FROM booking_status_history WHERE booking_id NOT IN (SELECT id FROM bookings)',
+                'DELETE FROM lawyer_availability WHERE lawyer_id NOT IN (SELECT id FROM lawyers)',
+                'DELETE FROM lawyer_availability_exceptions WHERE lawyer_id NOT IN (SELECT id FROM lawyers)',
+                'DELETE FROM lawyer_client_notes WHERE lawyer_id NOT IN (SELECT id FROM lawyers)',
+                'DELETE FROM password_reset_tokens WHERE user_id NOT IN (SELECT id FROM users)',
+                'DELETE FROM email_verification_tokens WHERE user_id NOT IN (SELECT id FROM users)',
+                'DELETE FROM recovery_codes WHERE user_id NOT IN (SELECT id FROM users)',
+                'DELETE FROM documents WHERE user_id NOT IN (SELECT id FROM users)'
+            ];
+            for (const sql of statements) {
+                count += (await dbRun(sql)).changes;
+            }
+            return count;
+        });
+        for (const document of documents) {
+            await removeDocumentFile(document.stored_name);
+        }
+        if (removed > 0) {
+            console.log(`Removed ${removed} orphaned row(s).`);
+        }
+    } catch (error) {
+        console.error('Orphaned rows cleanup error:', error);
+    }
+}
+
+// Download my data: ?format=zip (default; data.json and chat attachments) or ?format=json
+app.get('/api/account/export', requireRole(), async (req, res) => {
+    try {
+        const format = req.query.format || 'zip';
+        if (!['zip', 'json'].includes(format)) {
+            return res.status(400).json({ 
+                success: false, 
+                message: 'Format must be zip or json' 
+            });
+        }
+
+        const data = await collectAccountData(req.account.id);
+        const fileName = `know-law-data-${new Date().toISOString().slice(0, 10)}`;
+        if (format === 'json') {
+            res.attachment(`${fileName}.json`);
+            return res.json(data);
+        }
+
+        const archive = await buildAccountArchive(req.account.id, data);
+        res.attachment(`${fileName}.zip`);
+        res.type('application/zip');
+        res.send(archive);
+    } catch (error) {
+        console.error('Export account error:', error);
+        res.status(500).json({ 
+            success: false, 
+            message: 'Error exporting your data: ' + (error.message || 'Unknown error') 
+        });
+    }
+});
+
+// Schedule the deletion of the logged-in account and sign it out everywhere. Body: { currentPassword }
+app.post('/api/account/deletion', requireRole(), async (req, res) => {
+    try {
+        const users = await dbQuery('SELECT * FROM users WHERE id = ?', [req.account.id]);
+        const user = users[0];
+        if (!(await confirmCurrentPassword(req, res, user))) {
+            return;
+        }
+
+        await dbRun(
+            "UPDATE users SET deletion_scheduled_at = datetime('now', ?) WHERE id = ?",
+            [`+${ACCOUNT_DELETION_GRACE_DAYS} days`, user.id]
+        );
+        const updated = await dbQuery('SELECT deletion_scheduled_at FROM users WHERE id = ?', [user.id]);
+        const scheduledAt = updated[0].deletion_scheduled_at;
+
+        try {
+            await sendMail({
+                to: user.email,
+                subject: 'Your Know Law account will be deleted',
+                text: `Hello ${user.name},\n\nYour Know Law account and all its conversations, bookings and documents will be deleted on ${scheduledAt} (UTC). If you change your mind, sign in before then and choose "Keep My Account" in your dashboard settings:\n\n${APP_BASE_URL}/auth.html\n\nKnow Law`,
+                html: `<p>Hello ${escapeHtml(user.name)},</p>
+<p>Your Know Law account and all its conversations, bookings and documents will be deleted on ${scheduledAt} (UTC).</p>
+<p>If you change your mind, <a href="${APP_BASE_URL}/auth.html">sign in</a> before then and choose "Keep My Account" in your dashboard settings.</p>
+<p>Know Law</p>`
+            });
+        } catch (mailError) {
+            console.error('Account deletion mail error:', mailError);
+        }
+
+        await sessionStore.destroyForUser(user.id, { exceptSid: req.sessionID });
+        req.session.destroy(() => {
+            res.json({
+                success: true,
+                message: `Your account will be deleted on ${scheduledAt} (UTC). Sign in before then to keep it.`,
+                deletionScheduledAt: scheduledAt
+            });
+        });
+    } catch (error) {
+        console.error('Schedule account deletion error:', error);
+        res.status(500).json({ 
+            success: false, 
+            message: 'Error deleting account: ' + (error.message || 'Unknown error') 
+        });
+    }
+});
+
+// Keep the account: cancel a scheduled deletion
+app.delete('/api/account/deletion', requireRole(), async (req, res) => {
+    try {
+        await dbRun('UPDATE users SET deletion_scheduled_at = NULL WHERE id = ?', [req.account.id]);
+
+        res.json({
+            success: true,
+            message: 'Your account will not be deleted.'
+        });
+    } catch (error) {
+        console.error('Cancel account deletion error:', error);
+        res.status(500).json({ 
+            success: false, 
+            message: 'Error cancelling account deletion: ' + (error.message || 'Unknown error') 
+        });
+    }
+});
+
+// ==================== Two-factor authentication ====================
+// Time-based one-time passwords (RFC 6238: HMAC-SHA1, 6 digits, 30-second steps) from an
+// authenticator app, plus single-use recovery codes for when the phone is lost.
+
+const TOTP_STEP_SECONDS = 30;
+const TOTP_DIGITS = 6;
+// Accept codes from one step before and after, for clock drift
+const TOTP_WINDOW = 1;
+const TWO_FACTOR_LOGIN_TTL_MINUTES = 5;
+const TWO_FACTOR_MAX_ATTEMPTS = 5;
+const RECOVERY_CODE_COUNT = 10;
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+function base32Encode(buffer) {
+    let bits = '';
+    for (const byte of buffer) {
+        bits += byte.toString(2).padStart(8, '0');
+    }
+    let output = '';
+    for (let i = 0; i < bits.length; i += 5) {
+        output += BASE32_ALPHABET[parseInt(bits.slice(i, i + 5).padEnd(5, '0'), 2)];
+    }
+    return output;
+}
+
+function base32Decode(text) {
+    let bits = '';
+    for (const char of text.toUpperCase().replace(/[\s=]/g, '')) {
+        const value = BASE32_ALPHABET.indexOf(char);
+        if (value === -1) {
+            throw new Error('Invalid base32 secret');
+        }
+        bits += value.toString(2).padStart(5, '0');
+    }
+    const bytes = [];
+    for (let i = 0; i + 8 <= bits.length; i += 8) {
+        bytes.push(parseInt(bits.slice(i, i + 8), 2));
+    }
+    return Buffer.from(bytes);
+}
+
+function generateTotp(secret, step) {
+    const counter = Buffer.alloc(8);
+    counter.writeBigUInt64BE(BigInt(step));
+    const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+    const offset = hmac[hmac.length - 1] & 0x0f;
+    const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+    return (binary % 10 ** TOTP_DIGITS).toString().padStart(TOTP_DIGITS, '0');
+}
+
+// Time step the code belongs to, or null. Steps up to lastStep were already used.
+function matchTotp(secret, code, lastStep = null) {
+    const currentStep = Math.floor(Date.now() / 1000 / TOTP_STEP_SECONDS);
+    for (let step = currentStep - TOTP_WINDOW; step <= currentStep + TOTP_WINDOW; step++) {
+        if ((lastStep === null || step > lastStep) &&
+            crypto.timingSafeEqual(Buffer.from(generateTotp(secret, step)), Buffer.from(code))) {
+            return step;
+        }
+    }
+    return null;
+}
+
+function normalizeRecoveryCode(code) {
+    return code.toUpperCase().replace(/[^A-Z0-9]/g, '');
+}
+
+// Replace the user's recovery codes; returns the new codes (only shown once).
+// Call it inside runInTransaction, together with whatever the codes belong to.
+async function generateRecoveryCodes(userId) {
+    const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+        const code = base32Encode(crypto.randomBytes(7)).slice(0, 10);
+        return `${code.slice(0, 5)}-${code.slice(5)}`;
+    });
+    await dbRun('DELETE FROM recovery_codes WHERE user_id = ?', [userId]);
+    for (const code of codes) {
+        await dbRun('INSERT INTO recovery_codes (user_id, code_hash) VALUES (?, ?)', [userId, hashToken(normalizeRecoveryCode(code))]);
+    }
+    return codes;
+}
+
+// Check an authenticator code or an unused recovery code and use it up.
+// Returns 'totp', 'recovery' or null.
+async function useSecondFactor(user, code) {
+    const value = (code || '').toString().trim();
+    if (!user.totp_secret || !value) {
+        return null;
+    }
+
+    if (/^\d{6}$/.test(value.replace(/\s/g, ''))) {
+        const step = matchTotp(user.totp_secret, value.replace(/\s/g, ''), user.totp_last_step);
+        if (step === null) {
+            return null;
+        }
+        // The step check in SQL keeps two requests from using the same code
+        const result = await dbRun(
+            'UPDATE users SET totp_last_step = ? WHERE id = ? AND (totp_last_step IS NULL OR totp_last_step < ?)',
+            [step, user.id, step]
+        );
+        return result.changes > 0 ? 'totp' : null;
+    }
+
+    const result = await dbRun(
+        "UPDATE recovery_codes SET used_at = datetime('now') WHERE user_id = ? AND code_hash = ? AND used_at IS NULL",
+        [user.id, hashToken(normalizeRecoveryCode(value))]
+    );
+    return result.changes > 0 ? 'recovery' : null;
+}
+
+async function countRecoveryCodes(userId) {
+    const rows = await dbQuery('SELECT COUNT(*) AS count FROM recovery_codes WHERE user_id = ? AND used_at IS NULL', [userId]);
+    return rows[0].count;
+}
+
+// Second login step for accounts with 2FA. Body: { code } (authenticator or recovery code)
+app.post('/api/login/2fa', async (req, res) => {
+    try {
+        const pending = req.session.pendingLogin;
+        if (!pending || pending.expiresAt < Date.now()) {
+            delete req.session.pendingLogin;
+            return res.status(400).json({ 
+                success: false, 
+                message: 'Your sign-in has expired. Please enter your password again.' 
+            });
+        }
+
+        pending.attempts += 1;
+        if (pending.attempts > TWO_FACTOR_MAX_ATTEMPTS) {
+            delete req.session.pendingLogin;
+            return res.status(429).json({ 
+                success: false, 
+                message: 'Too many wrong codes. Please sign in again.' 
+            });
+        }
+
+        const users = await dbQuery('SELECT * FROM users WHERE id = ?', [pending.userId]);
+        const user = users[0];
+        if (!user) {
+            delete req.session.pendingLogin;
+            return res.status(400).json({ 
+                success: false, 
+                message: 'Your sign-in has expired. Please enter your password again.' 
+            });
+        }
+
+        // Wrong codes count against the account too, so signing in again does not give fresh tries
+        const accountKey = loginAccountKey(user.email);
+        const wait = await getThrottleWait(THROTTLE_RULES.loginAccount, accountKey);
+        if (wait > 0) {
+            return sendThrottled(res, wait);
+        }
+
+        const method = await useSecondFactor(user, req.body.code);
+        if (!method) {
+            await recordThrottleHit(THROTTLE_RULES.loginAccount, accountKey);
+            await recordLoginAttempt(req, { email: user.email, userId: user.id, outcome: 'two_factor_failed' });
+            return res.status(401).json({ 
+                success: false, 
+                message: 'Invalid code. Please try again.' 
+            });
+        }
+
+        await clearFailedLogins(user);
+        await recordLoginAttempt(req, { email: user.email, userId: user.id, outcome: 'success' });
+        const guestDataMerged = pending.mergeGuestId ? await runInTransaction(() => moveGuestData(pending.mergeGuestId, user.id)) : undefined;
+        await endGuestSessions(pending.mergeGuestId);
+        await startUserSession(req, user);
+
+        res.json({
+            success: true,
+            message: 'Login successful',
+            user: {
+                id: user.id,
+                name: user.name,
+                email: user.email
+            },
+            recoveryCodesRemaining: method === 'recovery' ? await countRecoveryCodes(user.id) : undefined,
+            guestDataMerged: guestDataMerged
+        });
+    } catch (error) {
+        console.error('Two-factor login error:', error);
+        res.status(500).json({ 
+            success: false, 
+            message: 'Server error during login: ' + (error.message || 'Unknown error') 
+        });
+    }
+});
+
+// 2FA state of the logged-in account
+app.get('/api/2fa/status', requireRole(), async (req, res) => {
+    try {
+        res.json({
+            success: true,
+            enabled: req.account.twoFactorEnabled,
+            required: TWO_FACTOR_ROLES.includes(req.account.role),
+            recoveryCodesRemaining: req.account.twoFactorEnabled ? await countRecoveryCodes(req.account.id) : 0
+        });
+    } catch (error) {
+        console.error('Two-factor status error:', error);
+        res.status(500).json({ 
+            success: false, 
+            message: 'Error fetching two-factor status: ' + (error.message || 'Unknown error') 
+        });
+    }
+});
+
+// Start enrollment: a new secret (kept in the session until confirmed) as text and QR code
+app.post('/api/2fa/setup', requireRole(), async (req, res) => {
+    try {
+        if (req.account.twoFactorEnabled) {
+            return res.status(400).json({ 
+                success: false, 
+                message: 'Two-factor authentication is already on' 
+            });
+        }
+
+        const secret = base32Encode(crypto.randomBytes(20));
+        req.session.totpSetupSecret = secret;
+        const otpauthUrl = `otpauth://totp/${encodeURIComponent('Know Law:' + req.account.email)}` +
+            `?secret=${secret}&issuer=${encodeURIComponent('Know Law')}&algorithm=SHA1&digits=${TOTP_DIGITS}&period=${TOTP_STEP_SECONDS}`;
+
+        res.json({
+            success: true,
+            secret: secret,
+            otpauthUrl: otpauthUrl,
+            qrCode: await QRCode.toDataURL(otpauthUrl)
+        });
+    } catch (error) {
+        console.error('Two-factor setup error:', error);
+        res.status(500).json({ 
+            success: false, 
+            message: 'Error starting two-factor setup: ' + (error.message || 'Unknown error') 
+        });
+    }
+});
+
+// Finish enrollment with a code from the app. Body: { code }. Returns the recovery codes.
+app.post('/api/2fa/enable', requireRole(), async (req, res) => {
+    try {
+        const secret = req.session.totpSetupSecret;
+        if (!secret) {
+            return res.status(400).json({ 
+                success: false, 
+                message: 'Start the setup first' 
+            });
+        }
+
+        const code = (req.body.code || '').toString().replace(/\s/g, '');
+        const step = /^\d{6}$/.test(code) ? matchTotp(secret, code) : null;
+        if (step === null) {
+            return res.status(400).json({ 
+                success: false, 
+                message: 'Invalid code. Check the time on your phone and try again.' 
+            });
+        }
+
+        // 2FA is never on without recovery codes
+        const recoveryCodes = await runInTransaction(async () => {
+            await dbRun(
+                'UPDATE users SET totp_secret = ?, totp_enabled = 1, totp_last_step = ? WHERE id = ?',
+                [secret, step, req.account.id]
+            );
+            return generateRecoveryCodes(req.account.id);
+        });
+        delete req.session.totpSetupSecret;
+
+        res.json({
+            success: true,
+            message: 'Two-factor authentication is on',
+            recoveryCodes: recoveryCodes
+        });
+    } catch (error) {
+        console.error('Two-factor enable error:', error);
+        res.status(500).json({ 
+            success: false, 
+            message: 'Error turning on two-factor authentication: ' + (error.message || 'Unknown error') 
+        });
+    }
+});
+
+// Turn 2FA off (not allowed for lawyers and admins). Body: { currentPassword, code }
+app.post('/api/2fa/disable', requireRole(), async (req, res) => {
+    try {
+        if (TWO_FACTOR_ROLES.includes(req.account.role)) {
+            return res.status(400).json({ 
+                success: false, 
+                message: 'Two-factor authentication is required for lawyer and admin accounts' 
+            });
+        }
+
+        const users = await dbQuery('SELECT * FROM users WHERE id = ?', [req.account.id]);
+        const user = users[0];
+        if (!user.totp_enabled) {
+            return res.status(400).json({ 
+                success: false, 
+                message: 'Two-factor authentication is not on' 
+            });
+        }
+        if (!(await confirmCurrentPassword(req, res, user))) {
+            return;
+        }
+        // Wrong codes count like those of the sign-in step
+        if (!(await useSecondFactor(user, req.body.code))) {
+            await recordThrottleHit(THROTTLE_RULES.loginAccount, loginAccountKey(user.email));
+            await recordLoginAttempt(req, { email: user.email, userId: user.id, outcome: 'two_factor_failed' });
+            return res.status(400).json({ 
+                success: false, 
+                message: 'Invalid code. Please try again.' 
+            });
+        }
+
+        await runInTransaction(async () => {
+            await dbRun('UPDATE users SET totp_secret = NULL, totp_enabled = 0, totp_last_step = NULL WHERE id = ?', [user.id]);
+            await dbRun('DELETE FROM recovery_codes WHERE user_id = ?', [user.id]);
+        });
+
+        res.json({
+            success: true,
+            message: 'Two-factor authentication is off'
+        });
+    } catch (error) {
+        console.error('Two-factor disable error:', error);
+        res.status(500).json({ 
+            success: false, 
+            message: 'Error turning off two-factor authentication: ' + (error.message || 'Unknown error') 
+        });
+    }
+});
+
+// Replace all recovery codes. Body: { code } (a current authenticator code)
+app.post('/api/2fa/recovery-codes', requireRole(), async (req, res) => {
+    try {
+        const users = await dbQuery('SELECT * FROM users WHERE id = ?', [req.account.id]);
+        const code = (req.body.code || '').toString().replace(/\s/g, '');
+        if (!users[0].totp_enabled || !/^\d{6}$/.test(code) || !(await useSecondFactor(users[0], code))) {
+            return res.status(400).json({ 
+                success: false, 
+                message: 'Enter a current code from your authenticator app' 
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'New recovery codes created; the old ones no longer work',
+            recoveryCodes: await runInTransaction(() => generateRecoveryCodes(req.account.id))
+        });
+    } catch (error) {
+        console.error('Recovery codes error:', error);
+        res.status(500).json({ 
+            success: false, 
+            message: 'Error creating recovery codes: ' + (error.message || 'Unknown error') 
+        });
+    }
+});
+
+// ==================== Active sessions ====================
+// Where the account is signed in. Sessions are identified by their handle (a hash of
+// the session id); the session id itself never leaves the server.
+
+function describeSession(row, currentSid) {
+    const device = JSON.parse(row.sess).device || {};
+    return {
+        id: row.handle,
+        current: row.sid === currentSid,
+        ip: device.ip || null,
+        userAgent: device.userAgent || null,
+        signedInAt: device.signedInAt || null,
+        lastSeenAt: row.last_seen_at,
+        expiresAt: row.expires_at
+    };
+}
+
+app.get('/api/sessions', requireRole(), async (req, res) => {
+    try {
+        const rows = await sessionStore.listForUser(req.account.id);
+        res.json({
+            success: true,
+            sessions: rows.map(row => describeSession(row, req.sessionID))
+        });
+    } catch (error) {
+        console.error('List sessions error:', error);
+        res.status(500).json({ 
+            success: false, 
+            message: 'Error fetching sessions: ' + (error.message || 'Unknown error') 
+        });
+    }
+});
+
+// Sign out another device
+app.delete('/api/sessions/:sessionId', requireRole(), async (req, res) => {
+    try {
+        if (hashToken(req.sessionID).slice(0, 32) === req.params.sessionId) {
+            return res.status(400).json({ 
+                success: false, 
+                message: 'To end this session, log out' 
+            });
+        }
+
+        const ended = await sessionStore.destroyForUser(req.account.id, { handle: req.params.sessionId });
+        if (ended === 0) {
+            return res.status(404).json({ 
+                success: false, 
+                message: 'Session not found' 
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'The device has been signed out'
+        });
+    } catch (error) {
+        console.error('Revoke session error:', error);
+        res.status(500).json({ 
+            success: false, 
+            message: 'Error ending session: ' + (error.message || 'Unknown error') 
+        });
+    }
+});
+
+// Sign out every device except this one
+app.post('/api/sessions/revoke-others', requireRole(), async (req, res) => {
+    try {
+        const ended = await sessionStore.destroyForUser(req.account.id, { exceptSid: req.sessionID });
+        res.json({
+            success: true,
+            message: ended === 1 ? '1 other device has been signed out' : `${ended} other devices have been signed out`,
+            ended: ended
+        });
+    } catch (error) {
+        console.error('Revoke other sessions error:', error);
+        res.status(500).json({ 
+            success: false, 
+            message: 'Error ending sessions: ' + (error.message || 'Unknown error') 
+        });
+    }
+});
+
+// Get user dashboard data
+// Guests are allowed too
+app.get('/api/dashboard', requireAuth, async (req, res) => {
+    try {
+        // Handle guest user
+        if (isGuestSession(req)) {
+            const totalUsers = await dbQuery('SELECT COUNT(*) as count FROM users');
+            
+            return res.json({
+                success: true,
+                user: {
+                    id: req.session.userId,
+                    name: 'Guest User',
+                    email: 'guest@knowlaw.com',
+                    createdAt: new Date().toISOString(),
+                    isGuest: true
+                },
+                stats: {
+                    totalUsers: totalUsers[0].count,
+                    daysActive: 0,
+                    messagesLeftToday: await getGuestMessagesLeft(req.session.userId),
+                    dailyMessageLimit: GUEST_DAILY_MESSAGE_LIMIT
+                }
+            });
+        }
+
+        // Handle authenticated user
+        const users = await dbQuery('SELECT * FROM users WHERE id = ?', [req.session.userId]);
+        if (users.length === 0) {
+            return res.status(404).json({ success: false, message: 'User not found' });
+        }
+
+        const user = users[0];
+
+        // Get user stats
+        const totalUsers = await dbQuery('SELECT COUNT(*) as count FROM users');
+        
+        // Calculate days since account creation
+        const createdDate = new Date(user.created_at);
+        const now = new Date();
+        const daysActive = Math.floor((now - createdDate) / (1000 * 60 * 60 * 24));
+        
+        res.json({
+            success: true,
+            user: {
+                id: user.id,
+                name: user.name,
+                email: user.email,
+                createdAt: user.created_at,
+                role: user.role || 'client',
+                lawyerId: user.lawyer_id,
+                emailVerified: user.email_verified === 1
+            },
+            stats: {
+                totalUsers: totalUsers[0].count,
+                daysActive: daysActive
+            }
+        });
+    } catch (error) {
+        console.error('Dashboard error:', error);
+        const errorMessage = error.message || 'Unknown error occurred';
+        res.status(500).json({ 
+            success: false, 
+            message: 'Server error: ' + errorMessage 
+        });
+    }
+});
+
+// Serve static files
+app.get('/', (req, res) => {
+    res.sendFile(path.join(__dirname, 'index.html'));
+});
+
+app.get('/auth.html', (req, res) => {
+    res.sendFile(path.join(__dirname, 'auth.html'));
+});
+
+app.get('/dashboard.html', (req, res) => {
+    // Allow access to dashboard even without authentication (for guest users)
+    // The dashboard will handle guest mode in the frontend
+    res.sendFile(path.join(__dirname, 'dashboard.html'));
+});
+
+app.get('/chat.html', (req, res) => {
+    res.sendFile(path.join(__dirname, 'chat.html'));
+});
+
+app.get('/booking.html', (req, res) => {
+    res.sendFile(path.join(__dirname, 'booking.html'));
+});
+
+app.get('/lawyer.html', (req, res) => {
+    res.sendFile(path.join(__dirname, 'lawyer.html'));
+});
+
+app.get('/admin.html', (req, res) => {
+    res.sendFile(path.join(__dirname, 'admin.html'));
+});
+
+app.get('/reset-password.html', (req, res) => {
+    res.sendFile(path.join(__dirname, 'reset-password.html'));
+});
+
+app.get('/verify-email.html', (req, res) => {
+    res.sendFile(path.join(__dirname, 'verify-email.html'));
+});
+
+// Get all conversations for the current user
+app.get('/api/chats', requireAuth, async (req, res) => {
+    try {
+        const userId = req.session.userId.toString();
+        const conversations = await dbQuery(
+            'SELECT * FROM conversations WHERE user_id = ? ORDER BY updated_at DESC',
+            [userId]
+        );
+
+        res.json({
+            success: true,
+            conversations: conversations
+        });
+    } catch (error) {
+        console.error('Get conversations error:', error);
+        res.status(500).json({ 
+            success: false, 
+            message: 'Error fetching conversations: ' + (error.message || 'Unknown error') 
+        });
+    }
+});
+
+// Search the user's conversations (titles and messages)
+app.get('/api/chats/search', requireAuth, async (req, res) => {
+    try {
+        const query = (req.query.q || '').toString();
+        if (!query.trim()) {
+            return res.status(400).json({ 
+                success: false, 
+                message: 'Search query is required' 
+            });
+        }
+
+        const userId = req.session.userId.toString();
+        const limit = Math.min(parseInt(req.query.limit) || 20, 50);
+        const results = await searchConversations(userId, query, limit);
+
+        res.json({
+            success: true,
+            query: query,
+            results: results
+        });
+    } catch (error) {
+        console.error('Search conversations error:', error);
+        res.status(500).json({ 
+            success: false, 
+            message: 'Error searching conversations: ' + (error.message || 'Unknown error') 
+        });
+    }
+});
+
+// Get messages for a specific conversation
+app.get('/api/chats/:chatId', requireAuth, async (req, res) => {
+    try {
+        const chatId = parseInt(req.params.chatId);
+        const userId = req.session.userId.toString();
+
+        // Verify conversation belongs to user
+        const conversations = await dbQuery(
+            'SELECT * FROM conversations WHERE id = ? AND user_id = ?',
+            [chatId, userId]
+        );
+
+        if (conversations.length === 0) {
+            return res.status(404).json({ 
+                success: false, 
+                message: 'Conversation not found' 
+            });
+        }
+
+        // Get the messages of the currently selected branch
+        const tree = await loadMessageTree(chatId);
+        const messages = getBranchMessages(tree, resolveCurrentLeafId(tree, conversations[0]));
+
+        res.json({
+            success: true,
+            conversation: conversations[0],
+            messages: messages
+        });
+    } catch (error) {
+        console.error('Get conversation error:', error);
+        res.status(500).json({ 
+            success: false, 
+            message: 'Error fetching conversation: ' + (error.message || 'Unknown error') 
+        });
+    }
+});
+
+// Export a conversation (selected branch) as Markdown, PDF or DOCX
+app.get('/api/chats/:chatId/export', requireAuth, async (req, res) => {
+    try {
+        const chatId = parseInt(req.params.chatId);
+        const userId = req.session.userId.toString();
+        const format = EXPORT_FORMATS[(req.query.format || 'md').toString().toLowerCase()];
+
+        if (!format) {
+            return res.status(400).json({ 
+                success: false, 
+                message: 'Unsupported export format. Use md, pdf or docx.' 
+            });
+        }
+
+        // Verify conversation belongs to user
+        const conversations = await dbQuery(
+            'SELECT * FROM conversations WHERE id = ? AND user_id = ?',
+            [chatId, userId]
+        );
+
+        if (conversations.length === 0) {
+            return res.status(404).json({ 
+                success: false, 
+                message: 'Conversation not found' 
+            });
+        }
+
+        const data = await buildConversationExport(conversations[0]);
+        let body;
+        if (format.extension === 'pdf') {
+            body = await renderConversationPdf(data);
+        } else if (format.extension === 'docx') {
+            body = await renderConversationDocx(data);
+        } else {
+            body = renderConversationMarkdown(data);
+        }
+
+        const fileName = data.title.replace(/[\\/:*?"<>|\r\n]+/g, ' ').trim().slice(0, 80) || 'conversation';
+        res.attachment(`${fileName}.${format.extension}`);
+        res.type(format.contentType);
+        res.send(body);
+    } catch (error) {
+        console.error('Export conversation error:', error);
+        res.status(500).json({ 
+            success: false, 
+            message: 'Error exporting conversation: ' + (error.message || 'Unknown error') 
+        });
+    }
+});
+
+// Update a message
+// Only edits that ask for a new answer count against a guest's daily questions
+app.put('/api/chats/:chatId/messages/:messageId', requireAuth, (req, res, next) => {
+    req.body.regenerate ? enforceGuestMessageLimit(req, res, next) : next();
+}, async (req, res) => {
+    try {
+        const chatId = parseInt(req.params.chatId);
+        const messageId = parseInt(req.params.messageId);
+        const userId = req.session.userId.toString();
+        // regenerate: also replace the assistant reply. mode: 'truncate' (default) drops the
+        // messages after the edited one; 'branch' keeps them and adds the edit as a sibling.
+        const { content, regenerate, mode, stream } = req.body;
+
+        if (!content || !content.trim()) {
+            return res.status(400).json({ 
+                success: false, 
+                message: 'Content is required' 
+            });
+        }
+
+        if (mode !== undefined && mode !== 'truncate' && mode !== 'branch') {
+            return res.status(400).json({ 
+                success: false, 
+                message: "Mode must be 'truncate' or 'branch'" 
+            });
+        }
+
+        // Verify conversation belongs to user
+        const conversations = await dbQuery(
+            'SELECT * FROM conversations WHERE id = ? AND user_id = ?',
+            [chatId, userId]
+        );
+
+        if (conversations.length === 0) {
+            return res.status(404).json({ 
+                success: false, 
+                message: 'Conversation not found' 
+            });
+        }
+
+        // Verify message belongs to conversation and is a user message (only user messages can be edited)
+        const messages = await dbQuery(
+            'SELECT * FROM messages WHERE id = ? AND conversation_id = ? AND role = ?',
+            [messageId, chatId, 'user']
+        );
+
+        if (messages.length === 0) {
+            return res.status(404).json({ 
+                success: false, 
+                message: 'Message not found or cannot be edited' 
+            });
+        }
+
+        if (regenerate && mode === 'branch') {
+            return branchFromEditedMessage(req, res, {
+                editedMessage: messages[0],
+                content: content.trim(),
+                stream: stream === true || stream === 'true'
+            });
+        }
+
+        // The new wording and the removal of the replies to the old one happen together
+        await runInTransaction(async () => {
+            // Update message
+            await dbRun(
+                'UPDATE messages SET content = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+                [content.trim(), messageId]
+            );
+            await indexMessageForSearch(messageId, content.trim());
+
+            // Update conversation timestamp
+            await dbRun(
+                'UPDATE conversations SET updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+                [chatId]
+            );
+
+            if (regenerate) {
+                // The old replies (everything below this message) answered the previous wording
+                const tree = await loadMessageTree(chatId);
+                const descendantIds = getDescendantIds(tree, messageId);
+                if (descendantIds.length > 0) {
+                    await dbRun(
+                        `DELETE FROM messages WHERE id IN (${descendantIds.map(() => '?').join(', ')})`,
+                        descendantIds
+                    );
+                }
+                await setCurrentMessage(chatId, messageId);
+            }
+        });
+
+        if (!regenerate) {
+            return res.json({
+                success: true,
+                message: 'Message updated successfully'
+            });
+        }
+
+        await regenerateReply(req, res, {
+            conversationId: chatId,
+            questionMessageId: messageId,
+            question: content.trim(),
+            stream: stream === true || stream === 'true'
+        });
+    } catch (error) {
+        console.error('Update message error:', error);
+        res.status(500).json({ 
+            success: false, 
+            message: 'Error updating message: ' + (error.message || 'Unknown error') 
+        });
+    }
+});
+
+// Answer a user message (again), as JSON or as a stream. The new reply becomes a child of
+// the question, so earlier replies stay available as alternate branches.
+async function regenerateReply(req, res, { conversationId, questionMessageId, question, stream }) {
+    const { conversationHistory, documents } = await loadAssistantContext(conversationId, { questionMessageId });
+    const articles = await findStatutesForQuestion(question);
+
+    if (stream || (req.headers.accept || '').includes('text/event-stream')) {
+        return streamChatResponse(req, res, {
+            conversationId,
+            parentMessageId: questionMessageId,
+            userQuery: question,
+            files: [],
+            conversationHistory,
+            documents,
+            articles
+        });
+    }
+
+    await respondWithAIResponse(res, {
+        conversationId,
+        parentMessageId: questionMessageId,
+        userQuery: question,
+        conversationHistory,
+        documents,
+        articles,
+        extra: { message: 'Reply regenerated successfully' }
+    });
+}
+
+// Add an edited question as a sibling of the original (same parent) and answer it;
+// the original question and its answers stay reachable through branch navigation
+async function branchFromEditedMessage(req, res, { editedMessage, content, stream }) {
+    const conversationId = editedMessage.conversation_id;
+    const result = await dbRun(
+        'INSERT INTO messages (conversation_id, role, content, file_info, parent_message_id) VALUES (?, ?, ?, ?, ?)',
+        [conversationId, 'user', content, editedMessage.file_info, editedMessage.parent_message_id]
+    );
+    await indexMessageForSearch(result.lastID, content);
+    await setCurrentMessage(conversationId, result.lastID);
+
+    await regenerateReply(req, res, {
+        conversationId,
+        questionMessageId: result.lastID,
+        question: content,
+        stream
+    });
+}
+
+// Generate another answer to the question behind an assistant message
+app.post('/api/chats/:chatId/messages/:messageId/regenerate', requireAuth, enforceGuestMessageLimit, async (req, res) => {
+    try {
+        const chatId = parseInt(req.params.chatId);
+        const messageId = parseInt(req.params.messageId);
+        const userId = req.session.userId.toString();
+
+        // Verify conversation belongs to user
+        const conversations = await dbQuery(
+            'SELECT * FROM conversations WHERE id = ? AND user_id = ?',
+            [chatId, userId]
+        );
+
+        if (conversations.length === 0) {
+            return res.status(404).json({ 
+                success: false, 
+                message: 'Conversation not found' 
+            });
+        }
+
+        const messages = await dbQuery(
+            'SELECT * FROM messages WHERE id = ? AND conversation_id = ? AND role = ?',
+            [messageId, chatId, 'ai']
+        );
+        const questions = messages.length > 0 && messages[0].parent_message_id
+            ? await dbQuery('SELECT * FROM messages WHERE id = ? AND conversation_id = ?', [messages[0].parent_message_id, chatId])
+            : [];
+
+        if (questions.length === 0 || questions[0].role !== 'user') {
+            return res.status(404).json({ 
+                success: false, 
+                message: 'Message not found or cannot be regenerated' 
+            });
+        }
+
+        await regenerateReply(req, res, {
+            conversationId: chatId,
+            questionMessageId: questions[0].id,
+            question: questions[0].content,
+            stream: req.body.stream === true || req.body.stream === 'true'
+        });
+    } catch (error) {
+        console.error('Regenerate reply error:', error);
+        res.status(500).json({ 
+            success: false, 
+            message: 'Error regenerating reply: ' + (error.message || 'Unknown error') 
+        });
+    }
+});
+
+// Switch the conversation to the branch that contains a message
+app.post('/api/chats/:chatId/messages/:messageId/select', requireAuth, async (req, res) => {
+    try {
+        const chatId = parseInt(req.params.chatId);
+        const messageId = parseInt(req.params.messageId);
+        const userId = req.session.userId.toString();
+
+        // Verify conversation belongs to user
+        const conversations = await dbQuery(
+            'SELECT * FROM conversations WHERE id = ? AND user_id = ?',
+            [chatId, userId]
+        );
+
+        if (conversations.length === 0) {
+            return res.status(404).json({ 
+                success: false, 
+                message: 'Conversation not found' 
+            });
+        }
+
+        const tree = await loadMessageTree(chatId);
+        if (!tree.byId.has(messageId)) {
+            return res.status(404).json({ 
+                success: false, 
+                message: 'Message not found' 
+            });
+        }
+
+        // Show the most recent continuation below the selected message
+        const leafId = getLatestDescendantId(tree, messageId);
+        await dbRun('UPDATE conversations SET current_message_id = ? WHERE id = ?', [leafId, chatId]);
+
+        res.json({
+            success: true,
+            conversation: { ...conversations[0], current_message_id: leafId },
+            messages: getBranchMessages(tree, leafId)
+        });
+    } catch (error) {
+        console.error('Select branch error:', error);
+        res.status(500).json({ 
+            success: false, 
+            message: 'Error switching branch: ' + (error.message || 'Unknown error') 
+        });
+    }
+});
+
+// Delete a message
+app.delete('/api/chats/:chatId/messages/:messageId', requireAuth, async (req, res) => {
+    try {
+        const chatId = parseInt(req.params.chatId);
+        const messageId = parseInt(req.params.messageId);
+        const userId = req.session.userId.toString();
+
+        // Verify conversation belongs to user
+        const conversations = await dbQuery(
+            'SELECT * FROM conversations WHERE id = ? AND user_id = ?',
+            [chatId, userId]
+        );
+
+        if (conversations.length === 0) {
+            return res.status(404).json({ 
+                success: false, 
+                message: 'Conversation not found' 
+            });
+        }
+
+        // Verify message belongs to conversation
+        const messages = await dbQuery(
+            'SELECT * FROM messages WHERE id = ? AND conversation_id = ?',
+            [messageId, chatId]
+        );
+
+        if (messages.length === 0) {
+            return res.status(404).json({ 
+                success: false, 
+                message: 'Message not found' 
+            });
+        }
+
+        // Delete message; its replies move up to its parent so the branch stays connected
+        const deleted = messages[0];
+        await dbRun(
+            'UPDATE messages SET parent_message_id = ? WHERE parent_message_id = ? AND conversation_id = ?',
+            [deleted.parent_message_id, messageId, chatId]
+        );
+        await dbRun('DELETE FROM messages WHERE id = ?', [messageId]);
+        if (conversations[0].current_message_id === messageId) {
+            await dbRun('UPDATE conversations SET current_message_id = ? WHERE id = ?', [deleted.parent_message_id, chatId]);
+        }
+
+        // Update conversation timestamp
+        await dbRun(
+            'UPDATE conversations SET updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+            [chatId]
+        );
+
+        res.json({
+            success: true,
+            message: 'Message deleted successfully'
+        });
+    } catch (error) {
+        console.error('Delete message error:', error);
+        res.status(500).json({ 
+            success: false, 
+            message: 'Error deleting message: ' + (error.message || 'Unknown error') 
+        });
+    }
+});
+
+// Create a new conversation
+app.post('/api/chats', requireAuth, async (req, res) => {
+    try {
+        const userId = req.session.userId.toString();
+        const { title } = req.body;
+
+        const result = await dbRun(
+            'INSERT INTO conversations (user_id, title) VALUES (?, ?)',
+            [userId, title || 'New Chat']
+        );
+        await indexConversationForSearch(result.lastID, title || 'New Chat');
+
+        res.json({
+            success: true,
+            conversation: {
+                id: result.lastID,
+                user_id: userId,
+                title: title || 'New Chat',
+                created_at: new Date().toISOString(),
+                updated_at: new Date().toISOString()
+            }
+        });
+    } catch (error) {
+        console.error('Create conversation error:', error);
+        res.status(500).json({ 
+            success: false, 
+            message: 'Error creating conversation: ' + (error.message || 'Unknown error') 
+        });
+    }
+});
+
+// Update (rename) a conversation
+app.put('/api/chats/:chatId', requireAuth, async (req, res) => {
+    try {
+        const chatId = parseInt(req.params.chatId);
+        const userId = req.session.userId.toString();
+        const { title } = req.body;
+
+        if (!title || !title.trim()) {
+            return res.status(400).json({ 
+                success: false, 
+                message: 'Title is required' 
+            });
+        }
+
+        // Verify conversation belongs to user
+        const conversations = await dbQuery(
+            'SELECT * FROM conversations WHERE id = ? AND user_id = ?',
+            [chatId, userId]
+        );
+
+        if (conversations.length === 0) {
+            return res.status(404).json({ 
+                success: false, 
+                message: 'Conversation not found' 
+            });
+        }
+
+        // Update conversation title
+        await dbRun(
+            'UPDATE conversations SET title = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+            [title.trim(), chatId]
+        );
+        await indexConversationForSearch(chatId, title.trim());
+
+        res.json({
+            success: true,
+            message: 'Conversation updated successfully'
+        });
+    } catch (error) {
+        console.error('Update conversation error:', error);
+        res.status(500).json({ 
+            success: false, 
+            message: 'Error updating conversation: ' + (error.message || 'Unknown error') 
+        });
+    }
+});
+
+// Delete a conversation
+app.delete('/api/chats/:chatId', requireAuth, async (req, res) => {
+    try {
+        const chatId = parseInt(req.params.chatId);
+        const userId = req.session.userId.toString();
+
+        // Verify conversation belongs to user
+        const conversations = await dbQuery(
+            'SELECT * FROM conversations WHERE id = ? AND user_id = ?',
+            [chatId, userId]
+        );
+
+        if (conversations.length === 0) {
+            return res.status(404).json({ 
+                success: false, 
+                message: 'Conversation not found' 
+            });
+        }
+
+        // Delete the messages, then the conversation; their search rows go with them
+        // through the delete triggers
+        await runInTransaction(async () => {
+            await dbRun('DELETE FROM messages WHERE conversation_id = ?', [chatId]);
+            await dbRun('DELETE FROM conversations WHERE id = ?', [chatId]);
+        });
+
+        res.json({
+            success: true,
+            message: 'Conversation deleted successfully'
+        });
+    } catch (error) {
+        console.error('Delete conversation error:', error);
+        res.status(500).json({ 
+            success: false, 
+            message: 'Error deleting conversation: ' + (error.message || 'Unknown error') 
+        });
+    }
+});
+
+// ==================== Lawyer directory ====================
+// Lawyers live in the lawyers table; specialties and languages are stored as JSON arrays.
+// The booking page and booking validation both read from here.
+
+const EGYPT_GOVERNORATES = [
+    'Alexandria', 'Aswan', 'Asyut', 'Beheira', 'Beni Suef', 'Cairo', 'Dakahlia', 'Damietta', 'Faiyum',
+    'Gharbia', 'Giza', 'Ismailia', 'Kafr El Sheikh', 'Luxor', 'Matrouh', 'Minya', 'Monufia', 'New Valley',
+    'North Sinai', 'Port Said', 'Qalyubia', 'Qena', 'Red Sea', 'Sharqia', 'Sohag', 'South Sinai', 'Suez'
+];
+
+// Sample directory for new installations (no Bar numbers: replace with real, verified entries)
+const SAMPLE_LAWYERS = [
+    { name: 'Ahmed El-Sayed', nameAr: 'أحمد السيد', specialties: ['Criminal Law'], governorate: 'Cairo', languages: ['Arabic', 'English'], consultationFee: 800, bio: 'Criminal defense before misdemeanor and felony courts, including appeals and cassation.' },
+    { name: 'Mona Abdel Rahman', nameAr: 'منى عبد الرحمن', specialties: ['Family Law'], governorate: 'Giza', languages: ['Arabic', 'English'], consultationFee: 600, bio: 'Personal status cases: divorce and khula, custody, alimony and visitation before family courts.' },
+    { name: 'Karim Mansour', nameAr: 'كريم منصور', specialties: ['Corporate Law'], governorate: 'Cairo', languages: ['Arabic', 'English', 'French'], consultationFee: 1500, bio: 'Company formation, shareholder agreements, commercial contracts and investment law compliance.' },
+    { name: 'Hoda Farouk', nameAr: 'هدى فاروق', specialties: ['Real Estate Law'], governorate: 'Alexandria', languages: ['Arabic'], consultationFee: 700, bio: 'Old and new rent disputes, property registration and sale contracts under the Civil Code.' },
+    { name: 'Tarek Hassan', nameAr: 'طارق حسن', specialties: ['Labor Law'], governorate: 'Qalyubia', languages: ['Arabic'], consultationFee: 500, bio: 'Employee and employer representation in dismissal, wage and social insurance disputes.' },
+    { name: 'Yasmine Fathy', nameAr: 'ياسمين فتحي', specialties: ['Intellectual Property'], governorate: 'Cairo', languages: ['Arabic', 'English'], consultationFee: 1200, bio: 'Trademark and patent registration, copyright protection and infringement actions under Law 82/2002.' },
+    { name: 'Mahmoud Ibrahim', nameAr: 'محمود إبراهيم', specialties: ['Administrative Law'], governorate: 'Cairo', languages: ['Arabic'], consultationFee: 900, bio: 'Challenges to administrative decisions and government contracts before the State Council.' },
+    { name: 'Nadia Soliman', nameAr: 'نادية سليمان', specialties: ['Inheritance Law'], governorate: 'Dakahlia', languages: ['Arabic'], consultationFee: 500, bio: 'Inheritance distribution, estate division and probate proceedings.' },
+    { name: 'Omar Khalil', nameAr: 'عمر خليل', specialties: ['Tax Law'], governorate: 'Giza', languages: ['Arabic', 'English'], consultationFee: 1000, bio: 'Income tax and VAT disputes, tax appeals committees and business tax planning.' },
+    { name: 'Rania Mostafa', nameAr: 'رانيا مصطفى', specialties: ['Civil Law'], governorate: 'Alexandria', languages: ['Arabic', 'English'], consultationFee: 700, bio: 'Contract disputes, compensation claims and civil litigation before primary and appeal courts.' },
+    { name: 'Sherif Adel', nameAr: 'شريف عادل', specialties: ['Commercial Law'], governorate: 'Sharqia', languages: ['Arabic'], consultationFee: 800, bio: 'Cheques and commercial papers, restructuring and bankruptcy under Law 11/2018.' },
+    { name: 'Dina Hamdy', nameAr: 'دينا حمدي', specialties: ['Cybercrime'], governorate: 'Cairo', languages: ['Arabic', 'English'], consultationFee: 900, bio: 'Online defamation, data misuse and cybercrime cases under Law 175/2018.' }
+];
+
+// Sample lawyers work Sunday to Thursday, 10:00-16:00, in one-hour slots
+const SAMPLE_WEEKLY_AVAILABILITY = [0, 1, 2, 3, 4].map(weekday => ({
+    weekday, startTime: '10:00', endTime: '16:00', slotMinutes: 60
+}));
+
+// Fill an empty directory with the sample lawyers
+async function seedLawyerDirectory() {
+    try {
+        const rows = await dbQuery('SELECT COUNT(*) AS count FROM lawyers');
+        if (rows[0].count > 0) {
+            return;
+        }
+        for (const lawyer of SAMPLE_LAWYERS) {
+            const values = normalizeLawyerInput(lawyer).values;
+            const result = await dbRun(
+                `INSERT INTO lawyers (${Object.keys(values).join(', ')}) VALUES (${Object.keys(values).map(() => '?').join(', ')})`,
+                Object.values(values)
+            );
+            await replaceWeeklyAvailability(result.lastID, SAMPLE_WEEKLY_AVAILABILITY);
+        }
+        console.log(`Seeded lawyer directory with ${SAMPLE_LAWYERS.length} sample lawyers.`);
+    } catch (error) {
+        console.error('Error seeding lawyer directory:', error.message);
+    }
+}
+
+function parseJsonArray(value) {
+    try {
+        const parsed = JSON.parse(value || '[]');
+        return Array.isArray(parsed) ? parsed : [];
+    } catch (error) {
+        return [];
+    }
+}
+
+// Accept a list as an array or a comma-separated string
+function toStringList(value) {
+    const list = Array.isArray(value) ? value : (value || '').toString().split(',');
+    return [...new Set(list.map(item => item.toString().trim()).filter(Boolean))];
+}
+
+// API shape of a lawyers row
+function formatLawyer(row) {
+    return {
+        id: row.id,
+        name: row.name,
+        nameAr: row.name_ar,
+        specialties: parseJsonArray(row.specialties),
+        barRegistrationNumber: row.bar_registration_number,
+        governorate: row.governorate,
+        languages: parseJsonArray(row.languages),
+        consultationFee: row.consultation_fee,
+        bio: row.bio,
+        photoUrl: row.photo_url,
+        isActive: row.is_active === 1
+    };
+}
+
+// Validate lawyer fields from a request body and map them to columns.
+// With partial = true (updates) only the fields present are checked and returned.
+function normalizeLawyerInput(body, { partial = false } = {}) {
+    const values = {};
+    const has = (field) => !partial || body[field] !== undefined;
+
+    if (has('name')) {
+        if (!body.name || !body.name.toString().trim()) {
+            return { error: 'Name is required' };
+        }
+        values.name = body.name.toString().trim();
+    }
+    if (has('nameAr')) {
+        values.name_ar = body.nameAr ? body.nameAr.toString().trim() : null;
+    }
+    if (has('specialties')) {
+        const specialties = toStringList(body.specialties);
+        if (specialties.length === 0) {
+            return { error: 'At least one specialty is required' };
+        }
+        values.specialties = JSON.stringify(specialties);
+    }
+    if (has('barRegistrationNumber')) {
+        const barNumber = (body.barRegistrationNumber || '').toString().trim();
+        if (barNumber && !/^[A-Za-z0-9\/-]{3,20}$/.test(barNumber)) {
+            return { error: 'Invalid Bar Association registration number' };
+        }
+        values.bar_registration_number = barNumber || null;
+    }
+    if (has('governorate')) {
+        const governorate = body.governorate ? body.governorate.toString().trim() : null;
+        if (governorate && !EGYPT_GOVERNORATES.includes(governorate)) {
+            return { error: 'Unknown governorate' };
+        }
+        values.governorate = governorate;
+    }
+    if (has('languages')) {
+        values.languages = JSON.stringify(toStringList(body.languages));
+    }
+    if (has('consultationFee')) {
+        const fee = body.consultationFee == null || body.consultationFee === '' ? null : Number(body.consultationFee);
+        if (fee !== null && (!Number.isFinite(fee) || fee < 0)) {
+            return { error: 'Consultation fee must be a positive number' };
+        }
+        values.consultation_fee = fee;
+    }
+    if (has('bio')) {
+        values.bio = body.bio ? body.bio.toString().trim() : null;
+    }
+    if (has('photoUrl')) {
+        values.photo_url = body.photoUrl ? body.photoUrl.toString().trim() : null;
+    }
+    if (partial && body.isActive !== undefined) {
+        values.is_active = body.isActive ? 1 : 0;
+    }
+
+    return { values };
+}
+
+// Active lawyer by id (null if unknown or removed from the directory)
+async function findActiveLawyer(lawyerId) {
+    const rows = await dbQuery('SELECT * FROM lawyers WHERE id = ? AND is_active = 1', [lawyerId]);
+    return rows.length > 0 ? rows[0] : null;
+}
+
+// List the lawyer directory (optionally filtered by specialty or governorate)
+app.get('/api/lawyers', async (req, res) => {
+    try {
+        const { specialty, governorate } = req.query;
+        const account = await loadSessionAccount(req);
+        const includeInactive = req.query.includeInactive === 'true' && !!account && account.role === 'admin';
+        const rows = await dbQuery(
+            `SELECT * FROM lawyers
+             WHERE (? = 1 OR is_active = 1) AND (? IS NULL OR governorate = ?)
+             ORDER BY name ASC`,
+            [includeInactive ? 1 : 0, governorate || null, governorate || null]
+        );
+
+        let lawyers = rows.map(formatLawyer);
+        if (specialty) {
+            lawyers = lawyers.filter(lawyer => lawyer.specialties.includes(specialty));
+        }
+
+        res.json({
+            success: true,
+            lawyers: lawyers
+        });
+    } catch (error) {
+        console.error('Get lawyers error:', error);
+        res.status(500).json({ 
+            success: false, 
+            message: 'Error fetching lawyers: ' + (error.message || 'Unknown error') 
+        });
+    }
+});
+
+// Get one lawyer
+app.get('/api/lawyers/:lawyerId', async (req, res) => {
+    try {
+        const lawyer = await findActiveLawyer(parseInt(req.params.lawyerId));
+        if (!lawyer) {
+            return res.status(404).json({ 
+                success: false, 
+                message: 'Lawyer not found' 
+            });
+        }
+
+        res.json({
+            success: true,
+            lawyer: formatLawyer(lawyer)
+        });
+    } catch (error) {
+        console.error('Get lawyer error:', error);
+        res.status(500).json({ 
+            success: false, 
+            message: 'Error fetching lawyer: ' + (error.message || 'Unknown error') 
+        });
+    }
+});
+
+// Add a lawyer to the directory (admin only)
+app.post('/api/lawyers', requireRole('admin'), async (req, res) => {
+    try {
+        const { values, error } = normalizeLawyerInput(req.body);
+        if (error) {
+            return res.status(400).json({ 
+                success: false, 
+                message: error 
+            });
+        }
+
+        const result = await dbRun(
+            `INSERT INTO lawyers (${Object.keys(values).join(', ')}) VALUES (${Object.keys(values).map(() => '?').join(', ')})`,
+            Object.values(values)
+        );
+        const rows = await dbQuery('SELECT * FROM lawyers WHERE id = ?', [result.lastID]);
+
+        res.json({
+            success: true,
+            message: 'Lawyer added successfully',
+            lawyer: formatLawyer(rows[0])
+        });
+    } catch (error) {
+        console.error('Create lawyer error:', error);
+        if (error.message && error.message.includes('UNIQUE constraint failed')) {
+            return res.status(400).json({ 
+                success: false, 
+                message: 'A lawyer with this Bar Association registration number already exists' 
+            });
+        }
+        res.status(500).json({ 
+            success: false, 
+            message: 'Error adding lawyer: ' + (error.message || 'Unknown error') 
+        });
+    }
+});
+
+// Update a lawyer (admin only)
+app.put('/api/lawyers/:lawyerId', requireRole('admin'), async (req, res) => {
+    try {
+        const lawyerId = parseInt(req.params.lawyerId);
+        const existing = await dbQuery('SELECT * FROM lawyers WHERE id = ?', [lawyerId]);
+        if (existing.length === 0) {
+            return res.status(404).json({ 
+                success: false, 
+                message: 'Lawyer not found' 
+            });
+        }
+
+        const { values, error } = normalizeLawyerInput(req.body, { partial: true });
+        if (error) {
+            return res.status(400).json({ 
+                success: false, 
+                message: error 
+            });
+        }
+
+        if (Object.keys(values).length > 0) {
+            await dbRun(
+                `UPDATE lawyers SET ${Object.keys(values).map(column => `${column} = ?`).join(', ')}, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+                [...Object.values(values), lawyerId]
+            );
+        }
+        const rows = await dbQuery('SELECT * FROM lawyers WHERE id = ?', [lawyerId]);
+
+        res.json({
+            success: true,
+            message: 'Lawyer updated successfully',
+            lawyer: formatLawyer(rows[0])
+        });
+    } catch (error) {
+        console.error('Update lawyer error:', error);
+        if (error.message && error.message.includes('UNIQUE constraint failed')) {
+            return res.status(400).json({ 
+                success: false, 
+                message: 'A lawyer with this Bar Association registration number already exists' 
+            });
+        }
+        res.status(500).json({ 
+            success: false, 
+            message: 'Error updating lawyer: ' + (error.message || 'Unknown error') 
+        });
+    }
+});
+
+// Remove a lawyer from the directory (admin only). The row is kept, inactive, so
+// existing bookings still point at it.
+app.delete('/api/lawyers/:lawyerId', requireRole('admin'), async (req, res) => {
+    try {
+        const lawyerId = parseInt(req.params.lawyerId);
+        const result = await dbRun(
+            'UPDATE lawyers SET is_active = 0, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+            [lawyerId]
+        );
+        if (result.changes === 0) {
+            return res.status(404).json({ 
+                success: false, 
+                message: 'Lawyer not found' 
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Lawyer removed from the directory'
+        });
+    } catch (error) {
+        console.error('Delete lawyer error:', error);
+        res.status(500).json({ 
+            success: false, 
+            message: 'Error removing lawyer: ' + (error.message || 'Unknown error') 
+        });
+    }
+});
+
+// ==================== Lawyer availability ====================
+// Free slots come from the weekly hours in lawyer_availability, minus exceptions and
+// bookings that still hold their slot. Dates and times are Cairo local time.
+
+const APPOINTMENT_TIMEZONE = 'Africa/Cairo';
+const MAX_AVAILABILITY_RANGE_DAYS = 62;
+const ALLOWED_SLOT_MINUTES = [15, 20, 30, 45, 60, 90, 120];
+// Bookings in these states no longer hold their slot
+const RELEASED_BOOKING_STATUSES = ['cancelled', 'declined'];
+
+// A real calendar day as YYYY-MM-DD; Date would roll 2026-02-30 over to 2026-03-02
+function isValidDateString(value) {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(value || '')) {
+        return false;
+    }
+    const date = new Date(value + 'T00:00:00Z');
+    return !isNaN(date.getTime()) && date.toISOString().slice(0, 10) === value;
+}
+
+function isValidTimeString(value) {
+    return /^([01]\d|2[0-3]):[0-5]\d$/.test(value || '');
+}
+
+function timeToMinutes(time) {
+    const [hours, minutes] = time.split(':').map(Number);
+    return hours * 60 + minutes;
+}
+
+function minutesToTime(totalMinutes) {
+    return `${String(Math.floor(totalMinutes / 60)).padStart(2, '0')}:${String(totalMinutes % 60).padStart(2, '0')}`;
+}
+
+function addDays(date, days) {
+    const result = new Date(date + 'T00:00:00Z');
+    result.setUTCDate(result.getUTCDate() + days);
+    return result.toISOString().slice(0, 10);
+}
+
+// Current date and time in Cairo as 'YYYY-MM-DD' / 'HH:MM'
+function getCairoNow() {
+    const parts = Object.fromEntries(new Intl.DateTimeFormat('en-CA', {
+        timeZone: APPOINTMENT_TIMEZONE,
+        year: 'numeric', month: '2-digit', day: '2-digit',
+        hour: '2-digit', minute: '2-digit', hourCycle: 'h23'
+    }).formatToParts(new Date()).map(part => [part.type, part.value]));
+    return { date: `${parts.year}-${parts.month}-${parts.day}`, time: `${parts.hour}:${parts.minute}` };
+}
+
+// Check weekly hours from a request body; returns { rules } or { error }
+function normalizeWeeklyAvailability(weekly) {
+    if (!Array.isArray(weekly)) {
+        return { error: 'weekly must be an array of { weekday, startTime, endTime, slotMinutes }' };
+    }
+    const rules = [];
+    for (const entry of weekly) {
+        const weekday = parseInt(entry.weekday);
+        const slotMinutes = parseInt(entry.slotMinutes) || 60;
+        if (!(weekday >= 0 && weekday <= 6)) {
+            return { error: 'weekday must be 0 (Sunday) to 6 (Saturday)' };
+        }
+        if (!isValidTimeString(entry.startTime) || !isValidTimeString(entry.endTime) || entry.startTime >= entry.endTime) {
+            return { error: 'startTime and endTime must be HH:MM with startTime before endTime' };
+        }
+        if (!ALLOWED_SLOT_MINUTES.includes(slotMinutes)) {
+            return { error: `slotMinutes must be one of ${ALLOWED_SLOT_MINUTES.join(', ')}` };
+        }
+        rules.push({ weekday, startTime: entry.startTime, endTime: entry.endTime, slotMinutes });
+    }
+    return { rules };
+}
+
+async function replaceWeeklyAvailability(lawyerId, rules) {
+    await dbRun('DELETE FROM lawyer_availability WHERE lawyer_id = ?', [lawyerId]);
+    for (const rule of rules) {
+        await dbRun(
+            'INSERT INTO lawyer_availability (lawyer_id, weekday, start_time, end_time, slot_minutes) VALUES (?, ?, ?, ?, ?)',
+            [lawyerId, rule.weekday, rule.startTime, rule.endTime, rule.slotMinutes]
+        );
+    }
+}
+
+// Weekly hours and upcoming exceptions of a lawyer, in API shape
+async function getLawyerSchedule(lawyerId) {
+    const weekly = await dbQuery(
+        'SELECT * FROM lawyer_availability WHERE lawyer_id = ? ORDER BY weekday, start_time',
+        [lawyerId]
+    );
+    const exceptions = await dbQuery(
+        'SELECT * FROM lawyer_availability_exceptions WHERE lawyer_id = ? AND date >= ? ORDER BY date, start_time',
+        [lawyerId, getCairoNow().date]
+    );
+    return {
+        timezone: APPOINTMENT_TIMEZONE,
+        weekly: weekly.map(rule => ({
+            weekday: rule.weekday,
+            startTime: rule.start_time,
+            endTime: rule.end_time,
+            slotMinutes: rule.slot_minutes
+        })),
+        exceptions: exceptions.map(exception => ({
+            id: exception.id,
+            date: exception.date,
+            startTime: exception.start_time,
+            endTime: exception.end_time,
+            reason: exception.reason
+        }))
+    };
+}
+
+// Free slots for a lawyer between two dates (inclusive), grouped by day.
+// excludeBookingId leaves one booking out (used when it is being moved to another slot).
+async function getAvailableSlots(lawyerId, fromDate, toDate, { excludeBookingId = null } = {}) {
+    const rules = await dbQuery('SELECT * FROM lawyer_availability WHERE lawyer_id = ?', [lawyerId]);
+    const exceptions = await dbQuery(
+        'SELECT * FROM lawyer_availability_exceptions WHERE lawyer_id = ? AND date BETWEEN ? AND ?',
+        [lawyerId, fromDate, toDate]
+    );
+    const bookings = await dbQuery(
+        `SELECT id, appointment_date, appointment_time, duration_minutes FROM bookings
+         WHERE lawyer_id = ? AND appointment_date BETWEEN ? AND ?
+         AND status NOT IN (${RELEASED_BOOKING_STATUSES.map(() => '?').join(', ')})
+         AND (? IS NULL OR id != ?)`,
+        [lawyerId, fromDate, toDate, ...RELEASED_BOOKING_STATUSES, excludeBookingId, excludeBookingId]
+    );
+    const now = getCairoNow();
+
+    const days = [];
+    for (let date = fromDate; date <= toDate; date = addDays(date, 1)) {
+        const weekday = new Date(date + 'T00:00:00Z').getUTCDay();
+        const blocked = [
+            ...exceptions.filter(e => e.date === date).map(e => ({
+                start: e.start_time ? timeToMinutes(e.start_time) : 0,
+                end: e.end_time ? timeToMinutes(e.end_time) : 24 * 60
+            })),
+            ...bookings.filter(b => b.appointment_date === date).map(b => ({
+                start: timeToMinutes(b.appointment_time),
+                end: timeToMinutes(b.appointment_time) + (b.duration_minutes || 60)
+            }))
+        ];
+
+        const slots = [];
+        rules.filter(rule => rule.weekday === weekday).forEach(rule => {
+            const endOfDay = timeToMinutes(rule.end_time);
+            for (let start = timeToMinutes(rule.start_time); start + rule.slot_minutes <= endOfDay; start += rule.slot_minutes) {
+                const end = start + rule.slot_minutes;
+                const isPast = date < now.date || (date === now.date && minutesToTime(start) <= now.time);
+                if (!isPast && !blocked.some(block => start < block.end && end > block.start)) {
+                    slots.push({ time: minutesToTime(start), endTime: minutesToTime(end), durationMinutes: rule.slot_minutes });
+                }
+            }
+        });
+        slots.sort((a, b) => a.time.localeCompare(b.time));
+
+        if (slots.length > 0) {
+            days.push({ date, slots });
+        }
+    }
+    return days;
+}
+
+// The free slot starting at date/time, or null if it is not bookable
+async function findAvailableSlot(lawyerId, date, time, options = {}) {
+    const days = await getAvailableSlots(lawyerId, date, date, options);
+    return days.length > 0 ? days[0].slots.find(slot => slot.time === time) || null : null;
+}
+
+// Open slots for a date range (default: the next 14 days)
+app.get('/api/lawyers/:lawyerId/availability', async (req, res) => {
+    try {
+        const lawyerId = parseInt(req.params.lawyerId);
+        const lawyer = await findActiveLawyer(lawyerId);
+        if (!lawyer) {
+            return res.status(404).json({ 
+                success: false, 
+                message: 'Lawyer not found' 
+            });
+        }
+
+        const today = getCairoNow().date;
+        const from = req.query.from || today;
+        const to = req.query.to || (isValidDateString(from) ? addDays(from, 13) : null);
+        if (!isValidDateString(from) || !isValidDateString(to) || from > to) {
+            return res.status(400).json({ 
+                success: false, 
+                message: 'from and to must be dates (YYYY-MM-DD) with from before to' 
+            });
+        }
+        if (addDays(from, MAX_AVAILABILITY_RANGE_DAYS) < to) {
+            return res.status(400).json({ 
+                success: false, 
+                message: `Date range cannot exceed ${MAX_AVAILABILITY_RANGE_DAYS} days` 
+            });
+        }
+
+        res.json({
+            success: true,
+            lawyerId: lawyerId,
+            timezone: APPOINTMENT_TIMEZONE,
+            days: await getAvailableSlots(lawyerId, from < today ? today : from, to)
+        });
+    } catch (error) {
+        console.error('Get availability error:', error);
+        res.status(500).json({ 
+            success: false, 
+            message: 'Error fetching availability: ' + (error.message || 'Unknown error') 
+        });
+    }
+});
+
+// Weekly hours and exceptions of a lawyer (the lawyer or an admin)
+app.get('/api/lawyers/:lawyerId/schedule', requireRole('lawyer', 'admin'), async (req, res) => {
+    try {
+        if (!canManageLawyer(req, parseInt(req.params.lawyerId))) {
+            return res.status(403).json({ 
+                success: false, 
+                message: 'Only this lawyer or an admin can manage this availability' 
+            });
+        }
+
+        res.json({
+            success: true,
+            schedule: await getLawyerSchedule(parseInt(req.params.lawyerId))
+        });
+    } catch (error) {
+        console.error('Get schedule error:', error);
+        res.status(500).json({ 
+            success: false, 
+            message: 'Error fetching schedule: ' + (error.message || 'Unknown error') 
+        });
+    }
+});
+
+// Replace a lawyer's weekly hours (the lawyer or an admin)
+app.put('/api/lawyers/:lawyerId/schedule', requireRole('lawyer', 'admin'), async (req, res) => {
+    try {
+        if (!canManageLawyer(req, parseInt(req.params.lawyerId))) {
+            return res.status(403).json({ 
+                success: false, 
+                message: 'Only this lawyer or an admin can manage this availability' 
+            });
+        }
+
+        const lawyerId = parseInt(req.params.lawyerId);
+        const lawyers = await dbQuery('SELECT id FROM lawyers WHERE id = ?', [lawyerId]);
+        if (lawyers.length === 0) {
+            return res.status(404).json({ 
+                success: false, 
+                message: 'Lawyer not found' 
+            });
+        }
+
+        const { rules, error } = normalizeWeeklyAvailability(req.body.weekly);
+        if (error) {
+            return res.status(400).json({ 
+                success: false, 
+                message: error 
+            });
+        }
+
+        await runInTransaction(() => replaceWeeklyAvailability(lawyerId, rules));
+
+        res.json({
+            success: true,
+            message: 'Availability updated successfully',
+            schedule: await getLawyerSchedule(lawyerId)
+        });
+    } catch (error) {
+        console.error('Update schedule error:', error);
+        res.status(500).json({ 
+            success: false, 
+            message: 'Error updating availability: ' + (error.message || 'Unknown error') 
+        });
+    }
+});
+
+// Block a day or part of a day (the lawyer or an admin). Body: { date, startTime?, endTime?, reason? }
+app.post('/api/lawyers/:lawyerId/exceptions', requireRole('lawyer', 'admin'), async (req, res) => {
+    try {
+        if (!canManageLawyer(req, parseInt(req.params.lawyerId))) {
+            return res.status(403).json({ 
+                success: false, 
+                message: 'Only this lawyer or an admin can manage this availability' 
+            });
+        }
+
+        const lawyerId = parseInt(req.params.lawyerId);
+        const { date, startTime, endTime, reason } = req.body;
+        if (!isValidDateString(date)) {
+            return res.status(400).json({ 
+                success: false, 
+                message: 'A valid date (YYYY-MM-DD) is required' 
+            });
+        }
+        if ((startTime || endTime) && (!isValidTimeString(startTime) || !isValidTimeString(endTime) || startTime >= endTime)) {
+            return res.status(400).json({ 
+                success: false, 
+                message: 'startTime and endTime must be HH:MM with startTime before endTime' 
+            });
+        }
+
+        const result = await dbRun(
+            'INSERT INTO lawyer_availability_exceptions (lawyer_id, date, start_time, end_time, reason) VALUES (?, ?, ?, ?, ?)',
+            [lawyerId, date, startTime || null, endTime || null, reason || null]
+        );
+
+        res.json({
+            success: true,
+            message: 'Exception added successfully',
+            exception: { id: result.lastID, date, startTime: startTime || null, endTime: endTime || null, reason: reason || null }
+        });
+    } catch (error) {
+        console.error('Add availability exception error:', error);
+        res.status(500).json({ 
+            success: false, 
+            message: 'Error adding exception: ' + (error.message || 'Unknown error') 
+        });
+    }
+});
+
+// Remove an exception (the lawyer or an admin)
+app.delete('/api/lawyers/:lawyerId/exceptions/:exceptionId', requireRole('lawyer', 'admin'), async (req, res) => {
+    try {
+        if (!canManageLawyer(req, parseInt(req.params.lawyerId))) {
+            return res.status(403).json({ 
+                success: false, 
+                message: 'Only this lawyer or an admin can manage this availability' 
+            });
+        }
+
+        const result = await dbRun(
+            'DELETE FROM lawyer_availability_exceptions WHERE id = ? AND lawyer_id = ?',
+            [parseInt(req.params.exceptionId), parseInt(req.params.lawyerId)]
+        );
+        if (result.changes === 0) {
+            return res.status(404).json({ 
+                success: false, 
+                message: 'Exception not found' 
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Exception removed successfully'
+        });
+    } catch (error) {
+        console.error('Delete availability exception error:', error);
+        res.status(500).json({ 
+            success: false, 
+            message: 'Error removing exception: ' + (error.message || 'Unknown error') 
+        });
+    }
+});
+
+// Book a lawyer appointment (verified accounts only; the verified address is the client email)
+app.post('/api/booking', requireVerifiedEmail, async (req, res) => {
+    try {
+        const { lawyerId, clientName, clientPhone, appointmentDate, appointmentTime, caseDescription } = req.body;
+        const clientEmail = req.account.email;
+
+        // Validation
+        if (!lawyerId || !clientName || !clientPhone || !appointmentDate || !appointmentTime || !caseDescription) {
+            return res.status(400).json({ 
+                success: false, 
+                message: 'All fields are required' 
+            });
+        }
+
+        if (!isValidDateString(appointmentDate) || !isValidTimeString(appointmentTime)) {
+            return res.status(400).json({ 
+                success: false, 
+                message: 'Invalid appointment date or time' 
+            });
+        }
+
+        // Validate date (must be in the future)
+        if (appointmentDate < getCairoNow().date) {
+            return res.status(400).json({ 
+                success: false, 
+                message: 'Appointment date must be in the future' 
+            });
+        }
+
+        const lawyerRow = await findActiveLawyer(parseInt(lawyerId));
+        if (!lawyerRow) {
+            return res.status(400).json({ 
+                success: false, 
+                message: 'Invalid lawyer selected' 
+            });
+        }
+        const lawyer = formatLawyer(lawyerRow);
+        const specialty = lawyer.specialties[0];
+
+        const userId = req.session.userId.toString();
+
+        // Check the slot and save the booking in one transaction so two clients cannot take the same slot
+        const result = await runInTransaction(async () => {
+            const slot = await findAvailableSlot(lawyer.id, appointmentDate, appointmentTime);
+            if (!slot) {
+                return null;
+            }
+            const inserted = await dbRun(
+                `INSERT INTO bookings (
+                    user_id, lawyer_id, lawyer_name, lawyer_specialty,
+                    client_name, client_email, client_phone,
+                    appointment_date, appointment_time, duration_minutes, case_description
+                ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+                [userId, lawyer.id, lawyer.name, specialty, clientName, clientEmail, clientPhone,
+                    appointmentDate, appointmentTime, slot.durationMinutes, caseDescription]
+            );
+            await recordBookingStatus(inserted.lastID, null, 'pending', req, 'client', 'Booking requested');
+            return inserted;
+        }).catch(error => {
+            if (/UNIQUE constraint failed/.test(error.message)) {
+                return null;
+            }
+            throw error;
+        });
+
+        if (!result) {
+            return res.status(409).json({ 
+                success: false, 
+                message: 'This time slot is no longer available. Please choose another one.' 
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Appointment booked successfully',
+            booking: {
+                id: result.lastID,
+                lawyerName: lawyer.name,
+                appointmentDate: appointmentDate,
+                appointmentTime: appointmentTime
+            }
+        });
+    } catch (error) {
+        console.error('Booking error:', error);
+        res.status(500).json({ 
+            success: false, 
+            message: 'Error booking appointment: ' + (error.message || 'Unknown error') 
+        });
+    }
+});
+
+// Get user bookings
+app.get('/api/bookings', requireAuth, async (req, res) => {
+    try {
+        const userId = req.session.userId.toString();
+        const userBookings = await dbQuery(
+            'SELECT * FROM bookings WHERE user_id = ? ORDER BY appointment_date DESC, appointment_time DESC',
+            [userId]
+        );
+
+        res.json({
+            success: true,
+            bookings: await withBookingHistory(userBookings)
+        });
+    } catch (error) {
+        console.error('Get bookings error:', error);
+        res.status(500).json({ 
+            success: false, 
+            message: 'Error fetching bookings: ' + (error.message || 'Unknown error') 
+        });
+    }
+});
+
+// ==================== Booking lifecycle ====================
+// pending -> confirmed -> completed / no_show, or pending -> declined. Clients can cancel or
+// reschedule pending and confirmed bookings until BOOKING_CHANGE_CUTOFF_HOURS before the
+// appointment; a rescheduled booking goes back to pending. Every change is written to
+// booking_status_history.
+
+const BOOKING_CHANGE_CUTOFF_HOURS = parseInt(process.env.BOOKING_CHANGE_CUTOFF_HOURS) || 24;
+const CLIENT_CHANGEABLE_STATUSES = ['pending', 'confirmed'];
+// Status a lawyer or admin may set, and the statuses it may be set from
+const STAFF_STATUS_TRANSITIONS = {
+    confirmed: ['pending'],
+    declined: ['pending'],
+    completed: ['confirmed'],
+    no_show: ['confirmed']
+};
+// Outcomes that only make sense once the appointment has started
+const AFTER_APPOINTMENT_STATUSES = ['completed', 'no_show'];
+// A status update found the booking in another state than the one it was checked in
+const BOOKING_CHANGED_MESSAGE = 'This booking was changed in the meantime. Please reload it.';
+
+// Minutes from now until a Cairo date/time (negative once it has passed)
+function minutesUntilAppointment(date, time) {
+    const now = getCairoNow();
+    const toEpochMinutes = (d, t) => Date.parse(d + 'T00:00:00Z') / 60000 + timeToMinutes(t);
+    return toEpochMinutes(date, time) - toEpochMinutes(now.date, now.time);
+}
+
+// Whether the client may still cancel or reschedule, with the reason when not
+function getClientChangePolicy(booking) {
+    if (!CLIENT_CHANGEABLE_STATUSES.includes(booking.status)) {
+        return { allowed: false, reason: `A ${booking.status} booking cannot be changed` };
+    }
+    if (minutesUntilAppointment(booking.appointment_date, booking.appointment_time) < BOOKING_CHANGE_CUTOFF_HOURS * 60) {
+        return {
+            allowed: false,
+            reason: `Bookings cannot be cancelled or rescheduled less than ${BOOKING_CHANGE_CUTOFF_HOURS} hours before the appointment`
+        };
+    }
+    return { allowed: true };
+}
+
+async function recordBookingStatus(bookingId, fromStatus, toStatus, req, role, note = null) {
+    await dbRun(
+        `INSERT INTO booking_status_history (booking_id, from_status, to_status, changed_by, changed_by_role, note)
+         VALUES (?, ?, ?, ?, ?, ?)`,
+        [bookingId, fromStatus, toStatus, req.session.userId ? req.session.userId.toString() : null, role, note]
+    );
+}
+
+// Attach history (oldest first) and the client's cancel/reschedule permission to booking rows
+async function withBookingHistory(bookings) {
+    if (bookings.length === 0) {
+        return [];
+    }
+    const history = await dbQuery(
+        `SELECT booking_id, from_status, to_status, changed_by_role, note, created_at FROM booking_status_history
+         WHERE booking_id IN (${bookings.map(() => '?').join(', ')}) ORDER BY created_at ASC, id ASC`,
+        bookings.map(booking => booking.id)
+    );
+    return bookings.map(booking => {
+        const policy = getClientChangePolicy(booking);
+        return {
+            ...booking,
+            can_change: policy.allowed,
+            change_blocked_reason: policy.reason || null,
+            history: history.filter(entry => entry.booking_id === booking.id)
+        };
+    });
+}
+
+async function findBooking(bookingId) {
+    const rows = await dbQuery('SELECT * FROM bookings WHERE id = ?', [bookingId]);
+    return rows[0] || null;
+}
+
+// Load a booking owned by the session user, or send the error response and return null
+async function findOwnBooking(req, res) {
+    const booking = await findBooking(parseInt(req.params.bookingId));
+    if (!booking || booking.user_id !== req.session.userId.toString()) {
+        res.status(404).json({ 
+            success: false, 
+            message: 'Booking not found' 
+        });
+        return null;
+    }
+    return booking;
+}
+
+// Cancel a booking (client). Body: { reason? }
+app.post('/api/bookings/:bookingId/cancel', requireAuth, async (req, res) => {
+    try {
+        const booking = await findOwnBooking(req, res);
+        if (!booking) return;
+
+        // Checked on the booking as it is inside the transaction, so a status change made
+        // meanwhile (e.g. the lawyer declined) is never overwritten
+        const policy = await runInTransaction(async () => {
+            const current = await findBooking(booking.id);
+            const currentPolicy = getClientChangePolicy(current);
+            if (!currentPolicy.allowed) {
+                return currentPolicy;
+            }
+            const result = await dbRun(
+                `UPDATE bookings SET status = 'cancelled', updated_at = CURRENT_TIMESTAMP
+                 WHERE id = ? AND status IN (${CLIENT_CHANGEABLE_STATUSES.map(() => '?').join(', ')})`,
+                [booking.id, ...CLIENT_CHANGEABLE_STATUSES]
+            );
+            if (result.changes === 0) {
+                return { allowed: false, reason: BOOKING_CHANGED_MESSAGE };
+            }
+            await recordBookingStatus(booking.id, current.status, 'cancelled', req, 'client', req.body.reason || null);
+            return currentPolicy;
+        });
+        if (!policy.allowed) {
+            return res.status(400).json({ 
+                success: false, 
+                message: policy.reason 
+            });
+        }
+
+        const [updated] = await withBookingHistory([await findBooking(booking.id)]);
+        res.json({
+            success: true,
+            message: 'Booking cancelled successfully',
+            booking: updated
+        });
+    } catch (error) {
+        console.error('Cancel booking error:', error);
+        res.status(500).json({ 
+            success: false, 
+            message: 'Error cancelling booking: ' + (error.message || 'Unknown error') 
+        });
+    }
+});
+
+// Move a booking to another free slot of the same lawyer (client). Body: { appointmentDate, appointmentTime }
+app.post('/api/bookings/:bookingId/reschedule', requireAuth, async (req, res) => {
+    try {
+        const booking = await findOwnBooking(req, res);
+        if (!booking) return;
+
+        const { appointmentDate, appointmentTime } = req.body;
+        if (!isValidDateString(appointmentDate) || !isValidTimeString(appointmentTime)) {
+            return res.status(400).json({ 
+                success: false, 
+                message: 'A new appointment date (YYYY-MM-DD) and time (HH:MM) are required' 
+            });
+        }
+
+        // The policy is checked on the booking as it is inside the transaction (see cancel)
+        let refusal = null;
+        const moved = await runInTransaction(async () => {
+            const current = await findBooking(booking.id);
+            const policy = getClientChangePolicy(current);
+            if (!policy.allowed) {
+                refusal = policy.reason;
+                return false;
+            }
+            const slot = await findAvailableSlot(booking.lawyer_id, appointmentDate, appointmentTime, { excludeBookingId: booking.id });
+            if (!slot) {
+                return false;
+            }
+            const result = await dbRun(
+                `UPDATE bookings SET appointment_date = ?, appointment_time = ?, duration_minutes = ?,
+                 status = 'pending', updated_at = CURRENT_TIMESTAMP
+                 WHERE id = ? AND status IN (${CLIENT_CHANGEABLE_STATUSES.map(() => '?').join(', ')})`,
+                [appointmentDate, appointmentTime, slot.durationMinutes, booking.id, ...CLIENT_CHANGEABLE_STATUSES]
+            );
+            if (result.changes === 0) {
+                refusal = BOOKING_CHANGED_MESSAGE;
+                return false;
+            }
+            await recordBookingStatus(booking.id, current.status, 'pending', req, 'client',
+                `Rescheduled from ${current.appointment_date} ${current.appointment_time} to ${appointmentDate} ${appointmentTime}`);
+            return true;
+        }).catch(error => {
+            if (/UNIQUE constraint failed/.test(error.message)) {
+                return false;
+            }
+            throw error;
+        });
+
+        if (refusal) {
+            return res.status(400).json({ 
+                success: false, 
+                message: refusal 
+            });
+        }
+        if (!moved) {
+            return res.status(409).json({ 
+                success: false, 
+                message: 'This time slot is no longer available. Please choose another one.' 
+            });
+        }
+
+        const [updated] = await withBookingHistory([await findBooking(booking.id)]);
+        res.json({
+            success: true,
+            message: 'Booking rescheduled successfully',
+            booking: updated
+        });
+    } catch (error) {
+        console.error('Reschedule booking error:', error);
+        res.status(500).json({ 
+            success: false, 
+            message: 'Error rescheduling booking: ' + (error.message || 'Unknown error') 
+        });
+    }
+});
+
+// Confirm, decline, complete or mark a booking as no-show (the booked lawyer or an admin).
+// Body: { status, note? }
+app.post('/api/bookings/:bookingId/status', requireRole('lawyer', 'admin'), async (req, res) => {
+    try {
+        const { status, note } = req.body;
+        if (!Object.prototype.hasOwnProperty.call(STAFF_STATUS_TRANSITIONS, status)) {
+            return res.status(400).json({ 
+                success: false, 
+                message: `status must be one of ${Object.keys(STAFF_STATUS_TRANSITIONS).join(', ')}` 
+            });
+        }
+
+        const booking = await findBooking(parseInt(req.params.bookingId));
+        // Lawyers get the same 404 as for a missing booking when it is not theirs
+        if (!booking || !canManageLawyer(req, booking.lawyer_id)) {
+            return res.status(404).json({ 
+                success: false, 
+                message: 'Booking not found' 
+            });
+        }
+
+        if (!STAFF_STATUS_TRANSITIONS[status].includes(booking.status)) {
+            return res.status(400).json({ 
+                success: false, 
+                message: `A ${booking.status} booking cannot be marked as ${status}` 
+            });
+        }
+        if (AFTER_APPOINTMENT_STATUSES.includes(status) && minutesUntilAppointment(booking.appointment_date, booking.appointment_time) > 0) {
+            return res.status(400).json({ 
+                success: false, 
+                message: `A booking can only be marked as ${status} after the appointment time` 
+            });
+        }
+
+        const updatedStatus = await runInTransaction(async () => {
+            const result = await dbRun(
+                'UPDATE bookings SET status = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ? AND status = ?',
+                [status, booking.id, booking.status]
+            );
+            if (result.changes === 0) {
+                return false;
+            }
+            await recordBookingStatus(booking.id, booking.status, status, req, req.account.role, note || null);
+            return true;
+        });
+        if (!updatedStatus) {
+            return res.status(409).json({ 
+                success: false, 
+                message: BOOKING_CHANGED_MESSAGE 
+            });
+        }
+
+        const [updated] = await withBookingHistory([await findBooking(booking.id)]);
+        res.json({
+            success: true,
+            message: 'Booking status updated successfully',
+            booking: updated
+        });
+    } catch (error) {
+        console.error('Update booking status error:', error);
+        res.status(500).json({ 
+            success: false, 
+            message: 'Error updating booking status: ' + (error.message || 'Unknown error') 
+        });
+    }
+});
+
+// ==================== Calendar export ====================
+// Bookings as iCalendar: one .ics file per booking and a feed per user at /calendar/<token>.ics
+// that calendar apps can subscribe to. Events keep the same UID, and SEQUENCE grows with every
+// change, so a reschedule or cancellation updates the existing event instead of adding one.
+
+const CALENDAR_PRODUCT_ID = '-//Know Law//Bookings//EN';
+// Egypt observes summer time from the last Friday of April to the last Thursday of October
+const CAIRO_VTIMEZONE = [
+    'BEGIN:VTIMEZONE',
+    'TZID:Africa/Cairo',
+    'BEGIN:DAYLIGHT',
+    'TZOFFSETFROM:+0200',
+    'TZOFFSETTO:+0300',
+    'TZNAME:EEST',
+    'DTSTART:20230428T000000',
+    'RRULE:FREQ=YEARLY;BYMONTH=4;BYDAY=-1FR',
+    'END:DAYLIGHT',
+    'BEGIN:STANDARD',
+    'TZOFFSETFROM:+0300',
+    'TZOFFSETTO:+0200',
+    'TZNAME:EET',
+    'DTSTART:20231026T235959',
+    'RRULE:FREQ=YEARLY;BYMONTH=10;BYDAY=-1TH',
+    'END:STANDARD',
+    'END:VTIMEZONE'
+];
+const ICS_EVENT_STATUS = {
+    pending: 'TENTATIVE',
+    confirmed: 'CONFIRMED',
+    completed: 'CONFIRMED',
+    no_show: 'CONFIRMED',
+    declined: 'CANCELLED',
+    cancelled: 'CANCELLED'
+};
+
+function escapeIcsText(text) {
+    return String(text || '')
+        .replace(/\\/g, '\\\\')
+        .replace(/;/g, '\\;')
+        .replace(/,/g, '\\,')
+        .replace(/\r?\n/g, '\\n');
+}
+
+// Lines longer than 75 octets continue on the next line after a space (RFC 5545 3.1)
+function foldIcsLine(line) {
+    const parts = [];
+    let current = '';
+    for (const char of line) {
+        const limit = parts.length === 0 ? 75 : 74;
+        if (Buffer.byteLength(current + char) > limit) {
+            parts.push(current);
+            current = '';
+        }
+        current += char;
+    }
+    parts.push(current);
+    return parts.join('\r\n ');
+}
+
+// 'YYYY-MM-DD', 'HH:MM' -> 'YYYYMMDDTHHMM00'
+function toIcsLocalDateTime(date, time) {
+    return date.replace(/-/g, '') + 'T' + time.replace(':', '') + '00';
+}
+
+// SQLite 'YYYY-MM-DD HH:MM:SS' (UTC) -> 'YYYYMMDDTHHMMSSZ'
+function toIcsUtcDateTime(timestamp) {
+    return timestamp.replace(/[-:]/g, '').replace(' ', 'T') + 'Z';
+}
+
+function buildBookingEvent(booking, host) {
+    const startMinutes = timeToMinutes(booking.appointment_time);
+    const endMinutes = startMinutes + (booking.duration_minutes || 60);
+    const endDate = addDays(booking.appointment_date, Math.floor(endMinutes / (24 * 60)));
+    const status = ICS_EVENT_STATUS[booking.status] || 'TENTATIVE';
+    const description = [
+        booking.lawyer_specialty ? `Specialty: ${booking.lawyer_specialty}` : null,
+        `Booking status: ${booking.status}`,
+        booking.case_description ? `Case: ${booking.case_description}` : null
+    ].filter(Boolean).join('\n');
+
+    return [
+        'BEGIN:VEVENT',
+        `UID:booking-${booking.id}@${host}`,
+        `DTSTAMP:${toIcsUtcDateTime(booking.updated_at || booking.created_at)}`,
+        `LAST-MODIFIED:${toIcsUtcDateTime(booking.updated_at || booking.created_at)}`,
+        `SEQUENCE:${booking.sequence || 0}`,
+        `DTSTART;TZID=Africa/Cairo:${toIcsLocalDateTime(booking.appointment_date, booking.appointment_time)}`,
+        `DTEND;TZID=Africa/Cairo:${toIcsLocalDateTime(endDate, minutesToTime(endMinutes % (24 * 60)))}`,
+        `SUMMARY:${escapeIcsText(`${status === 'CANCELLED' ? 'Cancelled: ' : ''}Legal consultation with ${booking.lawyer_name}`)}`,
+        `DESCRIPTION:${escapeIcsText(description)}`,
+        `STATUS:${status}`,
+        'END:VEVENT'
+    ];
+}
+
+function buildCalendar(bookings, host, name) {
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        `PRODID:${CALENDAR_PRODUCT_ID}`,
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH',
+        `X-WR-CALNAME:${escapeIcsText(name)}`,
+        'X-WR-TIMEZONE:Africa/Cairo',
+        ...CAIRO_VTIMEZONE,
+        ...bookings.flatMap(booking => buildBookingEvent(booking, host)),
+        'END:VCALENDAR'
+    ];
+    return lines.map(foldIcsLine).join('\r\n') + '\r\n';
+}
+
+// Bookings with their SEQUENCE: one more for every change after the booking was made
+async function loadCalendarBookings(whereSql, params) {
+    return dbQuery(
+        `SELECT bookings.*, (SELECT COUNT(*) - 1 FROM booking_status_history h WHERE h.booking_id = bookings.id) AS sequence
+         FROM bookings WHERE ${whereSql} ORDER BY appointment_date, appointment_time`,
+        params
+    );
+}
+
+// Feed URLs and event UIDs use APP_BASE_URL like emailed links, never a Host header the
+// client sent
+function getCalendarHost() {
+    return new URL(APP_BASE_URL).hostname || 'knowlaw';
+}
+
+function getCalendarFeedUrl(token) {
+    return `${APP_BASE_URL}/calendar/${token}.ics`;
+}
+
+function sendCalendar(res, calendar, filename) {
+    res.setHeader('Content-Type', 'text/calendar; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    res.send(calendar);
+}
+
+// Download one booking as an .ics file
+app.get('/api/bookings/:bookingId/calendar.ics', requireAuth, async (req, res) => {
+    try {
+        const bookings = await loadCalendarBookings('id = ? AND user_id = ?', [parseInt(req.params.bookingId), req.session.userId.toString()]);
+        if (bookings.length === 0) {
+            return res.status(404).json({ 
+                success: false, 
+                message: 'Booking not found' 
+            });
+        }
+
+        sendCalendar(res, buildCalendar(bookings, getCalendarHost(), 'Know Law appointment'), `appointment-${bookings[0].id}.ics`);
+    } catch (error) {
+        console.error('Booking calendar error:', error);
+        res.status(500).json({ 
+            success: false, 
+            message: 'Error creating calendar file: ' + (error.message || 'Unknown error') 
+        });
+    }
+});
+
+// Feed URL of the logged-in user; the token is created on first use. Send reset: true to
+// replace it, which stops the old URL from working.
+app.post('/api/calendar/feed', requireAuth, async (req, res) => {
+    try {
+        if (isGuestSession(req)) {
+            return res.status(403).json({ 
+                success: false, 
+                message: 'Create an account to subscribe to your appointments' 
+            });
+        }
+
+        const users = await dbQuery('SELECT calendar_token FROM users WHERE id = ?', [req.session.userId]);
+        if (users.length === 0) {
+            return res.status(404).json({ 
+                success: false, 
+                message: 'User not found' 
+            });
+        }
+
+        let token = users[0].calendar_token;
+        if (!token || req.body.reset) {
+            token = crypto.randomBytes(24).toString('hex');
+            await dbRun('UPDATE users SET calendar_token = ? WHERE id = ?', [token, req.session.userId]);
+        }
+
+        const url = getCalendarFeedUrl(token);
+        res.json({
+            success: true,
+            url: url,
+            webcalUrl: url.replace(/^https?:/, 'webcal:')
+        });
+    } catch (error) {
+        console.error('Calendar feed error:', error);
+        res.status(500).json({ 
+            success: false, 
+            message: 'Error creating calendar feed: ' + (error.message || 'Unknown error') 
+        });
+    }
+});
+
+// Subscribable feed with all bookings of the token's owner. No session: calendar apps
+// fetch it on their own, so the token is the only credential.
+app.get('/calendar/:token.ics', async (req, res) => {
+    try {
+        const users = await dbQuery(
+            'SELECT id FROM users WHERE calendar_token IS NOT NULL AND calendar_token = ?',
+            [req.params.token]
+        );
+        if (users.length === 0) {
+            return res.status(404).send('Calendar not found');
+        }
+
+        const bookings = await loadCalendarBookings('user_id = ?', [users[0].id.toString()]);
+        res.setHeader('Cache-Control', 'no-cache');
+        sendCalendar(res, buildCalendar(bookings, getCalendarHost(), 'Know Law appointments'), 'know-law-appointments.ics');
+    } catch (error) {
+        console.error('Calendar feed error:', error);
+        res.status(500).send('Error creating calendar feed');
+    }
+});
+
+// ==================== Lawyer portal ====================
+// A user with role 'lawyer' is linked to one directory entry (users.lawyer_id) and works with
+// the bookings made with that entry: accept or decline them, keep private notes about clients
+// and manage the availability behind the booking calendar.
+
+// Whether the session's account may manage a lawyer's calendar (after requireRole)
+function canManageLawyer(req, lawyerId) {
+    return req.account.role === 'admin' || req.account.lawyerId === lawyerId;
+}
+
+function formatClientNote(row) {
+    return {
+        id: row.id,
+        clientId: row.client_user_id,
+        note: row.note,
+        createdAt: row.created_at
+    };
+}
+
+// The lawyer's directory entry
+app.get('/api/lawyer/profile', requireRole('lawyer'), async (req, res) => {
+    try {
+        const lawyerId = req.account.lawyerId;
+
+        const rows = await dbQuery('SELECT * FROM lawyers WHERE id = ?', [lawyerId]);
+        res.json({
+            success: true,
+            lawyer: rows.length > 0 ? formatLawyer(rows[0]) : null
+        });
+    } catch (error) {
+        console.error('Get lawyer profile error:', error);
+        res.status(500).json({ 
+            success: false, 
+            message: 'Error fetching lawyer profile: ' + (error.message || 'Unknown error') 
+        });
+    }
+});
+
+// Bookings made with the logged-in lawyer, with status history and the lawyer's notes on each client.
+// Optional ?status= filter.
+app.get('/api/lawyer/bookings', requireRole('lawyer'), async (req, res) => {
+    try {
+        const lawyerId = req.account.lawyerId;
+
+        const params = [lawyerId];
+        let statusFilter = '';
+        if (req.query.status) {
+            statusFilter = ' AND status = ?';
+            params.push(req.query.status);
+        }
+        const bookings = await withBookingHistory(await dbQuery(
+            `SELECT * FROM bookings WHERE lawyer_id = ?${statusFilter} ORDER BY appointment_date ASC, appointment_time ASC`,
+            params
+        ));
+        const notes = await dbQuery(
+            'SELECT * FROM lawyer_client_notes WHERE lawyer_id = ? ORDER BY created_at ASC, id ASC',
+            [lawyerId]
+        );
+
+        res.json({
+            success: true,
+            bookings: bookings.map(booking => ({
+                ...booking,
+                client_notes: notes.filter(note => note.client_user_id === booking.user_id).map(formatClientNote)
+            }))
+        });
+    } catch (error) {
+        console.error('Get lawyer bookings error:', error);
+        res.status(500).json({ 
+            success: false, 
+            message: 'Error fetching bookings: ' + (error.message || 'Unknown error') 
+        });
+    }
+});
+
+// Add a private note about a client who has booked with this lawyer. Body: { note }
+app.post('/api/lawyer/clients/:clientId/notes', requireRole('lawyer'), async (req, res) => {
+    try {
+        const lawyerId = req.account.lawyerId;
+
+        const note = (req.body.note || '').trim();
+        if (!note) {
+            return res.status(400).json({ 
+                success: false, 
+                message: 'Note text is required' 
+            });
+        }
+
+        const bookings = await dbQuery(
+            'SELECT id FROM bookings WHERE lawyer_id = ? AND user_id = ? LIMIT 1',
+            [lawyerId, req.params.clientId]
+        );
+        if (bookings.length === 0) {
+            return res.status(404).json({ 
+                success: false, 
+                message: 'Client not found' 
+            });
+        }
+
+        const result = await dbRun(
+            'INSERT INTO lawyer_client_notes (lawyer_id, client_user_id, note) VALUES (?, ?, ?)',
+            [lawyerId, req.params.clientId, note]
+        );
+        const rows = await dbQuery('SELECT * FROM lawyer_client_notes WHERE id = ?', [result.lastID]);
+
+        res.json({
+            success: true,
+            message: 'Note added successfully',
+            note: formatClientNote(rows[0])
+        });
+    } catch (error) {
+        console.error('Add client note error:', error);
+        res.status(500).json({ 
+            success: false, 
+            message: 'Error adding note: ' + (error.message || 'Unknown error') 
+        });
+    }
+});
+
+// Delete one of the lawyer's notes
+app.delete('/api/lawyer/notes/:noteId', requireRole('lawyer'), async (req, res) => {
+    try {
+        const lawyerId = req.account.lawyerId;
+
+        const result = await dbRun(
+            'DELETE FROM lawyer_client_notes WHERE id = ? AND lawyer_id = ?',
+            [parseInt(req.params.noteId), lawyerId]
+        );
+        if (result.changes === 0) {
+            return res.status(404).json({ 
+                success: false, 
+                message: 'Note not found' 
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Note deleted successfully'
+        });
+    } catch (error) {
+        console.error('Delete client note error:', error);
+        res.status(500).json({ 
+            success: false, 
+            message: 'Error deleting note: ' + (error.message || 'Unknown error') 
+        });
+    }
+});
+
+// Link a registered user to a directory entry as its lawyer account (admin only). Body: { email }
+app.put('/api/lawyers/:lawyerId/account', requireRole('admin'), async (req, res) => {
+    try {
+        const lawyerId = parseInt(req.params.lawyerId);
+        const lawyers = await dbQuery('SELECT id FROM lawyers WHERE id = ?', [lawyerId]);
+        if (lawyers.length === 0) {
+            return res.status(404).json({ 
+                success: false, 
+                message: 'Lawyer not found' 
+            });
+        }
+
+        const users = await dbQuery('SELECT id, name, email, role FROM users WHERE email = ?', [req.body.email || '']);
+        if (users.length === 0) {
+            return res.status(404).json({ 
+                success: false, 
+                message: 'No registered user with this email' 
+            });
+        }
+
+        // Linking would replace the admin role, including the caller's own
+        if (users[0].role === 'admin' || isBootstrapAdminEmail(users[0].email)) {
+            return res.status(400).json({ 
+                success: false, 
+                message: 'An admin account cannot be linked to a lawyer' 
+            });
+        }
+
+        // One account per directory entry: the previous account goes back to being a client
+        await runInTransaction(async () => {
+            await dbRun("UPDATE users SET role = 'client', lawyer_id = NULL WHERE lawyer_id = ?", [lawyerId]);
+            await dbRun("UPDATE users SET role = 'lawyer', lawyer_id = ? WHERE id = ?", [lawyerId, users[0].id]);
+        });
+
+        res.json({
+            success: true,
+            message: 'Lawyer account linked successfully',
+            account: { userId: users[0].id, name: users[0].name, email: users[0].email, lawyerId: lawyerId }
+        });
+    } catch (error) {
+        console.error('Link lawyer account error:', error);
+        res.status(500).json({ 
+            success: false, 
+            message: 'Error linking lawyer account: ' + (error.message || 'Unknown error') 
+        });
+    }
+});
+
+// Unlink the account of a directory entry; the user becomes a client again (admin only)
+app.delete('/api/lawyers/:lawyerId/account', requireRole('admin'), async (req, res) => {
+    try {
+        const result = await dbRun(
+            "UPDATE users SET role = 'client', lawyer_id = NULL WHERE lawyer_id = ?",
+            [parseInt(req.params.lawyerId)]
+        );
+        if (result.changes === 0) {
+            return res.status(404).json({ 
+                success: false, 
+                message: 'This lawyer has no linked account' 
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Lawyer account unlinked successfully'
+        });
+    } catch (error) {
+        console.error('Unlink lawyer account error:', error);
+        res.status(500).json({ 
+            success: false, 
+            message: 'Error unlinking lawyer account: ' + (error.message || 'Unknown error') 
+        });
+    }
+});
+
+// ==================== Statute corpus ====================
+// Article-level Egyptian statutes are stored in the statutes table and indexed in
+// statutes_fts. Each chat question is searched against the corpus and the best
+// matching articles are added to the prompt, so answers can cite (law, article).
+
+const STATUTE_RESULTS_PER_QUESTION = 5;
+
+// Common English/Arabic words that carry no meaning for statute search
+const SEARCH_STOP_WORDS = new Set([
+    'the', 'and', 'for', 'are', 'what', 'how', 'can', 'does', 'with', 'that', 'this', 'have', 'from',
+    'about', 'under', 'who', 'when', 'which', 'your', 'you', 'not', 'there', 'their', 'will', 'would',
+    'should', 'could', 'law', 'egypt', 'egyptian',
+    'في', 'من', 'على', 'الى', 'عن', 'ما', 'ماذا', 'هل', 'كيف', 'هي', 'هو', 'التي', 'الذي', 'مع', 'او',
+    'ان', 'لا', 'هذا', 'هذه', 'كان', 'قانون', 'مصر'
+]);
+
+// Normalize Arabic spelling variants: diacritics, tatweel, alef (أ إ آ ٱ → ا),
+// yaa (ى → ي), taa marbuta (ة → ه) and Eastern Arabic digits
+function normalizeArabic(text) {
+    return (text || '')
+        .replace(/[\u0610-\u061A\u064B-\u065F\u0670\u06D6-\u06ED]/g, '')
+        .replace(/\u0640/g, '')
+        .replace(/[\u0622\u0623\u0625\u0671]/g, '\u0627')
+        .replace(/\u0649/g, '\u064A')
+        .replace(/\u0629/g, '\u0647')
+        .replace(/[\u0660-\u0669]/g, d => String(d.charCodeAt(0) - 0x0660));
+}
+
+// Normalize text for the full-text index and for queries: Arabic variants, case,
+// and the Arabic definite article (ال / وال / بال / فال / كال / لل) on longer words
+function normalizeForSearch(text) {
+    return normalizeArabic(text)
+        .toLowerCase()
+        .replace(/(^|[^\p{L}\p{N}])(?:و|ب|ف|ك)?ال(?=[\p{L}]{2,})/gu, '$1')
+        .replace(/(^|[^\p{L}\p{N}])لل(?=[\p{L}]{2,})/gu, '$1');
+}
+
+// Distinct normalized search terms of free text
+function getSearchTerms(text, { maxTerms = 12, minLength = 3, stopWords = SEARCH_STOP_WORDS } = {}) {
+    return [...new Set(
+        normalizeForSearch(text)
+            .split(/[^\p{L}\p{N}]+/u)
+            .filter(t => t.length >= minLength && !stopWords.has(t))
+    )].slice(0, maxTerms);
+}
+
+// Turn free text into an FTS5 MATCH expression ("term1" OR "term2" ...)
+function buildSearchQuery(text, maxTerms = 12) {
+    return getSearchTerms(text, { maxTerms }).map(t => `"${t}"`).join(' OR ');
+}
+
+// Minimal CSV parser (RFC 4180 quoting) returning an array of objects keyed by the header row
+function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+    const input = (text || '').replace(/^\uFEFF/, '');
+
+    for (let i = 0; i < input.length; i++) {
+        const char = input[i];
+        if (inQuotes) {
+            if (char === '"' && input[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && input[i + 1] === '\n') {
+                i++;
+            }
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+
+    const nonEmpty = rows.filter(r => r.some(value => value.trim() !== ''));
+    if (nonEmpty.length === 0) {
+        return [];
+    }
+    const header = nonEmpty[0].map(h => h.trim().toLowerCase());
+    return nonEmpty.slice(1).map(values => {
+        const record = {};
+        header.forEach((key, index) => {
+            record[key] = (values[index] || '').trim();
+        });
+        return record;
+    });
+}
+
+// Map an imported record (JSON or CSV, snake_case or camelCase) to statute columns
+function normalizeStatuteRecord(record) {
+    const pick = (...keys) => {
+        for (const key of keys) {
+            if (record[key] !== undefined && record[key] !== null && String(record[key]).trim() !== '') {
+                return String(record[key]).trim();
+            }
+        }
+        return null;
+    };
+    return {
+        lawNumber: pick('law_number', 'lawNumber', 'law'),
+        lawName: pick('law_name', 'lawName', 'name_en'),
+        lawNameAr: pick('law_name_ar', 'lawNameAr', 'name_ar'),
+        articleNumber: pick('article_number', 'articleNumber', 'article'),
+        textAr: pick('text_ar', 'textAr', 'arabic'),
+        textEn: pick('text_en', 'textEn', 'english')
+    };
+}
+
+// Insert or update statute articles and keep the search index in sync.
+// Returns { imported, skipped, errors }.
+async function importStatutes(records) {
+    let imported = 0;
+    const errors = [];
+
+    await runInTransaction(async () => {
+        for (let i = 0; i < records.length; i++) {
+            const statute = normalizeStatuteRecord(records[i] || {});
+            if (!statute.lawNumber || !statute.articleNumber || (!statute.textAr && !statute.textEn)) {
+                errors.push(`Row ${i + 1}: law_number, article_number and text_ar or text_en are required`);
+                continue;
+            }
+
+            await dbRun(
+                `INSERT INTO statutes (law_number, law_name, law_name_ar, article_number, text_ar, text_en)
+                 VALUES (?, ?, ?, ?, ?, ?)
+                 ON CONFLICT (law_number, article_number) DO UPDATE SET
+                    law_name = COALESCE(excluded.law_name, statutes.law_name),
+                    law_name_ar = COALESCE(excluded.law_name_ar, statutes.law_name_ar),
+                    text_ar = COALESCE(excluded.text_ar, statutes.text_ar),
+                    text_en = COALESCE(excluded.text_en, statutes.text_en),
+                    updated_at = CURRENT_TIMESTAMP`,
+                [statute.lawNumber, statute.lawName, statute.lawNameAr, statute.articleNumber, statute.textAr, statute.textEn]
+            );
+
+            const rows = await dbQuery(
+                'SELECT * FROM statutes WHERE law_number = ? AND article_number = ?',
+                [statute.lawNumber, statute.articleNumber]
+            );
+            await indexStatute(rows[0]);
+            imported++;
+        }
+    });
+
+    return { imported, skipped: errors.length, errors };
+}
+
+// (Re)write the full-text index entry for one statute row
+async function indexStatute(statute) {
+    const content = normalizeForSearch([
+        statute.law_number,
+        statute.law_name,
+        statute.law_name_ar,
+        statute.text_ar,
+        statute.text_en
+    ].filter(Boolean).join('\n'));
+
+    await dbRun('DELETE FROM statutes_fts WHERE rowid = ?', [statute.id]);
+    await dbRun('INSERT INTO statutes_fts (rowid, content) VALUES (?, ?)', [statute.id, content]);
+}
+
+// Find the statute articles most relevant to a question. Explicit references such as
+// "article 147" or "المادة 147" are looked up directly before the full-text search.
+async function searchStatutes(question, limit = STATUTE_RESULTS_PER_QUESTION) {
+    const results = [];
+    const seen = new Set();
+    const addResult = (row) => {
+        if (row && !seen.has(row.id) && results.length < limit) {
+            seen.add(row.id);
+            results.push(row);
+        }
+    };
+
+    const normalizedQuestion = normalizeArabic(question || '');
+    const referencePattern = /(?:article|art\.|مادة|المادة|الماده|ماده)\s*(?:no\.?|رقم)?\s*\(?(\d+)/giu;
+    let match;
+    while ((match = referencePattern.exec(normalizedQuestion)) !== null) {
+        const rows = await dbQuery('SELECT * FROM statutes WHERE article_number = ?', [match[1]]);
+        // An article number alone is ambiguous; only trust it when the law is also named or unique
+        const lawMentioned = rows.filter(r => normalizedQuestion.includes(r.law_number));
+        (lawMentioned.length > 0 ? lawMentioned : rows.length === 1 ? rows : []).forEach(addResult);
+    }
+
+    const ftsQuery = buildSearchQuery(question);
+    if (ftsQuery && results.length < limit) {
+        const rows = await dbQuery(
+            `SELECT statutes.* FROM statutes_fts
+             JOIN statutes ON statutes.id = statutes_fts.rowid
+             WHERE statutes_fts MATCH ?
+             ORDER BY bm25(statutes_fts)
+             LIMIT ?`,
+            [ftsQuery, limit]
+        );
+        rows.forEach(addResult);
+    }
+
+    return results;
+}
+
+// Public shape of a statute citation
+function formatCitation(statute, marker) {
+    return {
+        marker,
+        id: statute.id,
+        lawNumber: statute.law_number,
+        lawName: statute.law_name,
+        lawNameAr: statute.law_name_ar,
+        articleNumber: statute.article_number,
+        textAr: statute.text_ar,
+        textEn: statute.text_en
+    };
+}
+
+// Prompt section listing the retrieved articles with their citation markers
+function buildStatuteContext(articles, detectedLang = 'en') {
+    const header = detectedLang === 'ar'
+        ? 'مواد قانونية ذات صلة من قاعدة بيانات التشريعات المصرية. اعتمد عليها في إجابتك، واستشهد بالمادة برقمها بين قوسين مثل [1]. لا تستشهد بمواد غير مذكورة هنا:'
+        : 'Relevant articles from the Egyptian statute database. Base your answer on them and cite an article inline with its bracketed number, e.g. [1]. Do not cite articles that are not listed here:';
+
+    const entries = articles.map((article, index) => {
+        const lawTitle = [article.law_name, article.law_name_ar].filter(Boolean).join(' / ');
+        const lines = [`[${index + 1}] Law ${article.law_number}${lawTitle ? ` (${lawTitle})` : ''}, Article ${article.article_number}`];
+        if (article.text_ar) {
+            lines.push(`AR: ${article.text_ar}`);
+        }
+        if (article.text_en) {
+            lines.push(`EN: ${article.text_en}`);
+        }
+        return lines.join('\n');
+    });
+
+    return `${header}\n\n${entries.join('\n\n')}`;
+}
+
+// Citations for the articles the answer actually referenced ([1], [2] ...). An answer
+// that cites none (e.g. fallback mode) has no citations: retrieved articles it did not
+// use are never shown as its sources.
+function extractCitations(responseText, articles) {
+    return articles
+        .map((article, index) => formatCitation(article, index + 1))
+        .filter(citation => new RegExp(`\\[${citation.marker}\\]`).test(responseText || ''));
+}
+
+// Import statute articles (admin only). Body: { statutes: [...] } or { csv: "..." }
+app.post('/api/admin/statutes/import', requireRole('admin'), async (req, res) => {
+    try {
+        const { statutes, csv } = req.body;
+        let records = [];
+        if (Array.isArray(statutes)) {
+            records = statutes;
+        } else if (typeof csv === 'string') {
+            records = parseCsv(csv);
+        }
+
+        if (records.length === 0) {
+            return res.status(400).json({ 
+                success: false, 
+                message: 'Provide a "statutes" array or a "csv" string with law_number, article_number, text_ar and text_en columns' 
+            });
+        }
+
+        const result = await importStatutes(records);
+
+        res.json({
+            success: true,
+            message: `Imported ${result.imported} article(s)`,
+            imported: result.imported,
+            skipped: result.skipped,
+            errors: result.errors.slice(0, 50)
+        });
+    } catch (error) {
+        console.error('Import statutes error:', error);
+        res.status(500).json({ 
+            success: false, 
+            message: 'Error importing statutes: ' + (error.message || 'Unknown error') 
+        });
+    }
+});
+
+// Search the statute corpus
+app.get('/api/statutes/search', requireAuth, async (req, res) => {
+    try {
+        const query = (req.query.q || '').toString();
+        if (!query.trim()) {
+            return res.status(400).json({ 
+                success: false, 
+                message: 'Search query is required' 
+            });
+        }
+
+        const limit = Math.min(parseInt(req.query.limit) || 10, 50);
+        const statutes = await searchStatutes(query, limit);
+
+        res.json({
+            success: true,
+            results: statutes.map((statute, index) => formatCitation(statute, index + 1))
+        });
+    } catch (error) {
+        console.error('Search statutes error:', error);
+        res.status(500).json({ 
+            success: false, 
+            message: 'Error searching statutes: ' + (error.message || 'Unknown error') 
+        });
+    }
+});
+
+// ==================== Admin console ====================
+// Endpoints behind admin.html: usage statistics, user roles, all bookings and the statute
+// corpus. Lawyer entries are managed with the /api/lawyers endpoints.
+
+const ADMIN_ACTIVITY_DAYS = 14;
+
+// Usage statistics for the admin dashboard
+app.get('/api/admin/stats', requireRole('admin'), async (req, res) => {
+    try {
+        const count = async (sql, params = []) => (await dbQuery(sql, params))[0].count;
+        const groupCounts = async (sql) => Object.fromEntries(
+            (await dbQuery(sql)).map(row => [row.key || 'unknown', row.count])
+        );
+        const since = `datetime('now', '-${ADMIN_ACTIVITY_DAYS - 1} days', 'start of day')`;
+
+        const [messagesPerDay, usersPerDay, bookingsPerDay] = await Promise.all([
+            dbQuery(`SELECT date(created_at) AS day, COUNT(*) AS count FROM messages WHERE created_at >= ${since} GROUP BY day`),
+            dbQuery(`SELECT date(created_at) AS day, COUNT(*) AS count FROM users WHERE created_at >= ${since} GROUP BY day`),
+            dbQuery(`SELECT date(created_at) AS day, COUNT(*) AS count FROM bookings WHERE created_at >= ${since} GROUP BY day`)
+        ]);
+        const perDay = (rows, day) => (rows.find(row => row.day === day) || { count: 0 }).count;
+        const today = new Date().toISOString().slice(0, 10);
+        const activity = [];
+        for (let i = ADMIN_ACTIVITY_DAYS - 1; i >= 0; i--) {
+            const day = addDays(today, -i);
+            activity.push({
+                date: day,
+                messages: perDay(messagesPerDay, day),
+                newUsers: perDay(usersPerDay, day),
+                bookings: perDay(bookingsPerDay, day)
+            });
+        }
+
+        res.json({
+            success: true,
+            stats: {
+                users: {
+                    total: await count('SELECT COUNT(*) AS count FROM users'),
+                    byRole: await groupCounts("SELECT COALESCE(role, 'client') AS key, COUNT(*) AS count FROM users GROUP BY key"),
+                    newLast7Days: await count("SELECT COUNT(*) AS count FROM users WHERE created_at >= datetime('now', '-7 days')"),
+                    newLast30Days: await count("SELECT COUNT(*) AS count FROM users WHERE created_at >= datetime('now', '-30 days')")
+                },
+                conversations: {
+                    total: await count('SELECT COUNT(*) AS count FROM conversations'),
+                    byGuests: await count(`SELECT COUNT(*) AS count FROM conversations WHERE user_id LIKE '${GUEST_ID_PREFIX}%'`),
+                    activeLast7Days: await count("SELECT COUNT(*) AS count FROM conversations WHERE updated_at >= datetime('now', '-7 days')")
+                },
+                messages: {
+                    total: await count('SELECT COUNT(*) AS count FROM messages'),
+                    byRole: await groupCounts('SELECT role AS key, COUNT(*) AS count FROM messages GROUP BY role'),
+                    last7Days: await count("SELECT COUNT(*) AS count FROM messages WHERE created_at >= datetime('now', '-7 days')")
+                },
+                bookings: {
+                    total: await count('SELECT COUNT(*) AS count FROM bookings'),
+                    byStatus: await groupCounts('SELECT status AS key, COUNT(*) AS count FROM bookings GROUP BY status'),
+                    upcoming: await count(
+                        "SELECT COUNT(*) AS count FROM bookings WHERE appointment_date >= ? AND status IN ('pending', 'confirmed')",
+                        [getCairoNow().date]
+                    )
+                },
+                lawyers: {
+                    active: await count('SELECT COUNT(*) AS count FROM lawyers WHERE is_active = 1'),
+                    inactive: await count('SELECT COUNT(*) AS count FROM lawyers WHERE is_active = 0'),
+                    withAccount: await count("SELECT COUNT(DISTINCT lawyer_id) AS count FROM users WHERE role = 'lawyer' AND lawyer_id IS NOT NULL")
+                },
+                statutes: {
+                    articles: await count('SELECT COUNT(*) AS count FROM statutes'),
+                    laws: await count('SELECT COUNT(DISTINCT law_number) AS count FROM statutes')
+                },
+                llmProvider: (getLLMProvider() || { name: 'fallback' }).name,
+                activity: activity
+            }
+        });
+    } catch (error) {
+        console.error('Admin stats error:', error);
+        res.status(500).json({ 
+            success: false, 
+            message: 'Error fetching statistics: ' + (error.message || 'Unknown error') 
+        });
+    }
+});
+
+// Registered users, newest first. Optional ?q= (name or email) and ?role=
+app.get('/api/admin/users', requireRole('admin'), async (req, res) => {
+    try {
+        const conditions = [];
+        const params = [];
+        if (req.query.q) {
+            conditions.push('(users.name LIKE ? OR users.email LIKE ?)');
+            params.push(`%${req.query.q}%`, `%${req.query.q}%`);
+        }
+        if (req.query.role) {
+            conditions.push("COALESCE(users.role, 'client') = ?");
+            params.push(req.query.role);
+        }
+
+        const users = await dbQuery(
+            `SELECT users.id, users.name, users.email, COALESCE(users.role, 'client') AS role, users.lawyer_id, users.created_at,
+                users.email_verified, users.totp_enabled,
+                CASE WHEN users.locked_until > datetime('now') THEN users.locked_until END AS locked_until,
+                lawyers.name AS lawyer_name,
+                (SELECT COUNT(*) FROM conversations WHERE conversations.user_id = CAST(users.id AS TEXT)) AS conversation_count,
+                (SELECT COUNT(*) FROM bookings WHERE bookings.user_id = CAST(users.id AS TEXT)) AS booking_count
+             FROM users LEFT JOIN lawyers ON lawyers.id = users.lawyer_id
+             ${conditions.length > 0 ? 'WHERE ' + conditions.join(' AND ') : ''}
+             ORDER BY users.created_at DESC, users.id DESC
+             LIMIT 500`,
+            params
+        );
+
+        res.json({
+            success: true,
+            users: users.map(user => ({
+                id: user.id,
+                name: user.name,
+                email: user.email,
+                role: user.role,
+                lawyerId: user.lawyer_id,
+                lawyerName: user.lawyer_name,
+                createdAt: user.created_at,
+                emailVerified: user.email_verified === 1,
+                twoFactorEnabled: user.totp_enabled === 1,
+                lockedUntil: user.locked_until,
+                conversationCount: user.conversation_count,
+                bookingCount: user.booking_count
+            }))
+        });
+    } catch (error) {
+        console.error('Admin users error:', error);
+        res.status(500).json({ 
+            success: false, 
+            message: 'Error fetching users: ' + (error.message || 'Unknown error') 
+        });
+    }
+});
+
+// Change a user's role. Body: { role, lawyerId } (lawyerId is required for 'lawyer')
+app.put('/api/admin/users/:userId/role', requireRole('admin'), async (req, res) => {
+    try {
+        const userId = parseInt(req.params.userId);
+        const { role } = req.body;
+        const lawyerId = role === 'lawyer' ? parseInt(req.body.lawyerId) : null;
+
+        if (!USER_ROLES.includes(role)) {
+            return res.status(400).json({ 
+                success: false, 
+                message: `role must be one of ${USER_ROLES.join(', ')}` 
+            });
+        }
+        if (userId === req.account.id && role !== 'admin') {
+            return res.status(400).json({ 
+                success: false, 
+                message: 'You cannot remove your own admin role' 
+            });
+        }
+
+        const users = await dbQuery('SELECT id FROM users WHERE id = ?', [userId]);
+        if (users.length === 0) {
+            return res.status(404).json({ 
+                success: false, 
+                message: 'User not found' 
+            });
+        }
+        if (role === 'lawyer') {
+            const lawyers = await dbQuery('SELECT id FROM lawyers WHERE id = ?', [lawyerId || 0]);
+            if (lawyers.length === 0) {
+                return res.status(400).json({ 
+                    success: false, 
+                    message: 'Choose the directory entry this lawyer account belongs to' 
+                });
+            }
+        }
+
+        await runInTransaction(async () => {
+            if (role === 'lawyer') {
+                // One account per directory entry
+                await dbRun("UPDATE users SET role = 'client', lawyer_id = NULL WHERE lawyer_id = ? AND id != ?", [lawyerId, userId]);
+            }
+            await dbRun('UPDATE users SET role = ?, lawyer_id = ? WHERE id = ?', [role, lawyerId, userId]);
+        });
+
+        res.json({
+            success: true,
+            message: 'Role updated successfully',
+            user: { id: userId, role: role, lawyerId: lawyerId }
+        });
+    } catch (error) {
+        console.error('Admin update role error:', error);
+        res.status(500).json({ 
+            success: false, 
+            message: 'Error updating role: ' + (error.message || 'Unknown error') 
+        });
+    }
+});
+
+// Lift a lockout before it runs out
+app.post('/api/admin/users/:userId/unlock', requireRole('admin'), async (req, res) => {
+    try {
+        const unlocked = await unlockAccount(parseInt(req.params.userId));
+        if (!unlocked) {
+            return res.status(404).json({ 
+                success: false, 
+                message: 'User not found' 
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Account unlocked'
+        });
+    } catch (error) {
+        console.error('Admin unlock user error:', error);
+        res.status(500).json({ 
+            success: false, 
+            message: 'Error unlocking account: ' + (error.message || 'Unknown error') 
+        });
+    }
+});
+
+// Sign-in attempts, newest first. Optional ?q= (email or IP), ?outcome= and ?page=
+app.get('/api/admin/login-attempts', requireRole('admin'), async (req, res) => {
+    try {
+        const pageSize = 50;
+        const page = Math.max(parseInt(req.query.page) || 1, 1);
+        const conditions = [];
+        const params = [];
+        if (req.query.q) {
+            conditions.push('(email LIKE ? OR ip LIKE ?)');
+            params.push(`%${req.query.q}%`, `%${req.query.q}%`);
+        }
+        if (req.query.outcome) {
+            conditions.push('outcome = ?');
+            params.push(req.query.outcome);
+        }
+        const where = conditions.length > 0 ? 'WHERE ' + conditions.join(' AND ') : '';
+
+        const total = (await dbQuery(`SELECT COUNT(*) AS count FROM login_attempts ${where}`, params))[0].count;
+        const attempts = await dbQuery(
+            `SELECT * FROM login_attempts ${where} ORDER BY id DESC LIMIT ? OFFSET ?`,
+            [...params, pageSize, (page - 1) * pageSize]
+        );
+        // Failures in the last 24 hours, to spot an ongoing attack
+        const recentFailures = await dbQuery(
+            `SELECT outcome, COUNT(*) AS count FROM login_attempts
+             WHERE outcome NOT IN ('success', 'two_factor_pending') AND created_at >= datetime('now', '-1 day')
+             GROUP BY outcome`
+        );
+
+        res.json({
+            success: true,
+            page: page,
+            pageSize: pageSize,
+            total: total,
+            recentFailures: Object.fromEntries(recentFailures.map(row => [row.outcome, row.count])),
+            attempts: attempts.map(attempt => ({
+                id: attempt.id,
+                email: attempt.email,
+                userId: attempt.user_id,
+                ip: attempt.ip,
+                userAgent: attempt.user_agent,
+                outcome: attempt.outcome,
+                createdAt: attempt.created_at
+            }))
+        });
+    } catch (error) {
+        console.error('Admin login attempts error:', error);
+        res.status(500).json({ 
+            success: false, 
+            message: 'Error fetching login attempts: ' + (error.message || 'Unknown error') 
+        });
+    }
+});
+
+// All bookings, soonest first. Optional ?status=, ?lawyerId= and ?from= (date)
+app.get('/api/admin/bookings', requireRole('admin'), async (req, res) => {
+    try {
+        const conditions = [];
+        const params = [];
+        if (req.query.status) {
+            conditions.push('status = ?');
+            params.push(req.query.status);
+        }
+        if (req.query.lawyerId) {
+            conditions.push('lawyer_id = ?');
+            params.push(parseInt(req.query.lawyerId));
+        }
+        if (isValidDateString(req.query.from)) {
+            conditions.push('appointment_date >= ?');
+            params.push(req.query.from);
+        }
+
+        const bookings = await dbQuery(
+            `SELECT * FROM bookings ${conditions.length > 0 ? 'WHERE ' + conditions.join(' AND ') : ''}
+             ORDER BY appointment_date DESC, appointment_time DESC LIMIT 500`,
+            params
+        );
+
+        res.json({
+            success: true,
+            bookings: await withBookingHistory(bookings)
+        });
+    } catch (error) {
+        console.error('Admin bookings error:', error);
+        res.status(500).json({ 
+            success: false, 
+            message: 'Error fetching bookings: ' + (error.message || 'Unknown error') 
+        });
+    }
+});
+
+// Browse the statute corpus. Optional ?q= (full-text) or ?lawNumber=, paged with ?page=
+app.get('/api/admin/statutes', requireRole('admin'), async (req, res) => {
+    try {
+        const pageSize = 50;
+        const page = Math.max(parseInt(req.query.page) || 1, 1);
+        let statutes;
+        let total;
+
+        if (req.query.q) {
+            statutes = await searchStatutes(req.query.q.toString(), pageSize);
+            total = statutes.length;
+        } else {
+            const where = req.query.lawNumber ? 'WHERE law_number = ?' : '';
+            const params = req.query.lawNumber ? [req.query.lawNumber] : [];
+            total = (await dbQuery(`SELECT COUNT(*) AS count FROM statutes ${where}`, params))[0].count;
+            statutes = await dbQuery(
+                `SELECT * FROM statutes ${where}
+                 ORDER BY law_number, CAST(article_number AS INTEGER), article_number
+                 LIMIT ? OFFSET ?`,
+                [...params, pageSize, (page - 1) * pageSize]
+            );
+        }
+
+        const laws = await dbQuery(
+            `SELECT law_number, MAX(law_name) AS law_name, MAX(law_name_ar) AS law_name_ar, COUNT(*) AS article_count
+             FROM statutes GROUP BY law_number ORDER BY law_number`
+        );
+
+        res.json({
+            success: true,
+            page: page,
+            pageSize: pageSize,
+            total: total,
+            laws: laws.map(law => ({
+                lawNumber: law.law_number,
+                lawName: law.law_name,
+                lawNameAr: law.law_name_ar,
+                articleCount: law.article_count
+            })),
+            statutes: statutes.map(statute => ({
+                id: statute.id,
+                lawNumber: statute.law_number,
+                lawName: statute.law_name,
+                lawNameAr: statute.law_name_ar,
+                articleNumber: statute.article_number,
+                textAr: statute.text_ar,
+                textEn: statute.text_en,
+                updatedAt: statute.updated_at
+            }))
+        });
+    } catch (error) {
+        console.error('Admin statutes error:', error);
+        res.status(500).json({ 
+            success: false, 
+            message: 'Error fetching statutes: ' + (error.message || 'Unknown error') 
+        });
+    }
+});
+
+// Delete one article from the corpus and the search index
+app.delete('/api/admin/statutes/:statuteId', requireRole('admin'), async (req, res) => {
+    try {
+        const statuteId = parseInt(req.params.statuteId);
+        const result = await runInTransaction(async () => {
+            const deleted = await dbRun('DELETE FROM statutes WHERE id = ?', [statuteId]);
+            await dbRun('DELETE FROM statutes_fts WHERE rowid = ?', [statuteId]);
+            return deleted;
+        });
+        if (result.changes === 0) {
+            return res.status(404).json({ 
+                success: false, 
+                message: 'Article not found' 
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Article deleted successfully'
+        });
+    } catch (error) {
+        console.error('Admin delete statute error:', error);
+        res.status(500).json({ 
+            success: false, 
+            message: 'Error deleting article: ' + (error.message || 'Unknown error') 
+        });
+    }
+});
+
+// ==================== Conversation search ====================
+// messages_fts / conversations_fts hold normalized copies of message content and
+// conversation titles (rowid = messages.id / conversations.id). Every word of the
+// query must match, as a prefix, so "ايجار" also finds "الإيجارات".
+
+const CHAT_SEARCH_MATCHES_PER_CONVERSATION = 3;
+const CHAT_SEARCH_SNIPPET_LENGTH = 160;
+
+async function indexMessageForSearch(messageId, content) {
+    try {
+        await dbRun('DELETE FROM messages_fts WHERE rowid = ?', [messageId]);
+        await dbRun('INSERT INTO messages_fts (rowid, content) VALUES (?, ?)', [messageId, normalizeForSearch(content || '')]);
+    } catch (error) {
+        console.error('Error indexing message for search:', error.message);
+    }
+}
+
+async function indexConversationForSearch(conversationId, title) {
+    try {
+        await dbRun('DELETE FROM conversations_fts WHERE rowid = ?', [conversationId]);
+        await dbRun('INSERT INTO conversations_fts (rowid, title) VALUES (?, ?)', [conversationId, normalizeForSearch(title || '')]);
+    } catch (error) {
+        console.error('Error indexing conversation for search:', error.message);
+    }
+}
+
+// Add rows that are not in the search indexes yet (databases from older versions)
+async function indexMissingChatSearchRows() {
+    try {
+        const messages = await dbQuery('SELECT id, content FROM messages WHERE id NOT IN (SELECT rowid FROM messages_fts)');
+        for (const message of messages) {
+            await indexMessageForSearch(message.id, message.content);
+        }
+        const conversations = await dbQuery('SELECT id, title FROM conversations WHERE id NOT IN (SELECT rowid FROM conversations_fts)');
+        for (const conversation of conversations) {
+            await indexConversationForSearch(conversation.id, conversation.title);
+        }
+        if (messages.length > 0 || conversations.length > 0) {
+            console.log(`Indexed ${conversations.length} conversations and ${messages.length} messages for search.`);
+        }
+    } catch (error) {
+        console.error('Error building conversation search index:', error.message);
+    }
+}
+
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+// HTML excerpt of the original text around the first match, with matching words in <mark>.
+// Words are compared after normalization, so highlighting follows the same rules as the index.
+function buildHighlightedSnippet(text, terms, maxLength = CHAT_SEARCH_SNIPPET_LENGTH) {
+    const source = (text || '').replace(/\s+/g, ' ').trim();
+    const matches = [];
+    for (const word of source.matchAll(/[\p{L}\p{N}\p{M}]+/gu)) {
+        const normalized = normalizeForSearch(word[0]);
+        if (terms.some(term => normalized.startsWith(term))) {
+            matches.push({ start: word.index, end: word.index + word[0].length });
+        }
+    }
+
+    let start = 0;
+    if (matches.length > 0 && source.length > maxLength) {
+        start = Math.max(0, matches[0].start - Math.floor(maxLength / 3));
+        const wordStart = source.lastIndexOf(' ', start);
+        start = start > 0 && wordStart >= 0 ? wordStart + 1 : start;
+    }
+    const end = Math.min(source.length, start + maxLength);
+
+    let html = start > 0 ? '… ' : '';
+    let position = start;
+    matches
+        .filter(match => match.start >= start && match.end <= end)
+        .forEach(match => {
+            html += escapeHtml(source.slice(position, match.start)) + '<mark>' + escapeHtml(source.slice(match.start, match.end)) + '</mark>';
+            position = match.end;
+        });
+    html += escapeHtml(source.slice(position, end));
+    return end < source.length ? html + ' …' : html;
+}
+
+// Search a user's conversation titles and messages. Results are grouped by conversation,
+// best match first, each with up to CHAT_SEARCH_MATCHES_PER_CONVERSATION message snippets.
+async function searchConversations(userId, query, limit = 20) {
+    const terms = getSearchTerms(query, { minLength: 1, stopWords: new Set() });
+    if (terms.length === 0) {
+        return [];
+    }
+    const matchQuery = terms.map(t => `"${t}"*`).join(' AND ');
+
+    const titleRows = await dbQuery(
+        `SELECT conversations.*, bm25(conversations_fts) AS rank FROM conversations_fts
+         JOIN conversations ON conversations.id = conversations_fts.rowid
+         WHERE conversations_fts MATCH ? AND conversations.user_id = ?
+         ORDER BY rank LIMIT ?`,
+        [matchQuery, userId, limit]
+    );
+    const messageRows = await dbQuery(
+        `SELECT messages.id, messages.conversation_id, messages.role, messages.content, messages.created_at,
+                conversations.title, conversations.updated_at, bm25(messages_fts) AS rank
+         FROM messages_fts
+         JOIN messages ON messages.id = messages_fts.rowid
+         JOIN conversations ON conversations.id = messages.conversation_id
+         WHERE messages_fts MATCH ? AND conversations.user_id = ?
+         ORDER BY rank LIMIT ?`,
+        [matchQuery, userId, limit * CHAT_SEARCH_MATCHES_PER_CONVERSATION]
+    );
+
+    const results = new Map();
+    const getResult = (conversationId, title, updatedAt, rank) => {
+        if (!results.has(conversationId)) {
+            results.set(conversationId, {
+                conversationId,
+                title,
+                titleHighlighted: buildHighlightedSnippet(title || 'New Chat', terms),
+                updatedAt,
+                rank,
+                matches: []
+            });
+        }
+        const result = results.get(conversationId);
+        result.rank = Math.min(result.rank, rank);
+        return result;
+    };
+
+    titleRows.forEach(row => getResult(row.id, row.title, row.updated_at, row.rank));
+    messageRows.forEach(row => {
+        const result = getResult(row.conversation_id, row.title, row.updated_at, row.rank);
+        if (result.matches.length < CHAT_SEARCH_MATCHES_PER_CONVERSATION) {
+            result.matches.push({
+                messageId: row.id,
+                role: row.role,
+                snippet: buildHighlightedSnippet(row.content, terms),
+                createdAt: row.created_at
+            });
+        }
+    });
+
+    // bm25 ranks are negative: lower is better
+    return [...results.values()]
+        .sort((a, b) => a.rank - b.rank)
+        .slice(0, limit)
+        .map(({ rank, ...result }) => result);
+}
+
+// ==================== Conversation export ====================
+// A conversation's selected branch rendered as Markdown, PDF or DOCX for users to take
+// to their lawyer. Arabic paragraphs are written right-to-left in every format.
+
+const EXPORT_FORMATS = {
+    md: { extension: 'md', contentType: 'text/markdown; charset=utf-8' },
+    pdf: { extension: 'pdf', contentType: 'application/pdf' },
+    docx: { extension: 'docx', contentType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document' }
+};
+
+const EXPORT_DISCLAIMER = {
+    en: 'This transcript contains general legal information produced by an AI assistant. It is not legal advice. Consult a licensed Egyptian attorney registered with the Egyptian Bar Association before acting on it.',
+    ar: 'تحتوي هذه المحادثة على معلومات قانونية عامة صادرة عن مساعد ذكاء اصطناعي، وهي ليست استشارة قانونية. استشر محامياً مصرياً مرخصاً ومقيداً بنقابة المحامين قبل اتخاذ أي إجراء بناءً عليها.'
+};
+
+// PDF fonts must contain Arabic glyphs; PDF_FONT_PATH / PDF_BOLD_FONT_PATH override the search
+const PDF_FONT_CANDIDATES = [
+    { regular: process.env.PDF_FONT_PATH, bold: process.env.PDF_BOLD_FONT_PATH || process.env.PDF_FONT_PATH },
+    { regular: '/usr/share/fonts/truetype/dejavu/DejaVuSans.ttf', bold: '/usr/share/fonts/truetype/dejavu/DejaVuSans-Bold.ttf' },
+    { regular: '/usr/share/fonts/TTF/DejaVuSans.ttf', bold: '/usr/share/fonts/TTF/DejaVuSans-Bold.ttf' },
+    { regular: '/System/Library/Fonts/Supplemental/Arial.ttf', bold: '/System/Library/Fonts/Supplemental/Arial Bold.ttf' },
+    { regular: 'C:\\Windows\\Fonts\\arial.ttf', bold: 'C:\\Windows\\Fonts\\arialbd.ttf' }
+];
+
+function findPdfFonts() {
+    const fonts = PDF_FONT_CANDIDATES.find(candidate =>
+        candidate.regular && fs.existsSync(candidate.regular) && fs.existsSync(candidate.bold)
+    );
+    if (!fonts) {
+        console.warn('⚠️  No PDF font with Arabic support found (set PDF_FONT_PATH); Arabic text will not render in PDF exports.');
+        return { regular: 'Helvetica', bold: 'Helvetica-Bold' };
+    }
+    return fonts;
+}
+
+// 'rtl' when a text has more Arabic than Latin letters
+function getTextDirection(text) {
+    const arabicLetters = (text.match(/[\u0600-\u06FF\u0750-\u077F\u08A0-\u08FF\uFB50-\uFDFF\uFE70-\uFEFF]/g) || []).length;
+    const latinLetters = (text.match(/[A-Za-z]/g) || []).length;
+    return arabicLetters > latinLetters ? 'rtl' : 'ltr';
+}
+
+// SQLite timestamps are UTC; exports show Cairo time
+function formatExportTimestamp(value) {
+    if (!value) {
+        return '';
+    }
+    const date = new Date(value.toString().includes('T') ? value : value.toString().replace(' ', 'T') + 'Z');
+    if (isNaN(date.getTime())) {
+        return value.toString();
+    }
+    return date.toLocaleString('en-GB', {
+        timeZone: 'Africa/Cairo',
+        day: 'numeric',
+        month: 'short',
+        year: 'numeric',
+        hour: '2-digit',
+        minute: '2-digit'
+    }) + ' (Cairo time)';
+}
+
+// The data every export format is rendered from
+async function buildConversationExport(conversation) {
+    const tree = await loadMessageTree(conversation.id);
+    const messages = getBranchMessages(tree, resolveCurrentLeafId(tree, conversation));
+
+    return {
+        title: conversation.title || 'New Chat',
+        createdAt: formatExportTimestamp(conversation.created_at),
+        updatedAt: formatExportTimestamp(conversation.updated_at),
+        exportedAt: formatExportTimestamp(new Date().toISOString()),
+        messages: messages.map(message => {
+            let files = [];
+            let citations = [];
+            try {
+                files = message.file_info ? JSON.parse(message.file_info).map(file => file.name) : [];
+            } catch (error) {
+                files = [];
+            }
+            try {
+                citations = message.citations ? JSON.parse(message.citations) : [];
+            } catch (error) {
+                citations = [];
+            }
+            return {
+                author: message.role === 'user' ? 'You' : 'AI Legal Assistant',
+                timestamp: formatExportTimestamp(message.created_at),
+                // The chat stores a "[User uploaded ...]" note with the text; files are listed separately
+                text: message.content.replace(/\n*\[User uploaded \d+ file\(s\):.*?\]\s*$/s, '').trim(),
+                files,
+                references: citations.map(citation =>
+                    `[${citation.marker}] Law ${citation.lawNumber}${citation.lawName || citation.lawNameAr ? ` (${citation.lawName || citation.lawNameAr})` : ''}, Article ${citation.articleNumber}`
+                )
+            };
+        })
+    };
+}
+
+function renderConversationMarkdown(data) {
+    // Markdown has no direction of its own; Arabic blocks are wrapped in an HTML dir="rtl" div
+    const block = (text) => getTextDirection(text) === 'rtl'
+        ? `<div dir="rtl" lang="ar">\n\n${text}\n\n</div>`
+        : text;
+
+    const lines = [
+        `# ${data.title}`,
+        '',
+        `- Created: ${data.createdAt}`,
+        `- Last updated: ${data.updatedAt}`,
+        `- Exported: ${data.exportedAt}`,
+        ''
+    ];
+
+    data.messages.forEach(message => {
+        lines.push('---', '', `### ${message.author} — ${message.timestamp}`, '');
+        if (message.files.length > 0) {
+            lines.push(`*Attached files: ${message.files.join(', ')}*`, '');
+        }
+        lines.push(block(message.text), '');
+        if (message.references.length > 0) {
+            lines.push('**References**', '', ...message.references.map(reference => `- ${reference}`), '');
+        }
+    });
+
+    lines.push('---', '', `> **Disclaimer:** ${EXPORT_DISCLAIMER.en}`, '', block(`> ${EXPORT_DISCLAIMER.ar}`), '');
+    return lines.join('\n');
+}
+
+async function renderConversationDocx(data) {
+    // Arabic paragraphs are marked bidirectional so Word lays them out right-to-left
+    const paragraph = (text, { bold = false, italics = false, size, color, heading, spacing = 120 } = {}) => {
+        const rtl = getTextDirection(text) === 'rtl';
+        return new Paragraph({
+            heading,
+            bidirectional: rtl,
+            spacing: { after: spacing },
+            children: [new TextRun({ text, bold, italics, size, color, rightToLeft: rtl })]
+        });
+    };
+
+    const children = [
+        paragraph(data.title, { heading: HeadingLevel.TITLE }),
+        paragraph(`Created: ${data.createdAt}`, { size: 18, color: '666666', spacing: 0 }),
+        paragraph(`Last updated: ${data.updatedAt}`, { size: 18, color: '666666', spacing: 0 }),
+        paragraph(`Exported: ${data.exportedAt}`, { size: 18, color: '666666', spacing: 240 })
+    ];
+
+    data.messages.forEach(message => {
+        children.push(new Paragraph({
+            spacing: { before: 240, after: 80 },
+            border: { top: { style: BorderStyle.SINGLE, size: 4, color: 'CCCCCC', space: 8 } },
+            children: [
+                new TextRun({ text: message.author, bold: true }),
+                new TextRun({ text: `  ${message.timestamp}`, size: 18, color: '666666' })
+            ]
+        }));
+        if (message.files.length > 0) {
+            children.push(paragraph(`Attached files: ${message.files.join(', ')}`, { italics: true, size: 20, color: '444444' }));
+        }
+        message.text.split('\n').forEach(line => {
+            children.push(paragraph(line, { spacing: 60 }));
+        });
+        if (message.references.length > 0) {
+            children.push(paragraph('References', { bold: true, size: 20, spacing: 40 }));
+            message.references.forEach(reference => {
+                children.push(paragraph(reference, { size: 20, spacing: 40 }));
+            });
+        }
+    });
+
+    children.push(new Paragraph({
+        spacing: { before: 360, after: 120 },
+        border: { top: { style: BorderStyle.SINGLE, size: 4, color: 'CCCCCC', space: 8 } },
+        children: [
+            new TextRun({ text: 'Disclaimer: ', bold: true, size: 20 }),
+            new TextRun({ text: EXPORT_DISCLAIMER.en, size: 20 })
+        ]
+    }));
+    children.push(paragraph(EXPORT_DISCLAIMER.ar, { size: 20 }));
+
+    const document = new Document({
+        creator: 'Know Law',
+        title: data.title,
+        styles: { default: { document: { run: { font: 'Arial', size: 22 } } } },
+        sections: [{ children }]
+    });
+    return Packer.toBuffer(document);
+}
+
+// PDFKit shapes Arabic words but has no bidi layout, so paragraphs are wrapped here and
+// each line is drawn as runs of one direction, placed right-to-left for Arabic paragraphs
+function writePdfParagraph(doc, text, { font, size = 11, color = '#000000', spacing = 6 } = {}) {
+    doc.font(font).fontSize(size).fillColor(color);
+    const direction = getTextDirection(text);
+    const maxWidth = doc.page.width - doc.page.margins.left - doc.page.margins.right;
+    const spaceWidth = doc.widthOfString(' ');
+
+    text.split('\n').forEach(sourceLine => {
+        const words = sourceLine.split(/\s+/).filter(Boolean);
+        if (words.length === 0) {
+            doc.y += doc.currentLineHeight(true) / 2;
+            return;
+        }
+
+        let line = [];
+        let lineWidth = 0;
+        words.forEach(word => {
+            const wordWidth = doc.widthOfString(word);
+            if (line.length > 0 && lineWidth + spaceWidth + wordWidth > maxWidth) {
+                drawPdfLine(doc, line, direction, maxWidth, spaceWidth);
+                line = [];
+                lineWidth = 0;
+            }
+            lineWidth += (line.length > 0 ? spaceWidth : 0) + wordWidth;
+            line.push(word);
+        });
+        drawPdfLine(doc, line, direction, maxWidth, spaceWidth);
+    });
+
+    doc.y += spacing;
+}
+
+function drawPdfLine(doc, words, direction, maxWidth, spaceWidth) {
+    const lineHeight = doc.currentLineHeight(true);
+    if (doc.y + lineHeight > doc.page.height - doc.page.margins.bottom) {
+        doc.addPage();
+    }
+
+    // Consecutive words of the same direction form a run; neutral words (punctuation)
+    // join the run before them. Words are drawn one by one in visual order: runs and the
+    // words of right-to-left runs are reversed, PDFKit itself shapes each Arabic word.
+    const runs = [];
+    words.forEach(word => {
+        const wordDirection = /[\u0600-\u06FF\u0750-\u077F\u08A0-\u08FF\uFB50-\uFDFF\uFE70-\uFEFF]/.test(word) ? 'rtl'
+            : /[\p{L}\p{N}]/u.test(word) ? 'ltr' : null;
+        const lastRun = runs[runs.length - 1];
+        if (lastRun && (!wordDirection || wordDirection === lastRun.direction)) {
+            lastRun.words.push(word);
+        } else {
+            runs.push({ direction: wordDirection || direction, words: [word] });
+        }
+    });
+    if (direction === 'rtl') {
+        runs.reverse();
+    }
+    const visualWords = runs.flatMap(run => run.direction === 'rtl' ? [...run.words].reverse() : run.words);
+
+    const widths = visualWords.map(word => doc.widthOfString(word));
+    const totalWidth = widths.reduce((sum, width) => sum + width, 0) + spaceWidth * (visualWords.length - 1);
+
+    const y = doc.y;
+    let x = direction === 'rtl' ? doc.page.margins.left + Math.max(0, maxWidth - totalWidth) : doc.page.margins.left;
+    visualWords.forEach((word, index) => {
+        doc.text(word, x, y, { lineBreak: false });
+        x += widths[index] + spaceWidth;
+    });
+    doc.x = doc.page.margins.left;
+    doc.y = y + lineHeight;
+}
+
+function drawPdfRule(doc) {
+    const y = doc.y + 4;
+    doc.moveTo(doc.page.margins.left, y)
+        .lineTo(doc.page.width - doc.page.margins.right, y)
+        .lineWidth(0.5)
+        .strokeColor('#cccccc')
+        .stroke();
+    doc.y = y + 10;
+}
+
+function renderConversationPdf(data) {
+    return new Promise((resolve, reject) => {
+        const fonts = findPdfFonts();
+        const doc = new PDFDocument({ size: 'A4', margin: 56, info: { Title: data.title, Creator: 'Know Law' } });
+        const chunks = [];
+        doc.on('data', chunk => chunks.push(chunk));
+        doc.on('end', () => resolve(Buffer.concat(chunks)));
+        doc.on('error', reject);
+
+        writePdfParagraph(doc, data.title, { font: fonts.bold, size: 18, spacing: 4 });
+        writePdfParagraph(doc, `Created: ${data.createdAt}`, { font: fonts.regular, size: 9, color: '#666666', spacing: 0 });
+        writePdfParagraph(doc, `Last updated: ${data.updatedAt}`, { font: fonts.regular, size: 9, color: '#666666', spacing: 0 });
+        writePdfParagraph(doc, `Exported: ${data.exportedAt}`, { font: fonts.regular, size: 9, color: '#666666', spacing: 8 });
+
+        data.messages.forEach(message => {
+            drawPdfRule(doc);
+            writePdfParagraph(doc, `${message.author} — ${message.timestamp}`, { font: fonts.bold, size: 11, spacing: 2 });
+            if (message.files.length > 0) {
+                writePdfParagraph(doc, `Attached files: ${message.files.join(', ')}`, { font: fonts.regular, size: 9, color: '#444444', spacing: 2 });
+            }
+            writePdfParagraph(doc, message.text, { font: fonts.regular, size: 11 });
+            if (message.references.length > 0) {
+                writePdfParagraph(doc, 'References', { font: fonts.bold, size: 9, spacing: 0 });
+                message.references.forEach(reference => {
+                    writePdfParagraph(doc, reference, { font: fonts.regular, size: 9, color: '#444444', spacing: 0 });
+                });
+            }
+        });
+
+        drawPdfRule(doc);
+        writePdfParagraph(doc, `Disclaimer: ${EXPORT_DISCLAIMER.en}`, { font: fonts.regular, size: 9, color: '#444444', spacing: 4 });
+        writePdfParagraph(doc, EXPORT_DISCLAIMER.ar, { font: fonts.regular, size: 9, color: '#444444' });
+        doc.end();
+    });
+}
+
+// Configure multer for file uploads
+const CHAT_UPLOAD_DIR = './uploads';
+const storage = multer.diskStorage({
+    destination: function (req, file, cb) {
+        const uploadDir = CHAT_UPLOAD_DIR;
+        if (!fs.existsSync(uploadDir)) {
+            fs.mkdirSync(uploadDir, { recursive: true });
+        }
+        cb(null, uploadDir);
+    },
+    filename: function (req, file, cb) {
+        const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
+        cb(null, uniqueSuffix + '-' + file.originalname);
+    }
+});
+
+const UPLOAD_MAX_FILE_SIZE = 10 * 1024 * 1024; // 10MB limit
+
+// Accepted file types, shared by chat uploads and the document vault
+function checkUploadFileType(req, file, cb) {
+    try {
+        const allowedTypes = /pdf|doc|docx|txt|jpg|jpeg|png/i;
+        const extname = path.extname(file.originalname).toLowerCase().replace('.', '');
+        const mimetype = file.mimetype.toLowerCase();
+        
+        // Check extension
+        const hasValidExtension = allowedTypes.test(extname);
+        
+        // Check mimetype (more lenient)
+        const hasValidMimetype = 
+            mimetype.includes('pdf') ||
+            mimetype.includes('msword') ||
+            mimetype.includes('wordprocessingml') ||
+            mimetype.includes('text/plain') ||
+            mimetype.includes('image/jpeg') ||
+            mimetype.includes('image/jpg') ||
+            mimetype.includes('image/png');
+        
+        if (hasValidExtension || hasValidMimetype) {
+            cb(null, true);
+        } else {
+            cb(new Error(`File type not allowed. Only PDF, DOC, DOCX, TXT, JPG, JPEG, and PNG files are allowed. Received: ${file.originalname} (${mimetype})`));
+        }
+    } catch (err) {
+        cb(new Error('Error validating file: ' + err.message));
+    }
+}
+
+const upload = multer({ 
+    storage: storage,
+    limits: { 
+        fileSize: UPLOAD_MAX_FILE_SIZE,
+        files: 10 // Maximum 10 files
+    },
+    fileFilter: checkUploadFileType
+});
+
+// ==================== Document vault ====================
+// Account holders keep their files here. Files go through the same type check and size
+// limit as chat uploads and are stored under DOCUMENT_STORAGE_DIR with random names; each
+// account may keep DOCUMENT_MAX_COUNT files and DOCUMENT_QUOTA_MB megabytes.
+
+const DOCUMENT_STORAGE_DIR = process.env.DOCUMENT_STORAGE_DIR || './uploads/documents';
+const DOCUMENT_QUOTA_MB = parseInt(process.env.DOCUMENT_QUOTA_MB, 10) || 50;
+const DOCUMENT_MAX_COUNT = parseInt(process.env.DOCUMENT_MAX_COUNT, 10) || 100;
+
+// Content type a stored file is served with, by extension (never the type the browser sent)
+const DOCUMENT_MIME_TYPES = {
+    '.pdf': 'application/pdf',
+    '.doc': 'application/msword',
+    '.docx': 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+    '.txt': 'text/plain; charset=utf-8',
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.png': 'image/png'
+};
+
+const documentUpload = multer({
+    storage: multer.diskStorage({
+        destination: function (req, file, cb) {
+            fs.mkdirSync(DOCUMENT_STORAGE_DIR, { recursive: true });
+            cb(null, DOCUMENT_STORAGE_DIR);
+        },
+        filename: function (req, file, cb) {
+            const extension = path.extname(file.originalname).toLowerCase();
+            cb(null, crypto.randomBytes(16).toString('hex') + (DOCUMENT_MIME_TYPES[extension] ? extension : ''));
+        }
+    }),
+    limits: {
+        fileSize: UPLOAD_MAX_FILE_SIZE,
+        files: 1
+    },
+    fileFilter: checkUploadFileType
+});
+
+function documentFilePath(storedName) {
+    return path.resolve(DOCUMENT_STORAGE_DIR, path.basename(storedName));
+}
 
-        if (conversations.length === 0) {
-            return res.status(404).json({ 
-                success: false, 
-                message: 'Conversation not found' 
-            });
+async function removeDocumentFile(storedName) {
+    try {
+        await fs.promises.unlink(documentFilePath(storedName));
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            console.error('Error deleting document file:', error);
         }
+    }
+}
 
-        // Verify message belongs to conversation and is a user message (only user messages can be edited)
-        const messages = await dbQuery(
-            'SELECT * FROM messages WHERE id = ? AND conversation_id = ? AND role = ?',
-            [messageId, chatId, 'user']
-        );
+// Display name for a document: no path separators or control characters, at most 200 characters
+function cleanDocumentName(name) {
+    return String(name || '').replace(/[\\/\x00-\x1f]+/g, ' ').trim().slice(0, 200);
+}
 
-        if (messages.length === 0) {
-            return res.status(404).json({ 
-                success: false, 
-                message: 'Message not found or cannot be edited' 
-            });
-        }
+function formatDocument(row) {
+    return {
+        id: row.id,
+        name: row.name,
+        mimeType: row.mime_type,
+        size: row.size,
+        createdAt: row.created_at,
+        updatedAt: row.updated_at
+    };
+}
 
-        // Update message
-        await dbRun(
-            'UPDATE messages SET content = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
-            [content.trim(), messageId]
-        );
+async function getDocumentUsage(userId) {
+    const rows = await dbQuery(
+        'SELECT COUNT(*) AS count, COALESCE(SUM(size), 0) AS bytes FROM documents WHERE user_id = ?',
+        [userId]
+    );
+    return { count: rows[0].count, bytes: rows[0].bytes };
+}
 
-        // Update conversation timestamp
-        await dbRun(
-            'UPDATE conversations SET updated_at = CURRENT_TIMESTAMP WHERE id = ?',
-            [chatId]
-        );
+async function findUserDocument(documentId, userId) {
+    const rows = await dbQuery('SELECT * FROM documents WHERE id = ? AND user_id = ?', [parseInt(documentId), userId]);
+    return rows.length > 0 ? rows[0] : null;
+}
+
+// List the account's documents, newest first, with its usage of the quota
+app.get('/api/documents', requireRole(), async (req, res) => {
+    try {
+        const rows = await dbQuery('SELECT * FROM documents WHERE user_id = ? ORDER BY created_at DESC, id DESC', [req.account.id]);
 
         res.json({
             success: true,
-            message: 'Message updated successfully'
+            documents: rows.map(formatDocument),
+            usage: await getDocumentUsage(req.account.id),
+            quota: {
+                count: DOCUMENT_MAX_COUNT,
+                bytes: DOCUMENT_QUOTA_MB * 1024 * 1024
+            }
         });
     } catch (error) {
-        console.error('Update message error:', error);
+        console.error('List documents error:', error);
         res.status(500).json({ 
             success: false, 
-            message: 'Error updating message: ' + (error.message || 'Unknown error') 
+            message: 'Error loading documents: ' + (error.message || 'Unknown error') 
         });
     }
 });
 
-// Delete a message
-app.delete('/api/chats/:chatId/messages/:messageId', async (req, res) => {
+// Upload a document (multipart field "document")
+app.post('/api/documents', requireRole(), documentUpload.single('document'), async (req, res) => {
+    const file = req.file;
     try {
-        if (!req.session.userId) {
-            return res.status(401).json({ 
-                success: false, 
-                message: 'Not authenticated' 
-            });
-        }
-
-        const chatId = parseInt(req.params.chatId);
-        const messageId = parseInt(req.params.messageId);
-        const userId = req.session.userId.toString();
-
-        // Verify conversation belongs to user
-        const conversations = await dbQuery(
-            'SELECT * FROM conversations WHERE id = ? AND user_id = ?',
-            [chatId, userId]
-        );
-
-        if (conversations.length === 0) {
-            return res.status(404).json({ 
+        if (!file) {
+            return res.status(400).json({ 
                 success: false, 
-                message: 'Conversation not found' 
+                message: 'Choose a file to upload' 
             });
         }
 
-        // Verify message belongs to conversation
-        const messages = await dbQuery(
-            'SELECT * FROM messages WHERE id = ? AND conversation_id = ?',
-            [messageId, chatId]
-        );
-
-        if (messages.length === 0) {
-            return res.status(404).json({ 
+        // Check the quota and save in one transaction so parallel uploads cannot pass it together
+        const inserted = await runInTransaction(async () => {
+            const usage = await getDocumentUsage(req.account.id);
+            if (usage.count >= DOCUMENT_MAX_COUNT || usage.bytes + file.size > DOCUMENT_QUOTA_MB * 1024 * 1024) {
+                return null;
+            }
+            return dbRun(
+                'INSERT INTO documents (user_id, name, stored_name, mime_type, size) VALUES (?, ?, ?, ?, ?)',
+                [
+                    req.account.id,
+                    cleanDocumentName(file.originalname) || 'document',
+                    file.filename,
+                    DOCUMENT_MIME_TYPES[path.extname(file.filename)] || 'application/octet-stream',
+                    file.size
+                ]
+            );
+        });
+        if (!inserted) {
+            await removeDocumentFile(file.filename);
+            return res.status(413).json({ 
                 success: false, 
-                message: 'Message not found' 
+                code: 'DOCUMENT_QUOTA_EXCEEDED',
+                message: `Your document storage is full (${DOCUMENT_MAX_COUNT} files or ${DOCUMENT_QUOTA_MB} MB). Delete some documents to upload more.` 
             });
         }
-
-        // Delete message
-        await dbRun('DELETE FROM messages WHERE id = ?', [messageId]);
-
-        // Update conversation timestamp
-        await dbRun(
-            'UPDATE conversations SET updated_at = CURRENT_TIMESTAMP WHERE id = ?',
-            [chatId]
-        );
+        const rows = await dbQuery('SELECT * FROM documents WHERE id = ?', [inserted.lastID]);
 
         res.json({
             success: true,
-            message: 'Message deleted successfully'
+            message: 'Document uploaded successfully',
+            document: formatDocument(rows[0])
         });
     } catch (error) {
-        console.error('Delete message error:', error);
+        console.error('Upload document error:', error);
+        if (file) {
+            await removeDocumentFile(file.filename);
+        }
         res.status(500).json({ 
             success: false, 
-            message: 'Error deleting message: ' + (error.message || 'Unknown error') 
+            message: 'Error uploading document: ' + (error.message || 'Unknown error') 
         });
     }
 });
 
-// Create a new conversation
-app.post('/api/chats', async (req, res) => {
+// Download a document
+app.get('/api/documents/:documentId/download', requireRole(), async (req, res) => {
     try {
-        if (!req.session.userId) {
-            return res.status(401).json({ 
+        const document = await findUserDocument(req.params.documentId, req.account.id);
+        if (!document) {
+            return res.status(404).json({ 
                 success: false, 
-                message: 'Not authenticated' 
+                message: 'Document not found' 
             });
         }
 
-        const userId = req.session.userId.toString();
-        const { title } = req.body;
-
-        const result = await dbRun(
-            'INSERT INTO conversations (user_id, title) VALUES (?, ?)',
-            [userId, title || 'New Chat']
-        );
-
-        res.json({
-            success: true,
-            conversation: {
-                id: result.lastID,
-                user_id: userId,
-                title: title || 'New Chat',
-                created_at: new Date().toISOString(),
-                updated_at: new Date().toISOString()
+        res.download(documentFilePath(document.stored_name), document.name, {
+            headers: {
+                'Content-Type': document.mime_type,
+                'X-Content-Type-Options': 'nosniff'
+            }
+        }, (err) => {
+            if (err && !res.headersSent) {
+                console.error('Download document error:', err);
+                res.status(404).json({ 
+                    success: false, 
+                    message: 'The file of this document is missing' 
+                });
             }
         });
     } catch (error) {
-        console.error('Create conversation error:', error);
+        console.error('Download document error:', error);
         res.status(500).json({ 
             success: false, 
-            message: 'Error creating conversation: ' + (error.message || 'Unknown error') 
+            message: 'Error downloading document: ' + (error.message || 'Unknown error') 
         });
     }
 });
 
-// Update (rename) a conversation
-app.put('/api/chats/:chatId', async (req, res) => {
+// Rename a document. The extension is kept so the file still opens. Body: { name }
+app.put('/api/documents/:documentId', requireRole(), async (req, res) => {
     try {
-        if (!req.session.userId) {
-            return res.status(401).json({ 
+        const document = await findUserDocument(req.params.documentId, req.account.id);
+        if (!document) {
+            return res.status(404).json({ 
                 success: false, 
-                message: 'Not authenticated' 
+                message: 'Document not found' 
             });
         }
 
-        const chatId = parseInt(req.params.chatId);
-        const userId = req.session.userId.toString();
-        const { title } = req.body;
-
-        if (!title || !title.trim()) {
+        let name = cleanDocumentName(req.body.name);
+        if (!name) {
             return res.status(400).json({ 
                 success: false, 
-                message: 'Title is required' 
+                message: 'Name is required' 
             });
         }
-
-        // Verify conversation belongs to user
-        const conversations = await dbQuery(
-            'SELECT * FROM conversations WHERE id = ? AND user_id = ?',
-            [chatId, userId]
-        );
-
-        if (conversations.length === 0) {
-            return res.status(404).json({ 
-                success: false, 
-                message: 'Conversation not found' 
-            });
+        const extension = path.extname(document.name);
+        if (extension && !name.toLowerCase().endsWith(extension.toLowerCase())) {
+            name += extension;
         }
 
-        // Update conversation title
-        await dbRun(
-            'UPDATE conversations SET title = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
-            [title.trim(), chatId]
-        );
+        await dbRun('UPDATE documents SET name = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?', [name, document.id]);
+        const rows = await dbQuery('SELECT * FROM documents WHERE id = ?', [document.id]);
 
         res.json({
             success: true,
-            message: 'Conversation updated successfully'
+            message: 'Document renamed successfully',
+            document: formatDocument(rows[0])
         });
     } catch (error) {
-        console.error('Update conversation error:', error);
+        console.error('Rename document error:', error);
         res.status(500).json({ 
             success: false, 
-            message: 'Error updating conversation: ' + (error.message || 'Unknown error') 
+            message: 'Error renaming document: ' + (error.message || 'Unknown error') 
         });
     }
 });
 
-// Delete a conversation
-app.delete('/api/chats/:chatId', async (req, res) => {
+// Delete a document and its file
+app.delete('/api/documents/:documentId', requireRole(), async (req, res) => {
     try {
-        if (!req.session.userId) {
-            return res.status(401).json({ 
-                success: false, 
-                message: 'Not authenticated' 
-            });
-        }
-
-        const chatId = parseInt(req.params.chatId);
-        const userId = req.session.userId.toString();
-
-        // Verify conversation belongs to user
-        const conversations = await dbQuery(
-            'SELECT * FROM conversations WHERE id = ? AND user_id = ?',
-            [chatId, userId]
-        );
-
-        if (conversations.length === 0) {
+        const document = await findUserDocument(req.params.documentId, req.account.id);
+        if (!document) {
             return res.status(404).json({ 
                 success: false, 
-                message: 'Conversation not found' 
+                message: 'Document not found' 
             });
         }
 
-        // Delete conversation (messages will be deleted automatically due to CASCADE)
-        await dbRun('DELETE FROM conversations WHERE id = ?', [chatId]);
+        await dbRun('DELETE FROM documents WHERE id = ?', [document.id]);
+        await removeDocumentFile(document.stored_name);
 
         res.json({
             success: true,
-            message: 'Conversation deleted successfully'
+            message: 'Document deleted successfully'
         });
     } catch (error) {
-        console.error('Delete conversation error:', error);
+        console.error('Delete document error:', error);
         res.status(500).json({ 
             success: false, 
-            message: 'Error deleting conversation: ' + (error.message || 'Unknown error') 
+            message: 'Error deleting document: ' + (error.message || 'Unknown error') 
         });
     }
 });
 
-// Book a lawyer appointment
-app.post('/api/booking', async (req, res) => {
-    try {
-        if (!req.session.userId) {
-            return res.status(401).json({ 
-                success: false, 
-                message: 'Not authenticated' 
-            });
-        }
-
-        const { lawyerId, clientName, clientEmail, clientPhone, appointmentDate, appointmentTime, caseDescription } = req.body;
+// Document text extraction
+// Uploaded documents are read server-side and their text is passed to the assistant.
+// Long documents are split into chunks and only the chunks most relevant to the
+// question are sent, so the prompt stays within FILE_CONTEXT_TOKEN_BUDGET.
+const FILE_CONTEXT_TOKEN_BUDGET = parseInt(process.env.FILE_CONTEXT_TOKEN_BUDGET, 10) || 6000;
+const FILE_CHUNK_TOKENS = 500;
+const MAX_EXTRACTED_CHARS = 200000; // ~50k tokens stored per document
+
+// Rough token estimate (about 4 characters per token)
+function estimateTokens(text) {
+    return Math.ceil((text || '').length / 4);
+}
 
-        // Validation
-        if (!lawyerId || !clientName || !clientEmail || !clientPhone || !appointmentDate || !appointmentTime || !caseDescription) {
-            return res.status(400).json({ 
-                success: false, 
-                message: 'All fields are required' 
-            });
-        }
+// Normalize whitespace and Eastern Arabic digits (٠١٢...) so clause numbers match
+function normalizeExtractedText(text) {
+    return (text || '')
+        .replace(/^\uFEFF/, '')
+        .replace(/\r\n?/g, '\n')
+        .replace(/[\u0660-\u0669]/g, d => String(d.charCodeAt(0) - 0x0660))
+        .replace(/[ \t\f\v]+/g, ' ')
+        .replace(/ *\n */g, '\n')
+        .replace(/\n{3,}/g, '\n\n')
+        .trim();
+}
 
-        // Validate date (must be in the future)
-        const selectedDate = new Date(appointmentDate);
-        const today = new Date();
-        today.setHours(0, 0, 0, 0);
-        
-        if (selectedDate < today) {
-            return res.status(400).json({ 
-                success: false, 
-                message: 'Appointment date must be in the future' 
-            });
-        }
+// Read the text of a single multer file; returns '' for unsupported or unreadable files
+async function extractFileText(file) {
+    const extension = path.extname(file.originalname).toLowerCase().replace('.', '');
+    const mimetype = (file.mimetype || '').toLowerCase();
 
-        // Lawyer data (in a real app, this would come from a database)
-        const lawyers = {
-            1: { name: 'Sarah Johnson', specialty: 'Criminal Law' },
-            2: { name: 'Michael Chen', specialty: 'Family Law' },
-            3: { name: 'Emily Rodriguez', specialty: 'Corporate Law' },
-            4: { name: 'David Thompson', specialty: 'Personal Injury' },
-            5: { name: 'Jennifer Williams', specialty: 'Real Estate Law' },
-            6: { name: 'Robert Martinez', specialty: 'Immigration Law' },
-            7: { name: 'Lisa Anderson', specialty: 'Employment Law' },
-            8: { name: 'James Wilson', specialty: 'Intellectual Property' },
-            9: { name: 'Amanda Taylor', specialty: 'Estate Planning' },
-            10: { name: 'Christopher Brown', specialty: 'Tax Law' },
-            11: { name: 'Maria Garcia', specialty: 'Bankruptcy Law' },
-            12: { name: 'Daniel Lee', specialty: 'Environmental Law' }
-        };
+    if (extension === 'pdf' || mimetype.includes('pdf')) {
+        const data = await pdfParse(fs.readFileSync(file.path));
+        return data.text || '';
+    }
+    if (extension === 'docx' || mimetype.includes('wordprocessingml')) {
+        const result = await mammoth.extractRawText({ path: file.path });
+        return result.value || '';
+    }
+    if (extension === 'doc' || mimetype.includes('msword')) {
+        const extractor = new WordExtractor();
+        const doc = await extractor.extract(file.path);
+        return doc.getBody() || '';
+    }
+    if (extension === 'txt' || mimetype.includes('text/plain')) {
+        return fs.readFileSync(file.path, 'utf8');
+    }
+    return '';
+}
 
-        const lawyer = lawyers[lawyerId];
-        if (!lawyer) {
-            return res.status(400).json({ 
-                success: false, 
-                message: 'Invalid lawyer selected' 
-            });
+// Extract text for every uploaded file and store it on the file object as extractedText
+async function extractUploadedFilesText(files) {
+    for (const file of files) {
+        try {
+            const text = normalizeExtractedText(await extractFileText(file));
+            file.extractedText = text ? text.substring(0, MAX_EXTRACTED_CHARS) : '';
+        } catch (error) {
+            console.error(`Error extracting text from ${file.originalname}:`, error.message);
+            file.extractedText = '';
         }
+    }
+    return files;
+}
 
-        const userId = req.session.userId.toString();
-
-        // Save booking to database
-        const result = await dbRun(
-            `INSERT INTO bookings (
-                user_id, lawyer_id, lawyer_name, lawyer_specialty,
-                client_name, client_email, client_phone,
-                appointment_date, appointment_time, case_description
-            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
-            [userId, lawyerId, lawyer.name, lawyer.specialty, clientName, clientEmail, clientPhone, appointmentDate, appointmentTime, caseDescription]
-        );
-
-        res.json({
-            success: true,
-            message: 'Appointment booked successfully',
-            booking: {
-                id: result.lastID,
-                lawyerName: lawyer.name,
-                appointmentDate: appointmentDate,
-                appointmentTime: appointmentTime
-            }
-        });
+// Documents ({ name, text }) stored in a message's file_info JSON
+function parseFileInfoDocuments(fileInfoJson) {
+    try {
+        const fileInfo = JSON.parse(fileInfoJson);
+        return (Array.isArray(fileInfo) ? fileInfo : [])
+            .filter(f => f && f.extractedText)
+            .map(f => ({ name: f.name, text: f.extractedText }));
     } catch (error) {
-        console.error('Booking error:', error);
-        res.status(500).json({ 
-            success: false, 
-            message: 'Error booking appointment: ' + (error.message || 'Unknown error') 
-        });
+        return [];
     }
-});
+}
 
-// Get user bookings
-app.get('/api/bookings', async (req, res) => {
-    try {
-        if (!req.session.userId) {
-            return res.status(401).json({ 
-                success: false, 
-                message: 'Not authenticated' 
-            });
+// Split text into chunks of roughly maxTokens, preferring paragraph boundaries
+function chunkText(text, maxTokens = FILE_CHUNK_TOKENS) {
+    const maxChars = maxTokens * 4;
+    const chunks = [];
+    let current = '';
+
+    const flush = () => {
+        if (current.trim()) {
+            chunks.push(current.trim());
         }
+        current = '';
+    };
 
-        const userId = req.session.userId.toString();
-        const userBookings = await dbQuery(
-            'SELECT * FROM bookings WHERE user_id = ? ORDER BY appointment_date DESC, appointment_time DESC',
-            [userId]
-        );
+    text.split(/\n\s*\n/).forEach(paragraph => {
+        if (paragraph.length > maxChars) {
+            flush();
+            for (let i = 0; i < paragraph.length; i += maxChars) {
+                chunks.push(paragraph.substring(i, i + maxChars).trim());
+            }
+        } else if (current.length + paragraph.length + 2 > maxChars) {
+            flush();
+            current = paragraph;
+        } else {
+            current += (current ? '\n\n' : '') + paragraph;
+        }
+    });
+    flush();
+
+    return chunks.map((text, index) => ({ index, text }));
+}
+
+// Pick the chunks most relevant to the question that fit in budgetTokens, in document order.
+// Explicit references like "clause 5", "article 12", "البند 5" or "المادة 12" weigh the most.
+function selectRelevantChunks(chunks, question, budgetTokens) {
+    const totalTokens = chunks.reduce((sum, c) => sum + estimateTokens(c.text), 0);
+    if (totalTokens <= budgetTokens) {
+        return chunks;
+    }
 
-        res.json({
-            success: true,
-            bookings: userBookings
+    const normalizedQuestion = normalizeExtractedText(question).toLowerCase();
+    const terms = [...new Set(normalizedQuestion.split(/[^\p{L}\p{N}]+/u).filter(t => t.length >= 3))];
+    const referencedNumbers = [];
+    const referencePattern = /(?:clause|article|section|paragraph|item|art\.|بند|البند|مادة|المادة|فقرة|الفقرة)\s*(?:no\.?|رقم)?\s*\(?(\d+)/giu;
+    let match;
+    while ((match = referencePattern.exec(normalizedQuestion)) !== null) {
+        referencedNumbers.push(match[1]);
+    }
+
+    const scored = chunks.map(chunk => {
+        const lower = chunk.text.toLowerCase();
+        let score = chunk.index === 0 ? 1 : 0; // Opening usually names the parties and subject
+        terms.forEach(term => {
+            if (lower.includes(term)) {
+                score += 1;
+            }
         });
-    } catch (error) {
-        console.error('Get bookings error:', error);
-        res.status(500).json({ 
-            success: false, 
-            message: 'Error fetching bookings: ' + (error.message || 'Unknown error') 
+        referencedNumbers.forEach(number => {
+            const numberPattern = new RegExp(`(?:clause|article|section|paragraph|item|art\\.|بند|البند|مادة|المادة|فقرة|الفقرة)\\s*(?:no\\.?|رقم)?\\s*\\(?${number}(?!\\d)`, 'iu');
+            if (numberPattern.test(lower)) {
+                score += 10;
+            }
         });
-    }
-});
+        return { chunk, score };
+    });
 
-// Configure multer for file uploads
-const storage = multer.diskStorage({
-    destination: function (req, file, cb) {
-        const uploadDir = './uploads';
-        if (!fs.existsSync(uploadDir)) {
-            fs.mkdirSync(uploadDir, { recursive: true });
+    scored.sort((a, b) => b.score - a.score || a.chunk.index - b.chunk.index);
+
+    const selected = [];
+    let usedTokens = 0;
+    for (const { chunk } of scored) {
+        const tokens = estimateTokens(chunk.text);
+        if (usedTokens + tokens > budgetTokens) {
+            continue;
         }
-        cb(null, uploadDir);
-    },
-    filename: function (req, file, cb) {
-        const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
-        cb(null, uniqueSuffix + '-' + file.originalname);
+        selected.push(chunk);
+        usedTokens += tokens;
     }
-});
 
-const upload = multer({ 
-    storage: storage,
-    limits: { 
-        fileSize: 10 * 1024 * 1024, // 10MB limit
-        files: 10 // Maximum 10 files
-    },
-    fileFilter: function (req, file, cb) {
-        try {
-            const allowedTypes = /pdf|doc|docx|txt|jpg|jpeg|png/i;
-            const extname = path.extname(file.originalname).toLowerCase().replace('.', '');
-            const mimetype = file.mimetype.toLowerCase();
-            
-            // Check extension
-            const hasValidExtension = allowedTypes.test(extname);
-            
-            // Check mimetype (more lenient)
-            const hasValidMimetype = 
-                mimetype.includes('pdf') ||
-                mimetype.includes('msword') ||
-                mimetype.includes('wordprocessingml') ||
-                mimetype.includes('text/plain') ||
-                mimetype.includes('image/jpeg') ||
-                mimetype.includes('image/jpg') ||
-                mimetype.includes('image/png');
-            
-            if (hasValidExtension || hasValidMimetype) {
-                cb(null, true);
-            } else {
-                cb(new Error(`File type not allowed. Only PDF, DOC, DOCX, TXT, JPG, JPEG, and PNG files are allowed. Received: ${file.originalname} (${mimetype})`));
+    return selected.sort((a, b) => a.index - b.index);
+}
+
+// Prompt section with the (possibly trimmed) text of the user's documents
+function buildDocumentContext(documents, question, detectedLang = 'en') {
+    const perDocumentBudget = Math.floor(FILE_CONTEXT_TOKEN_BUDGET / documents.length);
+
+    const sections = documents.map(doc => {
+        const chunks = chunkText(doc.text);
+        const selected = selectRelevantChunks(chunks, question, perDocumentBudget);
+        const parts = [];
+        selected.forEach((chunk, i) => {
+            const previous = selected[i - 1];
+            const gapBefore = previous ? chunk.index - previous.index > 1 : chunk.index > 0;
+            if (gapBefore) {
+                parts.push('[...]');
             }
-        } catch (err) {
-            cb(new Error('Error validating file: ' + err.message));
+            parts.push(chunk.text);
+        });
+        if (selected.length > 0 && selected[selected.length - 1].index < chunks.length - 1) {
+            parts.push('[...]');
         }
-    }
-});
+        return `=== ${doc.name} ===\n${parts.join('\n\n')}`;
+    });
+
+    const header = detectedLang === 'ar'
+        ? 'المستندات التي رفعها المستخدم (استخدم محتواها للإجابة، و[...] تعني أجزاء محذوفة لضيق المساحة):'
+        : 'Documents uploaded by the user (use their contents to answer; [...] marks parts omitted to fit the context):';
+
+    return `\n\n${header}\n\n${sections.join('\n\n')}`;
+}
 
 // AI Chat endpoint with proper error handling
-app.post('/api/chat', (req, res, next) => {
+app.post('/api/chat', requireAuth, enforceGuestMessageLimit, (req, res, next) => {
     upload.any()(req, res, (err) => {
         if (err) {
             // Handle multer errors
@@ -998,14 +6909,6 @@ app.post('/api/chat', (req, res, next) => {
     });
 }, async (req, res) => {
     try {
-        // Check authentication
-        if (!req.session.userId) {
-            return res.status(401).json({ 
-                success: false, 
-                message: 'Not authenticated' 
-            });
-        }
-
         const message = req.body.message || '';
         const files = req.files || [];
         const conversationId = req.body.conversationId ? parseInt(req.body.conversationId) : null;
@@ -1029,6 +6932,7 @@ app.post('/api/chat', (req, res, next) => {
                 [userId, title]
             );
             currentConversationId = result.lastID;
+            await indexConversationForSearch(currentConversationId, title);
         } else {
             // Verify conversation belongs to user
             const userId = req.session.userId.toString();
@@ -1048,78 +6952,67 @@ app.post('/api/chat', (req, res, next) => {
         let fileInfo = '';
         let fileInfoJson = null;
         if (files.length > 0) {
+            // Extract text from PDF/DOC/DOCX/TXT uploads so the assistant can read them
+            await extractUploadedFilesText(files);
+
             const fileNames = files.map(f => f.originalname).join(', ');
             fileInfo = `\n\n[User uploaded ${files.length} file(s): ${fileNames}]`;
             fileInfoJson = JSON.stringify(files.map(f => ({
                 name: f.originalname,
                 size: f.size,
-                mimetype: f.mimetype
+                mimetype: f.mimetype,
+                extractedText: f.extractedText || null
             })));
         }
 
-        // Get conversation history for context (before saving new message)
-        let conversationHistory = [];
-        if (currentConversationId) {
-            const previousMessages = await dbQuery(
-                'SELECT role, content FROM messages WHERE conversation_id = ? ORDER BY created_at ASC LIMIT 10',
-                [currentConversationId]
-            );
-            conversationHistory = previousMessages.map(msg => ({
-                role: msg.role === 'user' ? 'user' : 'assistant',
-                content: msg.content
-            }));
-        }
+        // Get conversation history and earlier documents for context (before saving new message)
+        const { conversationHistory, documents, leafId } = await loadAssistantContext(currentConversationId);
+        files.forEach(f => {
+            if (f.extractedText) {
+                documents.push({ name: f.originalname, text: f.extractedText });
+            }
+        });
 
-        // Save user message to database
+        // Save user message to database, continuing the selected branch
         const userMessageContent = message + fileInfo;
-        await dbRun(
-            'INSERT INTO messages (conversation_id, role, content, file_info) VALUES (?, ?, ?, ?)',
-            [currentConversationId, 'user', userMessageContent, fileInfoJson]
+        const userMessage = await dbRun(
+            'INSERT INTO messages (conversation_id, role, content, file_info, parent_message_id) VALUES (?, ?, ?, ?, ?)',
+            [currentConversationId, 'user', userMessageContent, fileInfoJson, leafId]
         );
+        await indexMessageForSearch(userMessage.lastID, userMessageContent);
 
         // Update conversation timestamp
-        await dbRun(
-            'UPDATE conversations SET updated_at = CURRENT_TIMESTAMP WHERE id = ?',
-            [currentConversationId]
-        );
+        await setCurrentMessage(currentConversationId, userMessage.lastID);
 
         // AI Legal Assistant Response Logic
         const userQuery = message + fileInfo;
-        
-        // Generate AI response using ChatGPT API
-        const aiResponse = await generateAIResponse(userQuery, files, conversationHistory);
-
-        // Save AI response to database
-        await dbRun(
-            'INSERT INTO messages (conversation_id, role, content) VALUES (?, ?, ?)',
-            [currentConversationId, 'ai', aiResponse]
-        );
-
-        // Update conversation timestamp again
-        await dbRun(
-            'UPDATE conversations SET updated_at = CURRENT_TIMESTAMP WHERE id = ?',
-            [currentConversationId]
-        );
 
-        // Clean up uploaded files after processing
-        if (files && files.length > 0) {
-            files.forEach(file => {
-                try {
-                    if (file.path && fs.existsSync(file.path)) {
-                        fs.unlinkSync(file.path);
-                    }
-                } catch (err) {
-                    console.error('Error deleting file:', err);
-                }
+        // Retrieve statute articles relevant to the question to ground the answer
+        const articles = await findStatutesForQuestion(message);
+
+        // Stream the reply token-by-token when the client asks for it
+        const wantsStream = req.body.stream === 'true' || (req.headers.accept || '').includes('text/event-stream');
+        if (wantsStream) {
+            return streamChatResponse(req, res, {
+                conversationId: currentConversationId,
+                parentMessageId: userMessage.lastID,
+                userQuery,
+                files,
+                conversationHistory,
+                documents,
+                articles
             });
         }
-
-        // Remove simulated delay since API call already takes time
-
-        res.json({
-            success: true,
-            response: aiResponse,
-            conversationId: currentConversationId
+        
+        // Generate AI response through the configured provider
+        await respondWithAIResponse(res, {
+            conversationId: currentConversationId,
+            parentMessageId: userMessage.lastID,
+            userQuery,
+            files,
+            conversationHistory,
+            documents,
+            articles
         });
     } catch (error) {
         console.error('Chat error:', error);
@@ -1130,6 +7023,262 @@ app.post('/api/chat', (req, res, next) => {
     }
 });
 
+// ==================== Message tree ====================
+// Each message points at the message it follows (parent_message_id). Several children
+// of one message are alternate branches; conversations.current_message_id is the last
+// message of the branch the user is looking at.
+
+// Load all messages of a conversation indexed by id and by parent
+async function loadMessageTree(conversationId) {
+    const rows = await dbQuery(
+        'SELECT * FROM messages WHERE conversation_id = ? ORDER BY id ASC',
+        [conversationId]
+    );
+    const byId = new Map(rows.map(row => [row.id, row]));
+    const children = new Map();
+    rows.forEach(row => {
+        // Messages whose parent was removed hang off the root
+        const parentId = row.parent_message_id && byId.has(row.parent_message_id) ? row.parent_message_id : null;
+        if (!children.has(parentId)) {
+            children.set(parentId, []);
+        }
+        children.get(parentId).push(row);
+    });
+    return { rows, byId, children };
+}
+
+// Follow the newest child down from a message (or from the root when messageId is null)
+function getLatestDescendantId(tree, messageId) {
+    let currentId = messageId;
+    let next = tree.children.get(currentId);
+    while (next && next.length > 0) {
+        currentId = next[next.length - 1].id;
+        next = tree.children.get(currentId);
+    }
+    return currentId;
+}
+
+// Leaf of the selected branch; conversations without a selection show the newest branch
+function resolveCurrentLeafId(tree, conversation) {
+    if (conversation.current_message_id && tree.byId.has(conversation.current_message_id)) {
+        return conversation.current_message_id;
+    }
+    return getLatestDescendantId(tree, null);
+}
+
+// Messages from the root down to leafId, each annotated with its sibling position
+function getBranchMessages(tree, leafId) {
+    const path = [];
+    let current = leafId ? tree.byId.get(leafId) : null;
+    while (current) {
+        path.unshift(current);
+        current = current.parent_message_id ? tree.byId.get(current.parent_message_id) : null;
+    }
+
+    return path.map(message => {
+        const parentId = message.parent_message_id && tree.byId.has(message.parent_message_id) ? message.parent_message_id : null;
+        const siblings = tree.children.get(parentId) || [message];
+        return {
+            ...message,
+            sibling_ids: siblings.map(sibling => sibling.id),
+            sibling_index: siblings.findIndex(sibling => sibling.id === message.id),
+            sibling_count: siblings.length
+        };
+    });
+}
+
+// Ids of every message below messageId
+function getDescendantIds(tree, messageId) {
+    const ids = [];
+    const stack = [...(tree.children.get(messageId) || [])];
+    while (stack.length > 0) {
+        const message = stack.pop();
+        ids.push(message.id);
+        stack.push(...(tree.children.get(message.id) || []));
+    }
+    return ids;
+}
+
+// Make messageId the end of the branch the conversation shows
+async function setCurrentMessage(conversationId, messageId) {
+    await dbRun(
+        'UPDATE conversations SET current_message_id = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+        [messageId, conversationId]
+    );
+}
+
+// History and documents the assistant needs to answer a question in a conversation,
+// taken from the selected branch. When questionMessageId is given, history stops before
+// that message and documents include the ones attached to it (used when re-answering).
+// leafId is the message a new question should follow.
+async function loadAssistantContext(conversationId, { questionMessageId = null } = {}) {
+    const conversationHistory = [];
+    const documents = [];
+    if (!conversationId) {
+        return { conversationHistory, documents, leafId: null };
+    }
+
+    const tree = await loadMessageTree(conversationId);
+    let leafId = questionMessageId;
+    if (!leafId) {
+        const conversations = await dbQuery('SELECT * FROM conversations WHERE id = ?', [conversationId]);
+        leafId = conversations.length > 0 ? resolveCurrentLeafId(tree, conversations[0]) : null;
+    }
+    const branch = getBranchMessages(tree, leafId);
+
+    const previousMessages = questionMessageId ? branch.slice(0, -1) : branch;
+    previousMessages.slice(-10).forEach(msg => {
+        conversationHistory.push({
+            role: msg.role === 'user' ? 'user' : 'assistant',
+            content: msg.content
+        });
+    });
+
+    // Documents uploaded earlier in this branch stay available for follow-up questions
+    branch.forEach(msg => {
+        if (msg.file_info) {
+            documents.push(...parseFileInfoDocuments(msg.file_info));
+        }
+    });
+
+    return { conversationHistory, documents, leafId };
+}
+
+// Statute articles for a question; search problems never block the answer
+async function findStatutesForQuestion(question) {
+    if (!question || !question.trim()) {
+        return [];
+    }
+    try {
+        return await searchStatutes(question);
+    } catch (error) {
+        console.error('Statute search error:', error.message);
+        return [];
+    }
+}
+
+// Generate, save and return (as JSON) the assistant reply for a question in a conversation
+async function respondWithAIResponse(res, { conversationId, parentMessageId, userQuery, files = [], conversationHistory, documents, articles, extra = {} }) {
+    const aiResponse = await generateAIResponse(userQuery, files, conversationHistory, { documents, articles });
+    const citations = extractCitations(aiResponse, articles);
+
+    // Save AI response to database as a reply to the question
+    const result = await dbRun(
+        'INSERT INTO messages (conversation_id, role, content, citations, parent_message_id) VALUES (?, ?, ?, ?, ?)',
+        [conversationId, 'ai', aiResponse, citations.length > 0 ? JSON.stringify(citations) : null, parentMessageId]
+    );
+    await indexMessageForSearch(result.lastID, aiResponse);
+
+    // Show the new reply and update conversation timestamp again
+    await setCurrentMessage(conversationId, result.lastID);
+
+    // Clean up uploaded files after processing
+    cleanupUploadedFiles(files);
+
+    res.json({
+        success: true,
+        ...extra,
+        response: aiResponse,
+        messageId: result.lastID,
+        citations: citations,
+        conversationId: conversationId
+    });
+}
+
+// Delete uploaded files from disk once a chat request is finished with them
+function cleanupUploadedFiles(files) {
+    if (files && files.length > 0) {
+        files.forEach(file => {
+            try {
+                if (file.path && fs.existsSync(file.path)) {
+                    fs.unlinkSync(file.path);
+                }
+            } catch (err) {
+                console.error('Error deleting file:', err);
+            }
+        });
+    }
+}
+
+// Stream an AI reply to the client as Server-Sent Events.
+// Events: "start" (conversation id), "token" (text delta), "done" (saved message), "error".
+// If the client disconnects mid-stream the generation is aborted and the partial reply is kept.
+async function streamChatResponse(req, res, { conversationId, parentMessageId, userQuery, files, conversationHistory, documents, articles }) {
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream; charset=utf-8',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no' // Disable proxy buffering (nginx, Railway)
+    });
+
+    const sendEvent = (event, data) => {
+        if (!res.writableEnded) {
+            res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+        }
+    };
+
+    const abortController = new AbortController();
+    res.on('close', () => {
+        if (!res.writableFinished) {
+            abortController.abort();
+        }
+    });
+
+    sendEvent('start', { conversationId });
+
+    let aiResponse = '';
+    try {
+        aiResponse = await streamAIResponse(userQuery, files, conversationHistory, {
+            documents,
+            articles,
+            signal: abortController.signal,
+            onToken: (delta) => {
+                sendEvent('token', { text: delta });
+            }
+        });
+    } catch (error) {
+        console.error('Chat stream error:', error);
+        aiResponse = error.partialResponse || '';
+        if (!aiResponse) {
+            sendEvent('error', { message: 'Error processing chat request: ' + (error.message || 'Unknown error') });
+        }
+    }
+
+    const aborted = abortController.signal.aborted;
+
+    try {
+        // Save whatever was generated (the full reply, or the partial one if the user stopped it)
+        let messageId = null;
+        const citations = aiResponse.trim() ? extractCitations(aiResponse, articles) : [];
+        if (aiResponse.trim()) {
+            const result = await dbRun(
+                'INSERT INTO messages (conversation_id, role, content, citations, parent_message_id) VALUES (?, ?, ?, ?, ?)',
+                [conversationId, 'ai', aiResponse.trim(), citations.length > 0 ? JSON.stringify(citations) : null, parentMessageId]
+            );
+            messageId = result.lastID;
+            await indexMessageForSearch(messageId, aiResponse.trim());
+
+            await setCurrentMessage(conversationId, messageId);
+        }
+
+        sendEvent('done', {
+            conversationId,
+            messageId,
+            response: aiResponse.trim(),
+            citations,
+            aborted
+        });
+    } catch (error) {
+        console.error('Error saving streamed response:', error);
+        sendEvent('error', { message: 'Error saving response: ' + (error.message || 'Unknown error') });
+    } finally {
+        cleanupUploadedFiles(files);
+        if (!res.writableEnded) {
+            res.end();
+        }
+    }
+}
+
 // Language detection function
 function detectLanguage(text) {
     // Check for Arabic characters (Unicode range: \u0600-\u06FF)
@@ -1137,21 +7286,10 @@ function detectLanguage(text) {
     return arabicPattern.test(text) ? 'ar' : 'en';
 }
 
-// AI Response Generator (Legal Assistant) - Bilingual Support with ChatGPT API
-async function generateAIResponse(userMessage, files = [], conversationHistory = []) {
-    const detectedLang = detectLanguage(userMessage);
-    
-    // Check if OpenAI API key is configured
-    const apiKey = process.env.OPENAI_API_KEY || '';
-    if (!apiKey || apiKey.trim() === '' || apiKey === 'your-api-key-here') {
-        console.warn('⚠️ OpenAI API key not configured. Using fallback responses.');
-        console.warn('💡 To enable ChatGPT, set OPENAI_API_KEY environment variable.');
-        return generateFallbackResponse(userMessage, files, detectedLang);
-    }
-    
-    try {
-        // Build system prompt focused on Egyptian law
-        const systemPrompt = `You are an expert AI legal assistant specialized in Egyptian law and the Egyptian Constitution of 2014. Your expertise includes:
+// Build the OpenAI messages array: system prompt, recent history and the new user message
+function buildChatMessages(userMessage, files = [], conversationHistory = [], { detectedLang = detectLanguage(userMessage), documents = [], articles = [] } = {}) {
+    // Build system prompt focused on Egyptian law
+    const systemPrompt = `You are an expert AI legal assistant specialized in Egyptian law and the Egyptian Constitution of 2014. Your expertise includes:
 
 EGYPTIAN LEGAL SYSTEM:
 - Egyptian Constitution 2014 (supreme law of Egypt)
@@ -1175,65 +7313,291 @@ IMPORTANT GUIDELINES:
 - If asked about non-Egyptian law, politely redirect to Egyptian law context
 - If the question is unclear, make reasonable assumptions and provide helpful information based on common interpretations`;
 
-        // Limit conversation history to last 6 messages to avoid token limits
-        const recentHistory = conversationHistory.slice(-6);
-        
-        // Build messages array
-        const messages = [
-            { role: 'system', content: systemPrompt },
-            ...recentHistory,
-            { role: 'user', content: userMessage }
-        ];
+    // Limit conversation history to last 6 messages to avoid token limits
+    const recentHistory = conversationHistory.slice(-6);
+    
+    // Build messages array
+    const messages = [
+        { role: 'system', content: systemPrompt },
+        ...recentHistory,
+        { role: 'user', content: userMessage }
+    ];
+
+    // Ground the answer in retrieved statute articles
+    if (articles.length > 0) {
+        messages.splice(1, 0, { role: 'system', content: buildStatuteContext(articles, detectedLang) });
+    }
 
-        // Add file information if files are uploaded
-        if (files.length > 0) {
-            const fileNames = files.map(f => f.originalname).join(', ');
-            const fileInfo = detectedLang === 'ar'
-                ? `\n\nملاحظة: المستخدم رفع ${files.length} ملف(ات): ${fileNames}. لا يمكنني قراءة محتوى الملفات، لكن يمكنني الإجابة على الأسئلة العامة حول المستندات القانونية المصرية.`
-                : `\n\nNote: User uploaded ${files.length} file(s): ${fileNames}. I cannot read file contents, but I can answer general questions about Egyptian legal documents.`;
-            messages[messages.length - 1].content += fileInfo;
-        }
+    // Add the text of uploaded documents, trimmed to the token budget
+    if (documents.length > 0) {
+        messages[messages.length - 1].content += buildDocumentContext(documents, userMessage, detectedLang);
+    }
 
-        console.log('🤖 Calling ChatGPT API...');
-        
-        // Call OpenAI API
-        const completion = await openai.chat.completions.create({
-            model: process.env.OPENAI_MODEL || 'gpt-3.5-turbo',
-            messages: messages,
-            temperature: 0.7,
-            max_tokens: 2000,
+    // Files we could not read (images, scanned PDFs) are only mentioned by name
+    const unreadableFiles = files.filter(f => !f.extractedText);
+    if (unreadableFiles.length > 0) {
+        const fileNames = unreadableFiles.map(f => f.originalname).join(', ');
+        const fileInfo = detectedLang === 'ar'
+            ? `\n\nملاحظة: المستخدم رفع ${unreadableFiles.length} ملف(ات) لا يمكن قراءة نصها: ${fileNames}. يمكنني الإجابة على الأسئلة العامة حول المستندات القانونية المصرية.`
+            : `\n\nNote: User uploaded ${unreadableFiles.length} file(s) whose text could not be read: ${fileNames}. I can answer general questions about Egyptian legal documents.`;
+        messages[messages.length - 1].content += fileInfo;
+    }
+
+    return messages;
+}
+
+// ==================== LLM providers ====================
+// The assistant talks to a provider chosen with LLM_PROVIDER:
+//   openai   - OpenAI API (OPENAI_API_KEY, OPENAI_MODEL, OPENAI_TEMPERATURE, OPENAI_MAX_TOKENS)
+//   local    - any OpenAI-compatible server such as Ollama or llama.cpp
+//              (LOCAL_LLM_BASE_URL, LOCAL_LLM_MODEL, LOCAL_LLM_API_KEY, LOCAL_LLM_TEMPERATURE, LOCAL_LLM_MAX_TOKENS)
+//   mock     - deterministic offline replies for tests (MOCK_LLM_MODEL)
+//   fallback - rule-based replies only
+// Without LLM_PROVIDER, openai is used when OPENAI_API_KEY is set, otherwise fallback.
+// Every provider exposes { name, model, isConfigured(), complete(messages), stream(messages, { onToken, signal }) }.
+
+function parseNumberSetting(value, defaultValue) {
+    const number = parseFloat(value);
+    return Number.isFinite(number) ? number : defaultValue;
+}
+
+function isOpenAIKeyConfigured() {
+    const apiKey = process.env.OPENAI_API_KEY || '';
+    return apiKey.trim() !== '' && apiKey !== 'your-api-key-here';
+}
+
+// Per-provider settings, read from the environment
+const LLM_PROVIDER_CONFIGS = {
+    openai: {
+        apiKey: process.env.OPENAI_API_KEY || '',
+        baseURL: process.env.OPENAI_BASE_URL || undefined,
+        model: process.env.OPENAI_MODEL || 'gpt-3.5-turbo',
+        temperature: parseNumberSetting(process.env.OPENAI_TEMPERATURE, 0.7),
+        maxTokens: parseInt(process.env.OPENAI_MAX_TOKENS, 10) || 2000,
+        extraParams: {
             presence_penalty: 0.6,
             frequency_penalty: 0.3
-        });
+        }
+    },
+    local: {
+        apiKey: process.env.LOCAL_LLM_API_KEY || 'local', // Local servers ignore it, the SDK requires one
+        baseURL: process.env.LOCAL_LLM_BASE_URL || 'http://localhost:11434/v1', // Ollama default
+        model: process.env.LOCAL_LLM_MODEL || 'llama3',
+        temperature: parseNumberSetting(process.env.LOCAL_LLM_TEMPERATURE, 0.7),
+        maxTokens: parseInt(process.env.LOCAL_LLM_MAX_TOKENS, 10) || 2000,
+        extraParams: {}
+    },
+    mock: {
+        model: process.env.MOCK_LLM_MODEL || 'mock-legal-assistant',
+        temperature: 0,
+        maxTokens: parseInt(process.env.MOCK_LLM_MAX_TOKENS, 10) || 2000
+    }
+};
+
+// Provider backed by the openai SDK; works for OpenAI and any OpenAI-compatible server
+function createOpenAICompatibleProvider(name, config) {
+    const client = new OpenAI({
+        apiKey: config.apiKey,
+        baseURL: config.baseURL
+    });
 
-        const aiResponse = completion.choices[0].message.content.trim();
+    const requestParams = (messages) => ({
+        model: config.model,
+        messages: messages,
+        temperature: config.temperature,
+        max_tokens: config.maxTokens,
+        ...config.extraParams
+    });
+
+    return {
+        name,
+        model: config.model,
+        isConfigured: () => name !== 'openai' || isOpenAIKeyConfigured(),
+        async complete(messages) {
+            const completion = await client.chat.completions.create(requestParams(messages));
+            const choice = completion.choices && completion.choices[0];
+            return choice && choice.message && choice.message.content ? choice.message.content.trim() : '';
+        },
+        async stream(messages, { onToken = () => {}, signal = null } = {}) {
+            const stream = await client.chat.completions.create({
+                ...requestParams(messages),
+                stream: true
+            }, { signal });
+
+            let text = '';
+            for await (const chunk of stream) {
+                const delta = chunk.choices[0] && chunk.choices[0].delta ? chunk.choices[0].delta.content : '';
+                if (delta) {
+                    text += delta;
+                    onToken(delta);
+                }
+            }
+            return text;
+        }
+    };
+}
+
+// Deterministic provider for tests and offline development: echoes the question
+// and cites the first statute article it was given, without any network access.
+function createMockProvider(config) {
+    const reply = (messages) => {
+        const lastUser = [...messages].reverse().find(m => m.role === 'user');
+        const question = lastUser ? lastUser.content.split('\n\n')[0].trim() : '';
+        const hasStatutes = messages.some(m => m.role === 'system' && /^\[1\] Law /m.test(m.content));
+        const answer = `Mock answer (${config.model}) to: ${question}${hasStatutes ? ' [1]' : ''}`;
+        return answer.substring(0, config.maxTokens * 4);
+    };
+
+    return {
+        name: 'mock',
+        model: config.model,
+        isConfigured: () => true,
+        async complete(messages) {
+            return reply(messages);
+        },
+        async stream(messages, { onToken = () => {}, signal = null } = {}) {
+            let text = '';
+            for (const word of reply(messages).split(/(?<=\s)/)) {
+                if (signal && signal.aborted) {
+                    const abortError = new Error('Request was aborted');
+                    abortError.name = 'AbortError';
+                    throw abortError;
+                }
+                text += word;
+                onToken(word);
+            }
+            return text;
+        }
+    };
+}
+
+// Resolve the configured provider (created once); null means rule-based fallback
+let llmProvider;
+function getLLMProvider() {
+    if (llmProvider !== undefined) {
+        return llmProvider;
+    }
+
+    const name = (process.env.LLM_PROVIDER || (isOpenAIKeyConfigured() ? 'openai' : 'fallback')).trim().toLowerCase();
+    if (name === 'openai' || name === 'local') {
+        llmProvider = createOpenAICompatibleProvider(name, LLM_PROVIDER_CONFIGS[name]);
+    } else if (name === 'mock') {
+        llmProvider = createMockProvider(LLM_PROVIDER_CONFIGS.mock);
+    } else {
+        if (name !== 'fallback') {
+            console.warn(`⚠️ Unknown LLM_PROVIDER "${name}". Using fallback responses.`);
+        }
+        llmProvider = null;
+    }
+    return llmProvider;
+}
+
+// Log a hint for common provider errors
+function logProviderError(provider, error) {
+    console.error(`❌ ${provider.name} provider error:`, error.message || error);
+
+    if (error.status === 401) {
+        console.error('🔑 Invalid API key. Please check your OPENAI_API_KEY.');
+    } else if (error.status === 429) {
+        console.error('⏱️ Rate limit exceeded. Please wait a moment.');
+    } else if (error.code === 'ENOTFOUND' || error.code === 'ECONNREFUSED' || (error.cause && error.cause.code === 'ECONNREFUSED')) {
+        console.error(provider.name === 'local'
+            ? `🌐 Cannot reach the local model server at ${LLM_PROVIDER_CONFIGS.local.baseURL}. Is it running?`
+            : '🌐 Network error. Check your internet connection.');
+    }
+}
+
+// AI Response Generator (Legal Assistant) - Bilingual Support through the configured LLM provider
+async function generateAIResponse(userMessage, files = [], conversationHistory = [], { documents = [], articles = [] } = {}) {
+    const detectedLang = detectLanguage(userMessage);
+    
+    // Check if a provider is configured
+    const provider = getLLMProvider();
+    if (!provider || !provider.isConfigured()) {
+        console.warn('⚠️ No AI provider configured. Using fallback responses.');
+        console.warn('💡 To enable ChatGPT, set OPENAI_API_KEY environment variable (or LLM_PROVIDER=local for a local model).');
+        return generateFallbackResponse(userMessage, files, detectedLang);
+    }
+    
+    try {
+        const messages = buildChatMessages(userMessage, files, conversationHistory, { detectedLang, documents, articles });
+
+        console.log(`🤖 Calling ${provider.name} provider (${provider.model})...`);
+        
+        const aiResponse = await provider.complete(messages);
         
         if (!aiResponse || aiResponse.length === 0) {
-            throw new Error('Empty response from OpenAI API');
+            throw new Error(`Empty response from ${provider.name} provider`);
         }
 
-        console.log('✅ ChatGPT API response received');
+        console.log('✅ AI response received');
         return aiResponse;
         
     } catch (error) {
-        console.error('❌ OpenAI API error:', error.message || error);
-        console.error('Error details:', error);
+        logProviderError(provider, error);
         
-        // Provide more helpful error message
-        if (error.status === 401) {
-            console.error('🔑 Invalid API key. Please check your OPENAI_API_KEY.');
-        } else if (error.status === 429) {
-            console.error('⏱️ Rate limit exceeded. Please wait a moment.');
-        } else if (error.code === 'ENOTFOUND' || error.code === 'ECONNREFUSED') {
-            console.error('🌐 Network error. Check your internet connection.');
-        }
-        
-        // Fallback to rule-based responses if API fails
+        // Fallback to rule-based responses if the provider fails
         console.warn('⚠️ Falling back to rule-based responses');
         return generateFallbackResponse(userMessage, files, detectedLang);
     }
 }
 
+// Streaming variant of generateAIResponse: calls onToken(delta) as text arrives and
+// resolves with the full reply. Aborting the signal stops generation and resolves with
+// whatever was produced so far.
+async function streamAIResponse(userMessage, files = [], conversationHistory = [], { documents = [], articles = [], onToken = () => {}, signal = null } = {}) {
+    const detectedLang = detectLanguage(userMessage);
+
+    const provider = getLLMProvider();
+    if (!provider || !provider.isConfigured()) {
+        console.warn('⚠️ No AI provider configured. Using fallback responses.');
+        const fallback = generateFallbackResponse(userMessage, files, detectedLang);
+        onToken(fallback);
+        return fallback;
+    }
+
+    let aiResponse = '';
+    try {
+        const messages = buildChatMessages(userMessage, files, conversationHistory, { detectedLang, documents, articles });
+
+        console.log(`🤖 Calling ${provider.name} provider (${provider.model}, streaming)...`);
+
+        await provider.stream(messages, {
+            signal,
+            onToken: (delta) => {
+                aiResponse += delta;
+                onToken(delta);
+            }
+        });
+
+        if (!aiResponse.trim()) {
+            throw new Error(`Empty response from ${provider.name} provider`);
+        }
+
+        console.log('✅ AI stream completed');
+        return aiResponse;
+
+    } catch (error) {
+        if (signal && signal.aborted) {
+            console.log('⏹️ AI stream aborted by client');
+            return aiResponse;
+        }
+
+        logProviderError(provider, error);
+
+        // Part of the answer was already sent; don't append an unrelated fallback to it
+        if (aiResponse) {
+            error.partialResponse = aiResponse;
+            throw error;
+        }
+
+        console.warn('⚠️ Falling back to rule-based responses');
+        const fallback = generateFallbackResponse(userMessage, files, detectedLang);
+        onToken(fallback);
+        return fallback;
+    }
+}
+
 // Fallback response generator (used when API is not available or fails)
 function generateFallbackResponse(userMessage, files = [], detectedLang = 'en') {
     const message = userMessage.toLowerCase().trim();
@@ -1477,18 +7841,22 @@ server.listen(PORT, '0.0.0.0', () => {
     console.log(`📡 Server is listening on all network interfaces`);
     console.log('='.repeat(50));
     
-    // Check OpenAI API key status
-    const apiKey = process.env.OPENAI_API_KEY || '';
-    if (apiKey && apiKey.trim() !== '' && apiKey !== 'your-api-key-here') {
-        console.log('\n🤖 ChatGPT API: ✅ CONFIGURED');
-        console.log(`   Model: ${process.env.OPENAI_MODEL || 'gpt-3.5-turbo'}`);
-        console.log('   AI chat will use ChatGPT for responses\n');
+    // Check AI provider status
+    const provider = getLLMProvider();
+    if (provider && provider.isConfigured()) {
+        console.log(`\n🤖 AI provider: ✅ ${provider.name.toUpperCase()}`);
+        console.log(`   Model: ${provider.model}`);
+        if (provider.name === 'local') {
+            console.log(`   Server: ${LLM_PROVIDER_CONFIGS.local.baseURL}`);
+        }
+        console.log(`   AI chat will use the ${provider.name} provider for responses\n`);
     } else {
-        console.log('\n⚠️  ChatGPT API: ❌ NOT CONFIGURED');
+        console.log('\n⚠️  AI provider: ❌ NOT CONFIGURED');
         console.log('   Chat will use fallback rule-based responses');
         console.log('   To enable ChatGPT:');
         console.log('   Windows: set OPENAI_API_KEY=your-api-key-here');
         console.log('   Linux/Mac: export OPENAI_API_KEY="your-api-key-here"');
+        console.log('   To use a local model (Ollama, llama.cpp): set LLM_PROVIDER=local and LOCAL_LLM_MODEL');
         console.log('   See CHATGPT_SETUP.md for details\n');
     }
     
@@ -0,0 +1,155 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const JSZip = require('jszip');
+const { TestServer, sleep, registerAccount } = require('./helpers');
+
+let server;
+
+before(async () => {
+    server = await new TestServer({ APP_BASE_URL: 'https://knowlaw.example' }).start();
+});
+
+after(async () => {
+    await server.close();
+});
+
+async function countRows(table, where, params) {
+    const rows = await server.query(`SELECT COUNT(*) AS count FROM ${table} WHERE ${where}`, params);
+    return rows[0].count;
+}
+
+function uploadDocument(account, fileName, content) {
+    const form = new FormData();
+    form.append('document', new Blob([content], { type: 'text/plain' }), fileName);
+    return account.client.request('POST', '/api/documents', form).then(response => response.json());
+}
+
+function askWithFile(account, message, fileName, content) {
+    const form = new FormData();
+    form.append('message', message);
+    form.append('files', new Blob([content], { type: 'text/plain' }), fileName);
+    return account.client.request('POST', '/api/chat', form).then(response => response.json());
+}
+
+test('the export holds the account data, its documents and the text of chat attachments', async () => {
+    const account = await registerAccount(server, { name: 'Exporting User' });
+    const other = await registerAccount(server);
+    const asked = await askWithFile(account, 'Is this lease fair?', 'lease.txt', 'The rent is 5000 EGP a month.');
+    const { document } = await uploadDocument(account, 'contract.txt', 'Signed on 1 May.');
+    await uploadDocument(other, 'theirs.txt', 'Not in the export');
+    await other.client.post('/api/chat', { message: 'Not in the export' });
+
+    const response = await account.client.request('GET', '/api/account/export');
+    assert.equal(response.status, 200);
+    assert.equal(response.headers.get('content-type'), 'application/zip');
+    assert.match(response.headers.get('content-disposition'), /know-law-data-\d{4}-\d{2}-\d{2}\.zip/);
+
+    const zip = await JSZip.loadAsync(Buffer.from(await response.arrayBuffer()));
+    const data = JSON.parse(await zip.file('data.json').async('string'));
+    assert.deepEqual([data.user.name, data.user.email], ['Exporting User', account.email]);
+    assert.equal(data.user.password, undefined);
+    assert.equal(data.user.totp_secret, undefined);
+    assert.deepEqual(data.conversations.map(c => c.id), [asked.conversationId]);
+    assert.deepEqual(data.messages.map(m => m.role), ['user', 'ai']);
+    assert.deepEqual(data.signInAttempts, []);
+    assert.deepEqual(data.documents.map(d => [d.id, d.name]), [[document.id, 'contract.txt']]);
+    assert.equal(data.documents[0].stored_name, undefined);
+    assert.equal(await zip.file(`documents/${document.id}-contract.txt`).async('string'), 'Signed on 1 May.');
+    assert.deepEqual(Object.keys(zip.files).filter(name => name.startsWith('documents/') && !zip.files[name].dir),
+        [`documents/${document.id}-contract.txt`]);
+
+    const attachments = Object.keys(zip.files).filter(name => name.startsWith('attachments/') && !zip.files[name].dir);
+    assert.equal(attachments.length, 1);
+    assert.match(attachments[0], new RegExp(`^attachments/conversation-${asked.conversationId}/message-\\d+-1-lease\\.txt$`));
+    assert.equal(await zip.file(attachments[0]).async('string'), 'The rent is 5000 EGP a month.');
+
+    const json = await account.client.get('/api/account/export?format=json');
+    assert.deepEqual(json.body.conversations, data.conversations);
+    assert.equal((await account.client.get('/api/account/export?format=xml')).status, 400);
+    assert.equal((await server.client().get('/api/account/export')).status, 401);
+});
+
+test('a scheduled deletion purges the account and everything tied to it', async () => {
+    const account = await registerAccount(server);
+    const kept = await registerAccount(server);
+    const laptop = server.client();
+    await laptop.post('/api/login', { email: account.email, password: account.password });
+
+    const asked = await account.client.post('/api/chat', { message: 'What is a lease?' });
+    await kept.client.post('/api/chat', { message: 'A question that stays' });
+    await uploadDocument(account, 'lease.txt', 'Lease signed on 1 May.');
+    const [document] = await server.query('SELECT stored_name FROM documents WHERE user_id = ?', [account.id]);
+    const documentPath = path.join(server.dir, 'uploads', 'documents', document.stored_name);
+    assert.ok(fs.existsSync(documentPath));
+
+    assert.equal((await account.client.post('/api/account/deletion', { currentPassword: 'not-it' })).status, 400);
+    const scheduled = await account.client.post('/api/account/deletion', { currentPassword: account.password });
+    assert.equal(scheduled.status, 200);
+    assert.match(scheduled.body.deletionScheduledAt, /^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}$/);
+    assert.equal((await account.client.get('/api/session')).body.success, false);
+    assert.equal((await laptop.get('/api/session')).body.success, false, 'every device is signed out');
+    assert.match(server.mailTo(account.email)[0], /Subject: Your Know Law account will be deleted/);
+
+    // End the grace period; the purge also runs when the server starts
+    await server.stop();
+    await server.query("UPDATE users SET deletion_scheduled_at = datetime('now', '-1 minute') WHERE id = ?", [account.id]);
+    await server.restart();
+    for (let i = 0; i < 50 && !/Account deletion: purged/.test(server.output); i++) {
+        await sleep(100);
+    }
+
+    const userKey = String(account.id);
+    assert.equal(await countRows('users', 'id = ?', [account.id]), 0);
+    assert.equal(await countRows('conversations', 'user_id = ?', [userKey]), 0);
+    assert.equal(await countRows('messages', 'conversation_id = ?', [asked.body.conversationId]), 0);
+    assert.equal(await countRows('messages_fts', 'rowid = ?', [asked.body.messageId]), 0);
+    assert.equal(await countRows('email_verification_tokens', 'user_id = ?', [account.id]), 0);
+    assert.equal(await countRows('login_attempts', 'user_id = ?', [account.id]), 0);
+    assert.equal(await countRows('documents', 'user_id = ?', [account.id]), 0);
+    assert.ok(!fs.existsSync(documentPath), 'the vault file is removed');
+
+    // Other accounts are untouched
+    assert.equal(await countRows('users', 'id = ?', [kept.id]), 1);
+    assert.equal(await countRows('conversations', 'user_id = ?', [String(kept.id)]), 1);
+});
+
+test('signing in again keeps an account scheduled for deletion', async () => {
+    const account = await registerAccount(server);
+    await account.client.post('/api/account/deletion', { currentPassword: account.password });
+
+    const browser = server.client();
+    const signedIn = await browser.post('/api/login', { email: account.email, password: account.password });
+    assert.equal(signedIn.status, 200);
+    assert.equal((await browser.delete('/api/account/deletion')).status, 200);
+
+    const [user] = await server.query('SELECT deletion_scheduled_at FROM users WHERE id = ?', [account.id]);
+    assert.equal(user.deletion_scheduled_at, null);
+});
+
+test('deleting a conversation removes its messages', async () => {
+    const account = await registerAccount(server);
+    const asked = await account.client.post('/api/chat', { message: 'A conversation to delete' });
+    assert.equal((await account.client.delete(`/api/chats/${asked.body.conversationId}`)).status, 200);
+    assert.equal(await countRows('messages', 'conversation_id = ?', [asked.body.conversationId]), 0);
+    assert.equal(await countRows('messages_fts', 'rowid = ?', [asked.body.messageId]), 0);
+});
+
+test('rows left without their parent are removed at startup', async () => {
+    const account = await registerAccount(server);
+    const asked = await account.client.post('/api/chat', { message: 'Left behind by an old version' });
+
+    // What older versions left: the conversation row gone, its messages kept
+    await server.stop();
+    await server.query('DELETE FROM conversations WHERE id = ?', [asked.body.conversationId]);
+    assert.equal(await countRows('messages', 'conversation_id = ?', [asked.body.conversationId]), 2);
+    await server.restart();
+    for (let i = 0; i < 50 && !/orphaned row/.test(server.output); i++) {
+        await sleep(100);
+    }
+
+    assert.equal(await countRows('messages', 'conversation_id = ?', [asked.body.conversationId]), 0);
+    assert.equal(await countRows('messages_fts', 'rowid = ?', [asked.body.messageId]), 0);
+    assert.equal(await countRows('users', 'id = ?', [account.id]), 1);
+});
@@ -0,0 +1,92 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { TestServer, registerAccount, verifyEmail, enableTwoFactor, createAdmin } = require('./helpers');
+
+const ADMIN_EMAIL = 'admin-console@example.com';
+const SECOND_ADMIN_EMAIL = 'second-admin@example.com';
+let server;
+let admin;
+let user;
+
+before(async () => {
+    server = await new TestServer({ ADMIN_EMAILS: `${ADMIN_EMAIL},${SECOND_ADMIN_EMAIL}` }).start();
+    admin = await createAdmin(server, ADMIN_EMAIL);
+    user = await registerAccount(server, { name: 'Plain User' });
+    await user.client.post('/api/chat', { message: 'A question for the statistics' });
+});
+
+after(async () => {
+    await server.close();
+});
+
+test('ADMIN_EMAILS accounts become admins', async () => {
+    assert.equal((await admin.client.get('/api/session')).body.user.role, 'admin');
+    assert.equal((await user.client.get('/api/session')).body.user.role, 'client');
+});
+
+test('the admin console endpoints need the admin role', async () => {
+    for (const path of ['/api/admin/stats', '/api/admin/users', '/api/admin/bookings', '/api/admin/statutes']) {
+        assert.equal((await admin.client.get(path)).status, 200, path);
+        assert.equal((await user.client.get(path)).status, 403, path);
+        assert.equal((await server.client().get(path)).status, 401, path);
+    }
+});
+
+test('statistics count users, messages and the provider', async () => {
+    const { body } = await admin.client.get('/api/admin/stats');
+    assert.equal(body.stats.users.total, 2);
+    assert.deepEqual(body.stats.users.byRole, { admin: 1, client: 1 });
+    assert.deepEqual(body.stats.messages.byRole, { ai: 1, user: 1 });
+    assert.equal(body.stats.llmProvider, 'mock');
+    assert.equal(body.stats.activity.length, 14);
+    assert.equal(body.stats.activity[13].messages, 2);
+});
+
+test('admins search users and change their role', async () => {
+    const { body } = await admin.client.get('/api/admin/users?q=Plain');
+    assert.deepEqual(body.users.map(u => [u.email, u.role, u.conversationCount]), [[user.email, 'client', 1]]);
+
+    const setRole = (userId, fields) => admin.client.put(`/api/admin/users/${userId}/role`, fields);
+    assert.equal((await setRole(user.id, { role: 'owner' })).status, 400);
+    assert.equal((await setRole(user.id, { role: 'lawyer' })).status, 400, 'a lawyer needs a directory entry');
+    assert.equal((await setRole(999999, { role: 'client' })).status, 404);
+    assert.equal((await setRole(admin.id, { role: 'client' })).status, 400, 'admins cannot demote themselves');
+
+    assert.equal((await setRole(user.id, { role: 'lawyer', lawyerId: 1 })).status, 200);
+    assert.equal((await user.client.get('/api/lawyer/profile')).body.code, 'TWO_FACTOR_REQUIRED');
+    await enableTwoFactor(user);
+    assert.equal((await user.client.get('/api/lawyer/profile')).body.lawyer.id, 1);
+    assert.deepEqual((await admin.client.get('/api/admin/users?role=lawyer')).body.users.map(u => u.id), [user.id]);
+
+    assert.equal((await setRole(user.id, { role: 'client' })).status, 200);
+    assert.equal((await user.client.get('/api/lawyer/profile')).status, 403);
+});
+
+test('admins delete statute articles', async () => {
+    await admin.client.post('/api/admin/statutes/import', {
+        statutes: [{ law_number: '9/2020', law_name: 'Test Law', article_number: '1', text_en: 'A removable article about gardens.' }]
+    });
+    const { body } = await admin.client.get('/api/admin/statutes?lawNumber=9/2020');
+    assert.equal(body.total, 1);
+
+    assert.equal((await admin.client.delete(`/api/admin/statutes/${body.statutes[0].id}`)).status, 200);
+    assert.deepEqual((await admin.client.get('/api/statutes/search?q=gardens')).body.results, []);
+    assert.equal((await admin.client.delete(`/api/admin/statutes/${body.statutes[0].id}`)).status, 404);
+});
+
+test('the ADMIN_EMAILS role waits until the address is verified', async () => {
+    const second = await registerAccount(server, { email: SECOND_ADMIN_EMAIL });
+    assert.equal((await second.client.get('/api/session')).body.user.role, 'client');
+    const login = server.client();
+    await login.post('/api/login', { email: second.email, password: second.password });
+    assert.equal((await login.get('/api/session')).body.user.role, 'client');
+
+    await verifyEmail(server, second);
+    assert.equal((await second.client.get('/api/session')).body.user.role, 'admin');
+
+    // An admin whose address is not verified is kept out of the console
+    await server.query('UPDATE users SET email_verified = 0 WHERE id = ?', [second.id]);
+    await enableTwoFactor(second);
+    const blocked = await second.client.get('/api/admin/stats');
+    assert.deepEqual([blocked.status, blocked.body.code], [403, 'EMAIL_NOT_VERIFIED']);
+});
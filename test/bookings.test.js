@@ -0,0 +1,233 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { TestServer, registerAccount, verifyEmail, createAdmin } = require('./helpers');
+
+const ADMIN_EMAIL = 'admin-bookings@example.com';
+let server;
+let admin;
+let lawyerId;
+let firstDay;
+
+const daysAhead = days => new Date(Date.now() + days * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+
+before(async () => {
+    server = await new TestServer({ ADMIN_EMAILS: ADMIN_EMAIL }).start();
+    admin = await createAdmin(server, ADMIN_EMAIL);
+
+    const { body } = await admin.client.post('/api/lawyers', {
+        name: 'Karim Adel',
+        specialties: ['Real Estate Law'],
+        governorate: 'Cairo'
+    });
+    lawyerId = body.lawyer.id;
+
+    // Two one-hour slots every day of the week
+    const weekly = [0, 1, 2, 3, 4, 5, 6].map(weekday => ({ weekday, startTime: '10:00', endTime: '12:00', slotMinutes: 60 }));
+    const schedule = await admin.client.put(`/api/lawyers/${lawyerId}/schedule`, { weekly });
+    assert.equal(schedule.status, 200, JSON.stringify(schedule.body));
+
+    // A week ahead, well clear of today's past slots
+    firstDay = daysAhead(7);
+});
+
+after(async () => {
+    await server.close();
+});
+
+async function createClient(name = 'Client') {
+    const client = await registerAccount(server, { name });
+    await verifyEmail(server, client);
+    return client;
+}
+
+async function freeTimes(date) {
+    const { body } = await server.client().get(`/api/lawyers/${lawyerId}/availability?from=${date}&to=${date}`);
+    return body.days.length > 0 ? body.days[0].slots.map(slot => slot.time) : [];
+}
+
+function book(client, date, time) {
+    return client.client.post('/api/booking', {
+        lawyerId,
+        clientName: client.name,
+        clientEmail: client.email,
+        clientPhone: '+201000000000',
+        appointmentDate: date,
+        appointmentTime: time,
+        caseDescription: 'Tenancy dispute'
+    });
+}
+
+test('booking needs a verified email', async () => {
+    const unverified = await registerAccount(server);
+    const { status, body } = await book(unverified, firstDay, '11:00');
+    assert.deepEqual([status, body.code], [403, 'EMAIL_NOT_VERIFIED']);
+    assert.equal((await book({ client: server.client() }, firstDay, '11:00')).status, 401);
+});
+
+test('availability lists the weekly slots', async () => {
+    const { status, body } = await server.client().get(`/api/lawyers/${lawyerId}/availability?from=${firstDay}&to=${daysAhead(8)}`);
+    assert.equal(status, 200);
+    assert.equal(body.timezone, 'Africa/Cairo');
+    assert.deepEqual(body.days.map(day => day.date), [firstDay, daysAhead(8)]);
+    assert.deepEqual(body.days[0].slots, [
+        { time: '10:00', endTime: '11:00', durationMinutes: 60 },
+        { time: '11:00', endTime: '12:00', durationMinutes: 60 }
+    ]);
+});
+
+test('a booked slot cannot be booked again', async () => {
+    const first = await createClient('First Client');
+    const second = await createClient('Second Client');
+
+    const booked = await book(first, firstDay, '10:00');
+    assert.equal(booked.status, 200, JSON.stringify(booked.body));
+    assert.deepEqual(await freeTimes(firstDay), ['11:00']);
+
+    const taken = await book(second, firstDay, '10:00');
+    assert.equal(taken.status, 409);
+    // Not a slot of this lawyer
+    assert.equal((await book(second, firstDay, '10:30')).status, 409);
+});
+
+test('two clients booking the same slot at once get one booking', async () => {
+    const day = daysAhead(20);
+    const clients = await Promise.all([createClient(), createClient()]);
+    const results = await Promise.all(clients.map(client => book(client, day, '11:00')));
+    assert.deepEqual(results.map(r => r.status).sort(), [200, 409]);
+    assert.deepEqual(await freeTimes(day), ['10:00']);
+});
+
+test('exceptions block a day or part of it', async () => {
+    const wholeDay = daysAhead(9);
+    const morning = daysAhead(10);
+    const dayOff = await admin.client.post(`/api/lawyers/${lawyerId}/exceptions`, { date: wholeDay, reason: 'Court hearing' });
+    assert.equal(dayOff.status, 200);
+    await admin.client.post(`/api/lawyers/${lawyerId}/exceptions`, { date: morning, startTime: '10:00', endTime: '11:00' });
+
+    assert.deepEqual(await freeTimes(wholeDay), []);
+    assert.deepEqual(await freeTimes(morning), ['11:00']);
+    assert.equal((await book(await createClient(), wholeDay, '10:00')).status, 409);
+
+    const { body } = await admin.client.get(`/api/lawyers/${lawyerId}/schedule`);
+    assert.deepEqual(body.schedule.exceptions.map(e => e.date), [wholeDay, morning]);
+
+    assert.equal((await admin.client.delete(`/api/lawyers/${lawyerId}/exceptions/${dayOff.body.exception.id}`)).status, 200);
+    assert.deepEqual(await freeTimes(wholeDay), ['10:00', '11:00']);
+});
+
+test('schedules and dates are validated', async () => {
+    const user = await createClient();
+    assert.equal((await user.client.put(`/api/lawyers/${lawyerId}/schedule`, { weekly: [] })).status, 403);
+    assert.equal((await user.client.post(`/api/lawyers/${lawyerId}/exceptions`, { date: firstDay })).status, 403);
+
+    const invalidWeekly = [
+        [{ weekday: 7, startTime: '10:00', endTime: '12:00' }],
+        [{ weekday: 1, startTime: '12:00', endTime: '10:00' }],
+        [{ weekday: 1, startTime: '10:00', endTime: '12:00', slotMinutes: 25 }]
+    ];
+    for (const weekly of invalidWeekly) {
+        assert.equal((await admin.client.put(`/api/lawyers/${lawyerId}/schedule`, { weekly })).status, 400, JSON.stringify(weekly));
+    }
+    assert.equal((await admin.client.post(`/api/lawyers/${lawyerId}/exceptions`, { date: 'soon' })).status, 400);
+    // Days that do not exist are refused, not rolled over into the next month
+    assert.equal((await admin.client.post(`/api/lawyers/${lawyerId}/exceptions`, { date: '2026-02-30' })).status, 400);
+    assert.equal((await server.client().get(`/api/lawyers/${lawyerId}/availability?from=2026-02-30`)).status, 400);
+    assert.equal((await book(user, '2027-04-31', '10:00')).status, 400);
+
+    const range = (from, to) => server.client().get(`/api/lawyers/${lawyerId}/availability?from=${from}&to=${to}`);
+    assert.equal((await range(firstDay, 'not-a-date')).status, 400);
+    assert.equal((await server.client().get(`/api/lawyers/${lawyerId}/availability?from=not-a-date`)).status, 400);
+    assert.equal((await range(daysAhead(8), firstDay)).status, 400);
+    assert.equal((await range(firstDay, daysAhead(100))).status, 400);
+    assert.equal((await book(user, firstDay, '25:00')).status, 400);
+});
+
+test('a reschedule moves the booking and records the change', async () => {
+    const date = daysAhead(11);
+    const client = await createClient('Moving Client');
+    const booked = await book(client, date, '10:00');
+    const id = booked.body.booking.id;
+    await book(await createClient(), date, '11:00');
+
+    const taken = await client.client.post(`/api/bookings/${id}/reschedule`, { appointmentDate: date, appointmentTime: '11:00' });
+    assert.equal(taken.status, 409);
+
+    const moved = await client.client.post(`/api/bookings/${id}/reschedule`, { appointmentDate: daysAhead(12), appointmentTime: '11:00' });
+    assert.equal(moved.status, 200, JSON.stringify(moved.body));
+    assert.deepEqual([moved.body.booking.appointment_date, moved.body.booking.appointment_time], [daysAhead(12), '11:00']);
+    assert.deepEqual(moved.body.booking.history.map(h => [h.from_status, h.to_status]), [[null, 'pending'], ['pending', 'pending']]);
+
+    // The old slot is free again
+    assert.deepEqual(await freeTimes(date), ['10:00']);
+
+    const { body } = await client.client.get('/api/bookings');
+    assert.equal(body.bookings.find(b => b.id === id).can_change, true);
+});
+
+test('a cancelled booking is recorded in its history and frees the slot', async () => {
+    const date = daysAhead(13);
+    const client = await createClient();
+    const booked = await book(client, date, '10:00');
+    const id = booked.body.booking.id;
+
+    const other = await registerAccount(server);
+    assert.equal((await other.client.post(`/api/bookings/${id}/cancel`)).status, 404);
+
+    const cancelled = await client.client.post(`/api/bookings/${id}/cancel`, { reason: 'Settled' });
+    assert.equal(cancelled.status, 200);
+    assert.equal(cancelled.body.booking.status, 'cancelled');
+    const last = cancelled.body.booking.history[cancelled.body.booking.history.length - 1];
+    assert.deepEqual([last.from_status, last.to_status, last.changed_by_role, last.note], ['pending', 'cancelled', 'client', 'Settled']);
+    assert.deepEqual(await freeTimes(date), ['10:00', '11:00']);
+
+    assert.equal((await client.client.post(`/api/bookings/${id}/cancel`)).status, 400);
+});
+
+test('a booking is cancelled once when two cancels arrive together', async () => {
+    const client = await createClient();
+    const { body } = await book(client, daysAhead(21), '10:00');
+    const id = body.booking.id;
+
+    const results = await Promise.all([1, 2].map(() => client.client.post(`/api/bookings/${id}/cancel`)));
+    assert.deepEqual(results.map(r => r.status).sort(), [200, 400]);
+    const history = await server.query('SELECT to_status FROM booking_status_history WHERE booking_id = ? ORDER BY id', [id]);
+    assert.deepEqual(history.map(h => h.to_status), ['pending', 'cancelled']);
+});
+
+test('bookings close to the appointment cannot be changed', async () => {
+    const client = await createClient();
+    const booked = await book(client, daysAhead(14), '10:00');
+    const id = booked.body.booking.id;
+    await server.query('UPDATE bookings SET appointment_date = ? WHERE id = ?', [daysAhead(0), id]);
+
+    const cancel = await client.client.post(`/api/bookings/${id}/cancel`);
+    assert.equal(cancel.status, 400);
+    assert.match(cancel.body.message, /less than 24 hours/);
+    const { body } = await client.client.get('/api/bookings');
+    assert.equal(body.bookings.find(b => b.id === id).can_change, false);
+});
+
+test('admins move bookings through the staff statuses', async () => {
+    const client = await createClient();
+    const booked = await book(client, daysAhead(15), '10:00');
+    const id = booked.body.booking.id;
+    const setStatus = (account, status) => account.client.post(`/api/bookings/${id}/status`, { status });
+
+    assert.equal((await setStatus(client, 'confirmed')).status, 403);
+    assert.equal((await setStatus(admin, 'unknown')).status, 400);
+    assert.equal((await setStatus(admin, 'toString')).status, 400);
+    assert.equal((await setStatus(admin, 'completed')).status, 400, 'only a confirmed booking can be completed');
+
+    const confirmed = await setStatus(admin, 'confirmed');
+    assert.equal(confirmed.status, 200);
+    assert.equal(confirmed.body.booking.history[1].changed_by_role, 'admin');
+    assert.equal((await setStatus(admin, 'completed')).status, 400, 'not before the appointment');
+
+    // A declined booking stays declined
+    const declinedBooking = await book(client, daysAhead(15), '11:00');
+    const declinedId = declinedBooking.body.booking.id;
+    assert.equal((await admin.client.post(`/api/bookings/${declinedId}/status`, { status: 'declined' })).status, 200);
+    assert.equal((await client.client.post(`/api/bookings/${declinedId}/cancel`)).status, 400);
+    const reschedule = await client.client.post(`/api/bookings/${declinedId}/reschedule`, { appointmentDate: daysAhead(16), appointmentTime: '10:00' });
+    assert.equal(reschedule.status, 400);
+});
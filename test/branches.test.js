@@ -0,0 +1,76 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { TestServer, registerAccount, readEvents } = require('./helpers');
+
+let server;
+let user;
+
+before(async () => {
+    server = await new TestServer().start();
+    user = await registerAccount(server);
+});
+
+after(async () => {
+    await server.close();
+});
+
+const answer = question => `Mock answer (mock-legal-assistant) to: ${question}`;
+
+test('regenerating adds an alternate answer and switches to it', async () => {
+    const first = await user.client.post('/api/chat', { message: 'What is a lease?' });
+    const conversationId = first.body.conversationId;
+
+    const again = await user.client.post(`/api/chats/${conversationId}/messages/${first.body.messageId}/regenerate`);
+    assert.equal(again.status, 200);
+    assert.equal(again.body.response, answer('What is a lease?'));
+
+    const chat = await user.client.get(`/api/chats/${conversationId}`);
+    const reply = chat.body.messages[1];
+    assert.equal(reply.id, again.body.messageId);
+    assert.deepEqual(reply.sibling_ids, [first.body.messageId, again.body.messageId]);
+    assert.deepEqual([reply.sibling_index, reply.sibling_count], [1, 2]);
+
+    // Only assistant messages can be regenerated
+    const question = chat.body.messages[0].id;
+    assert.equal((await user.client.post(`/api/chats/${conversationId}/messages/${question}/regenerate`)).status, 404);
+});
+
+test('a follow-up continues the selected branch', async () => {
+    const first = await user.client.post('/api/chat', { message: 'Question one' });
+    const conversationId = first.body.conversationId;
+    const events = await readEvents(await user.client.request('POST',
+        `/api/chats/${conversationId}/messages/${first.body.messageId}/regenerate`, { stream: true }));
+    const alternateId = events.find(e => e.event === 'done').data.messageId;
+
+    // Go back to the first answer and continue from there
+    const selected = await user.client.post(`/api/chats/${conversationId}/messages/${first.body.messageId}/select`);
+    assert.equal(selected.status, 200);
+    assert.deepEqual(selected.body.messages.map(m => m.id).slice(-1), [first.body.messageId]);
+
+    await user.client.post('/api/chat', { message: 'Question two', conversationId });
+    const chat = await user.client.get(`/api/chats/${conversationId}`);
+    assert.deepEqual(chat.body.messages.map(m => m.content), [
+        'Question one', answer('Question one'), 'Question two', answer('Question two')
+    ]);
+    assert.equal(chat.body.messages[1].id, first.body.messageId);
+
+    // Selecting the alternate shows its (shorter) branch; the follow-up is kept on the other one
+    const other = await user.client.post(`/api/chats/${conversationId}/messages/${alternateId}/select`);
+    assert.deepEqual(other.body.messages.map(m => m.id).slice(-1), [alternateId]);
+    assert.equal(other.body.messages.length, 2);
+    const [{ count }] = await server.query('SELECT COUNT(*) AS count FROM messages WHERE conversation_id = ?', [conversationId]);
+    assert.equal(count, 5);
+
+    assert.equal((await user.client.post(`/api/chats/${conversationId}/messages/999999/select`)).status, 404);
+});
+
+test('deleting a message keeps its replies connected', async () => {
+    const first = await user.client.post('/api/chat', { message: 'Keep me connected' });
+    const conversationId = first.body.conversationId;
+    await user.client.post('/api/chat', { message: 'Second', conversationId });
+    const before = (await user.client.get(`/api/chats/${conversationId}`)).body.messages;
+
+    assert.equal((await user.client.delete(`/api/chats/${conversationId}/messages/${before[1].id}`)).status, 200);
+    const after = (await user.client.get(`/api/chats/${conversationId}`)).body.messages;
+    assert.deepEqual(after.map(m => m.content), ['Keep me connected', 'Second', answer('Second')]);
+});
@@ -0,0 +1,102 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { TestServer, registerAccount, verifyEmail } = require('./helpers');
+
+const LAWYER_ID = 1;
+let server;
+let user;
+let slots;
+
+before(async () => {
+    server = await new TestServer({ APP_BASE_URL: 'https://knowlaw.example' }).start();
+    user = await registerAccount(server, { name: 'Calendar Client' });
+    await verifyEmail(server, user);
+
+    // A week ahead, well outside the change cutoff
+    const from = new Date(Date.now() + 7 * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+    const { body } = await server.client().get(`/api/lawyers/${LAWYER_ID}/availability?from=${from}`);
+    slots = body.days.flatMap(day => day.slots.map(slot => ({ date: day.date, time: slot.time })));
+});
+
+after(async () => {
+    await server.close();
+});
+
+async function book(slot, caseDescription = 'Tenancy dispute') {
+    const { body } = await user.client.post('/api/booking', {
+        lawyerId: LAWYER_ID,
+        clientName: user.name,
+        clientEmail: user.email,
+        clientPhone: '+201000000000',
+        appointmentDate: slot.date,
+        appointmentTime: slot.time,
+        caseDescription
+    });
+    return body.booking.id;
+}
+
+async function fetchCalendar(client, path) {
+    const response = await client.request('GET', path);
+    return { status: response.status, type: response.headers.get('content-type'), text: await response.text() };
+}
+
+// Unfold continuation lines (RFC 5545 3.1) and return the lines of the first event
+function eventLines(text) {
+    const lines = text.replace(/\r\n /g, '').split('\r\n');
+    return lines.slice(lines.indexOf('BEGIN:VEVENT'), lines.indexOf('END:VEVENT') + 1);
+}
+
+test('a booking downloads as an iCalendar event in Cairo time', async () => {
+    const slot = slots[0];
+    const id = await book(slot, 'Rent, deposit; and repairs');
+
+    const { status, type, text } = await fetchCalendar(user.client, `/api/bookings/${id}/calendar.ics`);
+    assert.equal(status, 200);
+    assert.match(type, /^text\/calendar/);
+    assert.match(text, /^BEGIN:VCALENDAR\r\n/);
+    assert.match(text, /BEGIN:VTIMEZONE\r\nTZID:Africa\/Cairo/);
+
+    const lines = eventLines(text);
+    assert.ok(lines.includes(`UID:booking-${id}@knowlaw.example`));
+    assert.ok(lines.includes(`DTSTART;TZID=Africa/Cairo:${slot.date.replace(/-/g, '')}T${slot.time.replace(':', '')}00`));
+    assert.ok(lines.includes('STATUS:TENTATIVE'));
+    assert.ok(lines.includes('SEQUENCE:0'));
+    assert.ok(lines.some(line => line.includes('Case: Rent\\, deposit\\; and repairs')));
+    assert.ok(text.split('\r\n').every(line => Buffer.byteLength(line) <= 75), 'long lines are folded');
+
+    const other = await registerAccount(server);
+    assert.equal((await fetchCalendar(other.client, `/api/bookings/${id}/calendar.ics`)).status, 404);
+});
+
+test('the private feed follows changes to a booking', async () => {
+    const id = await book(slots[1]);
+    const { status, body } = await user.client.post('/api/calendar/feed');
+    assert.equal(status, 200);
+    // Built from APP_BASE_URL, not from the Host header of the request
+    assert.match(body.url, /^https:\/\/knowlaw\.example\/calendar\/[0-9a-f]{48}\.ics$/);
+    assert.equal(body.webcalUrl, body.url.replace(/^https:/, 'webcal:'));
+    assert.equal((await user.client.post('/api/calendar/feed')).body.url, body.url, 'the token is kept');
+
+    // Calendar apps fetch the feed without a session
+    const feedPath = new URL(body.url).pathname;
+    const before = await fetchCalendar(server.client(), feedPath);
+    assert.equal(before.status, 200);
+    assert.equal((before.text.match(/BEGIN:VEVENT/g) || []).length, 2);
+
+    await user.client.post(`/api/bookings/${id}/cancel`);
+    const after = await fetchCalendar(server.client(), feedPath);
+    const cancelled = after.text.replace(/\r\n /g, '').split('BEGIN:VEVENT').find(event => event.includes(`UID:booking-${id}@`));
+    assert.match(cancelled, /SEQUENCE:1\r\n/);
+    assert.match(cancelled, /STATUS:CANCELLED\r\n/);
+    assert.match(cancelled, /SUMMARY:Cancelled: Legal consultation with /);
+});
+
+test('resetting the feed URL retires the old one', async () => {
+    const { body: first } = await user.client.post('/api/calendar/feed');
+    const { body: second } = await user.client.post('/api/calendar/feed', { reset: true });
+    assert.notEqual(second.url, first.url);
+    assert.equal((await fetchCalendar(server.client(), new URL(first.url).pathname)).status, 404);
+    assert.equal((await fetchCalendar(server.client(), new URL(second.url).pathname)).status, 200);
+
+    assert.equal((await server.client().post('/api/calendar/feed')).status, 401);
+});
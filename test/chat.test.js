@@ -0,0 +1,106 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { TestServer, sleep, registerAccount, parseEvents, readEvents, startFakeOpenAI } = require('./helpers');
+
+let openai;
+let server;
+let user;
+
+before(async () => {
+    openai = await startFakeOpenAI();
+    server = await new TestServer(openai.env).start();
+    user = await registerAccount(server);
+});
+
+after(async () => {
+    await server.close();
+    await openai.close();
+});
+
+function askStreaming(client, message, options = {}) {
+    return client.request('POST', '/api/chat', { message, conversationId: options.conversationId },
+        { Accept: 'text/event-stream', signal: options.signal });
+}
+
+test('streams the reply as start, token and done events', async () => {
+    openai.chunks = ['A tenant ', 'must pay ', 'the rent.'];
+    const response = await askStreaming(user.client, 'What does a tenant owe?');
+    assert.equal(response.status, 200);
+    assert.match(response.headers.get('content-type'), /^text\/event-stream/);
+
+    const events = await readEvents(response);
+    assert.deepEqual(events.map(e => e.event), ['start', 'token', 'token', 'token', 'done']);
+    assert.ok(events[0].data.conversationId);
+    assert.deepEqual(events.filter(e => e.event === 'token').map(e => e.data.text), openai.chunks);
+
+    const done = events[events.length - 1].data;
+    assert.equal(done.response, 'A tenant must pay the rent.');
+    assert.equal(done.aborted, false);
+
+    const chat = await user.client.get(`/api/chats/${done.conversationId}`);
+    assert.deepEqual(chat.body.messages.map(m => [m.role, m.content]), [
+        ['user', 'What does a tenant owe?'],
+        ['ai', 'A tenant must pay the rent.']
+    ]);
+});
+
+test('the conversation history is sent with a follow-up question', async () => {
+    openai.chunks = ['First answer.'];
+    const first = await readEvents(await askStreaming(user.client, 'First question'));
+    const conversationId = first[0].data.conversationId;
+
+    openai.chunks = ['Second answer.'];
+    await readEvents(await askStreaming(user.client, 'Second question', { conversationId }));
+
+    const sent = openai.requests[openai.requests.length - 1];
+    assert.equal(sent.stream, true);
+    const contents = sent.messages.map(m => m.content);
+    assert.ok(contents.includes('First question'));
+    assert.ok(contents.includes('First answer.'));
+    assert.equal(contents[contents.length - 1], 'Second question');
+});
+
+test('stopping the stream keeps the partial reply', async () => {
+    openai.chunks = Array.from({ length: 30 }, (_, i) => `word${i} `);
+    openai.delayMs = 100;
+    try {
+        const controller = new AbortController();
+        const response = await askStreaming(user.client, 'Tell me a long story', { signal: controller.signal });
+        const reader = response.body.getReader();
+        const decoder = new TextDecoder();
+        let text = '';
+        let conversationId = null;
+        while (parseEvents(text).filter(e => e.event === 'token').length < 2) {
+            const { value } = await reader.read();
+            text += decoder.decode(value, { stream: true });
+            const start = parseEvents(text).find(e => e.event === 'start');
+            conversationId = start ? start.data.conversationId : conversationId;
+        }
+        controller.abort();
+
+        let saved = [];
+        for (let i = 0; i < 50 && saved.length === 0; i++) {
+            await sleep(100);
+            saved = await server.query("SELECT content FROM messages WHERE conversation_id = ? AND role = 'ai'", [conversationId]);
+        }
+        assert.equal(saved.length, 1, 'the partial reply is saved');
+        assert.match(saved[0].content, /^word0 word1/);
+        assert.ok(saved[0].content.split(' ').length < openai.chunks.length, 'generation stopped early');
+    } finally {
+        openai.delayMs = 0;
+    }
+});
+
+test('answers with JSON when streaming is not requested', async () => {
+    openai.chunks = ['Plain ', 'answer.'];
+    const { status, body } = await user.client.post('/api/chat', { message: 'A question' });
+    assert.equal(status, 200);
+    assert.equal(body.success, true);
+    assert.equal(body.response, 'Plain answer.');
+    assert.equal(openai.requests[openai.requests.length - 1].stream, undefined);
+});
+
+test('refuses visitors who are not signed in', async () => {
+    const { status } = await server.client().post('/api/chat', { message: 'Hello', stream: 'true' });
+    assert.equal(status, 401);
+});
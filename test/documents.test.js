@@ -0,0 +1,121 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { TestServer, registerAccount } = require('./helpers');
+
+let server;
+let user;
+
+before(async () => {
+    server = await new TestServer({ DOCUMENT_MAX_COUNT: '3', DOCUMENT_QUOTA_MB: '1' }).start();
+    user = await registerAccount(server);
+});
+
+after(async () => {
+    await server.close();
+});
+
+async function upload(client, fileName, content, type = 'text/plain') {
+    const form = new FormData();
+    form.append('document', new Blob([content], { type }), fileName);
+    const response = await client.request('POST', '/api/documents', form);
+    return { status: response.status, body: await response.json() };
+}
+
+const storedPath = async id => {
+    const [row] = await server.query('SELECT stored_name FROM documents WHERE id = ?', [id]);
+    return path.join(server.dir, 'uploads', 'documents', row.stored_name);
+};
+
+test('documents are uploaded, listed, renamed and downloaded', async () => {
+    const uploaded = await upload(user.client, 'Lease contract.txt', 'Signed on 1 May.');
+    assert.equal(uploaded.status, 200);
+    const { id } = uploaded.body.document;
+    assert.deepEqual([uploaded.body.document.name, uploaded.body.document.mimeType, uploaded.body.document.size],
+        ['Lease contract.txt', 'text/plain; charset=utf-8', 16]);
+    assert.match(path.basename(await storedPath(id)), /^[a-f0-9]{32}\.txt$/);
+
+    const list = await user.client.get('/api/documents');
+    assert.deepEqual(list.body.documents.map(d => d.id), [id]);
+    assert.deepEqual(list.body.usage, { count: 1, bytes: 16 });
+    assert.deepEqual(list.body.quota, { count: 3, bytes: 1024 * 1024 });
+
+    // The extension is kept when renaming
+    const renamed = await user.client.put(`/api/documents/${id}`, { name: 'Signed lease' });
+    assert.equal(renamed.body.document.name, 'Signed lease.txt');
+    assert.equal((await user.client.put(`/api/documents/${id}`, { name: ' / ' })).status, 400);
+
+    const download = await user.client.request('GET', `/api/documents/${id}/download`);
+    assert.equal(download.status, 200);
+    assert.equal(download.headers.get('content-type'), 'text/plain; charset=utf-8');
+    assert.equal(download.headers.get('x-content-type-options'), 'nosniff');
+    assert.match(download.headers.get('content-disposition'), /filename="Signed lease\.txt"/);
+    assert.equal(await download.text(), 'Signed on 1 May.');
+
+    // Only the download route serves the file
+    const stored = path.basename(await storedPath(id));
+    assert.equal((await user.client.request('GET', `/uploads/documents/${stored}`)).status, 404);
+
+    assert.equal((await user.client.delete(`/api/documents/${id}`)).status, 200);
+    assert.equal((await user.client.get('/api/documents')).body.documents.length, 0);
+});
+
+test('deleting a document removes its file', async () => {
+    const { body } = await upload(user.client, 'notes.txt', 'Temporary notes');
+    const file = await storedPath(body.document.id);
+    assert.ok(fs.existsSync(file));
+    await user.client.delete(`/api/documents/${body.document.id}`);
+    assert.ok(!fs.existsSync(file));
+    assert.equal((await user.client.delete(`/api/documents/${body.document.id}`)).status, 404);
+});
+
+test('documents are private to their owner', async () => {
+    const { body } = await upload(user.client, 'private.txt', 'Only mine');
+    const other = await registerAccount(server);
+    const id = body.document.id;
+
+    assert.deepEqual((await other.client.get('/api/documents')).body.documents, []);
+    assert.equal((await other.client.request('GET', `/api/documents/${id}/download`)).status, 404);
+    assert.equal((await other.client.put(`/api/documents/${id}`, { name: 'Taken' })).status, 404);
+    assert.equal((await other.client.delete(`/api/documents/${id}`)).status, 404);
+
+    // Accounts only: guests and visitors are turned away
+    const guest = server.client();
+    await guest.post('/api/guest');
+    assert.equal((await upload(guest, 'guest.txt', 'No account')).status, 403);
+    assert.equal((await server.client().get('/api/documents')).status, 401);
+
+    await user.client.delete(`/api/documents/${id}`);
+});
+
+test('uploads are checked against the file types and the quota', async () => {
+    const owner = await registerAccount(server);
+    assert.equal((await upload(owner.client, 'script.exe', 'MZ', 'application/x-msdownload')).status, 400);
+    assert.deepEqual(fs.readdirSync(path.join(server.dir, 'uploads', 'documents'))
+        .filter(name => name.endsWith('.exe') || !path.extname(name)), []);
+
+    const large = 'x'.repeat(600 * 1024);
+    assert.equal((await upload(owner.client, 'first.txt', large)).status, 200);
+    const full = await upload(owner.client, 'second.txt', large);
+    assert.deepEqual([full.status, full.body.code], [413, 'DOCUMENT_QUOTA_EXCEEDED']);
+
+    assert.equal((await upload(owner.client, 'small-1.txt', 'a')).status, 200);
+    assert.equal((await upload(owner.client, 'small-2.txt', 'b')).status, 200);
+    assert.equal((await upload(owner.client, 'small-3.txt', 'c')).status, 413, 'at most DOCUMENT_MAX_COUNT files');
+    assert.equal((await owner.client.get('/api/documents')).body.usage.count, 3);
+
+    // Refused uploads leave no file behind
+    const stored = (await server.query('SELECT stored_name FROM documents')).map(row => row.stored_name).sort();
+    assert.deepEqual(fs.readdirSync(path.join(server.dir, 'uploads', 'documents')).sort(), stored);
+});
+
+test('only the pages and their assets are served as static files', async () => {
+    const get = async urlPath => (await server.client().request('GET', urlPath)).status;
+    for (const urlPath of ['/', '/index.html', '/styles.css', '/chat.js', '/reset-password.html']) {
+        assert.equal(await get(urlPath), 200, urlPath);
+    }
+    for (const urlPath of ['/server.js', '/SERVER.JS', '/package.json', '/.env', '/test/helpers.js', '/uploads/', '/%2e%2e/server.js']) {
+        assert.equal(await get(urlPath), 404, urlPath);
+    }
+});
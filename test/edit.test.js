@@ -0,0 +1,107 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { TestServer, registerAccount, readEvents } = require('./helpers');
+
+let server;
+let user;
+let other;
+
+before(async () => {
+    server = await new TestServer().start();
+    user = await registerAccount(server);
+    other = await registerAccount(server);
+});
+
+after(async () => {
+    await server.close();
+});
+
+const answer = question => `Mock answer (mock-legal-assistant) to: ${question}`;
+
+// A conversation with two questions and their answers; returns its id and messages
+async function startConversation() {
+    const first = await user.client.post('/api/chat', { message: 'First question' });
+    await user.client.post('/api/chat', { message: 'Second question', conversationId: first.body.conversationId });
+    const chat = await user.client.get(`/api/chats/${first.body.conversationId}`);
+    return { conversationId: first.body.conversationId, messages: chat.body.messages };
+}
+
+const transcript = async conversationId =>
+    (await user.client.get(`/api/chats/${conversationId}`)).body.messages.map(m => [m.role, m.content]);
+
+test('editing without regenerate only changes the message', async () => {
+    const { conversationId, messages } = await startConversation();
+    const { status } = await user.client.put(`/api/chats/${conversationId}/messages/${messages[0].id}`, { content: 'Edited question' });
+    assert.equal(status, 200);
+    assert.deepEqual(await transcript(conversationId), [
+        ['user', 'Edited question'],
+        ['ai', answer('First question')],
+        ['user', 'Second question'],
+        ['ai', answer('Second question')]
+    ]);
+});
+
+test('regenerating drops the later messages and answers the new wording', async () => {
+    const { conversationId, messages } = await startConversation();
+    const { status, body } = await user.client.put(`/api/chats/${conversationId}/messages/${messages[0].id}`,
+        { content: 'Edited question', regenerate: true });
+    assert.equal(status, 200);
+    assert.equal(body.response, answer('Edited question'));
+    assert.deepEqual(await transcript(conversationId), [
+        ['user', 'Edited question'],
+        ['ai', answer('Edited question')]
+    ]);
+});
+
+test('the regenerated reply can be streamed', async () => {
+    const { conversationId, messages } = await startConversation();
+    const events = await readEvents(await user.client.request('PUT', `/api/chats/${conversationId}/messages/${messages[2].id}`,
+        { content: 'Edited second question', regenerate: true, stream: true }));
+    assert.equal(events[0].event, 'start');
+    assert.equal(events.find(e => e.event === 'done').data.response, answer('Edited second question'));
+    assert.deepEqual((await transcript(conversationId)).slice(2), [
+        ['user', 'Edited second question'],
+        ['ai', answer('Edited second question')]
+    ]);
+});
+
+test('branch mode keeps the original question as an alternate branch', async () => {
+    const { conversationId, messages } = await startConversation();
+    const { body } = await user.client.put(`/api/chats/${conversationId}/messages/${messages[2].id}`,
+        { content: 'Branched question', regenerate: true, mode: 'branch' });
+    assert.equal(body.conversationId, conversationId);
+
+    const chat = await user.client.get(`/api/chats/${conversationId}`);
+    assert.deepEqual(chat.body.messages.map(m => [m.role, m.content]), [
+        ['user', 'First question'],
+        ['ai', answer('First question')],
+        ['user', 'Branched question'],
+        ['ai', answer('Branched question')]
+    ]);
+    assert.deepEqual(chat.body.messages[2].sibling_ids, [messages[2].id, chat.body.messages[2].id]);
+    assert.equal(chat.body.messages[2].sibling_index, 1);
+});
+
+test('only your own user messages can be edited', async () => {
+    const { conversationId, messages } = await startConversation();
+    const path = `/api/chats/${conversationId}/messages/`;
+    assert.equal((await user.client.put(path + messages[1].id, { content: 'Not a question' })).status, 404);
+    assert.equal((await other.client.put(path + messages[0].id, { content: 'Not mine' })).status, 404);
+    assert.equal((await user.client.put(path + messages[0].id, { content: '  ' })).status, 400);
+});
+
+test('an unknown mode is refused before anything changes', async () => {
+    const { conversationId, messages } = await startConversation();
+    const before = await transcript(conversationId);
+    for (const mode of ['branches', 'toString', null, 1]) {
+        const { status } = await user.client.put(`/api/chats/${conversationId}/messages/${messages[0].id}`,
+            { content: 'Edited question', regenerate: true, mode });
+        assert.equal(status, 400, JSON.stringify(mode));
+    }
+    assert.deepEqual(await transcript(conversationId), before);
+
+    const truncated = await user.client.put(`/api/chats/${conversationId}/messages/${messages[2].id}`,
+        { content: 'Edited second question', regenerate: true, mode: 'truncate' });
+    assert.equal(truncated.status, 200);
+    assert.equal((await transcript(conversationId)).length, 4);
+});
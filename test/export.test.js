@@ -0,0 +1,71 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const pdfParse = require('pdf-parse/lib/pdf-parse.js');
+const mammoth = require('mammoth');
+const { TestServer, registerAccount } = require('./helpers');
+
+let server;
+let user;
+let conversationId;
+
+before(async () => {
+    server = await new TestServer().start();
+    user = await registerAccount(server);
+    const { body } = await user.client.post('/api/chat', { message: 'How long is a lease?' });
+    conversationId = body.conversationId;
+    await user.client.post('/api/chat', { message: 'ما هي مدة الإيجار؟', conversationId });
+});
+
+after(async () => {
+    await server.close();
+});
+
+async function download(format) {
+    const response = await user.client.request('GET', `/api/chats/${conversationId}/export?format=${format}`);
+    return {
+        status: response.status,
+        type: response.headers.get('content-type'),
+        disposition: response.headers.get('content-disposition'),
+        body: Buffer.from(await response.arrayBuffer())
+    };
+}
+
+test('exports the conversation as Markdown', async () => {
+    const { status, type, disposition, body } = await download('md');
+    assert.equal(status, 200);
+    assert.match(type, /^text\/markdown/);
+    assert.match(disposition, /attachment; filename="How long is a lease\.md"/);
+
+    const markdown = body.toString('utf8');
+    assert.match(markdown, /^# How long is a lease/);
+    assert.match(markdown, /### You — .*\(Cairo time\)\n\nHow long is a lease\?/);
+    assert.match(markdown, /### AI Legal Assistant — .*\n\nMock answer \(mock-legal-assistant\) to: How long is a lease\?/);
+    assert.match(markdown, /<div dir="rtl" lang="ar">\n\nما هي مدة الإيجار؟\n\n<\/div>/);
+    assert.match(markdown, /\*\*Disclaimer:\*\* .*not legal advice/);
+});
+
+test('exports the conversation as DOCX and PDF', async () => {
+    const docx = await download('docx');
+    assert.equal(docx.status, 200);
+    assert.match(docx.disposition, /\.docx"$/);
+    const { value: docxText } = await mammoth.extractRawText({ buffer: docx.body });
+    assert.match(docxText, /How long is a lease\?/);
+    assert.match(docxText, /ما هي مدة الإيجار؟/);
+    assert.match(docxText, /not legal advice/);
+
+    const pdf = await download('pdf');
+    assert.equal(pdf.status, 200);
+    assert.equal(pdf.type, 'application/pdf');
+    // pdf.js reads pdfkit's word spacing as positioning, so compare without whitespace
+    const pdfText = (await pdfParse(pdf.body)).text.replace(/\s+/g, '');
+    assert.ok(pdfText.includes('Howlongisalease?'));
+    assert.ok(pdfText.includes('Mockanswer(mock-legal-assistant)to:Howlongisalease?'));
+});
+
+test('refuses unknown formats and other users', async () => {
+    assert.equal((await download('html')).status, 400);
+
+    const other = await registerAccount(server);
+    const response = await other.client.request('GET', `/api/chats/${conversationId}/export?format=md`);
+    assert.equal(response.status, 404);
+});
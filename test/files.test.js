@@ -0,0 +1,97 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { TestServer, registerAccount, startFakeOpenAI } = require('./helpers');
+
+let openai;
+let server;
+let user;
+
+before(async () => {
+    openai = await startFakeOpenAI({ chunks: ['Answer about your document.'] });
+    server = await new TestServer({ ...openai.env, FILE_CONTEXT_TOKEN_BUDGET: '600' }).start();
+    user = await registerAccount(server);
+});
+
+after(async () => {
+    await server.close();
+    await openai.close();
+});
+
+// A one-page PDF showing `text` in Helvetica. It is padded past 4 KB: smaller files are read
+// into Node's shared buffer pool, which the PDF parser does not handle, and real PDFs are larger.
+function buildPdf(text) {
+    const content = `BT /F1 12 Tf 72 712 Td (${text}) Tj ET`;
+    const objects = [
+        '<< /Type /Catalog /Pages 2 0 R >>',
+        '<< /Type /Pages /Kids [3 0 R] /Count 1 >>',
+        '<< /Type /Page /Parent 2 0 R /MediaBox [0 0 612 792] /Contents 4 0 R /Resources << /Font << /F1 5 0 R >> >> >>',
+        `<< /Length ${content.length} >>\nstream\n${content}\nendstream`,
+        '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica >>'
+    ];
+    let pdf = `%PDF-1.4\n%${'-'.repeat(5000)}\n`;
+    const offsets = objects.map((object, i) => {
+        const offset = pdf.length;
+        pdf += `${i + 1} 0 obj\n${object}\nendobj\n`;
+        return offset;
+    });
+    const xref = pdf.length;
+    pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+    pdf += offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+    pdf += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+    return Buffer.from(pdf, 'latin1');
+}
+
+function askWithFile(message, fileName, content, type, conversationId) {
+    const form = new FormData();
+    form.append('message', message);
+    if (conversationId) {
+        form.append('conversationId', String(conversationId));
+    }
+    form.append('files', new Blob([content], { type }), fileName);
+    return user.client.request('POST', '/api/chat', form).then(async response => ({ status: response.status, body: await response.json() }));
+}
+
+const lastPrompt = () => openai.requests[openai.requests.length - 1].messages.map(m => m.content).join('\n');
+
+test('the text of an uploaded TXT file is sent with the question', async () => {
+    const { status, body } = await askWithFile('What is the notice period?', 'lease.txt',
+        'Clause 9: Either party may end the lease with 60 days notice.', 'text/plain');
+    assert.equal(status, 200);
+    assert.match(lastPrompt(), /=== lease\.txt ===\nClause 9: Either party may end the lease with 60 days notice\./);
+
+    // The upload itself is not kept on disk
+    const uploads = path.join(server.dir, 'uploads');
+    assert.deepEqual(fs.existsSync(uploads) ? fs.readdirSync(uploads) : [], []);
+
+    // The document stays available for follow-up questions in the conversation
+    await user.client.post('/api/chat', { message: 'And who pays the repairs?', conversationId: body.conversationId });
+    assert.match(lastPrompt(), /Clause 9: Either party may end the lease/);
+});
+
+test('the text of an uploaded PDF is extracted', async () => {
+    const { status } = await askWithFile('What does clause 4 say?', 'contract.pdf',
+        buildPdf('Clause 4: The buyer pays within 30 days.'), 'application/pdf');
+    assert.equal(status, 200);
+    assert.match(lastPrompt(), /Clause 4: The buyer pays within 30 days\./);
+});
+
+test('only the parts of a long document relevant to the question fit the budget', async () => {
+    const filler = Array.from({ length: 120 }, (_, i) => `Paragraph ${i}: general provisions about the company and its shareholders.`);
+    filler.splice(60, 0, 'On dismissal: an employee dismissed without cause receives two months of wages.');
+    const { status } = await askWithFile('What does an employee receive on dismissal?', 'handbook.txt',
+        filler.join('\n\n'), 'text/plain');
+    assert.equal(status, 200);
+
+    const prompt = lastPrompt();
+    assert.match(prompt, /dismissed without cause receives two months of wages/);
+    assert.match(prompt, /\[\.\.\.\]/, 'omitted parts are marked');
+    assert.ok(!prompt.includes('Paragraph 119:'), 'the whole document is not sent');
+});
+
+test('files whose text cannot be read are only named', async () => {
+    const { status } = await askWithFile('Can you read this?', 'scan.png', Buffer.from([0x89, 0x50, 0x4e, 0x47]), 'image/png');
+    assert.equal(status, 200);
+    assert.match(lastPrompt(), /file\(s\) whose text could not be read: scan\.png/);
+});
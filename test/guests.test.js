@@ -0,0 +1,123 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { TestServer, registerAccount } = require('./helpers');
+
+let server;
+
+before(async () => {
+    server = await new TestServer({ GUEST_DAILY_MESSAGE_LIMIT: '2' }).start();
+});
+
+after(async () => {
+    await server.close();
+});
+
+async function startGuest() {
+    const guest = server.client();
+    const { status, body } = await guest.post('/api/guest');
+    assert.equal(status, 200);
+    assert.equal(body.user.isGuest, true);
+    return { client: guest, id: body.user.id, messagesLeft: body.user.messagesLeftToday };
+}
+
+test('every guest gets an identity of their own', async () => {
+    const first = await startGuest();
+    const second = await startGuest();
+    assert.match(first.id, /^guest-[a-f0-9]{32}$/);
+    assert.notEqual(first.id, second.id);
+
+    await first.client.post('/api/chat', { message: 'Only for the first guest' });
+    assert.equal((await first.client.get('/api/chats')).body.conversations.length, 1);
+    assert.equal((await second.client.get('/api/chats')).body.conversations.length, 0);
+
+    // Starting again resumes the same guest
+    const resumed = await first.client.post('/api/guest');
+    assert.equal(resumed.body.user.id, first.id);
+});
+
+test('a guest can ask a limited number of questions a day', async () => {
+    const guest = await startGuest();
+    assert.equal(guest.messagesLeft, 2);
+
+    const asked = await Promise.all([1, 2, 3].map(n => guest.client.post('/api/chat', { message: `Question ${n}` })));
+    assert.deepEqual(asked.map(r => r.status).sort(), [200, 200, 429]);
+    assert.equal(asked.find(r => r.status === 429).body.code, 'GUEST_LIMIT_REACHED');
+
+    const session = await guest.client.post('/api/guest');
+    assert.equal(session.body.user.messagesLeftToday, 0);
+
+    // A new day starts a new allowance
+    await server.query("UPDATE guests SET usage_date = date('now', '-1 day') WHERE id = ?", [guest.id]);
+    assert.equal((await guest.client.post('/api/chat', { message: 'The next day' })).status, 200);
+});
+
+test('unused guests are removed with their conversations', async () => {
+    const idle = await startGuest();
+    const active = await startGuest();
+    await idle.client.post('/api/chat', { message: 'Forgotten question' });
+    await active.client.post('/api/chat', { message: 'Recent question' });
+    await server.query("UPDATE guests SET last_seen_at = datetime('now', '-25 hours') WHERE id = ?", [idle.id]);
+
+    // The cleanup also runs at startup
+    await server.restart();
+    const count = async (sql, id) => (await server.query(sql, [id]))[0].count;
+    assert.equal(await count('SELECT COUNT(*) AS count FROM guests WHERE id = ?', idle.id), 0);
+    assert.equal(await count('SELECT COUNT(*) AS count FROM conversations WHERE user_id = ?', idle.id), 0);
+    assert.equal(await count('SELECT COUNT(*) AS count FROM conversations WHERE user_id = ?', active.id), 1);
+
+    // Its browser is signed out; a new guest session starts with an empty history
+    assert.equal((await idle.client.get('/api/session')).body.success, false);
+    const again = await idle.client.post('/api/guest');
+    assert.notEqual(again.body.user.id, idle.id);
+    assert.equal((await idle.client.get('/api/chats')).body.conversations.length, 0);
+});
+
+test('registering moves the guest conversations into the account', async () => {
+    const guest = await startGuest();
+    const asked = await guest.client.post('/api/chat', { message: 'Keep this question' });
+    const guestSession = guest.client.copy();
+
+    const summary = await guest.client.get('/api/guest/summary');
+    assert.deepEqual([summary.body.isGuest, summary.body.conversations, summary.body.messages], [true, 1, 2]);
+
+    const registered = await guest.client.post('/api/register', {
+        name: 'Former Guest',
+        email: 'former-guest@example.com',
+        password: 'secret123',
+        confirmPassword: 'secret123',
+        mergeGuestData: true
+    });
+    assert.equal(registered.status, 200);
+    assert.deepEqual(registered.body.guestDataMerged, { conversations: 1, messages: 2, bookings: 0 });
+
+    const chats = await guest.client.get('/api/chats');
+    assert.deepEqual(chats.body.conversations.map(c => c.id), [asked.body.conversationId]);
+    assert.equal((await server.query('SELECT COUNT(*) AS count FROM guests WHERE id = ?', [guest.id]))[0].count, 0);
+    assert.equal((await guest.client.get('/api/guest/summary')).body.isGuest, false);
+    // No browser is signed in as the merged guest any more
+    assert.equal((await guestSession.get('/api/session')).body.success, false);
+
+    // No limit for accounts
+    for (let i = 0; i < 3; i++) {
+        assert.equal((await guest.client.post('/api/chat', { message: `Now with an account ${i}` })).status, 200);
+    }
+});
+
+test('signing in moves the guest conversations only when asked to', async () => {
+    const account = await registerAccount(server);
+    await account.client.post('/api/logout');
+
+    const kept = await startGuest();
+    await kept.client.post('/api/chat', { message: 'Stays with the guest' });
+    const login = await kept.client.post('/api/login', { email: account.email, password: account.password });
+    assert.equal(login.body.guestDataMerged, undefined);
+    assert.equal((await kept.client.get('/api/chats')).body.conversations.length, 0);
+    assert.equal((await server.query('SELECT COUNT(*) AS count FROM conversations WHERE user_id = ?', [kept.id]))[0].count, 1);
+
+    const moved = await startGuest();
+    await moved.client.post('/api/chat', { message: 'Comes along' });
+    const merged = await moved.client.post('/api/login', { email: account.email, password: account.password, mergeGuestData: true });
+    assert.equal(merged.body.guestDataMerged.conversations, 1);
+    const titles = (await moved.client.get('/api/chats')).body.conversations.map(c => c.title);
+    assert.deepEqual(titles, ['Comes along']);
+});
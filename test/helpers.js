@@ -0,0 +1,350 @@
+// Shared setup for the API tests: each test file starts the real server in a temporary
+// directory (its own database, sessions, uploads and mail drop) with the mock LLM provider, and
+// talks to it over HTTP with one cookie jar per simulated browser.
+const { spawn } = require('child_process');
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const sqlite3 = require('sqlite3');
+
+const SERVER_PATH = path.join(__dirname, '..', 'server.js');
+const STARTUP_TIMEOUT_MS = 20000;
+// The server counts as started once it answers and its startup log has been quiet this long
+const STARTUP_QUIET_MS = 300;
+
+function getFreePort() {
+    return new Promise((resolve, reject) => {
+        const probe = net.createServer();
+        probe.unref();
+        probe.on('error', reject);
+        probe.listen(0, '127.0.0.1', () => {
+            const { port } = probe.address();
+            probe.close(() => resolve(port));
+        });
+    });
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+class TestServer {
+    constructor(env = {}) {
+        this.dir = fs.mkdtempSync(path.join(os.tmpdir(), 'know-law-test-'));
+        this.env = env;
+        this.output = '';
+        this.outputAt = 0;
+        this.child = null;
+    }
+
+    async start() {
+        // A restarted server keeps its port, so existing clients reach it again
+        this.port = this.port || await getFreePort();
+        this.baseUrl = `http://127.0.0.1:${this.port}`;
+        this.child = spawn(process.execPath, [SERVER_PATH], {
+            cwd: this.dir,
+            env: {
+                PATH: process.env.PATH,
+                PORT: String(this.port),
+                LLM_PROVIDER: 'mock',
+                MAIL_TRANSPORT: 'file',
+                MAIL_DROP_DIR: path.join(this.dir, 'mail'),
+                // Each Client sends its own X-Forwarded-For, so per-IP throttles see separate visitors
+                TRUST_PROXY: 'loopback',
+                ...this.env
+            },
+            stdio: ['ignore', 'pipe', 'pipe']
+        });
+        const record = chunk => {
+            this.output += chunk;
+            this.outputAt = Date.now();
+        };
+        this.child.stdout.on('data', record);
+        this.child.stderr.on('data', record);
+        this.exited = new Promise(resolve => this.child.once('exit', resolve));
+
+        const deadline = Date.now() + STARTUP_TIMEOUT_MS;
+        while (Date.now() < deadline) {
+            if (this.child.exitCode !== null) {
+                throw new Error(`Server exited during startup:\n${this.output}`);
+            }
+            try {
+                const response = await fetch(`${this.baseUrl}/api/session`);
+                if (response.ok && Date.now() - this.outputAt >= STARTUP_QUIET_MS) {
+                    return this;
+                }
+            } catch (error) {
+                // Not listening yet
+            }
+            await sleep(100);
+        }
+        throw new Error(`Server did not start in time:\n${this.output}`);
+    }
+
+    async stop() {
+        if (this.child && this.child.exitCode === null) {
+            this.child.kill('SIGTERM');
+            await this.exited;
+        }
+        this.child = null;
+    }
+
+    // Stop and start again, optionally with changed environment variables
+    async restart(env = {}) {
+        await this.stop();
+        Object.assign(this.env, env);
+        this.output = '';
+        return this.start();
+    }
+
+    async close() {
+        await this.stop();
+        fs.rmSync(this.dir, { recursive: true, force: true });
+    }
+
+    client() {
+        return new Client(this.baseUrl);
+    }
+
+    // Run SQL on the server's database (rows for SELECT, { changes } otherwise)
+    query(sql, params = []) {
+        return new Promise((resolve, reject) => {
+            const db = new sqlite3.Database(path.join(this.dir, 'database.sqlite'));
+            const done = (err, result) => db.close(() => (err ? reject(err) : resolve(result)));
+            if (/^\s*select/i.test(sql)) {
+                db.all(sql, params, done);
+            } else {
+                db.run(sql, params, function(err) {
+                    done(err, { changes: this && this.changes });
+                });
+            }
+        });
+    }
+
+    // Emails sent to `to`, newest first, as decoded message text
+    mailTo(to) {
+        const dir = path.join(this.dir, 'mail');
+        const files = fs.existsSync(dir) ? fs.readdirSync(dir).sort().reverse() : [];
+        const recipient = new RegExp(`^To: .*${to.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}`, 'mi');
+        return files
+            // Undo quoted-printable encoding: soft line breaks and =XX escapes
+            .map(file => fs.readFileSync(path.join(dir, file), 'utf8')
+                .replace(/=\r?\n/g, '')
+                .replace(/=([0-9A-F]{2})/g, (match, hex) => String.fromCharCode(parseInt(hex, 16))))
+            .filter(text => recipient.test(text));
+    }
+
+    // Token from the link in the newest email to `to` whose link points at `page`
+    latestMailToken(to, page) {
+        for (const text of this.mailTo(to)) {
+            const match = text.match(new RegExp(`${page}\\?token=([a-f0-9]{64})`));
+            if (match) {
+                return match[1];
+            }
+        }
+        return null;
+    }
+}
+
+let clientCounter = 0;
+
+// One browser: keeps the session cookie between requests and has an IP address of its own
+class Client {
+    constructor(baseUrl) {
+        clientCounter += 1;
+        this.baseUrl = baseUrl;
+        this.cookie = null;
+        this.ip = `10.0.${Math.floor(clientCounter / 250)}.${clientCounter % 250 + 1}`;
+    }
+
+    async request(method, urlPath, body, headers = {}) {
+        const { signal, ...requestHeaders } = headers;
+        const options = { method, headers: { 'X-Forwarded-For': this.ip, ...requestHeaders }, signal };
+        if (this.cookie) {
+            options.headers.Cookie = this.cookie;
+        }
+        if (body instanceof FormData) {
+            options.body = body;
+        } else if (body !== undefined) {
+            options.headers['Content-Type'] = 'application/json';
+            options.body = JSON.stringify(body);
+        }
+        const response = await fetch(this.baseUrl + urlPath, options);
+        const sessionCookie = (response.headers.get('set-cookie') || '').match(/connect\.sid=[^;]*/);
+        if (sessionCookie) {
+            this.cookie = sessionCookie[0];
+        }
+        return response;
+    }
+
+    async json(method, urlPath, body) {
+        const response = await this.request(method, urlPath, body);
+        return { status: response.status, body: await response.json() };
+    }
+
+    get(urlPath) {
+        return this.json('GET', urlPath);
+    }
+
+    post(urlPath, body = {}) {
+        return this.json('POST', urlPath, body);
+    }
+
+    put(urlPath, body = {}) {
+        return this.json('PUT', urlPath, body);
+    }
+
+    delete(urlPath) {
+        return this.json('DELETE', urlPath);
+    }
+
+    // A second browser that presents the same session cookie
+    copy() {
+        const other = new Client(this.baseUrl);
+        other.cookie = this.cookie;
+        other.ip = this.ip;
+        return other;
+    }
+}
+
+let accountCounter = 0;
+
+async function registerAccount(server, { name = 'Test User', email, password = 'secret123' } = {}) {
+    accountCounter += 1;
+    const account = {
+        client: server.client(),
+        name,
+        email: email || `user${accountCounter}-${Date.now()}@example.com`,
+        password
+    };
+    const { status, body } = await account.client.post('/api/register', {
+        name: account.name,
+        email: account.email,
+        password,
+        confirmPassword: password
+    });
+    if (status !== 200) {
+        throw new Error(`Registration failed: ${JSON.stringify(body)}`);
+    }
+    account.id = body.user.id;
+    return account;
+}
+
+// Open the verification link that was emailed at sign-up
+async function verifyEmail(server, account) {
+    const token = server.latestMailToken(account.email, 'verify-email.html');
+    const { status, body } = await account.client.post('/api/email/verify', { token });
+    if (status !== 200) {
+        throw new Error(`Verification failed: ${JSON.stringify(body)}`);
+    }
+}
+
+// The current TOTP code (RFC 6238) for a base32 secret, stepOffset 30-second steps away
+function totpCode(secret, stepOffset = 0) {
+    const alphabet = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+    let bits = '';
+    for (const char of secret.replace(/=+$/, '')) {
+        bits += alphabet.indexOf(char).toString(2).padStart(5, '0');
+    }
+    const bytes = [];
+    for (let i = 0; i + 8 <= bits.length; i += 8) {
+        bytes.push(parseInt(bits.slice(i, i + 8), 2));
+    }
+    const counter = Buffer.alloc(8);
+    counter.writeBigUInt64BE(BigInt(Math.floor(Date.now() / 30000) + stepOffset));
+    const hmac = crypto.createHmac('sha1', Buffer.from(bytes)).update(counter).digest();
+    const offset = hmac[hmac.length - 1] & 0x0f;
+    return ((hmac.readUInt32BE(offset) & 0x7fffffff) % 1000000).toString().padStart(6, '0');
+}
+
+// Turn on 2FA for a signed-in account; returns its secret. The previous step's code is used,
+// so the current one is still unused for a sign-in right after.
+async function enableTwoFactor(account) {
+    const setup = await account.client.post('/api/2fa/setup');
+    const enabled = await account.client.post('/api/2fa/enable', { code: totpCode(setup.body.secret, -1) });
+    if (enabled.status !== 200) {
+        throw new Error(`Enabling 2FA failed: ${JSON.stringify(enabled.body)}`);
+    }
+    account.totpSecret = setup.body.secret;
+    account.recoveryCodes = enabled.body.recoveryCodes;
+    return setup.body.secret;
+}
+
+// An admin ready to use admin routes (the server must run with ADMIN_EMAILS=<email>)
+async function createAdmin(server, email) {
+    const admin = await registerAccount(server, { name: 'Admin', email });
+    await verifyEmail(server, admin);
+    await enableTwoFactor(admin);
+    return admin;
+}
+
+// Parse Server-Sent Events text into [{ event, data }]
+function parseEvents(text) {
+    return text.split('\n\n').filter(Boolean).map(block => {
+        const event = (block.match(/^event: (.*)$/m) || [])[1];
+        const data = (block.match(/^data: (.*)$/m) || [])[1];
+        return { event, data: data ? JSON.parse(data) : null };
+    });
+}
+
+async function readEvents(response) {
+    return parseEvents(await response.text());
+}
+
+// A stand-in for the OpenAI chat completions API (point OPENAI_BASE_URL at `baseUrl`).
+// It answers with `chunks` (or what `chunks(requestBody)` returns), waiting `delayMs` between
+// streamed chunks, and keeps the request bodies it received in `requests`.
+async function startFakeOpenAI({ chunks = ['Fake ', 'model ', 'answer.'], delayMs = 0 } = {}) {
+    const fake = { chunks, delayMs, requests: [] };
+    const server = http.createServer((req, res) => {
+        let raw = '';
+        req.on('data', chunk => { raw += chunk; });
+        req.on('end', async () => {
+            const body = JSON.parse(raw || '{}');
+            fake.requests.push(body);
+            const chunks = typeof fake.chunks === 'function' ? fake.chunks(body) : fake.chunks;
+            if (!body.stream) {
+                res.writeHead(200, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify({
+                    id: 'chatcmpl-test',
+                    object: 'chat.completion',
+                    choices: [{ index: 0, message: { role: 'assistant', content: chunks.join('') }, finish_reason: 'stop' }]
+                }));
+                return;
+            }
+            res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+            for (const content of chunks) {
+                if (res.destroyed) {
+                    return;
+                }
+                const chunk = { id: 'chatcmpl-test', object: 'chat.completion.chunk', choices: [{ index: 0, delta: { content } }] };
+                res.write(`data: ${JSON.stringify(chunk)}\n\n`);
+                await sleep(fake.delayMs);
+            }
+            res.end('data: [DONE]\n\n');
+        });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    fake.baseUrl = `http://127.0.0.1:${server.address().port}/v1`;
+    fake.env = { LLM_PROVIDER: 'openai', OPENAI_API_KEY: 'test-key', OPENAI_BASE_URL: fake.baseUrl };
+    fake.close = () => new Promise(resolve => {
+        server.closeAllConnections();
+        server.close(resolve);
+    });
+    return fake;
+}
+
+module.exports = {
+    TestServer,
+    Client,
+    sleep,
+    totpCode,
+    registerAccount,
+    verifyEmail,
+    enableTwoFactor,
+    createAdmin,
+    parseEvents,
+    readEvents,
+    startFakeOpenAI
+};
@@ -0,0 +1,98 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { TestServer, registerAccount, verifyEmail, createAdmin } = require('./helpers');
+
+const ADMIN_EMAIL = 'admin-lawyers@example.com';
+let server;
+let admin;
+let user;
+
+before(async () => {
+    server = await new TestServer({ ADMIN_EMAILS: ADMIN_EMAIL }).start();
+    admin = await createAdmin(server, ADMIN_EMAIL);
+    user = await registerAccount(server);
+    await verifyEmail(server, user);
+});
+
+after(async () => {
+    await server.close();
+});
+
+const newLawyer = (fields = {}) => ({
+    name: 'Mona Salem',
+    nameAr: 'منى سالم',
+    specialties: ['Family Law', 'Inheritance'],
+    barRegistrationNumber: 'EBA-12345',
+    governorate: 'Alexandria',
+    languages: 'Arabic, English',
+    consultationFee: 800,
+    ...fields
+});
+
+test('the directory is seeded and can be filtered', async () => {
+    const { status, body } = await server.client().get('/api/lawyers');
+    assert.equal(status, 200);
+    assert.ok(body.lawyers.length > 0);
+
+    const cairo = await server.client().get('/api/lawyers?governorate=Cairo');
+    assert.ok(cairo.body.lawyers.every(lawyer => lawyer.governorate === 'Cairo'));
+});
+
+test('admins add, update and remove lawyers', async () => {
+    const created = await admin.client.post('/api/lawyers', newLawyer());
+    assert.equal(created.status, 200, JSON.stringify(created.body));
+    const lawyer = created.body.lawyer;
+    assert.deepEqual(lawyer.languages, ['Arabic', 'English']);
+    assert.deepEqual((await server.client().get(`/api/lawyers/${lawyer.id}`)).body.lawyer, lawyer);
+
+    const familyLawyers = await server.client().get('/api/lawyers?specialty=' + encodeURIComponent('Family Law'));
+    assert.ok(familyLawyers.body.lawyers.some(l => l.id === lawyer.id));
+
+    const updated = await admin.client.put(`/api/lawyers/${lawyer.id}`, { consultationFee: 950 });
+    assert.equal(updated.body.lawyer.consultationFee, 950);
+    assert.equal(updated.body.lawyer.name, 'Mona Salem', 'fields not sent are kept');
+
+    assert.equal((await admin.client.delete(`/api/lawyers/${lawyer.id}`)).status, 200);
+    assert.equal((await server.client().get(`/api/lawyers/${lawyer.id}`)).status, 404);
+    assert.ok(!(await server.client().get('/api/lawyers')).body.lawyers.some(l => l.id === lawyer.id));
+    const withInactive = await admin.client.get('/api/lawyers?includeInactive=true');
+    assert.equal(withInactive.body.lawyers.find(l => l.id === lawyer.id).isActive, false);
+
+    // A removed lawyer cannot be booked
+    const booking = await user.client.post('/api/booking', {
+        lawyerId: lawyer.id,
+        clientName: 'Client',
+        clientEmail: 'client@example.com',
+        clientPhone: '01000000000',
+        appointmentDate: '2099-01-05',
+        appointmentTime: '10:00',
+        caseDescription: 'Inheritance question'
+    });
+    assert.deepEqual([booking.status, booking.body.message], [400, 'Invalid lawyer selected']);
+});
+
+test('lawyer fields are validated', async () => {
+    const invalid = [
+        { name: ' ' },
+        { specialties: [] },
+        { barRegistrationNumber: 'no spaces allowed' },
+        { governorate: 'Atlantis' },
+        { consultationFee: -5 }
+    ];
+    for (const fields of invalid) {
+        const { status } = await admin.client.post('/api/lawyers', newLawyer({ barRegistrationNumber: 'EBA-2', ...fields }));
+        assert.equal(status, 400, JSON.stringify(fields));
+    }
+
+    await admin.client.post('/api/lawyers', newLawyer({ barRegistrationNumber: 'EBA-777' }));
+    const duplicate = await admin.client.post('/api/lawyers', newLawyer({ barRegistrationNumber: 'EBA-777' }));
+    assert.equal(duplicate.status, 400);
+});
+
+test('only admins change the directory', async () => {
+    assert.equal((await user.client.post('/api/lawyers', newLawyer({ barRegistrationNumber: 'EBA-3' }))).status, 403);
+    assert.equal((await user.client.put('/api/lawyers/1', { consultationFee: 1 })).status, 403);
+    assert.equal((await user.client.delete('/api/lawyers/1')).status, 403);
+    assert.equal((await server.client().delete('/api/lawyers/1')).status, 401);
+    assert.equal((await admin.client.put('/api/lawyers/999999', { consultationFee: 1 })).status, 404);
+});
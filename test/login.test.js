@@ -0,0 +1,132 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { TestServer, sleep, registerAccount, createAdmin } = require('./helpers');
+
+const ADMIN_EMAIL = 'admin-login@example.com';
+let server;
+let admin;
+
+before(async () => {
+    server = await new TestServer({
+        ADMIN_EMAILS: ADMIN_EMAIL,
+        APP_BASE_URL: 'https://knowlaw.example',
+        LOGIN_LOCKOUT_THRESHOLD: '4',
+        THROTTLE_MAX_DELAY_SECONDS: '1'
+    }).start();
+    admin = await createAdmin(server, ADMIN_EMAIL);
+});
+
+after(async () => {
+    await server.close();
+});
+
+function login(client, email, password) {
+    return client.post('/api/login', { email, password });
+}
+
+test('signing in starts a new session id', async () => {
+    const account = await registerAccount(server);
+    const browser = server.client();
+    await browser.post('/api/guest');
+    const before = browser.copy();
+
+    assert.equal((await login(browser, account.email, account.password)).status, 200);
+    assert.notEqual(browser.cookie, before.cookie);
+    assert.equal((await browser.get('/api/session')).body.user.id, account.id);
+    // The id the browser had before signing in does not become the account's session
+    assert.notEqual((await before.get('/api/session')).body.user?.id, account.id);
+});
+
+// Three wrong passwords are free; the fourth waits out the backoff and locks the account
+async function lockAccount(account) {
+    const browser = server.client();
+    for (let i = 0; i < 3; i++) {
+        assert.equal((await login(browser, account.email, 'wrong-password')).status, 401);
+    }
+    const throttled = await login(browser, account.email, 'wrong-password');
+    assert.deepEqual([throttled.status, throttled.body.code], [429, 'TOO_MANY_ATTEMPTS']);
+    assert.equal(throttled.body.retryAfter, 1);
+
+    await sleep(1100);
+    const locked = await login(browser, account.email, 'wrong-password');
+    assert.deepEqual([locked.status, locked.body.code], [423, 'ACCOUNT_LOCKED']);
+    return browser;
+}
+
+test('repeated wrong passwords are slowed down and then lock the account', async () => {
+    const account = await registerAccount(server);
+    const browser = await lockAccount(account);
+
+    // Even the right password is refused while locked
+    await sleep(1100);
+    assert.equal((await login(browser, account.email, account.password)).status, 423);
+    const [mail] = server.mailTo(account.email);
+    assert.match(mail, /Subject: Your Know Law account was locked/);
+    assert.match(mail, /https:\/\/knowlaw\.example\/reset-password\.html/);
+});
+
+test('a password reset or an admin lifts the lock', async () => {
+    const reset = await registerAccount(server);
+    await lockAccount(reset);
+    await server.client().post('/api/password/forgot', { email: reset.email });
+    const token = server.latestMailToken(reset.email, 'reset-password.html');
+    await server.client().post('/api/password/reset', { token, password: 'new-secret456', confirmPassword: 'new-secret456' });
+    assert.equal((await login(server.client(), reset.email, 'new-secret456')).status, 200);
+
+    const unlocked = await registerAccount(server);
+    await lockAccount(unlocked);
+    assert.equal((await unlocked.client.post(`/api/admin/users/${unlocked.id}/unlock`)).status, 403);
+    assert.equal((await admin.client.post(`/api/admin/users/${unlocked.id}/unlock`)).status, 200);
+    assert.equal((await admin.client.post('/api/admin/users/999999/unlock')).status, 404);
+    assert.equal((await login(server.client(), unlocked.email, unlocked.password)).status, 200);
+});
+
+test('unknown emails get the same answer as wrong passwords', async () => {
+    const account = await registerAccount(server);
+    const unknown = await login(server.client(), 'nobody@example.com', 'wrong-password');
+    const wrong = await login(server.client(), account.email, 'wrong-password');
+    assert.deepEqual(unknown, wrong);
+});
+
+test('a successful sign-in resets the account counter', async () => {
+    const account = await registerAccount(server);
+    const browser = server.client();
+    for (let i = 0; i < 3; i++) {
+        await login(browser, account.email, 'wrong-password');
+    }
+    await sleep(1100);
+    assert.equal((await login(browser, account.email, account.password)).status, 200);
+    assert.equal((await login(browser, account.email, 'wrong-password')).status, 401);
+});
+
+test('registrations are limited per IP address', async () => {
+    const browser = server.client();
+    const register = i => browser.post('/api/register', {
+        name: 'Many', email: `many-${i}@example.com`, password: 'secret123', confirmPassword: 'secret123'
+    });
+    for (let i = 0; i < 5; i++) {
+        assert.equal((await register(i)).status, 200);
+    }
+    const throttled = await register(5);
+    assert.equal(throttled.status, 429);
+    assert.equal((await server.client().post('/api/register', {
+        name: 'Other', email: 'other-ip@example.com', password: 'secret123', confirmPassword: 'secret123'
+    })).status, 200, 'other addresses are not affected');
+});
+
+test('admins see the sign-in attempt log', async () => {
+    const account = await registerAccount(server);
+    await login(server.client(), account.email, 'wrong-password');
+    const browser = server.client();
+    await login(browser, account.email, account.password);
+
+    const { status, body } = await admin.client.get(`/api/admin/login-attempts?q=${encodeURIComponent(account.email)}`);
+    assert.equal(status, 200);
+    assert.deepEqual(body.attempts.map(a => a.outcome), ['success', 'invalid_password']);
+    assert.equal(body.attempts[0].ip, browser.ip);
+    assert.ok(body.recentFailures.invalid_password >= 1);
+
+    const failed = await admin.client.get('/api/admin/login-attempts?outcome=unknown_account');
+    assert.ok(failed.body.attempts.every(a => a.outcome === 'unknown_account'));
+    assert.equal((await account.client.get('/api/admin/login-attempts')).status, 403);
+});
@@ -0,0 +1,145 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { TestServer, registerAccount } = require('./helpers');
+
+let server;
+
+before(async () => {
+    server = await new TestServer({ APP_BASE_URL: 'https://knowlaw.example' }).start();
+});
+
+after(async () => {
+    await server.close();
+});
+
+const RESET_PAGE = 'reset-password.html';
+
+function resetPassword(client, token, password = 'new-secret456') {
+    return client.post('/api/password/reset', { token, password, confirmPassword: password });
+}
+
+test('a reset link sets a new password once', async () => {
+    const user = await registerAccount(server);
+    const requested = await server.client().post('/api/password/forgot', { email: user.email });
+    assert.equal(requested.status, 200);
+
+    const [mail] = server.mailTo(user.email);
+    assert.match(mail, /Subject: Reset your Know Law password/);
+    assert.match(mail, /https:\/\/knowlaw\.example\/reset-password\.html\?token=[a-f0-9]{64}/);
+    const token = server.latestMailToken(user.email, RESET_PAGE);
+
+    const check = await server.client().get(`/api/password/reset/${token}`);
+    assert.deepEqual([check.status, check.body.email], [200, user.email]);
+
+    assert.equal((await resetPassword(server.client(), token)).status, 200);
+    assert.equal((await resetPassword(server.client(), token, 'third-secret789')).status, 400, 'the link works once');
+
+    const oldPassword = await server.client().post('/api/login', { email: user.email, password: user.password });
+    assert.equal(oldPassword.status, 401);
+    const newPassword = await server.client().post('/api/login', { email: user.email, password: 'new-secret456' });
+    assert.equal(newPassword.status, 200);
+});
+
+test('only the newest link works and expired links are refused', async () => {
+    const user = await registerAccount(server);
+    await server.client().post('/api/password/forgot', { email: user.email });
+    const first = server.latestMailToken(user.email, RESET_PAGE);
+    await server.query("UPDATE password_reset_tokens SET created_at = datetime('now', '-2 minutes') WHERE user_id = ?", [user.id]);
+    await server.client().post('/api/password/forgot', { email: user.email });
+    const second = server.latestMailToken(user.email, RESET_PAGE);
+    assert.notEqual(first, second);
+    assert.equal((await server.client().get(`/api/password/reset/${first}`)).status, 400);
+
+    await server.query("UPDATE password_reset_tokens SET expires_at = datetime('now', '-1 minute') WHERE used_at IS NULL");
+    assert.equal((await resetPassword(server.client(), second)).status, 400);
+});
+
+test('the answer does not reveal whether an account exists', async () => {
+    const unknown = await server.client().post('/api/password/forgot', { email: 'nobody@example.com' });
+    const user = await registerAccount(server);
+    const known = await server.client().post('/api/password/forgot', { email: user.email });
+    assert.deepEqual(unknown, known);
+    assert.deepEqual(server.mailTo('nobody@example.com'), []);
+
+    assert.equal((await server.client().post('/api/password/forgot', {})).status, 400);
+});
+
+test('a repeated request within a minute keeps the link already sent', async () => {
+    const user = await registerAccount(server);
+    await server.client().post('/api/password/forgot', { email: user.email });
+    const token = server.latestMailToken(user.email, RESET_PAGE);
+
+    const repeated = await server.client().post('/api/password/forgot', { email: user.email });
+    assert.equal(repeated.status, 200);
+    assert.equal(server.mailTo(user.email).filter(mail => /Subject: Reset your/.test(mail)).length, 1);
+    assert.equal((await server.client().get(`/api/password/reset/${token}`)).status, 200);
+});
+
+test('reset requests are throttled per email and per IP address', async () => {
+    const user = await registerAccount(server);
+    const forgot = (client, email) => client.post('/api/password/forgot', { email });
+    for (let i = 0; i < 3; i++) {
+        assert.equal((await forgot(server.client(), user.email)).status, 200);
+    }
+    const throttled = await forgot(server.client(), user.email.toUpperCase());
+    assert.deepEqual([throttled.status, throttled.body.code], [429, 'TOO_MANY_ATTEMPTS']);
+    // Unknown addresses are counted the same way
+    for (let i = 0; i < 3; i++) {
+        await forgot(server.client(), 'nobody-throttled@example.com');
+    }
+    assert.equal((await forgot(server.client(), 'nobody-throttled@example.com')).status, 429);
+
+    const browser = server.client();
+    for (let i = 0; i < 10; i++) {
+        assert.equal((await forgot(browser, `many-${i}@example.com`)).status, 200);
+    }
+    assert.equal((await forgot(browser, 'one-more@example.com')).status, 429);
+    assert.equal((await forgot(server.client(), 'one-more@example.com')).status, 200, 'other addresses are not affected');
+});
+
+test('the new password is validated', async () => {
+    const user = await registerAccount(server);
+    await server.client().post('/api/password/forgot', { email: user.email });
+    const token = server.latestMailToken(user.email, RESET_PAGE);
+
+    const mismatch = await server.client().post('/api/password/reset', { token, password: 'abcdef', confirmPassword: 'abcdeg' });
+    assert.equal(mismatch.status, 400);
+    assert.equal((await resetPassword(server.client(), token, 'short')).status, 400);
+    assert.equal((await resetPassword(server.client(), 'f'.repeat(64))).status, 400);
+    assert.equal((await resetPassword(server.client(), token)).status, 200, 'the failed attempts did not use the link');
+});
+
+test('links never point at the Host header of the request', async () => {
+    const local = await new TestServer().start();
+    try {
+        const user = await registerAccount(local);
+        // fetch() always sends the real Host, so this request is made with http
+        const status = await new Promise((resolve, reject) => {
+            const request = http.request({
+                host: '127.0.0.1',
+                port: local.port,
+                path: '/api/password/forgot',
+                method: 'POST',
+                headers: { Host: 'attacker.example', 'Content-Type': 'application/json' }
+            }, response => {
+                response.resume();
+                response.on('end', () => resolve(response.statusCode));
+            });
+            request.on('error', reject);
+            request.end(JSON.stringify({ email: user.email }));
+        });
+        assert.equal(status, 200);
+        const [mail] = local.mailTo(user.email);
+        assert.match(mail, new RegExp(`http://localhost:${local.port}/reset-password\\.html\\?token=`));
+        assert.doesNotMatch(mail, /attacker\.example/);
+    } finally {
+        await local.close();
+    }
+});
+
+test('production refuses to start without APP_BASE_URL', async () => {
+    const production = new TestServer({ NODE_ENV: 'production', SESSION_SECRET: 'a-production-secret' });
+    await assert.rejects(production.start(), /APP_BASE_URL must be set in production/);
+    await production.close();
+});
@@ -0,0 +1,122 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { TestServer, registerAccount, verifyEmail, enableTwoFactor, createAdmin } = require('./helpers');
+
+const ADMIN_EMAIL = 'admin-portal@example.com';
+const LAWYER_ID = 1;
+const OTHER_LAWYER_ID = 2;
+let server;
+let admin;
+let lawyer;
+let client;
+let slots;
+
+before(async () => {
+    server = await new TestServer({ ADMIN_EMAILS: ADMIN_EMAIL }).start();
+    admin = await createAdmin(server, ADMIN_EMAIL);
+    lawyer = await registerAccount(server, { name: 'Lawyer' });
+    client = await registerAccount(server, { name: 'Client' });
+    await verifyEmail(server, client);
+
+    const linked = await admin.client.put(`/api/lawyers/${LAWYER_ID}/account`, { email: lawyer.email });
+    assert.equal(linked.status, 200, JSON.stringify(linked.body));
+    await enableTwoFactor(lawyer);
+
+    const from = new Date(Date.now() + 7 * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+    const { body } = await server.client().get(`/api/lawyers/${LAWYER_ID}/availability?from=${from}`);
+    slots = body.days.flatMap(day => day.slots.map(slot => ({ date: day.date, time: slot.time })));
+});
+
+after(async () => {
+    await server.close();
+});
+
+async function book(account, lawyerId, slot) {
+    const { body } = await account.client.post('/api/booking', {
+        lawyerId,
+        clientName: account.name,
+        clientEmail: account.email,
+        clientPhone: '+201000000000',
+        appointmentDate: slot.date,
+        appointmentTime: slot.time,
+        caseDescription: 'Employment contract'
+    });
+    return body.booking.id;
+}
+
+test('a linked account signs in as the lawyer of its directory entry', async () => {
+    const session = await lawyer.client.get('/api/session');
+    assert.deepEqual([session.body.user.role, session.body.user.lawyerId], ['lawyer', LAWYER_ID]);
+
+    const profile = await lawyer.client.get('/api/lawyer/profile');
+    assert.equal(profile.status, 200);
+    assert.equal(profile.body.lawyer.id, LAWYER_ID);
+
+    assert.equal((await client.client.get('/api/lawyer/profile')).status, 403);
+    assert.equal((await server.client().get('/api/lawyer/bookings')).status, 401);
+    assert.equal((await client.client.put(`/api/lawyers/${OTHER_LAWYER_ID}/account`, { email: client.email })).status, 403);
+    assert.equal((await admin.client.put(`/api/lawyers/${OTHER_LAWYER_ID}/account`, { email: 'nobody@example.com' })).status, 404);
+});
+
+test('admin accounts cannot be linked to a lawyer', async () => {
+    const linked = await admin.client.put(`/api/lawyers/${OTHER_LAWYER_ID}/account`, { email: ADMIN_EMAIL });
+    assert.equal(linked.status, 400);
+    const session = await admin.client.get('/api/session');
+    assert.deepEqual([session.body.user.role, session.body.user.lawyerId], ['admin', null]);
+    assert.equal((await admin.client.get('/api/admin/users')).status, 200);
+});
+
+test('the lawyer accepts or declines only their own bookings', async () => {
+    const own = await book(client, LAWYER_ID, slots[0]);
+    const otherSlots = (await server.client().get(`/api/lawyers/${OTHER_LAWYER_ID}/availability?from=${slots[0].date}`)).body.days[0];
+    const notOwn = await book(client, OTHER_LAWYER_ID, { date: otherSlots.date, time: otherSlots.slots[0].time });
+
+    const { body } = await lawyer.client.get('/api/lawyer/bookings');
+    assert.deepEqual(body.bookings.map(b => b.id), [own]);
+
+    const confirmed = await lawyer.client.post(`/api/bookings/${own}/status`, { status: 'confirmed' });
+    assert.equal(confirmed.status, 200);
+    assert.equal(confirmed.body.booking.history[confirmed.body.booking.history.length - 1].changed_by_role, 'lawyer');
+    assert.deepEqual((await lawyer.client.get('/api/lawyer/bookings?status=confirmed')).body.bookings.map(b => b.id), [own]);
+
+    assert.equal((await lawyer.client.post(`/api/bookings/${notOwn}/status`, { status: 'confirmed' })).status, 404);
+    assert.equal((await client.client.post(`/api/bookings/${own}/status`, { status: 'declined' })).status, 403);
+});
+
+test('private notes about a client are kept from the client', async () => {
+    await book(client, LAWYER_ID, slots[1]);
+    const added = await lawyer.client.post(`/api/lawyer/clients/${client.id}/notes`, { note: 'Bring the signed contract' });
+    assert.equal(added.status, 200);
+
+    const { body } = await lawyer.client.get('/api/lawyer/bookings');
+    assert.ok(body.bookings.every(b => b.client_notes.some(n => n.note === 'Bring the signed contract')));
+    const seenByClient = JSON.stringify((await client.client.get('/api/bookings')).body);
+    assert.ok(!seenByClient.includes('Bring the signed contract'));
+
+    // Only clients who booked with this lawyer
+    assert.equal((await lawyer.client.post(`/api/lawyer/clients/${admin.id}/notes`, { note: 'Hi' })).status, 404);
+    assert.equal((await lawyer.client.post(`/api/lawyer/clients/${client.id}/notes`, { note: ' ' })).status, 400);
+
+    assert.equal((await lawyer.client.delete(`/api/lawyer/notes/${added.body.note.id}`)).status, 200);
+    assert.equal((await lawyer.client.delete(`/api/lawyer/notes/${added.body.note.id}`)).status, 404);
+});
+
+test('the lawyer manages their own availability only', async () => {
+    const weekly = [{ weekday: 1, startTime: '09:00', endTime: '11:00', slotMinutes: 30 }];
+    assert.equal((await lawyer.client.put(`/api/lawyers/${LAWYER_ID}/schedule`, { weekly })).status, 200);
+    assert.equal((await lawyer.client.put(`/api/lawyers/${OTHER_LAWYER_ID}/schedule`, { weekly })).status, 403);
+    const { body } = await lawyer.client.get(`/api/lawyers/${LAWYER_ID}/schedule`);
+    assert.deepEqual(body.schedule.weekly, weekly);
+});
+
+test('unlinking makes the account a client again', async () => {
+    const other = await registerAccount(server, { name: 'Second Lawyer' });
+    await admin.client.put(`/api/lawyers/${OTHER_LAWYER_ID}/account`, { email: other.email });
+    await enableTwoFactor(other);
+    assert.equal((await other.client.get('/api/lawyer/profile')).status, 200);
+
+    assert.equal((await admin.client.delete(`/api/lawyers/${OTHER_LAWYER_ID}/account`)).status, 200);
+    assert.equal((await other.client.get('/api/lawyer/profile')).status, 403);
+    assert.equal((await other.client.get('/api/session')).body.user.role, 'client');
+    assert.equal((await admin.client.delete(`/api/lawyers/${OTHER_LAWYER_ID}/account`)).status, 404);
+});
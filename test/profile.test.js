@@ -0,0 +1,121 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { TestServer, registerAccount, verifyEmail } = require('./helpers');
+
+const VERIFY_PAGE = 'verify-email.html';
+let server;
+
+before(async () => {
+    server = await new TestServer({ APP_BASE_URL: 'https://knowlaw.example' }).start();
+});
+
+after(async () => {
+    await server.close();
+});
+
+async function signIn(account, password = account.password) {
+    const client = server.client();
+    const { status } = await client.post('/api/login', { email: account.email, password });
+    return { client, status };
+}
+
+test('account holders edit their profile details', async () => {
+    const user = await registerAccount(server, { name: 'Profile Owner' });
+    const { body } = await user.client.get('/api/profile');
+    assert.deepEqual([body.profile.name, body.profile.email, body.profile.preferredLanguage], ['Profile Owner', user.email, 'en']);
+    assert.ok(body.governorates.includes('Cairo'));
+
+    const updated = await user.client.put('/api/profile', {
+        name: '  Renamed Owner ', phone: '+20 100 000 0000', preferredLanguage: 'ar', governorate: 'Giza'
+    });
+    assert.equal(updated.status, 200);
+    assert.deepEqual(
+        [updated.body.profile.name, updated.body.profile.phone, updated.body.profile.preferredLanguage, updated.body.profile.governorate],
+        ['Renamed Owner', '+20 100 000 0000', 'ar', 'Giza']
+    );
+    assert.equal((await user.client.get('/api/session')).body.user.name, 'Renamed Owner');
+
+    // Only the fields sent change; an empty phone clears it
+    const cleared = await user.client.put('/api/profile', { phone: '' });
+    assert.deepEqual([cleared.body.profile.phone, cleared.body.profile.governorate], [null, 'Giza']);
+
+    for (const fields of [{ name: ' ' }, { phone: 'call me' }, { preferredLanguage: 'fr' }, { preferredLanguage: 'toString' }, { governorate: 'Atlantis' }]) {
+        assert.equal((await user.client.put('/api/profile', fields)).status, 400, JSON.stringify(fields));
+    }
+    assert.equal((await server.client().get('/api/profile')).status, 401);
+});
+
+test('changing the password needs the current one and signs out other devices', async () => {
+    const user = await registerAccount(server);
+    const laptop = await signIn(user);
+    const change = fields => user.client.post('/api/profile/password', {
+        currentPassword: user.password, newPassword: 'changed-secret1', confirmPassword: 'changed-secret1', ...fields
+    });
+
+    assert.equal((await change({ currentPassword: 'wrong-password' })).status, 400);
+    assert.equal((await change({ confirmPassword: 'different' })).status, 400);
+    assert.equal((await change({ newPassword: 'short', confirmPassword: 'short' })).status, 400);
+
+    const changed = await change();
+    assert.deepEqual([changed.status, changed.body.signedOutSessions], [200, 1]);
+    assert.equal((await laptop.client.get('/api/session')).body.success, false);
+    assert.equal((await user.client.get('/api/session')).body.user.email, user.email);
+    assert.match(server.mailTo(user.email)[0], /Subject: Your Know Law password was changed/);
+
+    assert.equal((await signIn(user)).status, 401);
+    assert.equal((await signIn(user, 'changed-secret1')).status, 200);
+});
+
+test('wrong current passwords are throttled like sign-in', async () => {
+    const user = await registerAccount(server);
+    const wrong = () => user.client.post('/api/profile/email', { newEmail: 'elsewhere@example.com', currentPassword: 'wrong-password' });
+    for (let i = 0; i < 3; i++) {
+        assert.equal((await wrong()).status, 400);
+    }
+    const throttled = await wrong();
+    assert.deepEqual([throttled.status, throttled.body.code], [429, 'TOO_MANY_ATTEMPTS']);
+});
+
+test('a new email address replaces the old one once its link is opened', async () => {
+    const user = await registerAccount(server);
+    await verifyEmail(server, user);
+    const newEmail = `moved-${user.id}@example.com`;
+
+    const requested = await user.client.post('/api/profile/email', { newEmail, currentPassword: user.password });
+    assert.deepEqual([requested.status, requested.body.pendingEmail], [200, newEmail]);
+    assert.match(server.mailTo(newEmail)[0], /https:\/\/knowlaw\.example\/verify-email\.html\?token=[a-f0-9]{64}/);
+
+    // The current address keeps working until then
+    assert.equal((await user.client.get('/api/profile')).body.profile.email, user.email);
+    assert.equal((await signIn(user)).status, 200);
+
+    const token = server.latestMailToken(newEmail, VERIFY_PAGE);
+    const verified = await server.client().post('/api/email/verify', { token });
+    assert.deepEqual([verified.status, verified.body.emailChanged, verified.body.email], [200, true, newEmail]);
+
+    const { body } = await user.client.get('/api/profile');
+    assert.deepEqual([body.profile.email, body.profile.pendingEmail, body.profile.emailVerified], [newEmail, null, true]);
+    assert.equal((await user.client.get('/api/session')).body.user.email, newEmail);
+    assert.equal((await signIn(user)).status, 401);
+    assert.equal((await signIn({ email: newEmail, password: user.password })).status, 200);
+});
+
+test('email changes are validated and can be cancelled', async () => {
+    const user = await registerAccount(server);
+    const other = await registerAccount(server);
+    const changeTo = newEmail => user.client.post('/api/profile/email', { newEmail, currentPassword: user.password });
+
+    assert.equal((await changeTo('not-an-email')).status, 400);
+    assert.equal((await changeTo(user.email.toUpperCase())).status, 400);
+    assert.equal((await changeTo(other.email)).status, 400);
+
+    const newEmail = `cancelled-${user.id}@example.com`;
+    assert.equal((await changeTo(newEmail)).status, 200);
+    assert.equal((await changeTo(newEmail)).status, 429, 'one link a minute');
+    const token = server.latestMailToken(newEmail, VERIFY_PAGE);
+
+    assert.equal((await user.client.delete('/api/profile/email')).status, 200);
+    assert.equal((await user.client.get('/api/profile')).body.profile.pendingEmail, null);
+    assert.equal((await server.client().post('/api/email/verify', { token })).status, 400);
+    assert.equal((await user.client.get('/api/profile')).body.profile.email, user.email);
+});
@@ -0,0 +1,75 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { TestServer, registerAccount, readEvents, startFakeOpenAI } = require('./helpers');
+
+const servers = [];
+let openai;
+
+after(async () => {
+    for (const server of servers) {
+        await server.close();
+    }
+    if (openai) {
+        await openai.close();
+    }
+});
+
+async function startServer(env) {
+    const server = await new TestServer(env).start();
+    servers.push(server);
+    return { server, user: await registerAccount(server) };
+}
+
+test('the mock provider answers offline and streams word by word', async () => {
+    const { user } = await startServer({ LLM_PROVIDER: 'mock', MOCK_LLM_MODEL: 'mock-test' });
+
+    const { body } = await user.client.post('/api/chat', { message: 'Is a verbal lease valid?' });
+    assert.equal(body.response, 'Mock answer (mock-test) to: Is a verbal lease valid?');
+
+    const events = await readEvents(await user.client.request('POST', '/api/chat',
+        { message: 'Is a verbal lease valid?' }, { Accept: 'text/event-stream' }));
+    const tokens = events.filter(e => e.event === 'token').map(e => e.data.text);
+    assert.deepEqual(tokens.slice(0, 3), ['Mock ', 'answer ', '(mock-test) ']);
+    assert.equal(events.find(e => e.event === 'done').data.response, tokens.join(''));
+});
+
+test('the local provider calls an OpenAI-compatible server with its own settings', async () => {
+    openai = await startFakeOpenAI({ chunks: ['Local ', 'model ', 'answer.'] });
+    const { user } = await startServer({
+        LLM_PROVIDER: 'local',
+        LOCAL_LLM_BASE_URL: openai.baseUrl,
+        LOCAL_LLM_MODEL: 'llama-test',
+        LOCAL_LLM_TEMPERATURE: '0.2',
+        LOCAL_LLM_MAX_TOKENS: '300'
+    });
+
+    const { body } = await user.client.post('/api/chat', { message: 'Hello' });
+    assert.equal(body.response, 'Local model answer.');
+    const sent = openai.requests[openai.requests.length - 1];
+    assert.deepEqual([sent.model, sent.temperature, sent.max_tokens], ['llama-test', 0.2, 300]);
+    assert.equal(sent.presence_penalty, undefined);
+
+    const events = await readEvents(await user.client.request('POST', '/api/chat', { message: 'Hello' }, { Accept: 'text/event-stream' }));
+    assert.deepEqual(events.filter(e => e.event === 'token').map(e => e.data.text), ['Local ', 'model ', 'answer.']);
+});
+
+test('the OpenAI provider sends the configured model and sampling settings', async () => {
+    const { user } = await startServer({ ...openai.env, OPENAI_MODEL: 'gpt-test', OPENAI_TEMPERATURE: '0', OPENAI_MAX_TOKENS: '123' });
+
+    await user.client.post('/api/chat', { message: 'Hello' });
+    const sent = openai.requests[openai.requests.length - 1];
+    assert.deepEqual([sent.model, sent.temperature, sent.max_tokens, sent.presence_penalty], ['gpt-test', 0, 123, 0.6]);
+});
+
+test('an unreachable or unknown provider falls back to rule-based answers', async () => {
+    const { user: unreachable } = await startServer({ LLM_PROVIDER: 'local', LOCAL_LLM_BASE_URL: 'http://127.0.0.1:9/v1' });
+    const fallback = await unreachable.client.post('/api/chat', { message: 'How do I register a company?' });
+    assert.equal(fallback.status, 200);
+    assert.ok(fallback.body.response.length > 0);
+    assert.doesNotMatch(fallback.body.response, /^Mock answer/);
+
+    const { user: unknown } = await startServer({ LLM_PROVIDER: 'no-such-provider' });
+    const answer = await unknown.client.post('/api/chat', { message: 'How do I register a company?' });
+    assert.equal(answer.status, 200);
+    assert.equal(answer.body.response, fallback.body.response);
+});
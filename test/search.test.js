@@ -0,0 +1,68 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { TestServer, registerAccount } = require('./helpers');
+
+let server;
+let user;
+let other;
+
+before(async () => {
+    server = await new TestServer().start();
+    user = await registerAccount(server);
+    other = await registerAccount(server);
+});
+
+after(async () => {
+    await server.close();
+});
+
+const search = (account, q) => account.client.get('/api/chats/search?q=' + encodeURIComponent(q));
+
+test('finds messages by word prefix and highlights the matches', async () => {
+    const { body } = await user.client.post('/api/chat', { message: 'Can my landlord raise the <b>deposit</b>?' });
+
+    const { status, body: found } = await search(user, 'landl depos');
+    assert.equal(status, 200);
+    assert.equal(found.results.length, 1);
+    assert.equal(found.results[0].conversationId, body.conversationId);
+    const question = found.results[0].matches.find(m => m.role === 'user');
+    assert.equal(question.snippet, 'Can my <mark>landlord</mark> raise the &lt;b&gt;<mark>deposit</mark>&lt;/b&gt;?');
+
+    // Every word must match
+    assert.deepEqual((await search(user, 'landlord mortgage')).body.results, []);
+});
+
+test('Arabic text is normalized before matching', async () => {
+    await user.client.post('/api/chat', { message: 'ما هي مدة عقود الإيجارات؟' });
+    const { body } = await search(user, 'ايجار');
+    assert.equal(body.results.length, 1);
+    assert.match(body.results[0].matches[0].snippet, /<mark>الإيجارات<\/mark>/);
+});
+
+test('finds conversations by title and follows edits and deletions', async () => {
+    const { body: created } = await user.client.post('/api/chats', { title: 'Inheritance planning' });
+    assert.equal((await search(user, 'inherit')).body.results[0].titleHighlighted, '<mark>Inheritance</mark> planning');
+
+    await user.client.put(`/api/chats/${created.conversation.id}`, { title: 'Company formation' });
+    assert.deepEqual((await search(user, 'inherit')).body.results, []);
+    assert.equal((await search(user, 'formation')).body.results[0].conversationId, created.conversation.id);
+
+    const { body: chat } = await user.client.post('/api/chat', { message: 'Notarized trademark licence' });
+    const [question] = (await user.client.get(`/api/chats/${chat.conversationId}`)).body.messages;
+    await user.client.put(`/api/chats/${chat.conversationId}/messages/${question.id}`, { content: 'Patent licence', regenerate: true });
+    // The title still comes from the first wording; the messages no longer match it
+    assert.deepEqual((await search(user, 'trademark')).body.results.flatMap(r => r.matches), []);
+    assert.equal((await search(user, 'patent')).body.results[0].matches.length, 2);
+
+    await user.client.delete(`/api/chats/${chat.conversationId}`);
+    assert.deepEqual((await search(user, 'patent')).body.results, []);
+});
+
+test('only searches your own conversations', async () => {
+    await other.client.post('/api/chat', { message: 'Confidential arbitration clause' });
+    assert.equal((await search(other, 'arbitration')).body.results.length, 1);
+    assert.deepEqual((await search(user, 'arbitration')).body.results, []);
+
+    assert.equal((await search(user, '  ')).status, 400);
+    assert.equal((await server.client().get('/api/chats/search?q=arbitration')).status, 401);
+});
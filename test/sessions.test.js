@@ -0,0 +1,95 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { TestServer, registerAccount } = require('./helpers');
+
+let server;
+
+before(async () => {
+    server = await new TestServer({ SESSION_SECRET: 'first-secret' }).start();
+});
+
+after(async () => {
+    await server.close();
+});
+
+async function signIn(account) {
+    const client = server.client();
+    await client.post('/api/login', { email: account.email, password: account.password });
+    return client;
+}
+
+const signedInAs = async client => {
+    const { body } = await client.get('/api/session');
+    return body.success ? body.user.email : null;
+};
+
+test('sessions survive a restart and a secret rotation', async () => {
+    const user = await registerAccount(server);
+    await server.restart();
+    assert.equal(await signedInAs(user.client), user.email);
+
+    // The old secret is still accepted and the cookie is re-signed with the new one
+    const oldCookie = user.client.cookie;
+    await server.restart({ SESSION_SECRET: 'second-secret,first-secret' });
+    assert.equal(await signedInAs(user.client), user.email);
+    assert.notEqual(user.client.cookie, oldCookie);
+
+    await server.restart({ SESSION_SECRET: 'second-secret' });
+    assert.equal(await signedInAs(user.client), user.email);
+    const stale = server.client();
+    stale.cookie = oldCookie;
+    assert.equal(await signedInAs(stale), null, 'cookies signed with a retired secret are refused');
+});
+
+test('the sessions list shows every device and signs out another one', async () => {
+    const user = await registerAccount(server);
+    const laptop = await signIn(user);
+
+    const { status, body } = await user.client.get('/api/sessions');
+    assert.equal(status, 200);
+    assert.equal(body.sessions.length, 2);
+    const [current, other] = [body.sessions.find(s => s.current), body.sessions.find(s => !s.current)];
+    assert.equal(current.ip, user.client.ip);
+    assert.equal(other.ip, laptop.ip);
+    const sid = decodeURIComponent(user.client.cookie.split('=')[1]).slice(2).split('.')[0];
+    assert.ok(!JSON.stringify(body).includes(sid), 'the session id is not shown');
+
+    assert.equal((await user.client.delete(`/api/sessions/${current.id}`)).status, 400);
+    assert.equal((await user.client.delete(`/api/sessions/${other.id}`)).status, 200);
+    assert.equal(await signedInAs(laptop), null);
+    assert.equal((await user.client.delete(`/api/sessions/${other.id}`)).status, 404);
+    assert.equal(await signedInAs(user.client), user.email);
+});
+
+test('all other devices can be signed out at once', async () => {
+    const user = await registerAccount(server);
+    const phone = await signIn(user);
+    const tablet = await signIn(user);
+    const stranger = await registerAccount(server);
+
+    // Another user's session cannot be ended through the list
+    const theirs = (await stranger.client.get('/api/sessions')).body.sessions[0].id;
+    assert.equal((await user.client.delete(`/api/sessions/${theirs}`)).status, 404);
+
+    const { body } = await user.client.post('/api/sessions/revoke-others');
+    assert.equal(body.ended, 2);
+    assert.deepEqual([await signedInAs(phone), await signedInAs(tablet)], [null, null]);
+    assert.equal(await signedInAs(user.client), user.email);
+    assert.equal(await signedInAs(stranger.client), stranger.email);
+
+    assert.equal((await server.client().get('/api/sessions')).status, 401);
+});
+
+test('production refuses to start without a secret of its own', async () => {
+    for (const [secret, message] of [[undefined, /SESSION_SECRET must be set/], ['know-law-secret-key-2024', /must not contain the development secret/]]) {
+        const production = new TestServer({ NODE_ENV: 'production', ...(secret ? { SESSION_SECRET: secret } : {}) });
+        await assert.rejects(production.start(), message);
+        await production.close();
+    }
+});
+
+test('database files are never served', async () => {
+    for (const file of ['/sessions.db', '/database.sqlite', '/database.sqlite-journal', '/Sessions.DB']) {
+        assert.equal((await server.client().request('GET', file)).status, 404, file);
+    }
+});
@@ -0,0 +1,100 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { TestServer, registerAccount, readEvents, startFakeOpenAI, createAdmin } = require('./helpers');
+
+const ADMIN_EMAIL = 'admin-statutes@example.com';
+let openai;
+let server;
+let admin;
+let user;
+
+before(async () => {
+    openai = await startFakeOpenAI();
+    server = await new TestServer({ ...openai.env, ADMIN_EMAILS: ADMIN_EMAIL }).start();
+    admin = await createAdmin(server, ADMIN_EMAIL);
+    user = await registerAccount(server);
+
+    const imported = await admin.client.post('/api/admin/statutes/import', {
+        statutes: [
+            { law_number: '4/1996', law_name: 'Rent Law', article_number: '12', text_en: 'A tenant must pay the rent on the agreed date.' },
+            { law_number: '4/1996', law_name: 'Rent Law', article_number: '13', text_en: 'A landlord must repair the rented property before handing it to a tenant.' },
+            { law_number: '12/2003', law_name: 'Labour Law', article_number: '12', text_en: 'A worker is entitled to a weekly rest day.', text_ar: 'للعامل الحق في يوم راحة أسبوعية.' },
+            { law_number: '12/2003', article_number: '' }
+        ]
+    });
+    assert.equal(imported.status, 200, JSON.stringify(imported.body));
+    assert.equal(imported.body.imported, 3);
+    assert.equal(imported.body.skipped, 1);
+});
+
+after(async () => {
+    await server.close();
+    await openai.close();
+});
+
+test('only admins can import statutes', async () => {
+    const { status } = await user.client.post('/api/admin/statutes/import', {
+        statutes: [{ law_number: '1/2000', article_number: '1', text_en: 'Not imported.' }]
+    });
+    assert.equal(status, 403);
+    assert.equal((await server.client().post('/api/admin/statutes/import', { csv: 'x' })).status, 401);
+});
+
+test('a CSV import adds and updates articles', async () => {
+    const csv = 'law_number,law_name,article_number,text_en\n' +
+        '4/1996,Rent Law,14,"A lease ends at the agreed date, unless renewed."\n' +
+        '4/1996,,12,A tenant must pay the rent within the first week of the month.\n';
+    const { status, body } = await admin.client.post('/api/admin/statutes/import', { csv });
+    assert.equal(status, 200);
+    assert.equal(body.imported, 2);
+
+    const rows = await server.query("SELECT article_number, law_name, text_en FROM statutes WHERE law_number = '4/1996' ORDER BY CAST(article_number AS INTEGER)");
+    assert.deepEqual(rows.map(r => r.article_number), ['12', '13', '14']);
+    assert.equal(rows[0].text_en, 'A tenant must pay the rent within the first week of the month.');
+    assert.equal(rows[0].law_name, 'Rent Law', 'an empty column keeps the stored value');
+    assert.equal(rows[2].text_en, 'A lease ends at the agreed date, unless renewed.');
+});
+
+test('search finds articles by words and by article reference', async () => {
+    const byWords = await user.client.get('/api/statutes/search?q=' + encodeURIComponent('weekly rest'));
+    assert.equal(byWords.status, 200);
+    assert.equal(byWords.body.results[0].lawNumber, '12/2003');
+
+    const arabic = await user.client.get('/api/statutes/search?q=' + encodeURIComponent('راحة اسبوعية'));
+    assert.equal(arabic.body.results[0].lawNumber, '12/2003');
+
+    // Article 12 exists in two laws: the law number decides
+    const byReference = await user.client.get('/api/statutes/search?q=' + encodeURIComponent('article 12 of law 4/1996'));
+    assert.deepEqual([byReference.body.results[0].lawNumber, byReference.body.results[0].articleNumber], ['4/1996', '12']);
+
+    assert.equal((await user.client.get('/api/statutes/search?q=')).status, 400);
+});
+
+test('matching articles are given to the model and the cited ones are returned', async () => {
+    // Cite whichever marker the repair article was given
+    openai.chunks = body => {
+        const prompt = body.messages.map(m => m.content).join('\n');
+        return ['The landlord must repair the property first ', `[${prompt.match(/\[(\d)\] Law 4\/1996 \(Rent Law\), Article 13/)[1]}].`];
+    };
+    const events = await readEvents(await user.client.request('POST', '/api/chat',
+        { message: 'Must the landlord repair the property for the tenant?' }, { Accept: 'text/event-stream' }));
+    const done = events.find(e => e.event === 'done').data;
+
+    const prompt = openai.requests[openai.requests.length - 1].messages.map(m => m.content).join('\n');
+    assert.match(prompt, /\[\d\] Law 4\/1996 \(Rent Law\), Article 13\nEN: A landlord must repair/);
+
+    assert.equal(done.citations.length, 1);
+    assert.match(done.response, new RegExp(`\\[${done.citations[0].marker}\\]`));
+    assert.equal(done.citations[0].articleNumber, '13');
+
+    const [saved] = await server.query('SELECT citations FROM messages WHERE id = ?', [done.messageId]);
+    assert.deepEqual(JSON.parse(saved.citations), done.citations);
+});
+
+test('an answer without markers cites no articles', async () => {
+    openai.chunks = ['A worker gets a weekly rest day.'];
+    const { body } = await user.client.post('/api/chat', { message: 'Does a worker get a weekly rest day?' });
+    assert.deepEqual(body.citations, []);
+    // The articles were still given to the model
+    assert.match(openai.requests.at(-1).messages.map(m => m.content).join('\n'), /12\/2003/);
+});
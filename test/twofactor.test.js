@@ -0,0 +1,152 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { TestServer, registerAccount, verifyEmail, enableTwoFactor, createAdmin, totpCode } = require('./helpers');
+
+const ADMIN_EMAIL = 'admin-2fa@example.com';
+let server;
+
+before(async () => {
+    server = await new TestServer({ ADMIN_EMAILS: ADMIN_EMAIL }).start();
+});
+
+after(async () => {
+    await server.close();
+});
+
+async function signIn(account) {
+    const client = server.client();
+    const { body } = await client.post('/api/login', { email: account.email, password: account.password });
+    return { client, body };
+}
+
+test('enrolling needs a code from the app and returns recovery codes', async () => {
+    const user = await registerAccount(server);
+    assert.deepEqual((await user.client.get('/api/2fa/status')).body.enabled, false);
+
+    const setup = await user.client.post('/api/2fa/setup');
+    assert.match(setup.body.secret, /^[A-Z2-7]{32}$/);
+    assert.match(setup.body.otpauthUrl, /^otpauth:\/\/totp\/Know%20Law%3A/);
+    assert.match(setup.body.qrCode, /^data:image\/png;base64,/);
+    assert.equal((await user.client.post('/api/2fa/enable', { code: '000000' })).status, 400);
+
+    const enabled = await user.client.post('/api/2fa/enable', { code: totpCode(setup.body.secret) });
+    assert.equal(enabled.status, 200);
+    assert.equal(enabled.body.recoveryCodes.length, 10);
+    assert.ok(enabled.body.recoveryCodes.every(code => /^[A-Z2-7]{5}-[A-Z2-7]{5}$/.test(code)));
+
+    const { body } = await user.client.get('/api/2fa/status');
+    assert.deepEqual([body.enabled, body.required, body.recoveryCodesRemaining], [true, false, 10]);
+    assert.equal((await user.client.post('/api/2fa/setup')).status, 400);
+    assert.equal((await server.client().get('/api/2fa/status')).status, 401);
+});
+
+test('signing in asks for a code and refuses the same code twice', async () => {
+    const user = await registerAccount(server);
+    await enableTwoFactor(user);
+
+    const { client, body } = await signIn(user);
+    assert.deepEqual([body.success, body.twoFactorRequired], [false, true]);
+    assert.equal((await client.get('/api/session')).body.success, false);
+
+    assert.equal((await client.post('/api/login/2fa', { code: '123456' })).status, 401);
+    const code = totpCode(user.totpSecret);
+    const pendingCookie = client.cookie;
+    assert.equal((await client.post('/api/login/2fa', { code })).status, 200);
+    assert.notEqual(client.cookie, pendingCookie, 'the session id changes once signed in');
+    assert.equal((await client.get('/api/session')).body.user.email, user.email);
+
+    const replay = await signIn(user);
+    assert.equal((await replay.client.post('/api/login/2fa', { code })).status, 401);
+    assert.equal((await server.client().post('/api/login/2fa', { code })).status, 400, 'no password step');
+});
+
+test('each recovery code signs in once', async () => {
+    const user = await registerAccount(server);
+    await enableTwoFactor(user);
+    const [code] = user.recoveryCodes;
+
+    const first = await signIn(user);
+    const used = await first.client.post('/api/login/2fa', { code: code.toLowerCase().replace('-', ' ') });
+    assert.deepEqual([used.status, used.body.recoveryCodesRemaining], [200, 9]);
+
+    const second = await signIn(user);
+    assert.equal((await second.client.post('/api/login/2fa', { code })).status, 401);
+});
+
+test('wrong codes are slowed down like wrong passwords', async () => {
+    const user = await registerAccount(server);
+    await enableTwoFactor(user);
+
+    const { client } = await signIn(user);
+    for (let i = 0; i < 3; i++) {
+        assert.equal((await client.post('/api/login/2fa', { code: '000000' })).status, 401);
+    }
+    const throttled = await client.post('/api/login/2fa', { code: totpCode(user.totpSecret) });
+    assert.deepEqual([throttled.status, throttled.body.code], [429, 'TOO_MANY_ATTEMPTS']);
+
+    // Starting over with the password does not give fresh tries
+    const again = await signIn(user);
+    assert.equal(again.body.code, 'TOO_MANY_ATTEMPTS');
+});
+
+test('new recovery codes replace the old ones', async () => {
+    const user = await registerAccount(server);
+    await enableTwoFactor(user);
+
+    assert.equal((await user.client.post('/api/2fa/recovery-codes', { code: user.recoveryCodes[0] })).status, 400);
+    const { status, body } = await user.client.post('/api/2fa/recovery-codes', { code: totpCode(user.totpSecret) });
+    assert.equal(status, 200);
+    assert.equal(body.recoveryCodes.length, 10);
+
+    const { client } = await signIn(user);
+    assert.equal((await client.post('/api/login/2fa', { code: user.recoveryCodes[1] })).status, 401);
+    assert.equal((await client.post('/api/login/2fa', { code: body.recoveryCodes[1] })).status, 200);
+});
+
+test('clients turn 2FA off with their password and a code', async () => {
+    const user = await registerAccount(server);
+    await enableTwoFactor(user);
+
+    const code = totpCode(user.totpSecret);
+    assert.equal((await user.client.post('/api/2fa/disable', { currentPassword: 'wrong', code })).status, 400);
+    assert.equal((await user.client.post('/api/2fa/disable', { currentPassword: user.password, code: '000000' })).status, 400);
+    assert.equal((await user.client.post('/api/2fa/disable', { currentPassword: user.password, code })).status, 200);
+    assert.equal((await user.client.get('/api/2fa/status')).body.enabled, false);
+
+    const { body } = await signIn(user);
+    assert.equal(body.success, true);
+});
+
+test('wrong passwords and codes to turn 2FA off are throttled like sign-in', async () => {
+    const user = await registerAccount(server);
+    await enableTwoFactor(user);
+    const disable = fields => user.client.post('/api/2fa/disable', { currentPassword: user.password, code: totpCode(user.totpSecret), ...fields });
+
+    assert.equal((await disable({ currentPassword: 'wrong' })).status, 400);
+    assert.equal((await disable({ code: '000000' })).status, 400);
+    assert.equal((await disable({ code: 'AAAAA-AAAAA' })).status, 400);
+    const throttled = await disable();
+    assert.deepEqual([throttled.status, throttled.body.code], [429, 'TOO_MANY_ATTEMPTS']);
+    assert.equal((await user.client.get('/api/2fa/status')).body.enabled, true);
+
+    const attempts = await server.query('SELECT outcome FROM login_attempts WHERE user_id = ?', [user.id]);
+    assert.deepEqual(attempts.map(a => a.outcome), ['two_factor_failed', 'two_factor_failed']);
+});
+
+test('lawyers and admins must keep 2FA on', async () => {
+    const admin = await createAdmin(server, ADMIN_EMAIL);
+    const { body } = await admin.client.get('/api/2fa/status');
+    assert.deepEqual([body.enabled, body.required], [true, true]);
+
+    const disabled = await admin.client.post('/api/2fa/disable', { currentPassword: admin.password, code: totpCode(admin.totpSecret) });
+    assert.equal(disabled.status, 400);
+
+    // Until it is set up, the admin only reaches the enrollment routes
+    const fresh = await registerAccount(server);
+    await verifyEmail(server, fresh);
+    await server.query("UPDATE users SET role = 'admin' WHERE id = ?", [fresh.id]);
+    const blocked = await fresh.client.get('/api/admin/stats');
+    assert.deepEqual([blocked.status, blocked.body.code], [403, 'TWO_FACTOR_REQUIRED']);
+    await enableTwoFactor(fresh);
+    assert.equal((await fresh.client.get('/api/admin/stats')).status, 200);
+});
@@ -0,0 +1,58 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { TestServer, registerAccount } = require('./helpers');
+
+const VERIFY_PAGE = 'verify-email.html';
+let server;
+
+before(async () => {
+    server = await new TestServer({ APP_BASE_URL: 'https://knowlaw.example' }).start();
+});
+
+after(async () => {
+    await server.close();
+});
+
+const isVerified = async account => (await account.client.get('/api/session')).body.user.emailVerified;
+
+test('signing up emails a link that verifies the address from any browser', async () => {
+    const user = await registerAccount(server);
+    assert.equal(await isVerified(user), false);
+
+    const [mail] = server.mailTo(user.email);
+    assert.match(mail, /Subject: Verify your Know Law email address/);
+    assert.match(mail, /https:\/\/knowlaw\.example\/verify-email\.html\?token=[a-f0-9]{64}/);
+
+    const token = server.latestMailToken(user.email, VERIFY_PAGE);
+    const verified = await server.client().post('/api/email/verify', { token });
+    assert.deepEqual([verified.status, verified.body.email], [200, user.email]);
+    assert.equal(await isVerified(user), true);
+
+    assert.equal((await server.client().post('/api/email/verify', { token })).status, 400, 'the link works once');
+    assert.equal((await user.client.post('/api/email/verification/resend')).status, 400);
+});
+
+test('a new link can be requested once a minute and replaces the old one', async () => {
+    const user = await registerAccount(server);
+    const first = server.latestMailToken(user.email, VERIFY_PAGE);
+
+    assert.equal((await user.client.post('/api/email/verification/resend')).status, 429);
+    await server.query("UPDATE email_verification_tokens SET created_at = datetime('now', '-2 minutes')");
+    assert.equal((await user.client.post('/api/email/verification/resend')).status, 200);
+
+    const second = server.latestMailToken(user.email, VERIFY_PAGE);
+    assert.notEqual(second, first);
+    assert.equal((await server.client().post('/api/email/verify', { token: first })).status, 400);
+    assert.equal((await server.client().post('/api/email/verify', { token: second })).status, 200);
+
+    assert.equal((await server.client().post('/api/email/verification/resend')).status, 401);
+});
+
+test('invalid and expired links are refused', async () => {
+    const user = await registerAccount(server);
+    await server.query("UPDATE email_verification_tokens SET expires_at = datetime('now', '-1 minute') WHERE used_at IS NULL");
+    const token = server.latestMailToken(user.email, VERIFY_PAGE);
+    assert.equal((await server.client().post('/api/email/verify', { token })).status, 400);
+    assert.equal((await server.client().post('/api/email/verify', { token: 'not-a-token' })).status, 400);
+    assert.equal(await isVerified(user), false);
+});
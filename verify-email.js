@@ -0,0 +1,44 @@
+// Email verification page, opened from the link sent at sign-up (?token=)
+const token = new URLSearchParams(window.location.search).get('token');
+
+function showResult(title, subtitle, isError) {
+    document.getElementById('verifyTitle').textContent = title;
+    document.getElementById('verifySubtitle').textContent = subtitle;
+
+    const continueLink = document.getElementById('verifyContinue');
+    continueLink.textContent = isError ? 'Go to Dashboard' : 'Book a Lawyer';
+    continueLink.href = isError ? 'dashboard.html' : 'booking.html';
+    continueLink.hidden = false;
+}
+
+async function verifyEmail() {
+    if (!token) {
+        showResult('Verification Link Missing', 'Open the link from the email we sent you.', true);
+        return;
+    }
+
+    try {
+        const response = await fetch('/api/email/verify', {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+            },
+            credentials: 'include',
+            body: JSON.stringify({ token })
+        });
+        const data = await response.json();
+
+        if (data.success && data.emailChanged) {
+            showResult('Email Changed', `Your account now uses ${data.email}. Sign in with it from now on.`, false);
+        } else if (data.success) {
+            showResult('Email Verified', `${data.email} is verified. You can now book lawyers.`, false);
+        } else {
+            showResult('Verification Failed', data.message || 'This link cannot be used.', true);
+        }
+    } catch (error) {
+        console.error('Verify email error:', error);
+        showResult('Verification Failed', 'Cannot connect to server. Please try again later.', true);
+    }
+}
+
+verifyEmail();